@@ -11,15 +11,27 @@ import { AlignmentManager } from '../src/managers/alignmentManager.js';
 import { FileManager } from '../src/managers/fileManager.js';
 import { ModeManager } from '../src/managers/modeManager.js';
 import { UnderlayManager } from '../src/managers/UnderlayManager.js';
+import { HistoryManager } from '../src/managers/HistoryManager.js';
+import { ClipboardManager } from '../src/managers/ClipboardManager.js';
+import { GroupManager } from '../src/managers/GroupManager.js';
+import { ObjectManager } from '../src/managers/ObjectManager.js';
+import { LevelManager } from '../src/managers/LevelManager.js';
+import { ExportManager } from '../src/managers/ExportManager.js';
+import { CsvManifest } from '../src/core/csvManifest.js';
+import { SmfDiff } from '../src/core/smfDiff.js';
+import { DiffManager } from '../src/managers/DiffManager.js';
 
 async function initializeApp() {
   State.app = new PIXI.Application();
   State.world = new PIXI.Container();
   State.gridLayer = new PIXI.Container();
   State.underlayLayer = new PIXI.Container();
+  State.objectLayer = new PIXI.Container();
   State.zoneLayer = new PIXI.Container();
   State.sectionLayer = new PIXI.Container();
   State.seatLayer = new PIXI.Container();
+  State.diffLayer = new PIXI.Container();
+  State.diffLayer.eventMode = 'none';
 
   await State.app.init({
     width: window.innerWidth,
@@ -28,13 +40,15 @@ async function initializeApp() {
     background: CONFIG.BACKGROUND,
   });
 
-  // Add layers in correct z-order: grid -> underlay -> zones -> sections -> seats
+  // Add layers in correct z-order: grid -> underlay -> objects -> zones -> sections -> seats -> comparison overlay
   State.app.stage.addChild(State.world);
   State.world.addChild(State.gridLayer);
   State.world.addChild(State.underlayLayer);
+  State.world.addChild(State.objectLayer);
   State.world.addChild(State.zoneLayer);
   State.world.addChild(State.sectionLayer);
   State.world.addChild(State.seatLayer);
+  State.world.addChild(State.diffLayer);
   
   State.world.position.set(80, 60);
   State.world.scale.set(1);
@@ -52,13 +66,26 @@ function initializeElements() {
   Elements.createBtn = document.getElementById('createSectionBtn');
   Elements.createGABtn = document.getElementById('createGABtn');
   Elements.createZoneBtn = document.getElementById('createZoneBtn');
+  Elements.createPolygonBtn = document.getElementById('createPolygonBtn');
+  Elements.createArcBtn = document.getElementById('createArcBtn');
+  Elements.createObjectBtn = document.getElementById('createObjectBtn');
+  Elements.objectPicker = document.getElementById('objectPicker');
   Elements.openBtn = document.getElementById('openBtn');
   Elements.saveBtn = document.getElementById('saveBtn');
+  Elements.exportBtn = document.getElementById('exportBtn');
+  Elements.exportBox = document.getElementById('exportBox');
   Elements.fileInput = document.getElementById('fileInput');
+  Elements.csvImportBtn = document.getElementById('csvImportBtn');
+  Elements.csvImportBox = document.getElementById('csvImportBox');
+  Elements.csvFileInput = document.getElementById('csvFileInput');
+  Elements.compareBtn = document.getElementById('compareBtn');
+  Elements.compareBox = document.getElementById('compareBox');
+  Elements.compareFileInput = document.getElementById('compareFileInput');
   Elements.confirmBox = document.getElementById('confirmBox');
   Elements.confirmInfo = document.getElementById('confirmInfo');
   Elements.confirmKeep = document.getElementById('confirmKeep');
   Elements.confirmDelete = document.getElementById('confirmDelete');
+  Elements.confirmEditRows = document.getElementById('confirmEditRows');
   Elements.deleteConfirmBox = document.getElementById('deleteConfirmBox');
   Elements.deleteConfirmInfo = document.getElementById('deleteConfirmInfo');
   Elements.deleteConfirmYes = document.getElementById('deleteConfirmYes');
@@ -92,6 +119,15 @@ function initializeElements() {
   Elements.seatNumberingHeader = document.getElementById('seatNumberingHeader');
   Elements.seatNumberingContent = document.getElementById('seatNumberingContent');
   Elements.alignRowsSection = document.getElementById('alignRowsSection');
+  Elements.rowLayoutSection = document.getElementById('rowLayoutSection');
+  Elements.rowLayoutList = document.getElementById('rowLayoutList');
+  Elements.addRowDefinitionBtn = document.getElementById('addRowDefinitionBtn');
+  Elements.arcSection = document.getElementById('arcSection');
+  Elements.arcRadiusInput = document.getElementById('arcRadiusInput');
+  Elements.arcRowDepthInput = document.getElementById('arcRowDepthInput');
+  Elements.arcRowsInput = document.getElementById('arcRowsInput');
+  Elements.arcSpanInput = document.getElementById('arcSpanInput');
+  Elements.arcSeatSpacingInput = document.getElementById('arcSeatSpacingInput');
   Elements.addRowsSection = document.getElementById('addRowsSection');
   Elements.rowLabelNone = document.getElementById('rowLabelNone');
   Elements.rowLabelNumbers = document.getElementById('rowLabelNumbers');
@@ -113,6 +149,7 @@ function initializeElements() {
   Elements.resetRotateBtn = document.getElementById('resetRotateBtn');
   Elements.curveSlider = document.getElementById('curveSlider');
   Elements.curveValue = document.getElementById('curveValue');
+  Elements.curveSection = document.getElementById('curveSection');
   Elements.resetCurveBtn = document.getElementById('resetCurveBtn');
   Elements.stretchHSlider = document.getElementById('stretchHSlider');
   Elements.stretchHValue = document.getElementById('stretchHValue');
@@ -199,6 +236,227 @@ function setupFileHandlers() {
   Elements.saveBtn.addEventListener('click', () => {
     FileManager.save();
   });
+
+  // Export button: SVG / PDF options dialog
+  const exportFormat = document.getElementById('exportFormat');
+  const updateExportFields = () => {
+    // Page options and all-levels only apply to PDF, drawing options to PDF and SVG
+    const isMap = exportFormat.value === 'pdf' || exportFormat.value === 'svg';
+    Elements.exportBox.querySelectorAll('.export-pdf-only').forEach(input => {
+      input.disabled = exportFormat.value !== 'pdf';
+    });
+    Elements.exportBox.querySelectorAll('.export-map-only').forEach(input => {
+      input.disabled = !isMap;
+    });
+    document.getElementById('exportAllLevels').closest('label').style.display =
+      State.levels.length > 0 ? '' : 'none';
+  };
+
+  Elements.exportBtn.addEventListener('click', () => {
+    updateExportFields();
+    Elements.exportBox.classList.toggle('show');
+  });
+  exportFormat.addEventListener('change', updateExportFields);
+
+  document.getElementById('exportCancel').addEventListener('click', () => {
+    Elements.exportBox.classList.remove('show');
+  });
+
+  document.getElementById('exportConfirm').addEventListener('click', async () => {
+    const checked = id => document.getElementById(id).checked;
+    const exported = await ExportManager.download(exportFormat.value, {
+      theme: document.getElementById('exportTheme').value,
+      pageSize: document.getElementById('exportPageSize').value,
+      orientation: document.getElementById('exportOrientation').value,
+      pagesAcross: parseInt(document.getElementById('exportPagesAcross').value, 10) || 1,
+      pagesDown: parseInt(document.getElementById('exportPagesDown').value, 10) || 1,
+      titleBlock: checked('exportTitleBlock'),
+      legend: checked('exportLegend'),
+      scaleBar: checked('exportScaleBar'),
+      underlay: checked('exportUnderlay'),
+      allLevels: checked('exportAllLevels')
+    });
+    if (exported) {
+      Elements.exportBox.classList.remove('show');
+    }
+  });
+
+  setupCsvImport();
+  setupCompare();
+}
+
+function setupCsvImport() {
+  const mappingGrid = document.getElementById('csvMappingGrid');
+  const scaleField = document.getElementById('csvScaleField');
+  const info = document.getElementById('csvImportInfo');
+  const report = document.getElementById('csvReport');
+  const cancelBtn = document.getElementById('csvImportCancel');
+  const confirmBtn = document.getElementById('csvImportConfirm');
+  let manifest = null;
+
+  // Mapping step: one column picker per manifest field
+  const showMapping = (file, { headers, records, mapping }) => {
+    manifest = { records };
+    info.textContent = `${file.name}: ${records.length} rows`;
+    mappingGrid.innerHTML = '';
+    CsvManifest.FIELDS.forEach(field => {
+      const cell = document.createElement('div');
+      const label = document.createElement('label');
+      label.className = 'sidebar-label';
+      label.textContent = field.required ? `${field.label} *` : field.label;
+      const select = document.createElement('select');
+      select.className = 'sidebar-input';
+      select.dataset.field = field.key;
+      select.add(new Option(field.required ? 'Choose column' : '(none)', '-1'));
+      headers.forEach((header, index) => select.add(new Option(header || `Column ${index + 1}`, String(index))));
+      select.value = String(mapping[field.key]);
+      cell.append(label, select);
+      mappingGrid.appendChild(cell);
+    });
+
+    mappingGrid.style.display = '';
+    scaleField.style.display = '';
+    report.classList.remove('show');
+    confirmBtn.style.display = '';
+    cancelBtn.textContent = 'Cancel';
+    Elements.csvImportBox.classList.add('show');
+  };
+
+  // Report step: counts, then the rows that were skipped
+  const showReport = (result) => {
+    const lines = [...result.duplicates.map(entry => ({ ...entry, kind: 'Duplicate' })),
+      ...result.unplaced.map(entry => ({ ...entry, kind: 'Not placed' }))]
+      .sort((a, b) => a.line - b.line)
+      .map(entry => `Line ${entry.line}: ${entry.kind} - ${entry.reason}`);
+    // Shared inventory keys have no line of their own; they follow the skipped rows
+    result.sharedKeys.forEach(({ key, seats }) => lines.push(`Shared key - ${key} is used by ${seats} seats`));
+    info.textContent = `Imported ${result.seats} seats in ${result.sections} sections ` +
+      `(${result.duplicates.length} duplicates, ${result.unplaced.length} rows not placed, ` +
+      `${result.sharedKeys.length} shared inventory keys)`;
+    report.innerHTML = '';
+    if (lines.length > 0) {
+      const list = document.createElement('ul');
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      report.appendChild(list);
+      report.classList.add('show');
+    }
+
+    mappingGrid.style.display = 'none';
+    scaleField.style.display = 'none';
+    confirmBtn.style.display = 'none';
+    cancelBtn.textContent = 'Close';
+  };
+
+  Elements.csvImportBtn.addEventListener('click', () => {
+    Elements.csvFileInput.click();
+  });
+
+  Elements.csvFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    Elements.csvFileInput.value = '';
+    if (!file) return;
+
+    try {
+      showMapping(file, await FileManager.readCSV(file));
+    } catch (error) {
+      console.error('✗ Failed to read CSV manifest:', error);
+      alert(`Failed to read CSV: ${error.message}`);
+    }
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    Elements.csvImportBox.classList.remove('show');
+    manifest = null;
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    if (!manifest) return;
+    const mapping = {};
+    mappingGrid.querySelectorAll('select').forEach(select => {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+
+    const result = await FileManager.importFromCSV(manifest.records, mapping, {
+      scale: parseFloat(document.getElementById('csvScale').value) || 1
+    });
+    if (result) {
+      manifest = null;
+      showReport(result);
+    }
+  });
+}
+
+function setupCompare() {
+  const info = document.getElementById('compareInfo');
+  const report = document.getElementById('compareReport');
+
+  const showDiff = (diff) => {
+    const { summary } = diff;
+    const { name } = DiffManager.comparison;
+    info.textContent = diff.identical
+      ? `No differences from ${name}`
+      : `Since ${name}: ${summary.seatsAdded} seats added, ${summary.seatsRemoved} removed, ` +
+        `${summary.seatsMoved} moved, ${summary.seatsRelabelled} relabelled, ${summary.seatsRepriced} repriced; ` +
+        `${summary.sectionsAdded + summary.sectionsRemoved + summary.sectionsChanged} section and ` +
+        `${summary.pricingChanges} price changes`;
+
+    report.innerHTML = '';
+    const lines = SmfDiff.formatChanges(diff);
+    if (lines.length > 0) {
+      const list = document.createElement('ul');
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      report.appendChild(list);
+      report.classList.add('show');
+    } else {
+      report.classList.remove('show');
+    }
+    Elements.compareBox.classList.add('show');
+  };
+
+  Elements.compareBtn.addEventListener('click', () => {
+    if (DiffManager.comparison) {
+      showDiff(DiffManager.refresh());
+    } else {
+      Elements.compareFileInput.click();
+    }
+  });
+
+  Elements.compareFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    Elements.compareFileInput.value = '';
+    if (!file) return;
+
+    try {
+      showDiff(await DiffManager.compareWithFile(file));
+    } catch (error) {
+      console.error('✗ Failed to compare maps:', error);
+      alert(`Failed to compare: ${error.message}`);
+    }
+  });
+
+  document.getElementById('compareRefresh').addEventListener('click', () => {
+    showDiff(DiffManager.refresh());
+  });
+
+  document.getElementById('compareClear').addEventListener('click', () => {
+    DiffManager.clear();
+    Elements.compareBox.classList.remove('show');
+  });
+
+  document.getElementById('compareClose').addEventListener('click', () => {
+    Elements.compareBox.classList.remove('show');
+  });
+
+  // The overlay shows the current level only
+  document.addEventListener('levelchanged', () => DiffManager.render());
 }
 
 function setupCollapsibleSections() {
@@ -244,7 +502,8 @@ function setupContextMenu() {
     joinZonesBtn.addEventListener('click', async () => {
       if (State.selectedSections.length >= 2) {
         const { SectionManager } = await import('../src/managers/sectionManager.js');
-        await SectionManager.joinZones(State.selectedSections);
+        const zones = [...State.selectedSections];
+        await HistoryManager.record('Join zones', zones, () => SectionManager.joinZones(zones));
         Elements.contextMenu.classList.remove('show');
         State.contextMenuSection = null;
       }
@@ -257,7 +516,7 @@ function setupContextMenu() {
     duplicateBtn.addEventListener('click', async () => {
       if (State.contextMenuSection) {
         const { SectionManager } = await import('../src/managers/sectionManager.js');
-        SectionManager.duplicateSection(State.contextMenuSection);
+        HistoryManager.record('Duplicate section', [], () => SectionManager.duplicateSection(State.contextMenuSection));
         Elements.contextMenu.classList.remove('show');
         State.contextMenuSection = null;
       }
@@ -325,6 +584,206 @@ function setupPricingHandlers() {
       ModeManager.toggleServiceFeeType('percent');
     });
   }
+
+  // Price category editor
+  const priceCategoryList = document.getElementById('priceCategoryList');
+  const addPriceCategoryBtn = document.getElementById('addPriceCategoryBtn');
+
+  if (priceCategoryList) {
+    priceCategoryList.addEventListener('change', () => {
+      ModeManager.setPriceCategories(ModeManager.readPriceCategories());
+    });
+    priceCategoryList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-category]');
+      if (removeBtn) {
+        ModeManager.removePriceCategory(parseInt(removeBtn.dataset.removeCategory));
+      }
+    });
+  }
+
+  if (addPriceCategoryBtn) {
+    addPriceCategoryBtn.addEventListener('click', () => {
+      ModeManager.addPriceCategory();
+    });
+  }
+}
+
+function setupVenueHandlers() {
+  const venueSidebar = document.getElementById('venueSidebar');
+  const timezoneList = document.getElementById('venueTimezoneList');
+  const venueMetadataList = document.getElementById('venueMetadataList');
+  const addVenueMetadataBtn = document.getElementById('addVenueMetadataBtn');
+
+  // Suggest the time zones known to the browser
+  if (timezoneList && typeof Intl.supportedValuesOf === 'function') {
+    timezoneList.replaceChildren(...Intl.supportedValuesOf('timeZone').map(zone => new Option(zone)));
+  }
+
+  if (venueSidebar) {
+    venueSidebar.addEventListener('input', (e) => {
+      if (e.target.id && e.target.id.startsWith('venue')) {
+        ModeManager.saveVenueData();
+      }
+    });
+  }
+
+  if (venueMetadataList) {
+    venueMetadataList.addEventListener('change', () => {
+      ModeManager.setVenueMetadata(ModeManager.readVenueMetadata());
+    });
+    venueMetadataList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-metadata]');
+      if (removeBtn) {
+        ModeManager.removeVenueMetadataField(parseInt(removeBtn.dataset.removeMetadata));
+      }
+    });
+  }
+
+  if (addVenueMetadataBtn) {
+    addVenueMetadataBtn.addEventListener('click', () => {
+      ModeManager.addVenueMetadataField();
+    });
+  }
+}
+
+function setupLayersHandlers() {
+  const layersTree = document.getElementById('layersTree');
+  const addGroupBtn = document.getElementById('addGroupBtn');
+  const sectionGroupSelect = document.getElementById('sectionGroupSelect');
+
+  if (addGroupBtn) {
+    addGroupBtn.addEventListener('click', () => {
+      GroupManager.createGroup();
+    });
+  }
+
+  if (layersTree) {
+    layersTree.addEventListener('change', (e) => {
+      if (e.target.classList.contains('layers-group-name')) {
+        GroupManager.renameGroup(e.target.dataset.groupId, e.target.value);
+        GroupManager.renderLayersPanel();
+      }
+    });
+
+    layersTree.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-action]');
+      if (actionBtn) {
+        const groupId = actionBtn.dataset.groupId || null;
+        const group = GroupManager.getGroup(groupId);
+
+        switch (actionBtn.dataset.action) {
+          case 'visible':
+            GroupManager.setGroupVisible(groupId, !group.visible);
+            break;
+          case 'lock':
+            GroupManager.setGroupLocked(groupId, !group.locked);
+            break;
+          case 'select':
+            GroupManager.selectGroup(groupId);
+            break;
+          case 'assign': {
+            const sections = [...State.selectedSections];
+            if (sections.length === 0) return;
+            HistoryManager.record(group ? `Move to ${group.name}` : 'Ungroup sections', sections,
+              () => GroupManager.assignSections(sections, groupId));
+            break;
+          }
+          case 'zoom':
+            ToolManager.zoomToFitAll(GroupManager.getSectionsInGroup(groupId).filter(s => s.visible));
+            break;
+          case 'delete':
+            if (confirm(`Delete group "${group.name}"? Its sections are kept and become ungrouped.`)) {
+              GroupManager.deleteGroup(groupId);
+            }
+            break;
+        }
+        return;
+      }
+
+      // Clicking a section row selects it (shift adds to the selection)
+      const row = e.target.closest('.layers-section-row');
+      if (row) {
+        const section = State.sections.find(s => s.uniqueId === row.dataset.sectionId);
+        if (!section || section.isZone || !GroupManager.isSectionEditable(section)) return;
+        const sections = e.shiftKey ? [...new Set([...State.selectedSections, section])] : [section];
+        GroupManager.selectSections(sections);
+      }
+    });
+  }
+
+  if (sectionGroupSelect) {
+    // Recorded by the section sidebar's history tracking
+    sectionGroupSelect.addEventListener('change', (e) => {
+      GroupManager.assignSections([...State.selectedSections], e.target.value || null);
+    });
+  }
+}
+
+function setupLevelHandlers() {
+  const levelSelect = document.getElementById('levelSelect');
+  const levelsList = document.getElementById('levelsList');
+  const addLevelBtn = document.getElementById('addLevelBtn');
+
+  if (levelSelect) {
+    levelSelect.addEventListener('change', (e) => {
+      LevelManager.switchLevel(e.target.value);
+    });
+  }
+
+  if (addLevelBtn) {
+    addLevelBtn.addEventListener('click', () => {
+      LevelManager.createLevel();
+    });
+  }
+
+  if (levelsList) {
+    levelsList.addEventListener('change', (e) => {
+      if (e.target.classList.contains('levels-name')) {
+        LevelManager.renameLevel(e.target.dataset.levelId, e.target.value);
+      }
+    });
+
+    levelsList.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-action]');
+      if (!actionBtn) return;
+      const levelId = actionBtn.dataset.levelId;
+      const level = LevelManager.getLevel(levelId);
+
+      if (actionBtn.dataset.action === 'switch') {
+        LevelManager.switchLevel(levelId);
+      } else if (actionBtn.dataset.action === 'delete') {
+        const message = State.levels.length === 1
+          ? `Remove level "${level.name}"? Its content is kept and the map becomes single-level.`
+          : `Delete level "${level.name}" with its sections, objects and underlay? This can't be undone.`;
+        if (confirm(message)) {
+          LevelManager.deleteLevel(levelId);
+        }
+      }
+    });
+  }
+
+  LevelManager.renderLevels();
+}
+
+function setupObjectHandlers() {
+  const objectSidebar = document.getElementById('objectSidebar');
+  const fields = {
+    objectLabelInput: 'label',
+    objectColorPicker: 'color',
+    objectWidthInput: 'width',
+    objectHeightInput: 'height',
+    objectRotationInput: 'rotation',
+    objectFontSizeInput: 'fontSize'
+  };
+
+  if (objectSidebar) {
+    // Recorded by the object sidebar's history tracking
+    objectSidebar.addEventListener('input', (e) => {
+      if (fields[e.target.id]) {
+        ObjectManager.setObjectProperty(fields[e.target.id], e.target.value);
+      }
+    });
+  }
 }
 
 function setupUnderlayHandlers() {
@@ -546,6 +1005,7 @@ function setupUnderlayHandlers() {
 function setupSeatHandlers() {
   const specialNeedsToggle = document.getElementById('specialNeedsToggle');
   const singleSeatNumberInput = document.getElementById('singleSeatNumberInput');
+  const seatPriceCategorySelect = document.getElementById('seatPriceCategorySelect');
   
   if (singleSeatNumberInput) {
     singleSeatNumberInput.addEventListener('change', async (e) => {
@@ -577,6 +1037,23 @@ function setupSeatHandlers() {
       console.log(`Set ${State.selectedSeats.length} seats to special needs: ${isChecked}`);
     });
   }
+  
+  if (seatPriceCategorySelect) {
+    seatPriceCategorySelect.addEventListener('change', async (e) => {
+      const categoryId = e.target.value;
+      
+      // Import SeatManager dynamically
+      const { SeatManager } = await import('../src/managers/SeatManager.js');
+      
+      // Paint the category onto all selected seats
+      State.selectedSeats.forEach(seat => {
+        SeatManager.setPriceCategory(seat, categoryId);
+      });
+      ModeManager.updateSeatSidebar();
+      
+      console.log(`Set ${State.selectedSeats.length} seats to price category: ${categoryId || 'section price'}`);
+    });
+  }
 }
 
 function setupRowLabelSpacingHandler() {
@@ -611,12 +1088,20 @@ function setupRowLabelSpacingHandler() {
   AlignmentManager.init();
   ModeManager.init();
   UnderlayManager.init();
+  HistoryManager.init();
+  ClipboardManager.init();
+  GroupManager.init();
+  ObjectManager.init();
   setupResizeHandler();
   setupFileHandlers();
   setupCollapsibleSections();
   setupContextMenu();
   setupPricingHandlers();
   setupUnderlayHandlers();
+  setupVenueHandlers();
+  setupLayersHandlers();
+  setupLevelHandlers();
+  setupObjectHandlers();
   setupSeatHandlers();
   setupRowLabelSpacingHandler();
 })();
@@ -10,12 +10,20 @@ import { ViewportManager } from './core/ViewportManager.js';
 import { InputHandler } from './interaction/InputHandler.js';
 import { SelectionManager } from './interaction/SelectionManager.js';
 import { CartManager } from './interaction/CartManager.js';
+import { HoldManager } from './interaction/HoldManager.js';
+import { BestAvailableFinder } from './interaction/BestAvailableFinder.js';
+import { KeyboardNavigator } from './interaction/KeyboardNavigator.js';
 import { GASelectionManager } from './interaction/GASelectionManager.js';
 import { UIManager } from './ui/UIManager.js';
 import { InventoryManager } from './inventory/InventoryManager.js';
+import { migrateSMF } from './core/SmfMigrations.js';
+import { validateSMF } from './core/SmfSchema.js';
 import { renderUnderlay } from './rendering/UnderlayRenderer.js';
-import { createSectionContainer, createSectionBackground, renderGAContent, renderZoneContent } from './rendering/SectionRenderer.js';
+import { createObjectsLayer } from './rendering/ObjectRenderer.js';
+import { createSectionContainer, createSectionBackground, getSectionShapePoints, resolveRowDefinitionSeats, renderGAContent, renderZoneContent } from './rendering/SectionRenderer.js';
 import { renderRowLabels, buildRowLabelMap, getRowLabelText } from './rendering/RowLabelRenderer.js';
+import { buildInventoryKey, isInventoryKeyScheme } from './core/SmfLayout.js';
+import { SeatStatusRegistry } from './core/SeatStatusRegistry.js';
 
 export class SeatMapRenderer {
     static CONFIG = {
@@ -37,9 +45,31 @@ export class SeatMapRenderer {
         SEAT_TEXTURE_RESOLUTION: 4,
         BOOKED_COLOR: 0x8B8B8B,
         RESERVED_COLOR: 0xff6666,
+        HELD_COLOR: 0xf59e0b,
+        // Timed seat holds
+        HOLD_DURATION: 0,             // Hold length for selected seats in ms (0 = no automatic holds)
+        HOLD_WARNING_TIME: 60000,     // Countdown turns to the warning color below this (ms)
+        HOLD_RING_COLOR: 0xffffff,
+        HOLD_WARNING_COLOR: 0xff6b6b,
+        HOLD_UPDATE_INTERVAL: 250,    // Countdown refresh / expiry check interval (ms)
         SPECIAL_SEAT_SCALE: 1.5,
+        // Inventory keys: 'label' (section;;row;;seat), 'id', a template or a function (see buildInventoryKey);
+        // null uses the map's venue.inventoryKey, else 'label'
+        INVENTORY_KEY: null,
+        // Inventory debug overlay: rings seats missing from the last loadInventory() snapshot
+        INVENTORY_DEBUG: false,
+        INVENTORY_DEBUG_COLOR: 0xff2bd6,
         MAX_SELECTED_SEATS: 10,
         PREVENT_ORPHAN_SEATS: true,
+        // Best-available seat finder
+        BEST_AVAILABLE_WEIGHTS: { centrality: 1, stage: 1, price: 0 },
+        BEST_AVAILABLE_MAX_RESULTS: 5,
+        // Keyboard & screen reader navigation
+        KEYBOARD_NAVIGATION: true,
+        FOCUS_RING_COLOR: 0xffd400,
+        // Snapshot images
+        SNAPSHOT_HIGHLIGHT_COLOR: 0x22c55e,
+        SNAPSHOT_MAX_SIZE: 4096,
         // Tap zoom behavior
         TAP_ZOOM_BOOST: 1,
         DOUBLE_TAP_ZOOM_BOOST: 1.5,
@@ -94,9 +124,25 @@ export class SeatMapRenderer {
             seatTextureResolution: SeatMapRenderer.CONFIG.SEAT_TEXTURE_RESOLUTION,
             bookedColor: SeatMapRenderer.CONFIG.BOOKED_COLOR,
             reservedColor: SeatMapRenderer.CONFIG.RESERVED_COLOR,
+            heldColor: SeatMapRenderer.CONFIG.HELD_COLOR,
+            holdDuration: SeatMapRenderer.CONFIG.HOLD_DURATION,
+            holdWarningTime: SeatMapRenderer.CONFIG.HOLD_WARNING_TIME,
+            holdRingColor: SeatMapRenderer.CONFIG.HOLD_RING_COLOR,
+            holdWarningColor: SeatMapRenderer.CONFIG.HOLD_WARNING_COLOR,
+            holdUpdateInterval: SeatMapRenderer.CONFIG.HOLD_UPDATE_INTERVAL,
             specialSeatScale: SeatMapRenderer.CONFIG.SPECIAL_SEAT_SCALE,
+            inventoryKey: SeatMapRenderer.CONFIG.INVENTORY_KEY,
+            inventoryDebug: SeatMapRenderer.CONFIG.INVENTORY_DEBUG,
+            inventoryDebugColor: SeatMapRenderer.CONFIG.INVENTORY_DEBUG_COLOR,
+            seatStatuses: {},
+            formatPrice: null,
             maxSelectedSeats: SeatMapRenderer.CONFIG.MAX_SELECTED_SEATS,
             preventOrphanSeats: SeatMapRenderer.CONFIG.PREVENT_ORPHAN_SEATS,
+            bestAvailableWeights: SeatMapRenderer.CONFIG.BEST_AVAILABLE_WEIGHTS,
+            bestAvailableMaxResults: SeatMapRenderer.CONFIG.BEST_AVAILABLE_MAX_RESULTS,
+            keyboardNavigation: SeatMapRenderer.CONFIG.KEYBOARD_NAVIGATION,
+            focusRingColor: SeatMapRenderer.CONFIG.FOCUS_RING_COLOR,
+            snapshotHighlightColor: SeatMapRenderer.CONFIG.SNAPSHOT_HIGHLIGHT_COLOR,
             tapZoomBoost: SeatMapRenderer.CONFIG.TAP_ZOOM_BOOST,
             doubleTapZoomBoost: SeatMapRenderer.CONFIG.DOUBLE_TAP_ZOOM_BOOST,
             doubleTapMaxDelay: SeatMapRenderer.CONFIG.DOUBLE_TAP_MAX_DELAY,
@@ -119,6 +165,10 @@ export class SeatMapRenderer {
             orphanHighlightPulseScale: SeatMapRenderer.CONFIG.ORPHAN_HIGHLIGHT_PULSE_SCALE,
             fitToSectionsPadding: 40,
             showControls: true,
+            showPriceLegend: true,
+            showLevelSwitcher: true,
+            initialLevel: null,
+            validateData: false,
             backgroundAlpha: 1,
             resizeTo: container,
             antialias: true,
@@ -129,6 +179,9 @@ export class SeatMapRenderer {
             ...options
         };
 
+        // Look and selectability of seat statuses, built-in and from options.seatStatuses
+        this.seatStatuses = new SeatStatusRegistry(this.options.seatStatuses, this.options);
+
         this.app = new PIXI.Application();
         this.viewport = new PIXI.Container();
         this.gridContainer = null; // Background grid
@@ -156,9 +209,17 @@ export class SeatMapRenderer {
         // Section tracking for external API
         this.sectionContainers = new Map(); // Map<sectionId, PIXI.Container>
         this.loadedData = null; // Store loaded map data for getSections()
+        this.currentLevelId = null; // Level shown on multi-level maps (null without levels)
+        this.underlayEstimates = new Map(); // Map<levelId, bounds> of underlays still loading
+        this.inventoryTransport = null; // Live inventory source (connectInventory)
+        this.keyboardNavigator = null; // Hidden keyboard / screen reader controls
+        this.focusRing = null; // Ring around the keyboard-focused seat
+        this.inventoryReport = null; // Report of the last loadInventory()
+        this.inventoryDebugMarkers = []; // Graphics of the inventory debug overlay
 
         // Bind methods
         this.updateSeatAnimations = this.updateSeatAnimations.bind(this);
+        this.updateHolds = this.updateHolds.bind(this);
         this.resizeHandler = this.resizeHandler.bind(this);
         this.handleContainerResize = this.handleContainerResize.bind(this);
     }
@@ -217,7 +278,8 @@ export class SeatMapRenderer {
                 orphanHighlightEnabled: this.options.orphanHighlightEnabled,
                 orphanHighlightColor: this.options.orphanHighlightColor,
                 orphanHighlightDuration: this.options.orphanHighlightDuration,
-                orphanHighlightPulseScale: this.options.orphanHighlightPulseScale
+                orphanHighlightPulseScale: this.options.orphanHighlightPulseScale,
+                statusRegistry: this.seatStatuses
             });
 
             this.cartManager = new CartManager({
@@ -230,6 +292,7 @@ export class SeatMapRenderer {
                 container: this.container,
                 maxSelectedSeats: this.options.maxSelectedSeats,
                 getCurrentSelectionCount: () => this.selectionManager.getSelectionCount(),
+                formatPrice: (price) => this.formatPrice(price),
                 onConfirm: (data) => this.handleGASelectionConfirm(data),
                 onCancel: () => this.handleGASelectionCancel()
             });
@@ -243,20 +306,51 @@ export class SeatMapRenderer {
                 app: this.app,
                 config: this.options,
                 onResetClick: () => this.fitToView(),
+                onLevelClick: (levelId) => this.setLevel(levelId),
+                formatPrice: (price) => this.formatPrice(price),
                 showControls: this.options.showControls
             });
             this.uiManager.create();
 
             this.inventoryManager = new InventoryManager({
-                config: this.options
+                config: this.options,
+                statusRegistry: this.seatStatuses
+            });
+
+            this.holdManager = new HoldManager({
+                config: this.options,
+                onExpire: (seatContainer, type, expiresAt) => this.handleHoldExpired(seatContainer, type, expiresAt)
+            });
+
+            this.bestAvailableFinder = new BestAvailableFinder({
+                selectionManager: this.selectionManager,
+                cartManager: this.cartManager,
+                getPosition: (seatContainer) => this.viewport.toLocal(seatContainer.getGlobalPosition()),
+                weights: this.options.bestAvailableWeights,
+                maxResults: this.options.bestAvailableMaxResults,
+                preventOrphanSeats: this.options.preventOrphanSeats
             });
 
+            if (this.options.keyboardNavigation) {
+                this.keyboardNavigator = new KeyboardNavigator({
+                    container: this.container,
+                    selectionManager: this.selectionManager,
+                    describeSeat: (seatContainer) => this.describeSeat(seatContainer),
+                    describeSection: (section) => this.describeSection(section),
+                    onSeatFocus: (seatContainer) => this.showSeatFocus(seatContainer),
+                    onSeatActivate: (seatContainer) => this.toggleSeat(seatContainer),
+                    onGAActivate: (sectionData) => this.gaSelectionManager.show(sectionData)
+                });
+                this.keyboardNavigator.create();
+            }
+
             this.tooltipManager = new TooltipManager({
                 animationSpeed: this.options.tooltipSpeed
             });
 
             // Setup animation loop
             this.app.ticker.add(this.updateSeatAnimations);
+            this.app.ticker.add(this.updateHolds);
             
             // Handle resize with ResizeObserver for container-based responsiveness
             this.setupResizeObserver();
@@ -470,6 +564,7 @@ export class SeatMapRenderer {
 
     destroy() {
         this.isInitialized = false;
+        this.disconnectInventory();
 
         // Clean up resize handling
         window.removeEventListener('resize', this.resizeHandler);
@@ -484,6 +579,7 @@ export class SeatMapRenderer {
         
         if (this.app && this.app.ticker) {
             this.app.ticker.remove(this.updateSeatAnimations);
+            this.app.ticker.remove(this.updateHolds);
         }
 
         // Destroy modules
@@ -493,8 +589,10 @@ export class SeatMapRenderer {
         if (this.cartManager) this.cartManager.destroy();
         if (this.uiManager) this.uiManager.destroy();
         if (this.inventoryManager) this.inventoryManager.destroy();
+        if (this.holdManager) this.holdManager.destroy();
         if (this.viewportManager) this.viewportManager.destroy();
         if (this.tooltipManager) this.tooltipManager.destroy();
+        if (this.keyboardNavigator) this.keyboardNavigator.destroy();
         
         if (this.app) {
             this.app.destroy(true, { children: true, texture: true });
@@ -505,6 +603,9 @@ export class SeatMapRenderer {
         this.viewport = null;
         this.labelsLayer = null;
         this.gridContainer = null;
+        this.focusRing = null;
+        this.inventoryReport = null;
+        this.inventoryDebugMarkers = [];
     }
 
     async loadData(data) {
@@ -513,6 +614,33 @@ export class SeatMapRenderer {
             return;
         }
 
+        // Upgrade older format versions and validate before anything is cleared, so a
+        // file that can't be read (e.g. newer than supported) leaves the current map in place
+        if (data) {
+            const migration = migrateSMF(data);
+            data = migration.data;
+
+            // Opt-in: reject files that don't match the SMF schema ('strict' also rejects unknown fields)
+            if (this.options.validateData) {
+                const validation = validateSMF(data, { strict: this.options.validateData === 'strict' });
+                if (!validation.valid) {
+                    console.error('SMF validation failed:', validation.errors);
+                    throw new Error(`Invalid SMF file: ${validation.errors[0]}`);
+                }
+            }
+
+            if (migration.changes.length > 0) {
+                console.log(`Upgraded SMF v${migration.fromVersion} to v${migration.toVersion}:`, migration.changes);
+                this.container.dispatchEvent(new CustomEvent('mapMigrated', {
+                    detail: {
+                        fromVersion: migration.fromVersion,
+                        toVersion: migration.toVersion,
+                        changes: migration.changes
+                    }
+                }));
+            }
+        }
+
         // Clear existing content
         if (this.viewport.children.length > 0) {
             this.viewport.removeChildren().forEach(child => {
@@ -526,8 +654,13 @@ export class SeatMapRenderer {
         this.selectionManager.clearRegistrations();
         this.selectionManager.clearSelection();
         this.inventoryManager.clearRegistrations();
+        this.holdManager.clearAll();
         this.animatingSeats.clear();
         this.sectionContainers.clear();
+        this.keyboardNavigator?.setSections([]);
+        this.focusRing = null; // Destroyed with the viewport children
+        this.inventoryReport = null;
+        this.inventoryDebugMarkers = [];
         
         // Cancel any pending seat rendering from previous load
         if (this._seatRenderingAbort) {
@@ -540,50 +673,97 @@ export class SeatMapRenderer {
             return;
         }
 
+        // Place seats of row-defined sections that only store their rows
+        if (data.sections) {
+            data = { ...data, sections: data.sections.map(resolveRowDefinitionSeats) };
+        }
+
+        // Sections and objects on unknown levels go on the first level
+        const levelIds = (data.levels || []).map(level => level.id);
+        if (levelIds.length > 0) {
+            const resolveLevel = (item) => levelIds.includes(item.levelId) ? item : { ...item, levelId: levelIds[0] };
+            data = {
+                ...data,
+                sections: (data.sections || []).map(resolveLevel),
+                objects: (data.objects || []).map(resolveLevel)
+            };
+        }
+
         // Store loaded data for getSections() API
         this.loadedData = data;
+        this.currentLevelId = levelIds.includes(this.options.initialLevel)
+            ? this.options.initialLevel
+            : levelIds[0] ?? null;
+        this.uiManager.setLevels(this.options.showLevelSwitcher ? this.getLevels() : [], this.currentLevelId);
+
+        // Legend of seat price categories across all sections (statuses join it with the inventory)
+        this._legendKey = null;
+        this.updateLegend();
 
         console.log("Loading map data...", data);
 
         // PHASE 0: Start underlay loading in parallel (non-blocking)
         // Store underlay bounds from data for initial centering (before image loads)
-        let underlayPromise = null;
-        this.state.hasUnderlay = false; // Will be set true when underlay actually loads
+        this.state.hasUnderlay = false; // Will be set true when the shown underlay actually loads
         this.state.underlayBounds = null; // Bounds from JSON data for initial fit
-        
-        if (data.underlay && data.underlay.visible !== false) {
+        this.underlayEstimates.clear();
+
+        // Multi-level maps have one underlay per level
+        const underlays = levelIds.length > 0
+            ? data.levels.map(level => ({ levelId: level.id, underlay: level.underlay }))
+            : [{ levelId: null, underlay: data.underlay }];
+
+        for (const { levelId, underlay } of underlays) {
+            if (!underlay || underlay.visible === false) continue;
+
             // Store expected bounds from JSON for initial fit calculation
             // This allows proper centering before the image loads
-            if (data.underlay.sourceUrl || data.underlay.dataUrl) {
+            if (underlay.sourceUrl || underlay.dataUrl) {
                 // Use stored dimensions if available, otherwise estimate from canvas
-                const underlayWidth = data.underlay.width || data.canvas?.width || 1000;
-                const underlayHeight = data.underlay.height || data.canvas?.height || 800;
-                const underlayScale = data.underlay.scale || 1;
-                
-                this.state.underlayBounds = {
-                    x: data.underlay.x || 0,
-                    y: data.underlay.y || 0,
+                const underlayWidth = underlay.width || data.canvas?.width || 1000;
+                const underlayHeight = underlay.height || data.canvas?.height || 800;
+                const underlayScale = underlay.scale || 1;
+
+                this.underlayEstimates.set(levelId, {
+                    x: underlay.x || 0,
+                    y: underlay.y || 0,
                     width: underlayWidth * underlayScale,
                     height: underlayHeight * underlayScale
-                };
+                });
             }
-            
-            underlayPromise = renderUnderlay(this.viewport, data.underlay).then(sprite => {
+
+            renderUnderlay(this.viewport, underlay).then(sprite => {
                 if (sprite && sprite.parent) {
                     // Move underlay to back (index 0) once loaded
                     this.viewport.setChildIndex(sprite, 0);
-                    // Now we have the real underlay, update state
-                    this.state.hasUnderlay = true;
-                    // Clear the estimated bounds, fitToView will use actual sprite
-                    this.state.underlayBounds = null;
+                    sprite.levelId = levelId;
+                    sprite.visible = levelId === this.currentLevelId;
                 }
+                // Now we have the real underlay (or none), fitToView will use actual sprite
+                this.underlayEstimates.delete(levelId);
+                this.updateUnderlayState();
                 return sprite;
             }).catch(err => {
                 console.warn('Underlay failed to load (non-blocking):', err);
-                this.state.underlayBounds = null;
+                this.underlayEstimates.delete(levelId);
+                this.updateUnderlayState();
                 return null;
             });
         }
+        this.updateUnderlayState();
+
+        // Venue objects (stage, exits, amenities...) sit beneath every section
+        if (Array.isArray(data.objects) && data.objects.length > 0) {
+            const objectLevelIds = levelIds.length > 0 ? levelIds : [null];
+            objectLevelIds.forEach(levelId => {
+                const objects = data.objects.filter(object => (object.levelId ?? null) === levelId);
+                if (objects.length === 0) return;
+                const layer = createObjectsLayer(objects);
+                layer.levelId = levelId;
+                layer.visible = levelId === this.currentLevelId;
+                this.viewport.addChild(layer);
+            });
+        }
 
         // PHASE 1: Render zones/GA sections first (instant visual feedback)
         const seatedSections = [];
@@ -630,12 +810,54 @@ export class SeatMapRenderer {
             this.viewport.addChild(this.labelsLayer); // Re-adding moves to top
         }
         
+        this.keyboardNavigator?.setSections(this.getNavigableSections());
+        this.reportKeyCollisions();
+
         // Dispatch event for full load complete
         this.container.dispatchEvent(new CustomEvent('mapFullyLoaded', { 
             detail: { totalSections: data.sections?.length || 0 }
         }));
     }
 
+    /**
+     * Show the price categories of the map and the seat statuses in use in the legend
+     * Statuses are listed when their definition has `legend` set (see SeatStatusRegistry).
+     */
+    updateLegend() {
+        if (!this.loadedData) return;
+        const entries = this.options.showPriceLegend
+            ? [
+                ...this.getPriceCategories(this.loadedData),
+                ...this.seatStatuses.getLegendEntries(this.inventoryManager.getStatuses())
+            ]
+            : [];
+
+        // Inventory updates rarely change the legend; skip rebuilding it then
+        const legendKey = JSON.stringify(entries);
+        if (legendKey === this._legendKey) return;
+        this._legendKey = legendKey;
+        this.uiManager.setLegend(entries);
+    }
+
+    /**
+     * Collect the distinct seat price categories used by a map
+     * Categories with the same name, price and color are listed once.
+     * @param {Object} data - Map data
+     * @returns {Array<{name: string, price: number, color: number}>}
+     */
+    getPriceCategories(data) {
+        const categories = new Map();
+        (data.sections || []).forEach(section => {
+            (section.pricing?.categories || []).forEach(category => {
+                const key = `${category.name};;${category.price};;${category.color}`;
+                if (!categories.has(key)) {
+                    categories.set(key, { name: category.name, price: category.price, color: category.color });
+                }
+            });
+        });
+        return Array.from(categories.values());
+    }
+
     /**
      * Render seated sections progressively to avoid blocking UI
      * @param {Array} sections - Array of section data
@@ -650,7 +872,9 @@ export class SeatMapRenderer {
             const { graphics, fillColor } = createSectionBackground(sectionData);
             container.addChild(graphics);
             
-            graphics.hitArea = new PIXI.Rectangle(0, 0, sectionData.width, sectionData.height);
+            graphics.hitArea = sectionData.outline
+                ? new PIXI.Polygon(getSectionShapePoints(sectionData))
+                : new PIXI.Rectangle(0, 0, sectionData.width, sectionData.height);
             
             // On desktop (>= 768px), don't enable zoom on individual sections - zones handle zoom
             // On mobile, individual sections can still be tapped to zoom
@@ -791,7 +1015,8 @@ export class SeatMapRenderer {
         }
 
         const isSpecial = seatData.sn || seatData.specialNeeds;
-        const seatColor = isSpecial ? 0x2563eb : defaultSeatColor;
+        const category = this.cartManager.getSeatCategory(seatData, sectionData.pricing);
+        const seatColor = isSpecial ? 0x2563eb : (category?.color ?? defaultSeatColor);
         
         const texture = this.textureCache.getSeatTexture(
             this.options.seatRadius, 
@@ -841,6 +1066,7 @@ export class SeatMapRenderer {
         seatContainer.seatData = seatData;
         seatContainer.sectionId = sectionData.id || sectionData.name;
         seatContainer.sectionName = sectionData.name;
+        seatContainer.levelId = sectionData.levelId ?? null;
         seatContainer.selected = false;
         seatContainer.originalLabel = labelText;
         seatContainer.seatColor = seatColor;
@@ -853,8 +1079,7 @@ export class SeatMapRenderer {
         // Generate key
         const r = seatData.r !== undefined ? seatData.r : seatData.rowIndex;
         const rowLabel = rowLabelMap[r] || "";
-        const seatNum = seatData.n ?? seatData.number;
-        const key = `${sectionData.name};;${rowLabel};;${seatNum}`;
+        const key = this.getSeatKey(seatData, sectionData, rowLabel);
         seatContainer.key = key;
         seatContainer._rowLabel = rowLabel; // Store for hover
 
@@ -921,6 +1146,8 @@ export class SeatMapRenderer {
         const container = createSectionContainer(data);
         const { graphics, fillColor } = createSectionBackground(data);
         container.addChild(graphics);
+        container.levelId = data.levelId ?? null;
+        container.visible = container.levelId === this.currentLevelId;
         
         // Store container reference for zoomToSectionById
         const sectionId = data.id || data.name;
@@ -936,7 +1163,10 @@ export class SeatMapRenderer {
             this.uiManager.registerZoneContainer(container);
         }
 
-        graphics.hitArea = new PIXI.Rectangle(0, 0, data.width, data.height);
+        // Shaped seat sections only react inside their outline
+        graphics.hitArea = data.outline && !isZoneOrGA
+            ? new PIXI.Polygon(getSectionShapePoints(data))
+            : new PIXI.Rectangle(0, 0, data.width, data.height);
         
         if (enableZoom) {
             graphics.eventMode = 'static';
@@ -1011,9 +1241,9 @@ export class SeatMapRenderer {
 
         // Render content
         if (data.isZone) {
-            renderZoneContent(container, data, data.width, data.height, this.labelsLayer);
+            renderZoneContent(container, data, data.width, data.height, this.getLevelLabelsLayer(container.levelId));
         } else if (data.type === 'ga') {
-            renderGAContent(container, data, data.width, data.height, this.labelsLayer);
+            renderGAContent(container, data, data.width, data.height, this.getLevelLabelsLayer(container.levelId));
         } else {
             this.renderSeatsAndLabels(container, data);
         }
@@ -1021,6 +1251,24 @@ export class SeatMapRenderer {
         this.viewport.addChild(container);
     }
 
+    /**
+     * Labels layer of a level (a child of labelsLayer, shown with its level)
+     * @param {string|null} levelId - Null on single-level maps
+     * @returns {PIXI.Container}
+     */
+    getLevelLabelsLayer(levelId) {
+        if (levelId === null) return this.labelsLayer;
+
+        let layer = this.labelsLayer.children.find(child => child.levelId === levelId);
+        if (!layer) {
+            layer = new PIXI.Container();
+            layer.levelId = levelId;
+            layer.visible = levelId === this.currentLevelId;
+            this.labelsLayer.addChild(layer);
+        }
+        return layer;
+    }
+
     renderSeatsAndLabels(container, data) {
         const layoutShiftX = data.layoutShiftX || 0;
         const layoutShiftY = data.layoutShiftY || 0;
@@ -1060,7 +1308,8 @@ export class SeatMapRenderer {
                 }
 
                 const isSpecial = seatData.sn || seatData.specialNeeds;
-                const seatColor = isSpecial ? 0x2563eb : defaultSeatColor;
+                const category = this.cartManager.getSeatCategory(seatData, data.pricing);
+                const seatColor = isSpecial ? 0x2563eb : (category?.color ?? defaultSeatColor);
                 
                 const texture = this.textureCache.getSeatTexture(
                     this.options.seatRadius, 
@@ -1113,6 +1362,7 @@ export class SeatMapRenderer {
                 seatContainer.seatData = seatData;
                 seatContainer.sectionId = data.id || data.name;
                 seatContainer.sectionName = data.name;
+                seatContainer.levelId = data.levelId ?? null;
                 seatContainer.selected = false;
                 seatContainer.originalLabel = labelText;
                 seatContainer.seatColor = seatColor;
@@ -1125,9 +1375,9 @@ export class SeatMapRenderer {
                 // Generate key
                 const r = seatData.r !== undefined ? seatData.r : seatData.rowIndex;
                 const rowLabel = rowLabelMap[r] || "";
-                const seatNum = seatData.n ?? seatData.number;
-                const key = `${data.name};;${rowLabel};;${seatNum}`;
+                const key = this.getSeatKey(seatData, data, rowLabel);
                 seatContainer.key = key;
+                seatContainer._rowLabel = rowLabel;
 
                 // Register with managers
                 this.inventoryManager.registerSeat(seatContainer, key, seatData.id);
@@ -1187,7 +1437,7 @@ export class SeatMapRenderer {
         }
 
         const status = seatContainer.seatData.status || 'available';
-        if (status !== 'available') return;
+        if (!this.seatStatuses.isSelectable(status)) return;
 
         seatContainer.targetScale = this.options.seatRadiusHover / this.options.seatRadius;
         seatContainer.targetTextAlpha = 1;
@@ -1226,31 +1476,33 @@ export class SeatMapRenderer {
             }
         }
         
+        this.toggleSeat(seatContainer);
+    }
+
+    /**
+     * Toggle a seat's selection, update its visual state and notify listeners
+     * @param {PIXI.Container} seatContainer
+     * @returns {{ success: boolean, selected?: boolean, reason?: string }} SelectionManager result
+     */
+    toggleSeat(seatContainer) {
         const result = this.selectionManager.toggleSelection(seatContainer);
         
         if (!result.success) {
             console.log(`Selection blocked: ${result.reason}`);
-            return;
+            return result;
         }
 
         console.log("Seat clicked:", seatContainer.seatData, "Selected:", seatContainer.selected);
 
-        // Create deferred label if needed
-        if (seatContainer._labelDeferred && !seatContainer.text) {
-            this.createSeatLabel(seatContainer);
-        }
-
         // Update visual state
         if (seatContainer.selected) {
-            seatContainer.targetScale = this.options.seatRadiusHover / this.options.seatRadius;
-            seatContainer.targetTextAlpha = 1;
-            seatContainer.targetTextScale = 1;
-            if (seatContainer.text) {
-                seatContainer.text.text = "✓";
-                const zoom = this.viewport.scale.x;
-                seatContainer.text.resolution = Math.max(2, zoom * 2);
-            }
+            this.markSeatSelected(seatContainer);
         } else {
+            // Create deferred label if needed
+            if (seatContainer._labelDeferred && !seatContainer.text) {
+                this.createSeatLabel(seatContainer);
+            }
+
             seatContainer.targetScale = this.options.seatRadiusHover / this.options.seatRadius;
             seatContainer.targetTextAlpha = 1;
             seatContainer.targetTextScale = 1;
@@ -1262,14 +1514,15 @@ export class SeatMapRenderer {
                     seatContainer.text.text = seatContainer.originalLabel;
                 }
             }
+
+            seatContainer.parent.addChild(seatContainer);
+            this.animatingSeats.add(seatContainer);
+            this.holdManager.clearHold(seatContainer);
         }
-        
-        seatContainer.parent.addChild(seatContainer);
-        this.animatingSeats.add(seatContainer);
 
         // Dispatch events
         const eventData = { seat: seatContainer.seatData, sectionId: seatContainer.sectionId };
-        
+
         if (seatContainer.selected) {
             this.container.dispatchEvent(new CustomEvent('seat-selected', { detail: eventData }));
             if (this.options.onSeatSelect) this.options.onSeatSelect(eventData);
@@ -1282,6 +1535,118 @@ export class SeatMapRenderer {
             this.selectionManager.getSelectedSeats(),
             this.gaSelectionManager ? this.gaSelectionManager.getSelectionsArray() : []
         );
+        return result;
+    }
+
+    /**
+     * Show a seat as selected and start its hold
+     * The seat must already be selected in the SelectionManager.
+     * @param {PIXI.Container} seatContainer
+     */
+    markSeatSelected(seatContainer) {
+        // Create deferred label if needed
+        if (seatContainer._labelDeferred && !seatContainer.text) {
+            this.createSeatLabel(seatContainer);
+        }
+
+        seatContainer.targetScale = this.options.seatRadiusHover / this.options.seatRadius;
+        seatContainer.targetTextAlpha = 1;
+        seatContainer.targetTextScale = 1;
+        if (seatContainer.text) {
+            seatContainer.text.text = "✓";
+            const zoom = this.viewport.scale.x;
+            seatContainer.text.resolution = Math.max(2, zoom * 2);
+        }
+
+        seatContainer.parent.addChild(seatContainer);
+        this.animatingSeats.add(seatContainer);
+
+        // Selected seats are held for holdDuration
+        if (this.options.holdDuration > 0 && !this.holdManager.getHold(seatContainer)) {
+            this.holdManager.setHold(seatContainer, Date.now() + this.options.holdDuration);
+        }
+    }
+
+    /**
+     * Find the best contiguous blocks of available seats
+     * Blocks are ranked by a weighted score of centrality in the row, proximity to
+     * the stage and price (see bestAvailableWeights). Blocks that would leave a
+     * single isolated seat are skipped when preventOrphanSeats is enabled.
+     * @param {Object} request
+     * @param {number} request.quantity - Seats wanted together
+     * @param {string[]} [request.sectionIds] - Only search these sections
+     * @param {string} [request.levelId] - Only search sections of this level
+     * @param {number} [request.priceMax] - Maximum price per seat
+     * @param {boolean} [request.accessible] - Include a special needs seat (SN seats are skipped otherwise)
+     * @param {Object} [request.weights] - Score weights { centrality, stage, price }
+     * @param {{x: number, y: number}} [request.stage] - Stage point in map coordinates (default: row 0 is closest)
+     * @param {number} [request.maxResults] - Number of blocks to return (0 = all)
+     * @param {boolean} [request.select] - Select the best block (switching to its level)
+     * @returns {Array<{ sectionId, sectionName, levelId, rowLabel, seats, prices, totalPrice, score, scores, selected }>}
+     */
+    findBestAvailable(request = {}) {
+        if (!this.bestAvailableFinder) return [];
+
+        if (request.levelId !== undefined) {
+            const levelSectionIds = this.getSections({ levelId: request.levelId }).map(section => section.id);
+            const sectionIds = request.sectionIds?.length
+                ? request.sectionIds.filter(id => levelSectionIds.includes(id))
+                : levelSectionIds;
+            if (sectionIds.length === 0) return [];
+            request = { ...request, sectionIds };
+        }
+
+        const blocks = this.bestAvailableFinder.find(request);
+        const results = blocks.map(block => ({
+            sectionId: block.sectionId,
+            sectionName: block.sectionName,
+            levelId: block.seatContainers[0]?.levelId ?? null,
+            rowLabel: block.rowLabel,
+            seats: block.seatContainers.map(seat => seat.seatData),
+            prices: block.prices,
+            totalPrice: block.totalPrice,
+            score: block.score,
+            scores: block.scores,
+            selected: false
+        }));
+
+        if (request.select && blocks.length > 0) {
+            results[0].selected = this.selectSeatBlock(blocks[0].seatContainers);
+        }
+        return results;
+    }
+
+    /**
+     * Select a block of seats found by findBestAvailable
+     * Switches to the block's level when another level is shown.
+     * @param {PIXI.Container[]} seatContainers
+     * @returns {boolean} False if the selection limit does not leave room for the block
+     */
+    selectSeatBlock(seatContainers) {
+        if (this.selectionManager.getRemainingSlots() < seatContainers.length) {
+            this.selectionManager.dispatchEvent('selection-limit-reached', { limit: this.options.maxSelectedSeats });
+            return false;
+        }
+
+        const levelId = seatContainers[0]?.levelId ?? null;
+        if (levelId !== this.currentLevelId) {
+            this.setLevel(levelId);
+        }
+
+        for (const seatContainer of seatContainers) {
+            this.selectionManager.select(seatContainer);
+            this.markSeatSelected(seatContainer);
+
+            const eventData = { seat: seatContainer.seatData, sectionId: seatContainer.sectionId };
+            this.container.dispatchEvent(new CustomEvent('seat-selected', { detail: eventData }));
+            if (this.options.onSeatSelect) this.options.onSeatSelect(eventData);
+        }
+
+        this.cartManager.handleCartChange(
+            this.selectionManager.getSelectedSeats(),
+            this.gaSelectionManager ? this.gaSelectionManager.getSelectionsArray() : []
+        );
+        return true;
     }
 
     updateSeatAnimations() {
@@ -1301,6 +1666,10 @@ export class SeatMapRenderer {
                 text.scale.x += (seat.targetTextScale - text.scale.x) * speed;
                 text.scale.y += (seat.targetTextScale - text.scale.y) * speed;
             }
+            // Status icons give way to the label (number or checkmark)
+            if (seat.statusIcon) {
+                seat.statusIcon.alpha = text ? 1 - text.alpha : 1;
+            }
 
             const textDone = !text || Math.abs(seat.targetTextAlpha - text.alpha) < this.options.animationThreshold;
             
@@ -1310,11 +1679,26 @@ export class SeatMapRenderer {
                     text.alpha = seat.targetTextAlpha;
                     text.scale.set(seat.targetTextScale);
                 }
+                if (seat.statusIcon) {
+                    seat.statusIcon.alpha = text ? 1 - text.alpha : 1;
+                }
                 this.animatingSeats.delete(seat);
             }
         }
     }
 
+    /**
+     * Price text of tooltips, the price legend, the GA dialog and seat descriptions
+     * @param {number} price
+     * @returns {string} The formatPrice option's text, else e.g. "$1,200 MXN"
+     */
+    formatPrice(price) {
+        if (typeof this.options.formatPrice === 'function') {
+            return this.options.formatPrice(price);
+        }
+        return `$${price.toLocaleString()} MXN`;
+    }
+
     showTooltip(seatData, sectionName, rowLabel, sectionPricing, seatColor, seatTextColor) {
         if (!this.tooltipManager) return;
 
@@ -1324,12 +1708,12 @@ export class SeatMapRenderer {
         const priceInfo = this.cartManager.getSeatPrice(seatData, sectionPricing, sectionName);
         const promo = this.getSectionPromo(sectionName);
         
-        let price = priceInfo.price > 0 ? `$${priceInfo.price.toLocaleString()} MXN` : 'Not Available';
-        if (status === 'booked' || status === 'sold') price = 'BOOKED';
-        else if (status === 'reserved') price = 'RESERVED';
+        const priceText = priceInfo.price > 0 ? this.formatPrice(priceInfo.price) : 'Not Available';
+        const price = this.seatStatuses.getTooltipText(status, priceText);
         
         const sectionCategory = sectionName.replace(/\s*\d+$/, '').trim();
-        const category = seatData.category || sectionCategory || 'STANDARD';
+        const priceCategory = this.cartManager.getSeatCategory(seatData, sectionPricing);
+        const category = priceCategory?.name || seatData.category || sectionCategory || 'STANDARD';
         const isSpecial = seatData.sn || seatData.specialNeeds;
 
         const content = {
@@ -1338,7 +1722,7 @@ export class SeatMapRenderer {
             seat: isSpecial ? null : (seatData.n ?? seatData.number),
             price: price,
             category: category,
-            originalPrice: priceInfo.originalPrice > 0 ? `$${priceInfo.originalPrice.toLocaleString()}` : null,
+            originalPrice: priceInfo.originalPrice > 0 ? this.formatPrice(priceInfo.originalPrice) : null,
             promo: promo ? {
                 text: promo.text,
                 color: promo.color,
@@ -1385,7 +1769,7 @@ export class SeatMapRenderer {
             }
         }
         
-        let price = priceValue > 0 ? `$${priceValue.toLocaleString()} MXN` : '';
+        let price = priceValue > 0 ? this.formatPrice(priceValue) : '';
 
         const content = {
             section: sectionName,
@@ -1393,7 +1777,7 @@ export class SeatMapRenderer {
             seat: null,
             price: price,
             category: 'General Admission',
-            originalPrice: originalPrice > 0 ? `$${originalPrice.toLocaleString()}` : null,
+            originalPrice: originalPrice > 0 ? this.formatPrice(originalPrice) : null,
             promo: promo ? {
                 text: promo.text,
                 color: promo.color,
@@ -1415,15 +1799,127 @@ export class SeatMapRenderer {
         if (this.tooltipManager) this.tooltipManager.hide();
     }
 
+    /**
+     * Sections reachable with the keyboard: seated sections with seats and GA sections
+     * on the level shown
+     * @returns {Array<{ id: string, name: string, type: string, data: Object }>}
+     */
+    getNavigableSections() {
+        return (this.loadedData?.sections || [])
+            .filter(section => !section.isZone && (section.levelId ?? null) === this.currentLevelId)
+            .map(section => ({
+                id: section.id || section.name,
+                name: section.name,
+                type: section.type === 'ga' ? 'ga' : 'seated',
+                data: section
+            }))
+            .filter(section => section.type === 'ga' || this.selectionManager.seatsByRow[section.id]);
+    }
+
+    /**
+     * Screen reader label of a section
+     * @param {{ id: string, name: string, type: string }} section
+     * @returns {string}
+     */
+    describeSection(section) {
+        if (section.type === 'ga') {
+            const available = this.gaSelectionManager.getAvailableQuantity(section.id);
+            return Number.isFinite(available)
+                ? `${section.name}, general admission, ${available} available`
+                : `${section.name}, general admission`;
+        }
+
+        let total = 0;
+        let available = 0;
+        for (const rowSeats of Object.values(this.selectionManager.seatsByRow[section.id] || {})) {
+            for (const seatContainer of rowSeats) {
+                total++;
+                if (this.selectionManager.isSeatAvailable(seatContainer) && !seatContainer.selected) available++;
+            }
+        }
+        return `${section.name}, ${available} of ${total} seats available`;
+    }
+
+    /**
+     * Screen reader announcement of a seat: section, row, seat, price and status
+     * @param {PIXI.Container} seatContainer
+     * @returns {string}
+     */
+    describeSeat(seatContainer) {
+        const seatData = seatContainer.seatData;
+        const status = seatData.status || 'available';
+        const priceInfo = this.cartManager.getSeatPrice(seatData, seatContainer.sectionPricing, seatContainer.sectionName);
+        const category = this.cartManager.getSeatCategory(seatData, seatContainer.sectionPricing);
+
+        const parts = [`Section ${seatContainer.sectionName}`];
+        if (seatContainer._rowLabel) parts.push(`Row ${seatContainer._rowLabel}`);
+        parts.push(`Seat ${seatContainer.originalLabel}`);
+        if (seatData.sn || seatData.specialNeeds) parts.push('wheelchair accessible');
+        if (category) parts.push(category.name);
+        parts.push(priceInfo.price > 0 ? this.formatPrice(priceInfo.price) : 'no price');
+        if (priceInfo.hasDiscount) parts.push(`was ${this.formatPrice(priceInfo.originalPrice)}`);
+
+        if (seatContainer.selected) parts.push('selected');
+        else parts.push(this.seatStatuses.get(status).label);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Draw the keyboard focus ring around a seat and pan it into view
+     * @param {PIXI.Container|null} seatContainer - Null hides the ring
+     */
+    showSeatFocus(seatContainer) {
+        if (!seatContainer || seatContainer.destroyed || !this.viewport) {
+            if (this.focusRing) this.focusRing.visible = false;
+            return;
+        }
+
+        if (!this.focusRing) {
+            this.focusRing = new PIXI.Graphics();
+            this.focusRing.circle(0, 0, this.options.seatRadiusHover + 3);
+            this.focusRing.stroke({ width: 2, color: this.options.focusRingColor });
+            this.focusRing.eventMode = 'none';
+        }
+        this.viewport.addChild(this.focusRing); // Re-adding keeps it on top
+
+        const global = seatContainer.getGlobalPosition();
+        const position = this.viewport.toLocal(global);
+        this.focusRing.position.set(position.x, position.y);
+        this.focusRing.visible = true;
+
+        // Center the seat when it is outside the visible area
+        const margin = this.options.uiPadding;
+        const { width, height } = this.app.screen;
+        if (global.x < margin || global.x > width - margin || global.y < margin || global.y > height - margin) {
+            const scale = this.viewport.scale.x;
+            const target = this.viewportManager.getConstrainedPosition(
+                width / 2 - position.x * scale,
+                height / 2 - position.y * scale,
+                scale
+            );
+            this.viewportManager.animateViewport(target.x, target.y, scale);
+        }
+    }
+
+    /**
+     * Apply an inventory snapshot to the map
+     * @param {Object} inventoryData - { seats: [...], ga: [...] }
+     * @returns {Object|null} Load report (see InventoryManager.loadInventory), with `ga` and
+     *   `unmatchedGA` from InventoryManager.reconcileGA() when the snapshot has GA items
+     */
     loadInventory(inventoryData) {
         if (!this.isInitialized) {
             console.error('SeatMapRenderer not initialized.');
-            return;
+            return null;
         }
 
-        const result = this.inventoryManager.loadInventory(
+        const report = this.inventoryManager.loadInventory(
             inventoryData,
-            (seatContainer) => this.updateSeatVisuals(seatContainer)
+            (seatContainer) => {
+                this.updateSeatVisuals(seatContainer);
+                this.syncInventoryHold(seatContainer);
+            }
         );
 
         // Load GA inventory into GASelectionManager
@@ -1432,7 +1928,63 @@ export class SeatMapRenderer {
             console.log("GA inventory loaded:", inventoryData.ga.length, "sections");
         }
 
-        console.log("Inventory loaded:", result);
+        // GA availability is only checked against the map when the snapshot has GA items
+        const gaSections = (this.loadedData?.sections || [])
+            .filter(section => section.type === 'ga' && !section.isZone)
+            .map(section => ({ id: section.id, name: section.name, capacity: section.ga?.capacity || 0 }));
+        Object.assign(report, Array.isArray(inventoryData?.ga)
+            ? this.inventoryManager.reconcileGA(inventoryData.ga, gaSections)
+            : { ga: [], unmatchedGA: [] });
+
+        this.inventoryReport = report;
+        this.updateLegend();
+        if (this.options.inventoryDebug) {
+            this.showInventoryDiagnostics();
+        }
+
+        console.log(`Inventory loaded: ${report.matched} seats matched, ${report.unmatched} unmatched items, ${report.missingSeats.length} seats without inventory`);
+        return report;
+    }
+
+    /**
+     * Report of the last loadInventory() call
+     * @returns {Object|null}
+     */
+    getInventoryReport() {
+        return this.inventoryReport;
+    }
+
+    /**
+     * Debug overlay: ring the seats the last inventory snapshot left out
+     * @param {boolean} [show=true] - False removes the overlay
+     */
+    showInventoryDiagnostics(show = true) {
+        this.inventoryDebugMarkers.forEach(marker => {
+            if (!marker.destroyed) marker.destroy();
+        });
+        this.inventoryDebugMarkers = [];
+        if (!show || !this.inventoryReport) return;
+
+        // One Graphics per section container, so markers follow its rotation and level
+        const markers = new Map();
+        this.inventoryReport.missingSeats.forEach(seat => {
+            const seatContainer = this.inventoryManager.findSeat(seat);
+            if (!seatContainer || seatContainer.destroyed || !seatContainer.parent) return;
+
+            let graphics = markers.get(seatContainer.parent);
+            if (!graphics) {
+                graphics = new PIXI.Graphics();
+                graphics.eventMode = 'none';
+                markers.set(seatContainer.parent, graphics);
+            }
+            graphics.circle(seatContainer.x, seatContainer.y, this.options.seatRadiusHover);
+        });
+
+        markers.forEach((graphics, sectionContainer) => {
+            graphics.stroke({ width: 2, color: this.options.inventoryDebugColor });
+            sectionContainer.addChild(graphics);
+            this.inventoryDebugMarkers.push(graphics);
+        });
     }
 
     updateSeatVisuals(seatContainer) {
@@ -1447,10 +1999,246 @@ export class SeatMapRenderer {
         );
     }
 
+    /**
+     * Apply an incremental inventory update
+     * Only changed seats are redrawn. Selected seats that become unavailable
+     * are deselected and reported with 'seat-became-unavailable'.
+     * @param {Object} diff - { seats: [...], ga: [...] } in the loadInventory format
+     * @returns {{ changed: number, unmatched: number }}
+     */
+    applyInventoryDiff(diff) {
+        if (!this.isInitialized) {
+            console.error('SeatMapRenderer not initialized.');
+            return { changed: 0, unmatched: 0 };
+        }
+
+        const { changed, unmatched } = this.inventoryManager.applyDiff(diff);
+        let selectionChanged = false;
+
+        for (const { seatContainer, previousStatus, status } of changed) {
+            if (seatContainer.selected && !this.seatStatuses.isSelectable(status)) {
+                this.resetSeatSelection(seatContainer);
+                selectionChanged = true;
+
+                const eventData = {
+                    seat: seatContainer.seatData,
+                    sectionId: seatContainer.sectionId,
+                    previousStatus,
+                    status
+                };
+                this.container.dispatchEvent(new CustomEvent('seat-became-unavailable', { detail: eventData }));
+                if (this.options.onSeatUnavailable) this.options.onSeatUnavailable(eventData);
+            }
+
+            this.updateSeatVisuals(seatContainer);
+            this.syncInventoryHold(seatContainer);
+        }
+        if (changed.length > 0) {
+            this.updateLegend();
+        }
+
+        if (this.gaSelectionManager && diff?.ga) {
+            this.gaSelectionManager.loadInventory({ ga: diff.ga });
+        }
+
+        if (selectionChanged) {
+            this.cartManager.handleCartChange(
+                this.selectionManager.getSelectedSeats(),
+                this.gaSelectionManager ? this.gaSelectionManager.getSelectionsArray() : []
+            );
+        }
+
+        if (unmatched.length > 0) {
+            console.warn(`Inventory update for ${unmatched.length} unknown seats:`, unmatched);
+        }
+
+        return { changed: changed.length, unmatched: unmatched.length };
+    }
+
+    /**
+     * Stream inventory updates from a transport
+     * Replaces any previously connected transport.
+     * @param {InventoryTransport} transport - e.g. WebSocketInventoryTransport, MockInventoryTransport
+     */
+    connectInventory(transport) {
+        this.disconnectInventory();
+        this.inventoryTransport = transport;
+        transport.connect((diff) => this.applyInventoryDiff(diff));
+    }
+
+    /**
+     * Stop streaming inventory updates
+     */
+    disconnectInventory() {
+        if (this.inventoryTransport) {
+            this.inventoryTransport.disconnect();
+            this.inventoryTransport = null;
+        }
+    }
+
+    /**
+     * Apply the hold deadline of a seat's inventory data
+     * "held" seats expire back to available; a deadline on a selected seat
+     * replaces its selection hold (e.g. confirmed by the booking backend).
+     * @param {PIXI.Container} seatContainer
+     */
+    syncInventoryHold(seatContainer) {
+        const data = seatContainer.seatData;
+        const status = data.status || 'available';
+
+        if (status === 'held' && data.holdExpiresAt !== undefined) {
+            this.holdManager.setHold(seatContainer, data.holdExpiresAt, 'inventory');
+        } else if (this.seatStatuses.isSelectable(status) && seatContainer.selected && data.holdExpiresAt !== undefined) {
+            this.holdManager.setHold(seatContainer, data.holdExpiresAt, 'selection');
+        } else if (!seatContainer.selected) {
+            this.holdManager.clearHold(seatContainer);
+        }
+
+        // Holds of seats that became unavailable end with the selection
+        if (!this.seatStatuses.isSelectable(status) && status !== 'held') {
+            this.holdManager.clearHold(seatContainer);
+        }
+    }
+
+    /**
+     * Ticker callback for seat holds
+     * @param {PIXI.Ticker} ticker
+     */
+    updateHolds(ticker) {
+        this.holdManager.update(ticker);
+    }
+
+    /**
+     * Revert a seat whose hold passed its deadline
+     * Selected seats are deselected (bypassing orphan rules); seats held by
+     * others become available again. Dispatches 'hold-expired'.
+     * @param {PIXI.Container} seatContainer
+     * @param {string} type - 'selection' or 'inventory'
+     * @param {number} expiresAt - Deadline that passed (epoch ms)
+     */
+    handleHoldExpired(seatContainer, type, expiresAt) {
+        if (seatContainer.destroyed) return;
+
+        if (type === 'inventory') {
+            const { holdExpiresAt, ...seatData } = seatContainer.seatData;
+            seatContainer.seatData = { ...seatData, status: 'available' };
+            this.updateSeatVisuals(seatContainer);
+        } else if (seatContainer.selected) {
+            this.resetSeatSelection(seatContainer);
+            this.cartManager.handleCartChange(
+                this.selectionManager.getSelectedSeats(),
+                this.gaSelectionManager ? this.gaSelectionManager.getSelectionsArray() : []
+            );
+        }
+
+        const eventData = {
+            seat: seatContainer.seatData,
+            sectionId: seatContainer.sectionId,
+            type,
+            expiresAt
+        };
+        this.container.dispatchEvent(new CustomEvent('hold-expired', { detail: eventData }));
+        if (this.options.onHoldExpired) this.options.onHoldExpired(eventData);
+    }
+
+    /**
+     * Start, extend or replace the hold of a seat
+     * Selected seats get a countdown; other seats are marked "held".
+     * @param {string} seatId - The seat ID
+     * @param {number|string|Date} expiresAt - Hold deadline (epoch ms, ISO string or Date)
+     * @returns {boolean} True if the seat was found and the deadline is valid
+     */
+    setSeatHold(seatId, expiresAt) {
+        const seatContainer = this.inventoryManager.seatsById[seatId];
+        if (!seatContainer) return false;
+
+        if (seatContainer.selected) {
+            if (!this.holdManager.setHold(seatContainer, expiresAt, 'selection')) return false;
+        } else {
+            if (!this.holdManager.setHold(seatContainer, expiresAt, 'inventory')) return false;
+            seatContainer.seatData = { ...seatContainer.seatData, status: 'held', holdExpiresAt: expiresAt };
+            this.updateSeatVisuals(seatContainer);
+        }
+
+        this.cartManager.handleCartChange(
+            this.selectionManager.getSelectedSeats(),
+            this.gaSelectionManager ? this.gaSelectionManager.getSelectionsArray() : []
+        );
+        return true;
+    }
+
+    /**
+     * Get the hold deadline of a seat
+     * @param {string} seatId - The seat ID
+     * @returns {{ expiresAt: number, remaining: number, type: string }|null}
+     */
+    getSeatHold(seatId) {
+        const seatContainer = this.inventoryManager.seatsById[seatId];
+        const hold = seatContainer && this.holdManager.getHold(seatContainer);
+        if (!hold) return null;
+        return { expiresAt: hold.expiresAt, remaining: this.holdManager.getRemaining(seatContainer), type: hold.type };
+    }
+
     getUnmatchedInventoryKeys() {
         return this.inventoryManager.getUnmatchedKeys();
     }
 
+    /**
+     * Inventory key scheme in use: the inventoryKey option, else the map's venue.inventoryKey, else 'label'
+     * @returns {string|Function}
+     */
+    getInventoryKeyScheme() {
+        const mapScheme = this.loadedData?.venue?.inventoryKey;
+        return this.options.inventoryKey ?? (isInventoryKeyScheme(mapScheme) ? mapScheme : 'label');
+    }
+
+    /**
+     * Inventory key of a seat, built with getInventoryKeyScheme()
+     * @param {Object} seatData - Seat data
+     * @param {Object} sectionData - Section data
+     * @param {string} rowLabel - Row label shown for the seat
+     * @returns {string|undefined}
+     */
+    getSeatKey(seatData, sectionData, rowLabel) {
+        return buildInventoryKey(this.getInventoryKeyScheme(), {
+            section: sectionData.name,
+            sectionId: sectionData.id,
+            level: sectionData.levelId,
+            row: rowLabel,
+            seat: String(seatData.n ?? seatData.number ?? ''),
+            id: seatData.id
+        }, seatData, sectionData);
+    }
+
+    /**
+     * Inventory keys used by more than one seat of the loaded map
+     * Only the last seat of each key can be found by key; load inventory for the others by ID.
+     * @returns {Array<{ key: string, seats: Array<{ id: string|null, key: string, sectionId: string, section: string, row: string, seat: string }> }>}
+     */
+    getInventoryKeyCollisions() {
+        return this.inventoryManager.getKeyCollisions().map(({ key, seats }) => ({
+            key,
+            seats: seats.map(seatContainer => this.inventoryManager.describeSeat(seatContainer))
+        }));
+    }
+
+    /**
+     * Warn about and dispatch 'inventory-key-collision' when seats share inventory keys
+     */
+    reportKeyCollisions() {
+        const collisions = this.getInventoryKeyCollisions();
+        if (collisions.length === 0) return;
+
+        const scheme = this.getInventoryKeyScheme();
+        console.warn(`${collisions.length} inventory key(s) used by more than one seat (e.g. ${collisions[0].key}); those seats can only be found by ID`);
+        this.container.dispatchEvent(new CustomEvent('inventory-key-collision', {
+            detail: {
+                scheme: typeof scheme === 'function' ? 'custom' : scheme,
+                collisions
+            }
+        }));
+    }
+
     fitToView(animate = true) {
         if (!this.isInitialized) return;
         this.viewportManager.fitToView(animate);
@@ -1478,7 +2266,7 @@ export class SeatMapRenderer {
     }
 
     /**
-     * Zoom to a section by its ID
+     * Zoom to a section by its ID (switching to its level when needed)
      * @param {string} sectionId - The section ID to zoom to
      * @param {number} zoomBoost - Optional zoom multiplier (default 1.8)
      * @returns {boolean} - True if section was found and zoomed to
@@ -1491,6 +2279,10 @@ export class SeatMapRenderer {
             console.warn(`Section with ID "${sectionId}" not found`);
             return false;
         }
+
+        if (container.levelId !== this.currentLevelId) {
+            this.setLevel(container.levelId, { fit: false });
+        }
         
         this.viewportManager.zoomToSection(container, null, zoomBoost);
         
@@ -1503,15 +2295,289 @@ export class SeatMapRenderer {
         return true;
     }
 
+    /**
+     * Render an image of the map off-screen, e.g. for thumbnails or a confirmation
+     * email showing the buyer's seats. The live view is not moved.
+     * Frames the sections like fitToSections(); the level shown is the region's
+     * level, else the level of the first highlighted seat, else the current one.
+     * @param {Object} [options]
+     * @param {number} [options.width=800] - Image width in pixels
+     * @param {number} [options.height=600] - Image height in pixels
+     * @param {string[]} [options.highlightSeatIds] - Seats to highlight (seat ids or inventory keys)
+     * @param {string} [options.region='fit'] - 'fit' for every section of the level, or a section ID
+     * @param {string} [options.levelId] - Level to render (multi-level maps)
+     * @param {string} [options.format='png'] - 'png', 'webp' or 'jpeg' (browsers without WebP return PNG)
+     * @param {number} [options.quality=0.92] - WebP / JPEG quality
+     * @param {number} [options.padding] - Space around the region (uses fitToSectionsPadding if not specified;
+     *   at most a quarter of the image width and height)
+     * @param {number} [options.resolution=1] - Pixel density multiplier (2 for retina images)
+     * @param {boolean} [options.transparent=false] - Skip the background color (PNG / WebP)
+     * @param {number} [options.highlightColor] - Highlight fill (uses snapshotHighlightColor if not specified)
+     * @returns {Promise<Blob>}
+     */
+    async snapshot(options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('SeatMapRenderer not initialized.');
+        }
+
+        const maxSize = SeatMapRenderer.CONFIG.SNAPSHOT_MAX_SIZE;
+        const resolution = options.resolution || 1;
+        const width = Math.min(Math.max(1, Math.round(options.width || 800)), maxSize);
+        const height = Math.min(Math.max(1, Math.round(options.height || 600)), maxSize);
+        const region = options.region || 'fit';
+        const highlightSeats = (options.highlightSeatIds || [])
+            .map(id => this.inventoryManager.getSeatById(id) || this.inventoryManager.seatsByKey[id])
+            .filter(Boolean);
+
+        let regionContainer = null;
+        if (region !== 'fit') {
+            regionContainer = this.sectionContainers.get(region);
+            if (!regionContainer) {
+                throw new Error(`Section with ID "${region}" not found`);
+            }
+        }
+
+        const levelId = options.levelId !== undefined ? options.levelId
+            : regionContainer ? regionContainer.levelId
+            : highlightSeats.length > 0 ? highlightSeats[0].levelId
+            : this.currentLevelId;
+        const previousLevelId = this.currentLevelId;
+        const focusRingVisible = this.focusRing?.visible;
+        const highlights = new PIXI.Container();
+        let texture = null;
+
+        try {
+            // Show the snapshot's level for this render only
+            if (levelId !== previousLevelId) {
+                this.currentLevelId = levelId ?? null;
+                this.applyLevelVisibility();
+            }
+            if (this.focusRing) this.focusRing.visible = false;
+
+            const bounds = this.viewportManager.getSectionsBounds(regionContainer ? [regionContainer] : null)
+                || this.viewport.getLocalBounds();
+            if (!(bounds.width > 0) || !(bounds.height > 0)) {
+                throw new Error('Nothing to render');
+            }
+
+            // Same framing as fitToSections(), for an image of width x height
+            const fit = this.viewportManager.getFitTransform(
+                bounds, width, height,
+                options.padding ?? this.options.fitToSectionsPadding,
+                this.options.maxZoom
+            );
+
+            const highlightTexture = this.textureCache.getSeatTexture(
+                this.options.seatRadiusHover,
+                options.highlightColor ?? this.options.snapshotHighlightColor,
+                2,
+                0xffffff
+            );
+            highlightSeats
+                .filter(seatContainer => seatContainer.levelId === (levelId ?? null))
+                .forEach(seatContainer => {
+                    const position = this.viewport.toLocal(seatContainer.getGlobalPosition());
+                    const marker = new PIXI.Sprite(highlightTexture);
+                    marker.anchor.set(0.5);
+                    marker.scale.set(1 / this.options.seatTextureResolution);
+                    marker.position.set(position.x, position.y);
+                    highlights.addChild(marker);
+                });
+            this.viewport.addChild(highlights);
+
+            // Render the viewport with the snapshot transform instead of its own
+            texture = PIXI.RenderTexture.create({ width, height, resolution, antialias: true });
+            this.app.renderer.render({
+                container: this.viewport,
+                target: texture,
+                transform: new PIXI.Matrix(fit.scale, 0, 0, fit.scale, fit.x, fit.y),
+                clearColor: options.transparent ? [0, 0, 0, 0] : this.options.backgroundColor
+            });
+        } finally {
+            this.viewport.removeChild(highlights);
+            highlights.destroy({ children: true });
+            if (this.focusRing) this.focusRing.visible = focusRingVisible;
+            if (this.currentLevelId !== previousLevelId) {
+                this.currentLevelId = previousLevelId;
+                this.applyLevelVisibility();
+            }
+        }
+
+        const canvas = this.app.renderer.extract.canvas(texture);
+        texture.destroy(true);
+
+        const type = `image/${options.format || 'png'}`;
+        const quality = options.quality ?? 0.92;
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode snapshot'))), type, quality);
+        });
+    }
+
+    /**
+     * Get the venue metadata of the loaded map
+     * @returns {Object|null} - { name, capacity, timezone, location, metadata } as stored in the file
+     */
+    getVenue() {
+        return this.loadedData?.venue || null;
+    }
+
+    /**
+     * Get the venue objects (stage, exits, amenities, text, arrows) of the loaded map
+     * @returns {Array<{ id, type, x, y, width, height, rotation, color, label, fontSize, levelId }>}
+     */
+    getObjects() {
+        const objects = this.loadedData?.objects;
+        return Array.isArray(objects) ? objects.map(object => ({ ...object })) : [];
+    }
+
+    /**
+     * Get the levels (floors) of the loaded map, in file order
+     * @returns {Array<{ id: string, name: string, sectionIds: string[] }>} Empty for single-level maps
+     */
+    getLevels() {
+        const levels = this.loadedData?.levels;
+        if (!Array.isArray(levels)) return [];
+
+        const sections = this.loadedData.sections || [];
+        return levels.map(level => ({
+            id: level.id,
+            name: level.name || level.id,
+            sectionIds: sections
+                .filter(section => section.levelId === level.id)
+                .map(section => section.id || section.name)
+        }));
+    }
+
+    /**
+     * Get the id of the level shown
+     * @returns {string|null} Null for single-level maps
+     */
+    getCurrentLevelId() {
+        return this.currentLevelId;
+    }
+
+    /**
+     * Show another level of a multi-level map
+     * Seats selected on other levels stay selected, so the cart spans levels.
+     * @param {string} levelId - The level ID to show
+     * @param {Object} [options]
+     * @param {boolean} [options.fit=true] - Fit the view to the level
+     * @param {boolean} [options.animate=true] - Animate the fit
+     * @returns {boolean} - True if the level exists
+     */
+    setLevel(levelId, options = {}) {
+        if (!this.isInitialized) return false;
+
+        const levels = this.getLevels();
+        const level = levels.find(l => l.id === levelId);
+        if (!level) {
+            console.warn(`Level with ID "${levelId}" not found`);
+            return false;
+        }
+        if (levelId === this.currentLevelId) return true;
+
+        const previousLevelId = this.currentLevelId;
+        this.currentLevelId = levelId;
+        this.applyLevelVisibility();
+
+        this.hideTooltip();
+        this.showSeatFocus(null);
+        this.keyboardNavigator?.setSections(this.getNavigableSections());
+        this.uiManager.setLevels(this.options.showLevelSwitcher ? levels : [], levelId);
+
+        if (options.fit !== false) {
+            this.fitToView(options.animate !== false);
+        }
+
+        const detail = { levelId, previousLevelId, level };
+        this.container.dispatchEvent(new CustomEvent('level-change', { detail, bubbles: true }));
+        if (this.options.onLevelChange) this.options.onLevelChange(detail);
+        return true;
+    }
+
+    /**
+     * Show the sections, objects, labels and underlay of the current level only
+     */
+    applyLevelVisibility() {
+        const children = [...this.viewport.children, ...(this.labelsLayer?.children || [])];
+        children.forEach(child => {
+            if (child.levelId !== undefined) {
+                child.visible = child.levelId === this.currentLevelId;
+            }
+        });
+        this.updateUnderlayState();
+    }
+
+    /**
+     * Point the viewport state at the current level's underlay
+     * (the loaded sprite, or its estimated bounds while it loads)
+     */
+    updateUnderlayState() {
+        const sprite = this.viewport.children.find(c => c.isUnderlay && c.levelId === this.currentLevelId);
+        this.state.hasUnderlay = !!sprite;
+        this.state.underlayBounds = sprite ? null : this.underlayEstimates.get(this.currentLevelId) || null;
+    }
+
+    /**
+     * Get the section groups of the loaded map, in file order
+     * @returns {Array<{ id: string, name: string, sectionIds: string[] }>}
+     */
+    getGroups() {
+        const groups = this.loadedData?.groups;
+        if (!Array.isArray(groups)) return [];
+
+        const sections = this.loadedData.sections || [];
+        return groups.map(group => ({
+            id: group.id,
+            name: group.name || group.id,
+            sectionIds: sections
+                .filter(section => section.groupId === group.id)
+                .map(section => section.id || section.name)
+        }));
+    }
+
+    /**
+     * Zoom to fit all sections of a group
+     * @param {string} groupId - The group ID to zoom to
+     * @param {boolean} animate - Whether to animate the transition
+     * @param {number} padding - Padding around the group (uses config default if not specified)
+     * @returns {boolean} - True if the group has rendered sections
+     */
+    zoomToGroup(groupId, animate = true, padding = null) {
+        if (!this.isInitialized) return false;
+
+        const containers = this.getSections({ groupId, includeZones: true })
+            .map(section => this.sectionContainers.get(section.id))
+            .filter(Boolean);
+        if (containers.length === 0) {
+            console.warn(`Group with ID "${groupId}" has no sections`);
+            return false;
+        }
+
+        // Groups may span levels: zoom to the part on the level shown, or show a level holding it
+        if (!containers.some(container => container.levelId === this.currentLevelId)) {
+            this.setLevel(containers[0].levelId, { fit: false });
+        }
+
+        this.viewportManager.fitToSections(animate, padding ?? this.options.fitToSectionsPadding,
+            containers.filter(container => container.levelId === this.currentLevelId));
+        return true;
+    }
+
     /**
      * Get list of sections from loaded map data
      * @param {Object} options - Filter options
      * @param {boolean} options.includeZones - Include zone overlays (default false)
      * @param {boolean} options.includeGA - Include GA sections (default true)
-     * @returns {Array} - Array of section objects with id, name, type, pricing
+     * @param {string|null} options.groupId - Only sections of this group (null for ungrouped sections)
+     * @param {string} options.levelId - Only sections of this level
+     * @returns {Array} - Array of section objects with id, name, type, groupId, levelId, pricing
      */
     getSections(options = {}) {
-        const { includeZones = false, includeGA = true } = options;
+        const { includeZones = false, includeGA = true, groupId, levelId } = options;
         
         if (!this.loadedData || !this.loadedData.sections) {
             return [];
@@ -1521,6 +2587,8 @@ export class SeatMapRenderer {
             .filter(section => {
                 if (section.isZone && !includeZones) return false;
                 if (section.type === 'ga' && !section.isZone && !includeGA) return false;
+                if (groupId !== undefined && (section.groupId ?? null) !== groupId) return false;
+                if (levelId !== undefined && (section.levelId ?? null) !== levelId) return false;
                 return true;
             })
             .map(section => {
@@ -1538,6 +2606,8 @@ export class SeatMapRenderer {
                     name: section.name,
                     type: section.type || 'seated',
                     isZone: !!section.isZone,
+                    groupId: section.groupId ?? null,
+                    levelId: section.levelId ?? null,
                     pricing: section.pricing || {},
                     capacity: section.ga?.capacity || section.seats?.length || 0,
                     color: colorHex
@@ -1591,6 +2661,22 @@ export class SeatMapRenderer {
             return false;
         }
 
+        this.resetSeatSelection(seatContainer);
+        
+        // Trigger cart update
+        this.cartManager.handleCartChange(
+            this.selectionManager.getSelectedSeats(),
+            this.gaSelectionManager.getSelectionsArray()
+        );
+        
+        return true;
+    }
+
+    /**
+     * Deselect a seat without orphan checks and reset its visual state
+     * @param {PIXI.Container} seatContainer
+     */
+    resetSeatSelection(seatContainer) {
         // Reset visual state
         seatContainer.selected = false;
         const isSpecial = seatContainer.seatData?.sn || seatContainer.seatData?.specialNeeds;
@@ -1608,17 +2694,10 @@ export class SeatMapRenderer {
         }
         
         this.animatingSeats.add(seatContainer);
+        this.holdManager.clearHold(seatContainer);
         
         // Remove from selection
         this.selectionManager.deselectSeat(seatContainer);
-        
-        // Trigger cart update
-        this.cartManager.handleCartChange(
-            this.selectionManager.getSelectedSeats(),
-            this.gaSelectionManager.getSelectionsArray()
-        );
-        
-        return true;
     }
 
     /**
@@ -1670,8 +2749,9 @@ export class SeatMapRenderer {
             this.animatingSeats.add(seatContainer);
         }
         
-        // Clear the selection set
+        // Clear the selection set and its holds
         this.selectionManager.clearSelection();
+        this.holdManager.clearAll('selection');
         
         // Clear GA selections
         if (this.gaSelectionManager) {
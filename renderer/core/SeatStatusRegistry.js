@@ -0,0 +1,140 @@
+/**
+ * SeatStatusRegistry - Look and behavior of seat inventory statuses
+ *
+ * Maps each status an inventory item can carry ("available", "booked", or an
+ * event's own "comp", "kill", "press"...) to the seat's colors, icon,
+ * selectability and tooltip text. Seat textures, tooltips, screen reader
+ * text and the legend all read it, so a status is defined in one place.
+ */
+
+/**
+ * Built-in statuses
+ * Colors of booked / sold, reserved and held seats come from the bookedColor,
+ * reservedColor and heldColor options.
+ */
+export const DEFAULT_SEAT_STATUSES = {
+    available: { label: 'available', selectable: true, legend: false },
+    booked: { label: 'booked', tooltip: 'BOOKED', strokeWidth: 0, legend: false },
+    sold: { label: 'booked', tooltip: 'BOOKED', strokeWidth: 0, legend: false },
+    reserved: { label: 'reserved', tooltip: 'RESERVED', strokeWidth: 0, legend: false },
+    held: { label: 'on hold', tooltip: 'ON HOLD', strokeWidth: 0, legend: false }
+};
+
+export class SeatStatusRegistry {
+    /**
+     * @param {Object<string, Object>} [statuses] - Status definitions by name, merged over the built-in ones:
+     *   - color: Seat fill (number or '#rrggbb'); the seat's own color when omitted
+     *   - strokeColor, strokeWidth: Seat outline; the seat's own outline when omitted
+     *   - icon: Material Symbols icon name drawn on the seat (e.g. 'block')
+     *   - iconColor: Icon color (default white)
+     *   - selectable: Whether buyers can select the seat (default false; true for 'available')
+     *   - tooltip: Tooltip text; replaces the price of unselectable seats, follows it on selectable ones
+     *   - label: Name for the legend and screen readers (default: the status with spaces for dashes)
+     *   - legend: List the status in the legend while seats have it (default true; false for built-ins)
+     * @param {Object} [colors] - { bookedColor, reservedColor, heldColor } of the built-in statuses
+     */
+    constructor(statuses = {}, colors = {}) {
+        this.statuses = new Map();
+
+        const builtInColors = {
+            booked: colors.bookedColor ?? 0x8B8B8B,
+            sold: colors.bookedColor ?? 0x8B8B8B,
+            reserved: colors.reservedColor ?? 0xff6666,
+            held: colors.heldColor ?? 0xf59e0b
+        };
+        Object.entries(DEFAULT_SEAT_STATUSES).forEach(([name, definition]) => {
+            this.register(name, { color: builtInColors[name], ...definition });
+        });
+        Object.entries(statuses).forEach(([name, definition]) => {
+            this.register(name, { ...this.statuses.get(name)?.definition, ...definition });
+        });
+    }
+
+    /**
+     * Add or replace a status
+     * @param {string} name - Status as sent in inventory items
+     * @param {Object} definition - See the constructor
+     * @returns {Object} Resolved status
+     */
+    register(name, definition = {}) {
+        const label = definition.label ?? name.replace(/[-_]+/g, ' ');
+        const status = {
+            name,
+            label,
+            color: toColor(definition.color),
+            strokeColor: toColor(definition.strokeColor),
+            strokeWidth: definition.strokeWidth,
+            icon: definition.icon || null,
+            iconColor: toColor(definition.iconColor) ?? 0xffffff,
+            selectable: !!definition.selectable,
+            tooltip: definition.tooltip ?? null,
+            legend: definition.legend ?? true,
+            definition
+        };
+        this.statuses.set(name, status);
+        return status;
+    }
+
+    /**
+     * Resolved status; statuses nobody registered keep the seat's look and can't be selected
+     * @param {string} [name='available']
+     * @returns {Object} { name, label, color, strokeColor, strokeWidth, icon, iconColor, selectable, tooltip, legend }
+     */
+    get(name = 'available') {
+        return this.statuses.get(name) || {
+            name,
+            label: name.replace(/[-_]+/g, ' '),
+            color: undefined,
+            strokeColor: undefined,
+            strokeWidth: undefined,
+            icon: null,
+            iconColor: 0xffffff,
+            selectable: false,
+            tooltip: null,
+            legend: false,
+            definition: {}
+        };
+    }
+
+    /**
+     * @param {string} [name='available']
+     * @returns {boolean}
+     */
+    isSelectable(name = 'available') {
+        return this.get(name).selectable;
+    }
+
+    /**
+     * Tooltip text of a seat with this status
+     * @param {string} name - Status
+     * @param {string} priceText - Formatted seat price
+     * @returns {string}
+     */
+    getTooltipText(name, priceText) {
+        const status = this.get(name);
+        if (!status.selectable) return status.tooltip || status.label.toUpperCase();
+        return status.tooltip ? `${priceText} · ${status.tooltip}` : priceText;
+    }
+
+    /**
+     * Legend rows of the statuses seats currently have
+     * @param {Set<string>} used - Statuses of the map's seats
+     * @returns {Array<{ name: string, color: number, icon: string|null }>}
+     */
+    getLegendEntries(used) {
+        return [...this.statuses.values()]
+            .filter(status => status.legend && used.has(status.name) && (status.color !== undefined || status.icon))
+            .map(status => ({
+                name: status.label.charAt(0).toUpperCase() + status.label.slice(1),
+                color: status.color ?? 0x666666,
+                icon: status.icon
+            }));
+    }
+}
+
+function toColor(value) {
+    if (typeof value === 'string') {
+        return parseInt(value.replace('#', ''), 16);
+    }
+    return value ?? undefined;
+}
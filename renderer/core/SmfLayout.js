@@ -0,0 +1,369 @@
+/**
+ * SmfLayout - Seat map geometry and labels computed from SMF data, without PIXI
+ *
+ * Used by the renderer's PIXI modules and by the headless toolkit
+ * (src/headless), so seat positions, row labels and inventory keys match
+ * on the server and in the browser.
+ */
+
+/** Space between a section's edge and its first row and seat (the editor's CONFIG.SECTION_MARGIN) */
+export const SECTION_MARGIN = 20;
+
+/** Default distance between seats, and between rows of row-defined sections (the editor's CONFIG.SEAT_SIZE) */
+export const SEAT_SPACING = 24;
+
+/**
+ * Generate label text based on index and type
+ * @param {number} index - Row index (0-based)
+ * @param {string} type - 'numbers' or 'letters'
+ * @param {string|number} startValue - Starting value
+ * @returns {string}
+ */
+export function getRowLabelText(index, type, startValue) {
+    if (type === 'numbers') {
+        const start = parseInt(startValue) || 1;
+        return (index + start).toString();
+    } else if (type === 'letters') {
+        const start = startValue || 'A';
+        const startCharCode = start.charCodeAt(0);
+        const offset = startCharCode - 65;
+        
+        let labelIndex = index + offset;
+        let label = '';
+        
+        // A-Z, then AA, AB, AC... (inventory keys depend on this sequence)
+        while (labelIndex >= 0) {
+            label = String.fromCharCode(65 + (labelIndex % 26)) + label;
+            labelIndex = Math.floor(labelIndex / 26) - 1;
+        }
+        return label;
+    }
+    return '';
+}
+
+/**
+ * Label text of one row
+ * 'custom' labels are stored per row index (`names`, e.g. imported from a venue
+ * manifest); other types count the rows that have seats.
+ * @param {Object} config - Row labels configuration
+ * @param {number} rowIndex - Row index of the seats (`r`)
+ * @param {number} labelIndex - Position of the row among the rows with seats (reversal applied)
+ * @returns {string}
+ */
+export function getRowLabel(config, rowIndex, labelIndex) {
+    if (config.type === 'custom') {
+        return config.names?.[rowIndex] ?? '';
+    }
+    return getRowLabelText(labelIndex, config.type, config.start);
+}
+
+/**
+ * Build a map of row indices to label text
+ * @param {Array} seats - Array of seat data
+ * @param {Object} rowLabelsConfig - Row labels configuration
+ * @returns {Object} Map of rowIndex -> labelText
+ */
+export function buildRowLabelMap(seats, rowLabelsConfig) {
+    const rowLabelMap = {};
+    
+    if (!seats || seats.length === 0) {
+        return rowLabelMap;
+    }
+
+    // Group seats by row index
+    const rows = {};
+    seats.forEach(seat => {
+        const r = seat.r !== undefined ? seat.r : seat.rowIndex;
+        if (r !== undefined) rows[r] = true;
+    });
+
+    const rowIndices = Object.keys(rows).map(Number).sort((a, b) => a - b);
+    const config = rowLabelsConfig || { type: 'numbers' };
+    const totalRows = rowIndices.length;
+    
+    rowIndices.forEach((rowIndex, arrayIndex) => {
+        const labelIndex = config.reversed ? (totalRows - 1 - arrayIndex) : arrayIndex;
+        rowLabelMap[rowIndex] = getRowLabel(config, rowIndex, labelIndex);
+    });
+
+    return rowLabelMap;
+}
+
+/**
+ * Row labels of a section in container coordinates
+ * Each row gets a label beside its first seat (showLeft) and its last seat
+ * (showRight), `spacing` px beyond the seat.
+ * @param {Object} data - Section data with seats and rowLabels config
+ * @returns {Array<{ text: string, x: number, y: number, rowIndex: number }>}
+ */
+export function getRowLabelPositions(data) {
+    const config = data.rowLabels;
+    if (!config || config.type === 'none') return [];
+
+    const seats = data.seats || [];
+    if (seats.length === 0) return [];
+
+    // Group seats by row index
+    const rows = {};
+    seats.forEach(seat => {
+        const r = seat.r !== undefined ? seat.r : seat.rowIndex;
+        if (!rows[r]) rows[r] = [];
+        rows[r].push(seat);
+    });
+
+    const rowIndices = Object.keys(rows).map(Number).sort((a, b) => a - b);
+    const spacing = config.spacing || 20;
+    const labels = [];
+
+    rowIndices.forEach((rowIndex, arrayIndex) => {
+        // Sort by x position
+        const rowSeats = rows[rowIndex]
+            .map(seat => getSeatPoint(data, seat))
+            .sort((a, b) => a.x - b.x);
+
+        // Determine label text
+        const totalRows = rowIndices.length;
+        const labelIndex = config.reversed ? (totalRows - 1 - arrayIndex) : arrayIndex;
+        const text = getRowLabel(config, rowIndex, labelIndex);
+
+        const first = rowSeats[0];
+        const last = rowSeats[rowSeats.length - 1];
+        if (config.showLeft) {
+            labels.push({ text, x: first.x - 10 - spacing, y: first.y, rowIndex });
+        }
+        if (config.showRight) {
+            labels.push({ text, x: last.x + 10 + spacing, y: last.y, rowIndex });
+        }
+    });
+
+    return labels;
+}
+
+/**
+ * Get the section outline in container coordinates
+ * Zones store `points` directly; shaped seat sections store `outline` in seat
+ * space, which follows the layout shift like the seats do.
+ * @param {Object} data - Section data
+ * @returns {number[]|null} Flat [x, y, ...] array, or null for rectangular sections
+ */
+export function getSectionShapePoints(data) {
+    if (data.points && data.points.length > 0) {
+        return data.points;
+    }
+    if (data.outline && data.outline.length >= 6) {
+        const shiftX = data.layoutShiftX || 0;
+        const shiftY = data.layoutShiftY || 0;
+        return data.outline.map((value, i) => value + (i % 2 === 0 ? shiftX : shiftY));
+    }
+    return null;
+}
+
+/**
+ * Resolve seats for a section with per-row definitions (base.rowDefinitions)
+ * Seats without stored coordinates are placed from their row definition, and
+ * a section that only describes its rows (no seats array) gets its seats generated.
+ * @param {Object} data - Section data
+ * @returns {Object} Section data with resolved seats (the input if nothing changed)
+ */
+export function resolveRowDefinitionSeats(data) {
+    const definitions = data.base?.rowDefinitions;
+    if (!Array.isArray(definitions) || definitions.length === 0 || data.type === 'ga') {
+        return data;
+    }
+
+    const rowWidths = definitions.map(row => (row.seats - 1) * row.spacing);
+    const maxRowWidth = Math.max(...rowWidths);
+    const alignment = data.rowAlignment || 'center';
+
+    const positionOf = (r, c) => {
+        const row = definitions[r];
+        let start = 0; // left
+        if (alignment === 'center') {
+            start = (maxRowWidth - rowWidths[r]) / 2;
+        } else if (alignment === 'right') {
+            start = maxRowWidth - rowWidths[r];
+        }
+        return {
+            x: SECTION_MARGIN + start + (row.offset || 0) + c * row.spacing,
+            y: SECTION_MARGIN + r * SEAT_SPACING
+        };
+    };
+
+    let seats = data.seats;
+    if (!seats || seats.length === 0) {
+        const numbering = data.seatNumbering || {};
+        const numberStart = numbering.start || 1;
+        seats = [];
+        definitions.forEach((row, r) => {
+            for (let c = 0; c < row.seats; c++) {
+                const index = numbering.reversed ? row.seats - 1 - c : c;
+                seats.push({ r, c, n: String(numberStart + index) });
+            }
+        });
+    }
+
+    const hasPosition = seat => (seat.x ?? seat.relativeX ?? seat.baseX) !== undefined;
+    if (seats === data.seats && seats.every(hasPosition)) {
+        return data;
+    }
+
+    return {
+        ...data,
+        seats: seats.map(seat => {
+            if (hasPosition(seat)) return seat;
+            const r = seat.r ?? seat.rowIndex;
+            const c = seat.c ?? seat.colIndex;
+            if (!definitions[r]) return seat;
+            return { ...seat, ...positionOf(r, c) };
+        })
+    };
+}
+
+/**
+ * Center, size and rotation of a section in world coordinates
+ * (sections are drawn around their center, like createSectionContainer())
+ * @param {Object} data - Section data
+ * @returns {{ centerX: number, centerY: number, width: number, height: number, rotation: number }} rotation in degrees
+ */
+export function getSectionFrame(data) {
+    const width = data.width || 0;
+    const height = data.height || 0;
+    const hasCenter = data.centerX !== undefined && data.centerY !== undefined;
+    return {
+        centerX: hasCenter ? data.centerX : data.x + width / 2,
+        centerY: hasCenter ? data.centerY : data.y + height / 2,
+        width,
+        height,
+        rotation: data.transform?.rotation || 0
+    };
+}
+
+/**
+ * Convert a point of a section's container to world coordinates
+ * @param {Object} frame - From getSectionFrame()
+ * @param {number} x - Container x (seats: seat x plus layoutShiftX)
+ * @param {number} y - Container y
+ * @returns {{ x: number, y: number }}
+ */
+export function toWorldPoint(frame, x, y) {
+    const angle = frame.rotation * Math.PI / 180;
+    const dx = x - frame.width / 2;
+    const dy = y - frame.height / 2;
+    return {
+        x: frame.centerX + dx * Math.cos(angle) - dy * Math.sin(angle),
+        y: frame.centerY + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+}
+
+/**
+ * Position of a seat in its section's container (layout shift applied)
+ * @param {Object} data - Section data
+ * @param {Object} seat - Seat data
+ * @returns {{ x: number, y: number }}
+ */
+export function getSeatPoint(data, seat) {
+    return {
+        x: (seat.x ?? seat.relativeX ?? seat.baseX) + (data.layoutShiftX || 0),
+        y: (seat.y ?? seat.relativeY ?? seat.baseY) + (data.layoutShiftY || 0)
+    };
+}
+
+/** Placeholders of inventory key templates, filled from buildInventoryKey()'s fields */
+export const KEY_PLACEHOLDERS = ['section', 'sectionId', 'level', 'row', 'seat', 'id'];
+
+const KEY_PLACEHOLDER = new RegExp(`\\{(${KEY_PLACEHOLDERS.join('|')})\\}`, 'g');
+
+/**
+ * Build a seat's inventory key
+ * @param {'label'|'id'|string|Function} scheme - 'label' (`section;;row;;seat`, the default),
+ *   'id' (the seat ID), a template with {section}, {sectionId}, {level}, {row}, {seat} and {id}
+ *   placeholders, or a function (fields, seat, section) => key
+ * @param {Object} fields - { section, sectionId, level, row, seat, id }: section name and ID,
+ *   level ID, row label, seat number and seat ID
+ * @param {Object} [seat] - Seat data, passed to scheme functions
+ * @param {Object} [section] - Section data, passed to scheme functions
+ * @returns {string|undefined} Key; undefined when the scheme leaves the seat without one
+ */
+export function buildInventoryKey(scheme, fields, seat, section) {
+    if (typeof scheme === 'function') {
+        const key = scheme(fields, seat, section);
+        return key === undefined || key === null || key === '' ? undefined : String(key);
+    }
+    if (!scheme || scheme === 'label') {
+        return `${fields.section};;${fields.row};;${fields.seat}`;
+    }
+    if (scheme === 'id') {
+        return fields.id || undefined;
+    }
+    if (typeof scheme === 'string' && scheme.includes('{')) {
+        return scheme.replace(KEY_PLACEHOLDER, (match, name) => fields[name] ?? '');
+    }
+    throw new Error(`Unknown inventory key scheme: ${scheme}`);
+}
+
+/**
+ * Whether a scheme can be stored in a map (`venue.inventoryKey`): 'label', 'id' or a template
+ * @param {*} scheme
+ * @returns {boolean}
+ */
+export function isInventoryKeyScheme(scheme) {
+    return scheme === 'label' || scheme === 'id' || (typeof scheme === 'string' && scheme.includes('{'));
+}
+
+/**
+ * Keys used by more than one seat
+ * @param {Array<{ key: string }>} seats - Seats with their keys (seats without a key are skipped)
+ * @returns {Array<{ key: string, seats: Array }>} One entry per shared key, in first-use order
+ */
+export function findKeyCollisions(seats) {
+    const byKey = new Map();
+    seats.forEach(seat => {
+        if (seat.key === undefined || seat.key === null) return;
+        if (!byKey.has(seat.key)) byKey.set(seat.key, []);
+        byKey.get(seat.key).push(seat);
+    });
+    return [...byKey]
+        .filter(([, group]) => group.length > 1)
+        .map(([key, group]) => ({ key, seats: group }));
+}
+
+/**
+ * Seats of a section with their row labels, inventory keys and positions, in row then seat order
+ * Rows that only have a definition (base.rowDefinitions) are laid out first.
+ * Keys are built like SeatMapRenderer.createSeat() (see buildInventoryKey()).
+ * @param {Object} data - Section data (GA sections and zones have no seats)
+ * @param {'label'|'id'|string|Function} [keyScheme='label'] - Inventory key scheme
+ * @returns {Array<{ seat: Object, row: string, number: string, key: string, local: { x, y }, x: number, y: number }>}
+ *   `local` is the position in the section's container, x/y the world position
+ */
+export function getSectionSeats(data, keyScheme = 'label') {
+    if (data.type === 'ga') return [];
+
+    const section = resolveRowDefinitionSeats(data);
+    const frame = getSectionFrame(section);
+    const rowLabelMap = buildRowLabelMap(section.seats, section.rowLabels);
+
+    return [...(section.seats || [])]
+        .sort((a, b) => a.r - b.r || a.c - b.c)
+        .map(seat => {
+            const local = getSeatPoint(section, seat);
+            const row = rowLabelMap[seat.r] || '';
+            const number = String(seat.n ?? '');
+            const fields = {
+                section: section.name,
+                sectionId: section.id,
+                level: section.levelId,
+                row,
+                seat: number,
+                id: seat.id
+            };
+            return {
+                seat,
+                row,
+                number,
+                key: buildInventoryKey(keyScheme, fields, seat, section),
+                local,
+                ...toWorldPoint(frame, local.x, local.y)
+            };
+        });
+}
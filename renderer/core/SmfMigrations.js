@@ -0,0 +1,211 @@
+/**
+ * SmfMigrations - Upgrades SMF files from older format versions
+ *
+ * Each step upgrades a file to the next format version; files run through
+ * every step newer than their version, in order, so a 1.x file becomes 2.0
+ * and then 2.1. Loaders read the current shape only.
+ *
+ * Shared by the editor (FileManager.importFromJSON) and the renderer
+ * (SeatMapRenderer.loadData), so it must not depend on PIXI.
+ *
+ * To change the format: bump SMF_VERSION, append a step whose `to` is the
+ * new version, and make the editor write the new shape.
+ */
+
+/** Newest SMF version this code reads and writes */
+export const SMF_VERSION = '2.1.0';
+
+/** Version assumed for files without one (they predate the version field) */
+export const OLDEST_SMF_VERSION = '1.0.0';
+
+/**
+ * Migration steps, oldest first
+ * `migrate(data, note)` upgrades `data` in place; `note(message)` records a change for the report.
+ */
+export const SMF_MIGRATIONS = [
+    {
+        to: '2.0.0',
+        description: 'Typed sections with seat arrays, seat numbering and full row label settings',
+        migrate(data, note) {
+            (data.sections || []).forEach(section => {
+                if (typeof section.seats === 'number') {
+                    section.seats = [];
+                    note('Seat counts replaced by full seat grids');
+                } else if (!Array.isArray(section.seats)) {
+                    section.seats = [];
+                }
+
+                if (!section.type) {
+                    section.type = 'regular';
+                    note('Sections marked as regular seat sections');
+                }
+
+                if (!section.base) {
+                    section.base = {
+                        rows: section.rows ?? 0,
+                        columns: section.columns ?? 0,
+                        baseWidth: section.width,
+                        baseHeight: section.height
+                    };
+                    delete section.rows;
+                    delete section.columns;
+                    note('Section grid moved to "base"');
+                }
+
+                section.transform = { rotation: 0, curve: 0, stretchH: 0, stretchV: 0, ...section.transform };
+
+                const rowLabels = section.rowLabels || { type: 'none' };
+                section.rowLabels = {
+                    ...rowLabels,
+                    type: rowLabels.type || 'none',
+                    start: rowLabels.start ?? (rowLabels.type === 'letters' ? 'A' : 1),
+                    reversed: rowLabels.reversed ?? false,
+                    showLeft: rowLabels.showLeft ?? false,
+                    showRight: rowLabels.showRight ?? false,
+                    hidden: rowLabels.hidden ?? false
+                };
+
+                if (!section.seatNumbering) {
+                    section.seatNumbering = { start: 1, reversed: false, perRow: true };
+                    note('Seat numbering added (starting at 1)');
+                }
+            });
+        }
+    },
+    {
+        to: '2.1.0',
+        description: 'Sparse seat keys, numeric colors, explicit zones and section pricing',
+        migrate(data, note) {
+            (data.sections || []).forEach(section => {
+                // Zones used to be GA sections recognized by their label or name
+                if (section.type === 'ga' && section.isZone === undefined &&
+                    (section.zoneLabel !== undefined || (section.name && section.name.startsWith('Zone')))) {
+                    section.isZone = true;
+                    note('Zones flagged with "isZone"');
+                }
+
+                if (Array.isArray(section.seats) && section.seats.some(isLegacySeat)) {
+                    section.seats = section.seats.map(toSparseSeat);
+                    note('Seats converted to sparse keys (r, c, n, x, y...)');
+                }
+
+                const style = section.style || {};
+                const textColors = ['seatColor', 'seatTextColor'].filter(field => typeof style[field] === 'string');
+                if (textColors.length > 0) {
+                    textColors.forEach(field => { style[field] = parseColor(style[field]); });
+                    note('Seat colors converted to numbers');
+                }
+                if (section.rowLabels && typeof section.rowLabels.color === 'string') {
+                    section.rowLabels.color = parseColor(section.rowLabels.color);
+                    note('Row label colors converted to numbers');
+                }
+
+                if (!section.pricing) {
+                    section.pricing = { basePrice: 0, serviceFee: 0, serviceFeeEnabled: false, serviceFeeType: 'fixed' };
+                    note('Section pricing added (base price 0)');
+                }
+            });
+        }
+    }
+];
+
+/**
+ * Upgrade an SMF file to SMF_VERSION
+ * The input is not modified. Files of the current version are returned as they are;
+ * files without a version are read as OLDEST_SMF_VERSION and run through every step.
+ * @param {Object} data - Parsed SMF file
+ * @returns {Object} { data, fromVersion, toVersion, changes: string[] } - changes read like "2.0.0 → 2.1.0: Seats converted to sparse keys (3 sections)"
+ * @throws {Error} If the version is malformed or newer than SMF_VERSION
+ */
+export function migrateSMF(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Not an SMF file');
+    }
+    const fromVersion = data.version || OLDEST_SMF_VERSION;
+    if (!parseVersion(fromVersion)) {
+        throw new Error(`Unrecognized SMF version "${fromVersion}" (expected x.y.z)`);
+    }
+    if (!isSupportedVersion(fromVersion)) {
+        throw new Error(`This map uses SMF ${fromVersion}, which is newer than the supported ${SMF_VERSION}. Update SeatMap JS to open it.`);
+    }
+
+    const steps = SMF_MIGRATIONS.filter(step => compareVersions(fromVersion, step.to) < 0);
+    if (steps.length === 0) {
+        return { data, fromVersion, toVersion: fromVersion, changes: [] };
+    }
+
+    const migrated = structuredClone(data);
+    const changes = data.version ? [] : [`No version: read as SMF ${OLDEST_SMF_VERSION}`];
+    let version = fromVersion;
+    steps.forEach(step => {
+        const counts = new Map();
+        step.migrate(migrated, message => counts.set(message, (counts.get(message) || 0) + 1));
+        counts.forEach((count, message) => {
+            changes.push(`${version} → ${step.to}: ${message}${count > 1 ? ` (${count} sections)` : ''}`);
+        });
+        version = step.to;
+    });
+    migrated.version = version;
+
+    return { data: migrated, fromVersion, toVersion: version, changes };
+}
+
+/**
+ * Whether a file version can be read (same or older major.minor than SMF_VERSION;
+ * newer patch versions only add optional fields)
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isSupportedVersion(version) {
+    const [major, minor] = parseVersion(version) || [];
+    const [currentMajor, currentMinor] = parseVersion(SMF_VERSION);
+    return major !== undefined && (major < currentMajor || (major === currentMajor && minor <= currentMinor));
+}
+
+/**
+ * Compare two x.y.z versions
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const va = parseVersion(a);
+    const vb = parseVersion(b);
+    return va[0] - vb[0] || va[1] - vb[1] || va[2] - vb[2];
+}
+
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version));
+    return match ? match.slice(1).map(Number) : null;
+}
+
+function isLegacySeat(seat) {
+    return seat.rowIndex !== undefined || seat.colIndex !== undefined || seat.number !== undefined ||
+        seat.baseX !== undefined || seat.relativeX !== undefined || seat.specialNeeds !== undefined;
+}
+
+/**
+ * Legacy seat (rowIndex, colIndex, number, baseX...) to sparse keys; defaults are omitted
+ */
+function toSparseSeat(seat) {
+    const {
+        rowIndex, colIndex, number, baseX, baseY, relativeX, relativeY,
+        specialNeeds, isManualNumber, metadata, ...rest
+    } = seat;
+    const sparse = { ...rest };
+    if (sparse.r === undefined && rowIndex !== undefined) sparse.r = rowIndex;
+    if (sparse.c === undefined && colIndex !== undefined) sparse.c = colIndex;
+    if (sparse.n === undefined && number !== undefined) sparse.n = number;
+    if (sparse.bx === undefined && baseX !== undefined) sparse.bx = baseX;
+    if (sparse.by === undefined && baseY !== undefined) sparse.by = baseY;
+    // Files without transformed positions use the base position
+    if (sparse.x === undefined && (relativeX ?? baseX) !== undefined) sparse.x = relativeX ?? baseX;
+    if (sparse.y === undefined && (relativeY ?? baseY) !== undefined) sparse.y = relativeY ?? baseY;
+    if (specialNeeds) sparse.sn = true;
+    if (isManualNumber) sparse.mn = true;
+    if (sparse.m === undefined && metadata !== undefined) sparse.m = metadata;
+    return sparse;
+}
+
+function parseColor(color) {
+    const value = parseInt(color.replace('#', ''), 16);
+    return Number.isNaN(value) ? undefined : value;
+}
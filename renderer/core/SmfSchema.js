@@ -0,0 +1,454 @@
+/**
+ * SmfSchema - JSON Schema of SMF 2.1 and the validator driven by it
+ *
+ * SMF_SCHEMA is the published schema (docs/smf.schema.json is generated
+ * from it). validateSMF() checks a file against it and needs no libraries,
+ * so the editor (SMFValidator), the renderer (loadData) and Node scripts
+ * share the same rules.
+ *
+ * Objects accept fields the schema doesn't list, so files written by newer
+ * patch versions still load; `strict` rejects them. Metadata objects are
+ * always open.
+ *
+ * The validator understands the keywords used here: $ref (to #/$defs),
+ * type, const, enum, minimum, maximum, exclusiveMinimum, minLength, pattern,
+ * minItems, items, required, properties and additionalProperties.
+ */
+
+const color = { type: 'integer', minimum: 0, maximum: 0xffffff, description: 'Hex color as a number (e.g. 16777215)' };
+const nullableString = { type: ['string', 'null'] };
+const nullableId = { type: ['string', 'null'], minLength: 1 };
+const metadata = { type: 'object', additionalProperties: true };
+const flag = { type: ['boolean', 'integer'], description: 'true when set (1 in some older files); omitted otherwise' };
+const coordinates = (min, max) => ({ type: ['number', 'null'], minimum: min, maximum: max });
+const polygon = { type: 'array', items: { type: 'number' }, minItems: 6, description: 'Vertices as [x1, y1, x2, y2, ...]' };
+
+/** JSON Schema (draft 2020-12) of SMF 2.1 */
+export const SMF_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'SMF (Seat Map Format) 2.1',
+    description: 'Venue seat map saved by the SeatMap JS editor and loaded by the renderer. See docs/FILE_FORMAT.md.',
+    type: 'object',
+    required: ['format', 'version', 'venue', 'sections'],
+    properties: {
+        $schema: { type: 'string' },
+        format: { const: 'SMF' },
+        version: { type: 'string', pattern: '^2\\.1\\.\\d+$', description: 'Format version; older files are upgraded by SmfMigrations before validation' },
+        created: { type: 'string', description: 'ISO 8601 timestamp' },
+        modified: { type: 'string', description: 'ISO 8601 timestamp' },
+        venue: { $ref: '#/$defs/venue' },
+        canvas: { $ref: '#/$defs/canvas' },
+        underlay: { $ref: '#/$defs/underlay' },
+        levels: { type: 'array', items: { $ref: '#/$defs/level' } },
+        groups: { type: 'array', items: { $ref: '#/$defs/group' } },
+        sections: { type: 'array', items: { $ref: '#/$defs/section' } },
+        objects: { type: 'array', items: { $ref: '#/$defs/object' } },
+        metadata: {
+            type: 'object',
+            properties: {
+                software: { type: 'string' },
+                author: { type: 'string' },
+                tags: { type: 'array', items: { type: 'string' } },
+                custom: metadata
+            },
+            additionalProperties: true
+        }
+    },
+    $defs: {
+        venue: {
+            type: 'object',
+            properties: {
+                name: nullableString,
+                capacity: { type: 'number', minimum: 0 },
+                timezone: { ...nullableString, description: 'IANA time zone, e.g. "America/Mexico_City"' },
+                inventoryKey: {
+                    type: 'string',
+                    description: 'Inventory key scheme: "label" (section;;row;;seat), "id" or a template with {section}, {sectionId}, {level}, {row}, {seat} and {id} placeholders'
+                },
+                location: {
+                    type: ['object', 'null'],
+                    properties: {
+                        address: nullableString,
+                        city: nullableString,
+                        state: nullableString,
+                        country: nullableString,
+                        coordinates: {
+                            type: ['object', 'null'],
+                            properties: {
+                                lat: coordinates(-90, 90),
+                                lng: coordinates(-180, 180)
+                            }
+                        }
+                    }
+                },
+                metadata: { ...metadata, description: 'Custom key/value pairs (strings, numbers or booleans)' }
+            }
+        },
+        canvas: {
+            type: 'object',
+            properties: {
+                width: { type: 'number', exclusiveMinimum: 0 },
+                height: { type: 'number', exclusiveMinimum: 0 },
+                zoom: { type: 'number' },
+                panX: { type: 'number' },
+                panY: { type: 'number' }
+            }
+        },
+        underlay: {
+            type: ['object', 'null'],
+            properties: {
+                dataUrl: nullableString,
+                sourceUrl: nullableString,
+                fileName: nullableString,
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: ['number', 'null'] },
+                height: { type: ['number', 'null'] },
+                scale: { type: 'number' },
+                opacity: { type: 'number', minimum: 0, maximum: 1 },
+                visible: { type: 'boolean' }
+            }
+        },
+        level: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                underlay: { $ref: '#/$defs/underlay' }
+            }
+        },
+        group: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                visible: { type: 'boolean' },
+                locked: { type: 'boolean' }
+            }
+        },
+        object: {
+            type: 'object',
+            required: ['id', 'type', 'x', 'y'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                type: { type: 'string', description: 'stage, pillar, entrance, exit, restroom, bar, food, info, first-aid, text or arrow; unknown types are skipped' },
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: 'number', exclusiveMinimum: 0 },
+                height: { type: 'number', exclusiveMinimum: 0 },
+                rotation: { type: 'number' },
+                color,
+                label: { type: 'string' },
+                fontSize: { type: 'number', exclusiveMinimum: 0 },
+                levelId: nullableId
+            }
+        },
+        section: {
+            type: 'object',
+            required: ['x', 'y', 'width', 'height'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                groupId: nullableId,
+                levelId: nullableId,
+                type: { enum: ['regular', 'ga'] },
+                x: { type: 'number', description: 'Top-left corner' },
+                y: { type: 'number' },
+                centerX: { type: 'number' },
+                centerY: { type: 'number' },
+                width: { type: 'number' },
+                height: { type: 'number' },
+                base: { $ref: '#/$defs/base' },
+                transform: { $ref: '#/$defs/transform' },
+                rowLabels: { $ref: '#/$defs/rowLabels' },
+                seatNumbering: { $ref: '#/$defs/seatNumbering' },
+                rowAlignment: { enum: ['left', 'center', 'right'] },
+                layoutShiftX: { type: 'number' },
+                layoutShiftY: { type: 'number' },
+                outline: { ...polygon, description: 'Shaped seat sections: outline in seat space' },
+                arc: { $ref: '#/$defs/arc' },
+                seats: { type: 'array', items: { $ref: '#/$defs/seat' } },
+                style: { $ref: '#/$defs/style' },
+                pricing: { $ref: '#/$defs/pricing' },
+                ga: {
+                    type: 'object',
+                    required: ['capacity'],
+                    properties: {
+                        capacity: { type: 'number', minimum: 0 }
+                    }
+                },
+                gaLabelFontSize: { type: 'number' },
+                gaLabelColor: color,
+                gaLabelOffsetX: { type: 'number' },
+                gaLabelOffsetY: { type: 'number' },
+                isZone: { type: 'boolean' },
+                zoneLabel: { type: 'string' },
+                showZoneLabel: { type: 'boolean' },
+                showZone: { type: 'boolean' },
+                fillOpacity: { type: 'number', minimum: 0, maximum: 1 },
+                labelFontSize: { type: 'number' },
+                labelColor: color,
+                labelOffsetX: { type: 'number' },
+                labelOffsetY: { type: 'number' },
+                points: { ...polygon, description: 'Zone polygon relative to the section origin' },
+                metadata
+            }
+        },
+        base: {
+            type: 'object',
+            properties: {
+                rows: { type: 'integer', minimum: 0 },
+                columns: { type: 'integer', minimum: 0 },
+                baseWidth: { type: 'number' },
+                baseHeight: { type: 'number' },
+                padding: { type: 'number' },
+                rowDefinitions: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['seats', 'spacing'],
+                        properties: {
+                            seats: { type: 'integer', minimum: 1 },
+                            spacing: { type: 'number', exclusiveMinimum: 0 },
+                            offset: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        },
+        transform: {
+            type: 'object',
+            properties: {
+                rotation: { type: 'number' },
+                curve: { type: 'number' },
+                stretchH: { type: 'number' },
+                stretchV: { type: 'number' }
+            }
+        },
+        rowLabels: {
+            type: 'object',
+            properties: {
+                type: { enum: ['none', 'numbers', 'letters', 'custom'] },
+                start: { type: ['string', 'number'] },
+                names: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: "Label of each row index ('custom' labels)"
+                },
+                reversed: { type: 'boolean' },
+                showLeft: { type: 'boolean' },
+                showRight: { type: 'boolean' },
+                hidden: { type: 'boolean' },
+                spacing: { type: 'number' },
+                color
+            }
+        },
+        seatNumbering: {
+            type: 'object',
+            properties: {
+                start: { type: 'number' },
+                reversed: { type: 'boolean' },
+                perRow: { type: 'boolean' }
+            }
+        },
+        arc: {
+            type: 'object',
+            required: ['innerRadius', 'rowDepth', 'rows', 'angleSpan', 'seatSpacing'],
+            properties: {
+                centerX: { type: 'number' },
+                centerY: { type: 'number' },
+                innerRadius: { type: 'number', exclusiveMinimum: 0 },
+                rowDepth: { type: 'number', exclusiveMinimum: 0 },
+                rows: { type: 'integer', minimum: 1 },
+                angleSpan: { type: 'number', exclusiveMinimum: 0, maximum: 360 },
+                seatSpacing: { type: 'number', exclusiveMinimum: 0 }
+            }
+        },
+        seat: {
+            type: 'object',
+            description: 'Sparse seat: optional fields are omitted when they have their default',
+            required: ['r', 'c'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                r: { type: 'integer', minimum: 0, description: 'Row index' },
+                c: { type: 'integer', minimum: 0, description: 'Column index' },
+                n: { type: ['string', 'number'], description: 'Seat number' },
+                x: { type: 'number', description: 'Position in the section (transformed)' },
+                y: { type: 'number' },
+                bx: { type: 'number', description: 'Grid position before transforms; omitted when equal to x' },
+                by: { type: 'number' },
+                sn: { ...flag, description: 'Special needs (accessible) seat' },
+                mn: { ...flag, description: 'Manually numbered seat' },
+                pc: { type: 'string', description: 'Price category id from the section pricing' },
+                m: metadata
+            }
+        },
+        style: {
+            type: 'object',
+            properties: {
+                fillColor: { type: 'string' },
+                borderColor: { type: 'string' },
+                seatColor: color,
+                seatTextColor: color,
+                sectionColor: color,
+                fillVisible: { type: 'boolean' },
+                strokeVisible: { type: 'boolean' },
+                opacity: { type: 'number', minimum: 0, maximum: 1 },
+                glow: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        color,
+                        opacity: { type: 'number', minimum: 0, maximum: 1 },
+                        strength: { type: 'number' },
+                        blur: { type: 'number' }
+                    }
+                }
+            }
+        },
+        pricing: {
+            type: 'object',
+            properties: {
+                basePrice: { type: 'number', minimum: 0 },
+                serviceFee: { type: 'number', minimum: 0 },
+                serviceFeeEnabled: { type: 'boolean' },
+                serviceFeeType: { enum: ['fixed', 'percent'] },
+                categories: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'price'],
+                        properties: {
+                            id: { type: 'string', minLength: 1 },
+                            name: { type: 'string' },
+                            price: { type: 'number', minimum: 0 },
+                            color
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+/**
+ * Validate a file against SMF_SCHEMA
+ * @param {*} data - Parsed SMF file (upgrade older versions with migrateSMF() first)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Reject fields the schema doesn't list (except in metadata)
+ * @returns {Object} { valid: boolean, errors: string[] } - errors name the field, e.g. 'Field "sections[0].seats[3].r" must be an integer'
+ */
+export function validateSMF(data, { strict = false } = {}) {
+    const errors = [];
+    checkValue(data, SMF_SCHEMA, '', errors, strict);
+    return { valid: errors.length === 0, errors };
+}
+
+function checkValue(value, schema, path, errors, strict) {
+    if (schema.$ref) {
+        schema = resolveRef(schema.$ref);
+    }
+    const field = path ? `Field "${path}"` : 'SMF file';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${field} must be ${[].concat(schema.type).map(type => TYPE_NAMES[type]).join(' or ')}`);
+        return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${field} must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${field} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${field} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${field} must be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${field} must be greater than ${schema.exclusiveMinimum}`);
+        }
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${field} must not be empty` : `${field} must have at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${field} must match ${schema.pattern} (got "${value}")`);
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${field} must have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors, strict));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        checkObject(value, schema, path, errors, strict);
+    }
+}
+
+function checkObject(value, schema, path, errors, strict) {
+    const properties = schema.properties || {};
+    const fieldPath = (key) => (path ? `${path}.${key}` : key);
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push(`Missing required field: ${fieldPath(key)}`);
+        }
+    });
+
+    // Unlisted fields: checked against an additionalProperties schema, rejected when closed
+    const additional = schema.additionalProperties;
+    const closed = additional === false || (strict && additional === undefined && schema.properties !== undefined);
+
+    Object.keys(value).forEach(key => {
+        if (value[key] === undefined) return;
+        if (Object.hasOwn(properties, key)) {
+            checkValue(value[key], properties[key], fieldPath(key), errors, strict);
+        } else if (closed) {
+            errors.push(`Unknown field: ${fieldPath(key)}`);
+        } else if (typeof additional === 'object') {
+            checkValue(value[key], additional, fieldPath(key), errors, strict);
+        }
+    });
+}
+
+function matchesType(value, type) {
+    return [].concat(type).some(name => {
+        switch (name) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'null': return value === null;
+            default: return typeof value === name;
+        }
+    });
+}
+
+function resolveRef(ref) {
+    const name = ref.replace('#/$defs/', '');
+    const schema = SMF_SCHEMA.$defs[name];
+    if (!schema) {
+        throw new Error(`Unknown schema reference "${ref}"`);
+    }
+    return schema;
+}
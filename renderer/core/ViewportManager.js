@@ -79,8 +79,8 @@ export class ViewportManager {
         let targetBounds;
         
         if (this.state.hasUnderlay) {
-            // Underlay has loaded - use actual sprite bounds
-            const underlayChild = this.viewport.children.find(c => c.isUnderlay);
+            // Underlay has loaded - use actual sprite bounds (the shown level's on multi-level maps)
+            const underlayChild = this.viewport.children.find(c => c.isUnderlay && c.visible);
             if (underlayChild) {
                 const localBounds = underlayChild.getLocalBounds();
                 targetBounds = {
@@ -135,14 +135,74 @@ export class ViewportManager {
      * Pan boundaries are kept to the underlay/full content for exploration
      * @param {boolean} animate - Whether to animate the transition
      * @param {number} padding - Padding around sections (default 40)
+     * @param {PIXI.Container[]} [containers] - Only fit these section containers (e.g. a group).
+     *   The initial view used by resets and pan limits is left unchanged.
      */
-    fitToSections(animate = true, padding = 40) {
+    fitToSections(animate = true, padding = 40, containers = null) {
+        const sectionsBounds = this.getSectionsBounds(containers);
+
+        if (!sectionsBounds) {
+            // Fallback to regular fitToView if no sections found
+            if (!containers) this.fitToView(animate);
+            return;
+        }
+
+        const { scale, x: targetX, y: targetY } = this.getFitTransform(
+            sectionsBounds,
+            this.app.screen.width,
+            this.app.screen.height,
+            padding,
+            this.config.maxZoom || 2.5
+        );
+
+        // Fitting a subset (e.g. a group) is a zoom, not a new initial view
+        if (!containers) {
+            // Calculate underlay bounds for pan constraints (if underlay exists)
+            // This allows users to pan around the full map, not just the sections
+            let constraintBounds = sectionsBounds;
+            if (this.state.hasUnderlay) {
+                const underlayChild = this.viewport.children.find(c => c.isUnderlay && c.visible);
+                if (underlayChild) {
+                    const localBounds = underlayChild.getLocalBounds();
+                    constraintBounds = {
+                        x: underlayChild.x + (localBounds.x * underlayChild.scale.x),
+                        y: underlayChild.y + (localBounds.y * underlayChild.scale.y),
+                        width: localBounds.width * underlayChild.scale.x,
+                        height: localBounds.height * underlayChild.scale.y
+                    };
+                }
+            } else if (this.state.underlayBounds) {
+                // Underlay is loading - use estimated bounds from JSON data
+                constraintBounds = this.state.underlayBounds;
+            }
+
+            // Update state - use underlay bounds for constraints, but scale based on sections
+            this.state.initialScale = scale;
+            this.state.initialBounds = constraintBounds; // Pan limits based on underlay
+            this.state.initialPosition = { x: targetX, y: targetY };
+        }
+
+        if (animate) {
+            this.animateViewport(targetX, targetY, scale);
+        } else {
+            this.viewport.scale.set(scale);
+            this.viewport.position.set(targetX, targetY);
+            if (this.onUpdate) this.onUpdate();
+        }
+    }
+
+    /**
+     * Get the bounds of section containers in viewport coordinates
+     * @param {PIXI.Container[]} [containers] - Sections to measure (defaults to every visible section and zone)
+     * @returns {{x: number, y: number, width: number, height: number}|null} Null when there are no sections
+     */
+    getSectionsBounds(containers = null) {
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         let foundSections = false;
 
-        for (const child of this.viewport.children) {
-            // Skip underlay and labels layer
-            if (child.isUnderlay || child.isLabelsLayer) continue;
+        for (const child of containers || this.viewport.children) {
+            // Skip underlay, labels layer and sections of hidden levels
+            if (child.isUnderlay || child.isLabelsLayer || !child.visible) continue;
             
             // Include all section containers (both regular sections and zones)
             // They all have sectionWidth/sectionHeight properties
@@ -151,76 +211,49 @@ export class ViewportManager {
                 // So we need to calculate the actual bounds
                 const halfWidth = child.sectionWidth / 2;
                 const halfHeight = child.sectionHeight / 2;
-                const left = child.x - halfWidth;
-                const top = child.y - halfHeight;
-                const right = child.x + halfWidth;
-                const bottom = child.y + halfHeight;
-                
-                minX = Math.min(minX, left);
-                minY = Math.min(minY, top);
-                maxX = Math.max(maxX, right);
-                maxY = Math.max(maxY, bottom);
+                minX = Math.min(minX, child.x - halfWidth);
+                minY = Math.min(minY, child.y - halfHeight);
+                maxX = Math.max(maxX, child.x + halfWidth);
+                maxY = Math.max(maxY, child.y + halfHeight);
                 foundSections = true;
             }
         }
 
-        if (!foundSections) {
-            // Fallback to regular fitToView if no sections found
-            this.fitToView(animate);
-            return;
-        }
+        if (!foundSections) return null;
 
-        const sectionsBounds = {
+        return {
             x: minX,
             y: minY,
             width: maxX - minX,
             height: maxY - minY
         };
+    }
 
-        const screenWidth = this.app.screen.width;
-        const screenHeight = this.app.screen.height;
-
-        const scaleX = (screenWidth - padding * 2) / sectionsBounds.width;
-        const scaleY = (screenHeight - padding * 2) / sectionsBounds.height;
-        const scale = Math.min(scaleX, scaleY, this.config.maxZoom || 2.5);
-
-        const centerX = sectionsBounds.x + sectionsBounds.width / 2;
-        const centerY = sectionsBounds.y + sectionsBounds.height / 2;
-        
-        const targetX = (screenWidth / 2) - (centerX * scale);
-        const targetY = (screenHeight / 2) - (centerY * scale);
-
-        // Calculate underlay bounds for pan constraints (if underlay exists)
-        // This allows users to pan around the full map, not just the sections
-        let constraintBounds = sectionsBounds;
-        if (this.state.hasUnderlay) {
-            const underlayChild = this.viewport.children.find(c => c.isUnderlay);
-            if (underlayChild) {
-                const localBounds = underlayChild.getLocalBounds();
-                constraintBounds = {
-                    x: underlayChild.x + (localBounds.x * underlayChild.scale.x),
-                    y: underlayChild.y + (localBounds.y * underlayChild.scale.y),
-                    width: localBounds.width * underlayChild.scale.x,
-                    height: localBounds.height * underlayChild.scale.y
-                };
-            }
-        } else if (this.state.underlayBounds) {
-            // Underlay is loading - use estimated bounds from JSON data
-            constraintBounds = this.state.underlayBounds;
-        }
-
-        // Update state - use underlay bounds for constraints, but scale based on sections
-        this.state.initialScale = scale;
-        this.state.initialBounds = constraintBounds; // Pan limits based on underlay
-        this.state.initialPosition = { x: targetX, y: targetY };
-
-        if (animate) {
-            this.animateViewport(targetX, targetY, scale);
-        } else {
-            this.viewport.scale.set(scale);
-            this.viewport.position.set(targetX, targetY);
-            if (this.onUpdate) this.onUpdate();
-        }
+    /**
+     * Get the viewport scale and position that center bounds in an area
+     * Padding is limited to a quarter of the area's width and height, so small
+     * areas (e.g. thumbnails) keep at least half their size for the content.
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Content bounds
+     * @param {number} width - Area width (screen or image)
+     * @param {number} height - Area height
+     * @param {number} padding - Space kept around the content
+     * @param {number} maxScale - Scale limit
+     * @returns {{scale: number, x: number, y: number}}
+     */
+    getFitTransform(bounds, width, height, padding, maxScale) {
+        const pad = Math.max(0, Math.min(padding, width / 4, height / 4));
+        const scaleX = (width - pad * 2) / bounds.width;
+        const scaleY = (height - pad * 2) / bounds.height;
+        const scale = Math.min(scaleX, scaleY, maxScale);
+
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+
+        return {
+            scale,
+            x: (width / 2) - (centerX * scale),
+            y: (height / 2) - (centerY * scale)
+        };
     }
 
     /**
@@ -12,11 +12,34 @@ export { SeatMapRenderer } from './SeatMapRenderer.js';
 // Core modules
 export { TextureCache } from './core/TextureCache.js';
 export { ViewportManager } from './core/ViewportManager.js';
+export {
+    SMF_VERSION,
+    OLDEST_SMF_VERSION,
+    SMF_MIGRATIONS,
+    migrateSMF,
+    isSupportedVersion,
+    compareVersions
+} from './core/SmfMigrations.js';
+export { SMF_SCHEMA, validateSMF } from './core/SmfSchema.js';
+export { SeatStatusRegistry, DEFAULT_SEAT_STATUSES } from './core/SeatStatusRegistry.js';
+export {
+    getSectionFrame,
+    toWorldPoint,
+    getSeatPoint,
+    getRowLabelPositions,
+    KEY_PLACEHOLDERS,
+    buildInventoryKey,
+    isInventoryKeyScheme,
+    findKeyCollisions
+} from './core/SmfLayout.js';
 
 // Interaction modules
 export { InputHandler } from './interaction/InputHandler.js';
 export { SelectionManager } from './interaction/SelectionManager.js';
 export { CartManager } from './interaction/CartManager.js';
+export { HoldManager } from './interaction/HoldManager.js';
+export { BestAvailableFinder } from './interaction/BestAvailableFinder.js';
+export { KeyboardNavigator } from './interaction/KeyboardNavigator.js';
 
 // UI modules
 export { UIManager } from './ui/UIManager.js';
@@ -24,6 +47,13 @@ export { TooltipManager } from './TooltipManager.js';
 
 // Inventory modules
 export { InventoryManager } from './inventory/InventoryManager.js';
+export {
+    InventoryTransport,
+    WebSocketInventoryTransport,
+    SSEInventoryTransport,
+    BroadcastChannelInventoryTransport,
+    MockInventoryTransport
+} from './inventory/InventoryTransport.js';
 
 // Rendering modules
 export { 
@@ -37,10 +67,17 @@ export {
     renderZoneContent 
 } from './rendering/SectionRenderer.js';
 
+export { 
+    createObjectsLayer,
+    createVenueObject,
+    OBJECT_TYPE_DEFAULTS 
+} from './rendering/ObjectRenderer.js';
+
 export { 
     renderRowLabels,
     buildRowLabelMap,
-    getRowLabelText 
+    getRowLabelText,
+    getRowLabel
 } from './rendering/RowLabelRenderer.js';
 
 // Re-export PIXI for convenience (when bundled)
@@ -0,0 +1,244 @@
+/**
+ * BestAvailableFinder - Finds contiguous blocks of available seats
+ *
+ * Blocks are runs of adjacent seats in one row (seatsByRow order). Each block
+ * is scored between 0 and 1 as a weighted mix of:
+ * - centrality: how close the block is to the middle of its row
+ * - stage: proximity to the stage (row order, or distance to a stage point)
+ * - price: how cheap the block is compared to the other candidates
+ */
+
+export class BestAvailableFinder {
+    /**
+     * @param {Object} options
+     * @param {SelectionManager} options.selectionManager - Row lookup and availability rules
+     * @param {CartManager} options.cartManager - Seat price resolution
+     * @param {Function} options.getPosition - Returns {x, y} map coordinates of a seat container
+     * @param {Object} options.weights - Default score weights { centrality, stage, price }
+     * @param {number} options.maxResults - Default number of blocks returned
+     * @param {boolean} options.preventOrphanSeats - Skip blocks that would leave single seats
+     * @param {number} options.gapTolerance - Seats further apart than this multiple of the row's seat pitch are not adjacent
+     */
+    constructor(options = {}) {
+        this.selectionManager = options.selectionManager;
+        this.cartManager = options.cartManager;
+        this.getPosition = options.getPosition || (seat => ({ x: seat.x, y: seat.y }));
+        this.options = {
+            weights: { centrality: 1, stage: 1, price: 0 },
+            maxResults: 5,
+            preventOrphanSeats: true,
+            gapTolerance: 1.5,
+            ...options
+        };
+    }
+
+    /**
+     * Find and rank blocks of available seats
+     * @param {Object} request
+     * @param {number} request.quantity - Seats per block
+     * @param {string[]} [request.sectionIds] - Only search these sections
+     * @param {number} [request.priceMax] - Maximum price per seat
+     * @param {boolean} [request.accessible] - Require a special needs seat in the block (SN seats are skipped otherwise)
+     * @param {Object} [request.weights] - Score weights, merged over the defaults
+     * @param {{x: number, y: number}} [request.stage] - Stage point in map coordinates
+     * @param {number} [request.maxResults] - Number of blocks to return (0 = all)
+     * @returns {Array<{ sectionId, sectionName, rowIndex, rowLabel, seatContainers, prices, totalPrice, score, scores }>}
+     */
+    find(request = {}) {
+        const quantity = Math.max(1, Math.floor(request.quantity || 1));
+        const sectionFilter = request.sectionIds?.length ? new Set(request.sectionIds) : null;
+        const seatsByRow = this.selectionManager.seatsByRow;
+
+        const blocks = [];
+        for (const sectionId in seatsByRow) {
+            if (sectionFilter && !sectionFilter.has(sectionId)) continue;
+
+            const rowIndexes = Object.keys(seatsByRow[sectionId]).map(Number).sort((a, b) => a - b);
+            rowIndexes.forEach((rowIndex, rank) => {
+                const rowSeats = seatsByRow[sectionId][rowIndex];
+                for (const block of this.findRowBlocks(rowSeats, quantity, request)) {
+                    block.sectionId = sectionId;
+                    block.rowIndex = rowIndex;
+                    block.rowRank = rowIndexes.length > 1 ? rank / (rowIndexes.length - 1) : 0;
+                    blocks.push(block);
+                }
+            });
+        }
+
+        this.scoreBlocks(blocks, { ...this.options.weights, ...request.weights }, request.stage);
+        blocks.sort((a, b) => b.score - a.score);
+
+        const maxResults = request.maxResults ?? this.options.maxResults;
+        return (maxResults > 0 ? blocks.slice(0, maxResults) : blocks).map(block => {
+            const first = block.seatContainers[0];
+            return {
+                sectionId: block.sectionId,
+                sectionName: first.sectionName,
+                rowIndex: block.rowIndex,
+                rowLabel: first._rowLabel || '',
+                seatContainers: block.seatContainers,
+                prices: block.prices,
+                totalPrice: block.prices.reduce((sum, price) => sum + price, 0),
+                score: block.score,
+                scores: block.scores
+            };
+        });
+    }
+
+    /**
+     * Find every qualifying block in a row
+     * @param {PIXI.Container[]} rowSeats - Seats sorted by x
+     * @param {number} quantity
+     * @param {Object} request
+     * @returns {Array<{ seatContainers, prices, centrality }>}
+     */
+    findRowBlocks(rowSeats, quantity, request) {
+        if (rowSeats.length < quantity) return [];
+
+        const eligible = rowSeats.map(seat => this.isEligible(seat, request));
+        const prices = rowSeats.map(seat => this.getPrice(seat));
+        const breaks = this.findGaps(rowSeats);
+        const rowMid = (rowSeats.length - 1) / 2;
+
+        const blocks = [];
+        for (let start = 0; start + quantity <= rowSeats.length; start++) {
+            const end = start + quantity - 1;
+
+            let valid = true;
+            for (let i = start; i <= end && valid; i++) {
+                if (!eligible[i]) valid = false;
+                if (i < end && breaks[i]) valid = false;
+                if (request.priceMax !== undefined && request.priceMax !== null && prices[i] > request.priceMax) valid = false;
+            }
+            if (!valid) continue;
+
+            const seatContainers = rowSeats.slice(start, end + 1);
+            if (request.accessible && !seatContainers.some(seat => this.selectionManager.isSpecialNeedsSeat(seat))) continue;
+            if (this.options.preventOrphanSeats && this.wouldLeaveOrphan(rowSeats, start, end, breaks)) continue;
+
+            const blockMid = (start + end) / 2;
+            blocks.push({
+                seatContainers,
+                prices: prices.slice(start, end + 1),
+                centrality: rowMid > 0 ? 1 - Math.abs(blockMid - rowMid) / rowMid : 1
+            });
+        }
+        return blocks;
+    }
+
+    /**
+     * Check whether a seat may be part of a block
+     * @param {PIXI.Container} seatContainer
+     * @param {Object} request
+     * @returns {boolean}
+     */
+    isEligible(seatContainer, request) {
+        if (seatContainer.selected || !this.selectionManager.isSeatAvailable(seatContainer)) return false;
+        // Accessible seats are only offered to accessible requests
+        if (!request.accessible && this.selectionManager.isSpecialNeedsSeat(seatContainer)) return false;
+        return true;
+    }
+
+    /**
+     * Price a buyer pays for a seat (percentage and fixed promos applied)
+     * @param {PIXI.Container} seatContainer
+     * @returns {number}
+     */
+    getPrice(seatContainer) {
+        return this.cartManager.getSeatPrice(
+            seatContainer.seatData,
+            seatContainer.sectionPricing,
+            seatContainer.sectionName
+        ).price;
+    }
+
+    /**
+     * Mark aisles: gaps[i] is true when seat i and seat i + 1 are not adjacent
+     * Seats are adjacent when their distance is within gapTolerance times the row's seat pitch.
+     * @param {PIXI.Container[]} rowSeats
+     * @returns {boolean[]}
+     */
+    findGaps(rowSeats) {
+        const distances = [];
+        for (let i = 0; i < rowSeats.length - 1; i++) {
+            distances.push(Math.hypot(rowSeats[i + 1].x - rowSeats[i].x, rowSeats[i + 1].y - rowSeats[i].y));
+        }
+        const pitch = distances.reduce((min, d) => (d > 0 ? Math.min(min, d) : min), Infinity);
+        if (!Number.isFinite(pitch)) return distances.map(() => false);
+        return distances.map(d => d > pitch * this.options.gapTolerance);
+    }
+
+    /**
+     * Check whether taking a block would leave a single available seat next to it
+     * Mirrors SelectionManager.wouldCreateOrphan: unavailable seats, SN seats,
+     * aisles and row ends are boundaries, and SN seats may be left alone.
+     * @param {PIXI.Container[]} rowSeats
+     * @param {number} start - First seat index of the block
+     * @param {number} end - Last seat index of the block
+     * @param {boolean[]} gaps - Result of findGaps
+     * @returns {boolean}
+     */
+    wouldLeaveOrphan(rowSeats, start, end, gaps) {
+        const isOpen = (i) => i >= 0 && i < rowSeats.length
+            && !rowSeats[i].selected
+            && this.selectionManager.isSeatAvailable(rowSeats[i])
+            && !this.selectionManager.isSpecialNeedsSeat(rowSeats[i]);
+
+        // Left neighbor: orphaned when it is open but the seat beyond it is not
+        const left = start - 1;
+        if (left >= 0 && !gaps[left] && isOpen(left)) {
+            if (left === 0 || gaps[left - 1] || !isOpen(left - 1)) return true;
+        }
+
+        const right = end + 1;
+        if (right < rowSeats.length && !gaps[end] && isOpen(right)) {
+            if (right === rowSeats.length - 1 || gaps[right] || !isOpen(right + 1)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compute score components and the weighted score of each block
+     * @param {Array} blocks
+     * @param {Object} weights - { centrality, stage, price }
+     * @param {{x: number, y: number}} [stage] - Stage point in map coordinates
+     */
+    scoreBlocks(blocks, weights, stage) {
+        if (blocks.length === 0) return;
+
+        const averages = blocks.map(block => block.prices.reduce((sum, p) => sum + p, 0) / block.prices.length);
+        const minPrice = averages.reduce((min, p) => Math.min(min, p), Infinity);
+        const priceRange = averages.reduce((max, p) => Math.max(max, p), -Infinity) - minPrice;
+
+        let distances = null;
+        let minDistance = 0;
+        let distanceRange = 0;
+        if (stage) {
+            distances = blocks.map(block => {
+                const first = this.getPosition(block.seatContainers[0]);
+                const last = this.getPosition(block.seatContainers[block.seatContainers.length - 1]);
+                return Math.hypot((first.x + last.x) / 2 - stage.x, (first.y + last.y) / 2 - stage.y);
+            });
+            minDistance = distances.reduce((min, d) => Math.min(min, d), Infinity);
+            distanceRange = distances.reduce((max, d) => Math.max(max, d), -Infinity) - minDistance;
+        }
+
+        const total = (weights.centrality || 0) + (weights.stage || 0) + (weights.price || 0);
+
+        blocks.forEach((block, i) => {
+            block.scores = {
+                centrality: block.centrality,
+                // Without a stage point, row 0 is taken to be the front row
+                stage: distances
+                    ? (distanceRange > 0 ? 1 - (distances[i] - minDistance) / distanceRange : 1)
+                    : 1 - block.rowRank,
+                price: priceRange > 0 ? 1 - (averages[i] - minPrice) / priceRange : 1
+            };
+            block.score = total > 0
+                ? ((weights.centrality || 0) * block.scores.centrality
+                    + (weights.stage || 0) * block.scores.stage
+                    + (weights.price || 0) * block.scores.price) / total
+                : 0;
+        });
+    }
+}
@@ -24,13 +24,25 @@ export class CartManager {
     }
 
     /**
-     * Get seat price with fallback to section pricing
+     * Get the price category assigned to a seat
+     * @param {Object} seatData 
+     * @param {Object} sectionPricing 
+     * @returns {Object|null} { id, name, price, color } or null
+     */
+    getSeatCategory(seatData, sectionPricing) {
+        const categoryId = seatData.pc ?? seatData.priceCategory;
+        if (!categoryId || !Array.isArray(sectionPricing?.categories)) return null;
+        return sectionPricing.categories.find(category => category.id === categoryId) || null;
+    }
+
+    /**
+     * Get seat price with fallback to the seat's price category, then section pricing
      * @param {Object} seatData 
      * @param {Object} sectionPricing 
      * @returns {number}
      */
     getBaseSeatPrice(seatData, sectionPricing) {
-        return seatData.price ?? sectionPricing?.basePrice ?? 0;
+        return seatData.price ?? this.getSeatCategory(seatData, sectionPricing)?.price ?? sectionPricing?.basePrice ?? 0;
     }
 
     /**
@@ -185,15 +197,15 @@ export class CartManager {
             const basePrice = this.getBaseSeatPrice(data, container.sectionPricing);
             const priceInfo = this.getSeatPrice(data, container.sectionPricing, sectionName);
             
-            // Track seats by section for quantity promo calculation
+            // Track seats by section and price for quantity promo calculation
             if (!sectionGroups.has(sectionName)) {
                 sectionGroups.set(sectionName, {
-                    seats: [],
-                    basePrice: basePrice,
+                    tiers: new Map(),
                     promo: this.getPromo(sectionName)
                 });
             }
-            sectionGroups.get(sectionName).seats.push(container);
+            const tiers = sectionGroups.get(sectionName).tiers;
+            tiers.set(basePrice, (tiers.get(basePrice) || 0) + 1);
             
             // Convert numeric seat color to hex string
             const seatColorNum = container.seatColor;
@@ -206,6 +218,7 @@ export class CartManager {
                 key: container.key,
                 sectionId: container.sectionId,
                 sectionName: sectionName,
+                levelId: container.levelId ?? null,
                 row: data.rn || data.rowName || data.row || (data.r !== undefined ? String.fromCharCode(65 + data.r) : ''),
                 seat: data.sn || data.seatNumber || data.seat || data.c || '',
                 price: priceInfo.price,
@@ -213,24 +226,34 @@ export class CartManager {
                 hasDiscount: priceInfo.hasDiscount,
                 isQuantityPromo: priceInfo.isQuantityPromo,
                 promoId: priceInfo.promoId,
+                category: this.getSeatCategory(data, container.sectionPricing)?.name || null,
                 special: data.sn || data.specialNeeds || data.special || null,
+                holdExpiresAt: container.holdExpiresAt ?? null,
                 color: seatColorHex
             };
         });
 
         // Calculate section summaries with quantity-based promos
         const sectionSummaries = {};
+        // Seats of different price categories form separate promo groups
         for (const [sectionName, group] of sectionGroups) {
-            const promoCalc = this.calculateQuantityPromo(
-                group.seats.length,
-                group.basePrice,
-                group.promo
-            );
-            sectionSummaries[sectionName] = {
-                quantity: group.seats.length,
-                basePrice: group.basePrice,
-                ...promoCalc
-            };
+            const tiers = Array.from(group.tiers, ([basePrice, quantity]) => ({
+                quantity,
+                basePrice,
+                ...this.calculateQuantityPromo(quantity, basePrice, group.promo)
+            }));
+            const summary = { ...tiers[0] };
+            for (const tier of tiers.slice(1)) {
+                summary.quantity += tier.quantity;
+                summary.totalPrice += tier.totalPrice;
+                summary.originalTotal += tier.originalTotal;
+                summary.paidItems += tier.paidItems;
+                summary.freeItems += tier.freeItems;
+            }
+            if (tiers.length > 1) {
+                summary.tiers = tiers;
+            }
+            sectionSummaries[sectionName] = summary;
         }
 
         // Format GA selections for cart (with promo support)
@@ -249,6 +272,7 @@ export class CartManager {
             return {
                 sectionId: selection.sectionId,
                 sectionName: sectionName,
+                levelId: selection.levelId ?? null,
                 quantity: selection.quantity,
                 pricePerTicket: promoCalc.pricePerItem,
                 originalPricePerTicket: promoCalc.originalPricePerItem || null,
@@ -278,9 +302,13 @@ export class CartManager {
         const gaTotal = ga.reduce((sum, item) => sum + item.totalPrice, 0);
         const gaOriginalTotal = ga.reduce((sum, item) => sum + item.originalTotal, 0);
 
+        // Earliest hold deadline of the selected seats
+        const holdDeadlines = seats.map(seat => seat.holdExpiresAt).filter(time => time !== null);
+
         return {
             seats: seats,
             ga: ga,
+            holdExpiresAt: holdDeadlines.length > 0 ? Math.min(...holdDeadlines) : null,
             sectionSummaries: sectionSummaries,
             seatCount: seats.length,
             gaCount: gaCount,
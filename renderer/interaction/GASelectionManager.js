@@ -19,6 +19,7 @@ export class GASelectionManager {
         
         this.container = options.container;
         this.getCurrentSelectionCount = options.getCurrentSelectionCount || (() => 0);
+        this.formatPrice = options.formatPrice || ((price) => `$${price.toLocaleString()}`);
         this.onConfirm = options.onConfirm;
         this.onCancel = options.onCancel;
         
@@ -30,6 +31,7 @@ export class GASelectionManager {
         
         this.dialog = null;
         this.currentSection = null;
+        this.returnFocus = null; // Element focused before the dialog opened
     }
 
     /**
@@ -120,8 +122,10 @@ export class GASelectionManager {
         // Update dialog content
         this.updateDialog(sectionData, currentQty, maxQty);
         
-        // Show dialog
+        // Show dialog and move keyboard focus into it
+        this.returnFocus = document.activeElement;
         this.dialog.style.display = 'flex';
+        this.dialog.querySelector('.ga-qty-plus').focus();
     }
 
     /**
@@ -132,23 +136,23 @@ export class GASelectionManager {
         this.dialog.className = 'ga-selection-dialog';
         this.dialog.innerHTML = `
             <div class="ga-dialog-backdrop"></div>
-            <div class="ga-dialog-content">
+            <div class="ga-dialog-content" role="dialog" aria-modal="true" aria-labelledby="ga-dialog-section-name">
                 <div class="ga-dialog-header">
                     <span class="ga-dialog-title">General</span>
                 </div>
                 <div class="ga-dialog-section-info">
-                    <span class="ga-dialog-section-name"></span>
+                    <span class="ga-dialog-section-name" id="ga-dialog-section-name"></span>
                     <span class="ga-dialog-section-price"></span>
                 </div>
                 <div class="ga-dialog-body">
                     <p class="ga-dialog-label">Seleccione cantidad</p>
                     <div class="ga-dialog-quantity">
-                        <button class="ga-qty-btn ga-qty-minus" type="button">
-                            <span>−</span>
+                        <button class="ga-qty-btn ga-qty-minus" type="button" aria-label="Disminuir cantidad">
+                            <span aria-hidden="true">−</span>
                         </button>
-                        <span class="ga-qty-value">0</span>
-                        <button class="ga-qty-btn ga-qty-plus" type="button">
-                            <span>+</span>
+                        <span class="ga-qty-value" aria-live="polite">0</span>
+                        <button class="ga-qty-btn ga-qty-plus" type="button" aria-label="Aumentar cantidad">
+                            <span aria-hidden="true">+</span>
                         </button>
                     </div>
                 </div>
@@ -373,6 +377,9 @@ export class GASelectionManager {
         
         backdrop.addEventListener('click', () => this.hide());
         cancelBtn.addEventListener('click', () => this.hide());
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
         
         minusBtn.addEventListener('click', () => {
             const valueEl = this.dialog.querySelector('.ga-qty-value');
@@ -414,7 +421,7 @@ export class GASelectionManager {
         
         const pricing = sectionData.pricing || {};
         const price = pricing.basePrice || 0;
-        priceEl.textContent = price > 0 ? `$${price.toLocaleString()} MXN` : '';
+        priceEl.textContent = price > 0 ? this.formatPrice(price) : '';
         
         // Apply section color to name and price (like tooltip)
         const style = sectionData.style || {};
@@ -455,6 +462,7 @@ export class GASelectionManager {
         if (this.dialog) {
             this.dialog.style.display = 'none';
         }
+        this.restoreFocus();
         
         if (this.onCancel) {
             this.onCancel();
@@ -463,6 +471,16 @@ export class GASelectionManager {
         this.currentSection = null;
     }
 
+    /**
+     * Return keyboard focus to where it was before the dialog opened
+     */
+    restoreFocus() {
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
     /**
      * Confirm the selection
      */
@@ -485,6 +503,7 @@ export class GASelectionManager {
         
         // Hide dialog
         this.dialog.style.display = 'none';
+        this.restoreFocus();
         
         // Dispatch event
         this.dispatchEvent('ga-selection-change', {
@@ -522,6 +541,7 @@ export class GASelectionManager {
             return {
                 sectionId,
                 sectionName: sel.data.name,
+                levelId: sel.data.levelId ?? null,
                 quantity: sel.quantity,
                 pricePerItem: sel.data.pricing?.basePrice || 0,
                 totalPrice: (sel.data.pricing?.basePrice || 0) * sel.quantity,
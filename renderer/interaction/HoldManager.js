@@ -0,0 +1,184 @@
+/**
+ * HoldManager - Tracks timed seat holds and their expiry
+ *
+ * Two kinds of holds are tracked:
+ * - 'selection': seats selected by this user, shown with a countdown ring
+ * - 'inventory': seats held by someone else (inventory status "held")
+ */
+
+import * as PIXI from 'pixi.js';
+
+export class HoldManager {
+    /**
+     * @param {Object} options - Configuration
+     * @param {Object} options.config - Renderer configuration
+     * @param {Function} options.onExpire - Called with (seatContainer, type, expiresAt) when a hold expires
+     * @param {Function} options.now - Clock returning epoch milliseconds (default: Date.now)
+     */
+    constructor(options = {}) {
+        this.config = options.config || {};
+        this.onExpire = options.onExpire;
+        this.now = options.now || (() => Date.now());
+
+        this.holds = new Map(); // Map<seatContainer, { expiresAt, startedAt, type }>
+        this._elapsed = 0;
+    }
+
+    /**
+     * Parse a hold deadline
+     * @param {number|string|Date} value - Epoch milliseconds, ISO string or Date
+     * @returns {number|null} Epoch milliseconds, null if invalid
+     */
+    static parseExpiry(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const time = value instanceof Date ? value.getTime()
+            : typeof value === 'number' ? value
+            : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+
+    /**
+     * Start or replace a hold on a seat
+     * @param {PIXI.Container} seatContainer
+     * @param {number|string|Date} expiresAt - Hold deadline
+     * @param {string} type - 'selection' or 'inventory'
+     * @returns {boolean} False if the deadline is invalid
+     */
+    setHold(seatContainer, expiresAt, type = 'selection') {
+        const time = HoldManager.parseExpiry(expiresAt);
+        if (time === null) {
+            console.warn('Invalid hold expiry:', expiresAt);
+            return false;
+        }
+
+        this.holds.set(seatContainer, { expiresAt: time, startedAt: this.now(), type });
+        seatContainer.holdExpiresAt = time;
+
+        if (type === 'selection') {
+            this.drawCountdown(seatContainer);
+        }
+        return true;
+    }
+
+    /**
+     * Remove the hold of a seat
+     * @param {PIXI.Container} seatContainer
+     */
+    clearHold(seatContainer) {
+        if (!this.holds.delete(seatContainer)) return;
+        seatContainer.holdExpiresAt = null;
+        this.removeCountdown(seatContainer);
+    }
+
+    /**
+     * Remove all holds of a type (all holds when omitted)
+     * @param {string} [type] - 'selection' or 'inventory'
+     */
+    clearAll(type) {
+        for (const [seatContainer, hold] of this.holds) {
+            if (!type || hold.type === type) {
+                this.clearHold(seatContainer);
+            }
+        }
+    }
+
+    /**
+     * Get the hold of a seat
+     * @param {PIXI.Container} seatContainer
+     * @returns {{ expiresAt: number, startedAt: number, type: string }|null}
+     */
+    getHold(seatContainer) {
+        return this.holds.get(seatContainer) || null;
+    }
+
+    /**
+     * Milliseconds left on a seat's hold
+     * @param {PIXI.Container} seatContainer
+     * @returns {number|null} Null when the seat has no hold
+     */
+    getRemaining(seatContainer) {
+        const hold = this.holds.get(seatContainer);
+        return hold ? Math.max(0, hold.expiresAt - this.now()) : null;
+    }
+
+    /**
+     * Ticker callback: refresh countdowns and expire holds
+     * Work is throttled to holdUpdateInterval.
+     * @param {PIXI.Ticker} ticker
+     */
+    update(ticker) {
+        if (this.holds.size === 0) return;
+
+        this._elapsed += ticker?.deltaMS ?? 0;
+        if (this._elapsed < (this.config.holdUpdateInterval || 250)) return;
+        this._elapsed = 0;
+
+        const now = this.now();
+        const expired = [];
+        for (const [seatContainer, hold] of this.holds) {
+            if (now >= hold.expiresAt) {
+                expired.push([seatContainer, hold]);
+            } else if (hold.type === 'selection') {
+                this.drawCountdown(seatContainer);
+            }
+        }
+
+        for (const [seatContainer, hold] of expired) {
+            this.clearHold(seatContainer);
+            if (this.onExpire) this.onExpire(seatContainer, hold.type, hold.expiresAt);
+        }
+    }
+
+    /**
+     * Draw the countdown ring of a selection hold
+     * The ring shrinks clockwise from the top as the deadline approaches.
+     * @param {PIXI.Container} seatContainer
+     */
+    drawCountdown(seatContainer) {
+        const hold = this.holds.get(seatContainer);
+        if (!hold || seatContainer.destroyed) return;
+
+        if (!seatContainer.holdRing) {
+            seatContainer.holdRing = new PIXI.Graphics();
+            seatContainer.addChild(seatContainer.holdRing);
+        }
+
+        const remaining = Math.max(0, hold.expiresAt - this.now());
+        const total = Math.max(1, hold.expiresAt - hold.startedAt);
+        const fraction = Math.min(1, remaining / total);
+        const warning = remaining <= (this.config.holdWarningTime ?? 60000);
+        const radius = (this.config.seatRadius || 6) + 2;
+        const start = -Math.PI / 2;
+
+        const ring = seatContainer.holdRing;
+        ring.clear();
+        if (fraction <= 0) return;
+        ring.arc(0, 0, radius, start, start + fraction * Math.PI * 2);
+        ring.stroke({
+            width: 1.5,
+            color: warning ? (this.config.holdWarningColor ?? 0xff6b6b) : (this.config.holdRingColor ?? 0xffffff)
+        });
+    }
+
+    /**
+     * Remove the countdown ring of a seat
+     * @param {PIXI.Container} seatContainer
+     */
+    removeCountdown(seatContainer) {
+        if (seatContainer.holdRing) {
+            if (!seatContainer.destroyed) {
+                seatContainer.holdRing.destroy();
+            }
+            seatContainer.holdRing = null;
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.clearAll();
+        this.holds.clear();
+        this.onExpire = null;
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * KeyboardNavigator - Keyboard and screen reader access to the seat map
+ *
+ * Builds a visually hidden list of section buttons next to the canvas:
+ * - Tab / Shift+Tab moves between sections
+ * - Enter or an arrow key enters a seated section, Enter on a GA section opens its dialog
+ * - Left/Right moves within a row, Up/Down between rows, Home/End to the row ends
+ * - Enter or Space selects the focused seat, Escape returns to the section
+ * Everything the user needs to hear is announced through a polite live region.
+ */
+
+const VISUALLY_HIDDEN = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;'
+    + 'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+
+export class KeyboardNavigator {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - DOM container the hidden controls are added to
+     * @param {SelectionManager} options.selectionManager - Row-indexed seat lookup
+     * @param {Function} options.describeSeat - Returns the announcement text of a seat container
+     * @param {Function} options.describeSection - Returns the label of a section ({ id, name, type, data })
+     * @param {Function} options.onSeatFocus - Called with the focused seat container (null when focus leaves)
+     * @param {Function} options.onSeatActivate - Toggles a seat, returns { success, selected, reason, message }
+     * @param {Function} options.onGAActivate - Called with the section data of an activated GA section
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.selectionManager = options.selectionManager;
+        this.describeSeat = options.describeSeat || (() => '');
+        this.describeSection = options.describeSection || (section => section.name);
+        this.onSeatFocus = options.onSeatFocus;
+        this.onSeatActivate = options.onSeatActivate;
+        this.onGAActivate = options.onGAActivate;
+
+        this.root = null;
+        this.list = null;
+        this.liveRegion = null;
+        this.sections = [];
+        this.focusedSeat = null;
+
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+    }
+
+    /**
+     * Create the hidden controls and live region
+     */
+    create() {
+        if (!this.container || this.root) return;
+
+        this.root = document.createElement('div');
+        this.root.className = 'seatmap-keyboard-nav';
+        this.root.setAttribute('role', 'application');
+        this.root.setAttribute('aria-label', 'Seat map');
+        this.root.style.cssText = VISUALLY_HIDDEN;
+
+        const instructions = document.createElement('p');
+        instructions.id = `seatmap-nav-help-${Math.random().toString(36).slice(2, 8)}`;
+        instructions.textContent = 'Press Tab to move between sections. Press Enter to browse seats, '
+            + 'arrow keys to move between seats and rows, Enter or Space to select a seat, '
+            + 'and Escape to return to the section.';
+        this.root.appendChild(instructions);
+
+        this.list = document.createElement('div');
+        this.list.setAttribute('aria-describedby', instructions.id);
+        this.root.appendChild(this.list);
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(this.liveRegion);
+
+        this.root.addEventListener('focusout', this.handleFocusOut);
+        this.container.appendChild(this.root);
+    }
+
+    /**
+     * Replace the navigable sections
+     * @param {Array<{ id: string, name: string, type: string, data: Object }>} sections - type is 'seated' or 'ga'
+     */
+    setSections(sections) {
+        this.sections = sections;
+        this.setFocusedSeat(null);
+        if (!this.list) return;
+
+        this.list.replaceChildren(...sections.map(section => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.sectionId = section.id;
+            button.setAttribute('aria-describedby', this.list.getAttribute('aria-describedby'));
+            button.textContent = this.describeSection(section);
+            button.addEventListener('focus', () => {
+                // Availability may have changed since the list was built
+                button.textContent = this.describeSection(section);
+                if (this.focusedSeat && this.focusedSeat.sectionId !== section.id) {
+                    this.setFocusedSeat(null);
+                }
+            });
+            button.addEventListener('keydown', (e) => this.handleKeyDown(e, section));
+            return button;
+        }));
+    }
+
+    /**
+     * Handle a key press on a section button
+     * @param {KeyboardEvent} e
+     * @param {Object} section
+     */
+    handleKeyDown(e, section) {
+        if (section.type === 'ga') {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (this.onGAActivate) this.onGAActivate(section.data);
+            }
+            return;
+        }
+
+        const inSeats = !!this.focusedSeat;
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!inSeats) {
+                    this.enterSection(section);
+                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    this.moveInRow(e.key === 'ArrowLeft' ? -1 : 1);
+                } else {
+                    this.moveRow(e.key === 'ArrowUp' ? -1 : 1);
+                }
+                break;
+            case 'Home':
+            case 'End':
+                if (!inSeats) return;
+                e.preventDefault();
+                this.moveInRow(e.key === 'Home' ? -Infinity : Infinity);
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                if (!inSeats) {
+                    this.enterSection(section);
+                } else {
+                    this.activateSeat();
+                }
+                break;
+            case 'Escape':
+                if (!inSeats) return;
+                e.preventDefault();
+                this.setFocusedSeat(null);
+                this.announce(this.describeSection(section));
+                break;
+        }
+    }
+
+    /**
+     * Get the rows of a section, sorted by row index
+     * @param {string} sectionId
+     * @returns {PIXI.Container[][]}
+     */
+    getRows(sectionId) {
+        const rows = this.selectionManager.seatsByRow[sectionId] || {};
+        return Object.keys(rows)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(rowIndex => rows[rowIndex])
+            .filter(rowSeats => rowSeats.length > 0);
+    }
+
+    /**
+     * Focus the first available seat of the front-most row that has one
+     * @param {Object} section
+     */
+    enterSection(section) {
+        const rows = this.getRows(section.id);
+        if (rows.length === 0) {
+            this.announce(`${section.name} has no seats`);
+            return;
+        }
+
+        for (const rowSeats of rows) {
+            const seat = rowSeats.find(s => this.selectionManager.isSeatAvailable(s) && !s.selected);
+            if (seat) {
+                this.focusSeat(seat);
+                return;
+            }
+        }
+        this.focusSeat(rows[0][0]);
+    }
+
+    /**
+     * Move within the focused seat's row
+     * @param {number} delta - Seats to move (±Infinity jumps to the row ends)
+     */
+    moveInRow(delta) {
+        const { rowSeats, index } = this.locateFocusedSeat();
+        if (!rowSeats) return;
+
+        const target = Math.max(0, Math.min(rowSeats.length - 1, index + delta));
+        if (target === index) {
+            this.announce(`End of row. ${this.describeSeat(this.focusedSeat)}`);
+            return;
+        }
+        this.focusSeat(rowSeats[target]);
+    }
+
+    /**
+     * Move to the nearest seat of the previous or next row
+     * @param {number} delta - -1 for the previous row, 1 for the next row
+     */
+    moveRow(delta) {
+        const seat = this.focusedSeat;
+        const rows = this.getRows(seat.sectionId);
+        const rowIndex = rows.findIndex(rowSeats => rowSeats.includes(seat));
+        const targetRow = rows[rowIndex + delta];
+
+        if (!targetRow) {
+            this.announce(`${delta < 0 ? 'First' : 'Last'} row. ${this.describeSeat(seat)}`);
+            return;
+        }
+
+        let nearest = targetRow[0];
+        for (const candidate of targetRow) {
+            if (Math.abs(candidate.x - seat.x) < Math.abs(nearest.x - seat.x)) {
+                nearest = candidate;
+            }
+        }
+        this.focusSeat(nearest);
+    }
+
+    /**
+     * Select or deselect the focused seat and announce the outcome
+     */
+    activateSeat() {
+        const seat = this.focusedSeat;
+        if (!seat || !this.onSeatActivate) return;
+
+        const result = this.onSeatActivate(seat) || {};
+        if (result.success) {
+            const count = this.selectionManager.getSelectionCount();
+            this.announce(`${result.selected ? 'Selected' : 'Deselected'}. ${this.describeSeat(seat)}. `
+                + `${count} ${count === 1 ? 'seat' : 'seats'} selected.`);
+        } else if (result.reason === 'limit-reached') {
+            this.announce(`Cannot select: the limit of ${result.limit} seats is reached.`);
+        } else if (result.reason === 'orphan-prevention') {
+            this.announce(result.message);
+        } else if (result.reason === 'unavailable') {
+            this.announce(`Cannot select: this seat is ${this.selectionManager.statusRegistry.get(result.status).label}.`);
+        }
+    }
+
+    /**
+     * Find the focused seat in its row
+     * @returns {{ rowSeats: PIXI.Container[]|null, index: number }}
+     */
+    locateFocusedSeat() {
+        const seat = this.focusedSeat;
+        if (!seat) return { rowSeats: null, index: -1 };
+
+        const rowIndex = seat.seatData.r ?? seat.seatData.rowIndex;
+        const rowSeats = this.selectionManager.seatsByRow[seat.sectionId]?.[rowIndex];
+        const index = rowSeats ? rowSeats.indexOf(seat) : -1;
+        return index === -1 ? { rowSeats: null, index } : { rowSeats, index };
+    }
+
+    /**
+     * Focus a seat and announce it
+     * @param {PIXI.Container} seatContainer
+     */
+    focusSeat(seatContainer) {
+        this.setFocusedSeat(seatContainer);
+        this.announce(this.describeSeat(seatContainer));
+    }
+
+    /**
+     * Set the focused seat without announcing it
+     * @param {PIXI.Container|null} seatContainer
+     */
+    setFocusedSeat(seatContainer) {
+        if (this.focusedSeat === seatContainer) return;
+        this.focusedSeat = seatContainer;
+        if (this.onSeatFocus) this.onSeatFocus(seatContainer);
+    }
+
+    /**
+     * Leave seat browsing when focus moves outside the controls
+     * @param {FocusEvent} e
+     */
+    handleFocusOut(e) {
+        if (!this.root.contains(e.relatedTarget)) {
+            this.setFocusedSeat(null);
+        }
+    }
+
+    /**
+     * Announce a message through the live region
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.liveRegion || !message) return;
+        // Clear first so repeating the same text is announced again
+        this.liveRegion.textContent = '';
+        requestAnimationFrame(() => {
+            if (this.liveRegion) this.liveRegion.textContent = message;
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.setFocusedSeat(null);
+        if (this.root) {
+            this.root.removeEventListener('focusout', this.handleFocusOut);
+            this.root.remove();
+        }
+        this.root = null;
+        this.list = null;
+        this.liveRegion = null;
+        this.sections = [];
+    }
+}
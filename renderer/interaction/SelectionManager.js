@@ -2,6 +2,8 @@
  * SelectionManager - Handles seat selection logic and orphan detection
  */
 
+import { SeatStatusRegistry } from '../core/SeatStatusRegistry.js';
+
 export class SelectionManager {
     /**
      * @param {Object} options - Configuration options
@@ -13,6 +15,7 @@ export class SelectionManager {
      * @param {number} options.orphanHighlightColor - Color for orphan highlight (hex)
      * @param {number} options.orphanHighlightDuration - Duration of highlight animation (ms)
      * @param {number} options.orphanHighlightPulseScale - Scale factor for pulse animation
+     * @param {SeatStatusRegistry} [options.statusRegistry] - Seat statuses; only selectable ones can be selected
      */
     constructor(options = {}) {
         this.options = {
@@ -29,6 +32,7 @@ export class SelectionManager {
         this.seatsByRow = {}; // seatsByRow[sectionId][rowIndex] = [sorted seats]
         this.container = options.container;
         this.getGASelectionCount = options.getGASelectionCount || (() => 0);
+        this.statusRegistry = options.statusRegistry || new SeatStatusRegistry();
     }
 
     /**
@@ -149,13 +153,12 @@ export class SelectionManager {
     }
 
     /**
-     * Check if a seat is available (not booked/reserved)
+     * Check if a seat is available (its status is selectable)
      * @param {PIXI.Container} seatContainer 
      * @returns {boolean}
      */
     isSeatAvailable(seatContainer) {
-        const status = seatContainer.seatData.status || 'available';
-        return status === 'available';
+        return this.statusRegistry.isSelectable(seatContainer.seatData.status || 'available');
     }
 
     /**
@@ -331,7 +334,7 @@ export class SelectionManager {
         const status = seatContainer.seatData.status || 'available';
         
         // Check if seat is available
-        if (status !== 'available') {
+        if (!this.statusRegistry.isSelectable(status)) {
             return { success: false, reason: 'unavailable', status };
         }
         
@@ -3,27 +3,40 @@
  */
 
 import * as PIXI from 'pixi.js';
+import { SeatStatusRegistry } from '../core/SeatStatusRegistry.js';
 
 export class InventoryManager {
     /**
      * @param {Object} options - Configuration
      * @param {Object} options.config - Renderer configuration
+     * @param {SeatStatusRegistry} [options.statusRegistry] - Seat statuses (built from config when omitted)
      */
     constructor(options = {}) {
         this.config = options.config || {};
+        this.statusRegistry = options.statusRegistry || new SeatStatusRegistry(this.config.seatStatuses, this.config);
         this.seatsByKey = {};
         this.seatsById = {};
         this._unmatchedKeys = [];
+        this._keyCollisions = new Map(); // Map<key, PIXI.Container[]> of keys registered by several seats
+        this._seats = new Set(); // Every registered seat, for the load report
     }
 
     /**
      * Register a seat for inventory lookup
+     * A key registered by another seat is recorded as a collision; the last seat keeps the key.
      * @param {PIXI.Container} seatContainer
      * @param {string} key - Lookup key
      * @param {string} id - Seat ID
      */
     registerSeat(seatContainer, key, id) {
+        this._seats.add(seatContainer);
         if (key) {
+            const previous = this.seatsByKey[key];
+            if (previous && previous !== seatContainer) {
+                const seats = this._keyCollisions.get(key) || [previous];
+                seats.push(seatContainer);
+                this._keyCollisions.set(key, seats);
+            }
             this.seatsByKey[key] = seatContainer;
         }
         if (id) {
@@ -38,6 +51,17 @@ export class InventoryManager {
         this.seatsByKey = {};
         this.seatsById = {};
         this._unmatchedKeys = [];
+        this._keyCollisions.clear();
+        this._seats.clear();
+    }
+
+    /**
+     * Keys that more than one seat registered
+     * Only the last of those seats can be found by key; the others only by ID.
+     * @returns {Array<{ key: string, seats: PIXI.Container[] }>}
+     */
+    getKeyCollisions() {
+        return [...this._keyCollisions].map(([key, seats]) => ({ key, seats }));
     }
 
     /**
@@ -53,36 +77,34 @@ export class InventoryManager {
 
     /**
      * Load inventory data and update seats
+     * The inventory is a full snapshot: registered seats it doesn't list are reported as missing.
      * @param {Object} inventoryData
      * @param {Function} updateSeatVisuals - Callback to update seat visuals
-     * @returns {{ success: boolean, matched: number, unmatched: number }}
+     * @returns {Object} Report: { success, matched, unmatched, unmatchedItems, invalidItems, missingSeats, sections }
+     *   - unmatchedItems: inventory items no seat was found for
+     *   - invalidItems: items without `key` or `id`
+     *   - missingSeats: seats without an inventory item, described by describeSeat()
+     *   - sections: { sectionId, section, seats, matched, missing, statuses } per seated section,
+     *     `statuses` counting the inventory statuses of its matched seats
      */
     loadInventory(inventoryData, updateSeatVisuals) {
         if (!this.validateInventoryData(inventoryData)) {
             console.error('Invalid inventory data structure:', inventoryData);
-            return { success: false, matched: 0, unmatched: 0 };
+            return { success: false, matched: 0, unmatched: 0, unmatchedItems: [], invalidItems: [], missingSeats: [], sections: [] };
         }
 
         this._unmatchedKeys = [];
-        let matched = 0;
+        const unmatchedItems = [];
+        const invalidItems = [];
+        const matchedSeats = new Set();
 
         inventoryData.seats.forEach(item => {
             if (!item.key && !item.id) {
-                console.warn('Invalid seat item, missing key or id:', item);
+                invalidItems.push(item);
                 return;
             }
 
-            let seatContainer;
-            let lookupKey;
-
-            if (item.id) {
-                seatContainer = this.seatsById[item.id];
-                lookupKey = item.id;
-            } else {
-                seatContainer = this.seatsByKey[item.key];
-                lookupKey = item.key;
-            }
-
+            const seatContainer = this.findSeat(item);
             if (seatContainer) {
                 // Merge inventory data into seat data
                 seatContainer.seatData = { ...seatContainer.seatData, ...item };
@@ -91,24 +113,166 @@ export class InventoryManager {
                 if (updateSeatVisuals) {
                     updateSeatVisuals(seatContainer);
                 }
-                matched++;
+                matchedSeats.add(seatContainer);
             } else {
-                console.warn(`Seat not found for lookup: ${lookupKey}`);
-                this._unmatchedKeys.push(lookupKey);
+                this._unmatchedKeys.push(item.id || item.key);
+                unmatchedItems.push(item);
             }
         });
 
+        if (invalidItems.length > 0) {
+            console.warn(`${invalidItems.length} inventory item(s) without key or id:`, invalidItems);
+        }
         if (this._unmatchedKeys.length > 0) {
-            console.warn(`Found ${this._unmatchedKeys.length} unmatched inventory keys.`);
+            console.warn(`Found ${this._unmatchedKeys.length} unmatched inventory keys:`, this._unmatchedKeys);
         }
 
-        return { 
-            success: true, 
-            matched, 
-            unmatched: this._unmatchedKeys.length 
+        const sections = new Map();
+        const missingSeats = [];
+        this._seats.forEach(seatContainer => {
+            if (seatContainer.destroyed) return;
+            if (!sections.has(seatContainer.sectionId)) {
+                sections.set(seatContainer.sectionId, {
+                    sectionId: seatContainer.sectionId,
+                    section: seatContainer.sectionName,
+                    seats: 0,
+                    matched: 0,
+                    missing: 0,
+                    statuses: {}
+                });
+            }
+            const section = sections.get(seatContainer.sectionId);
+            section.seats++;
+
+            if (matchedSeats.has(seatContainer)) {
+                const status = seatContainer.seatData.status || 'available';
+                section.matched++;
+                section.statuses[status] = (section.statuses[status] || 0) + 1;
+            } else {
+                section.missing++;
+                missingSeats.push(this.describeSeat(seatContainer));
+            }
+        });
+
+        return {
+            success: true,
+            matched: matchedSeats.size,
+            unmatched: this._unmatchedKeys.length,
+            unmatchedItems,
+            invalidItems,
+            missingSeats,
+            sections: [...sections.values()]
+        };
+    }
+
+    /**
+     * Compare GA inventory with the GA sections of the map
+     * @param {Array} items - `ga` items of the inventory ({ sectionId | id, available, total, capacity, status })
+     * @param {Array<{ id: string, name: string, capacity: number }>} gaSections - GA sections of the map
+     * @returns {{ ga: Array, unmatchedGA: Array }} One entry per GA section, { sectionId, section,
+     *   capacity, available, total, status, issues }, and the items for sections not on the map.
+     *   Issues: 'no-inventory', 'over-capacity' (more available than the section holds),
+     *   'total-mismatch' (inventory total differs from the section capacity)
+     */
+    reconcileGA(items, gaSections) {
+        const itemsById = new Map();
+        items.forEach(item => {
+            const id = item.sectionId || item.id;
+            if (id) itemsById.set(id, item);
+        });
+
+        const ga = gaSections.map(section => {
+            const item = itemsById.get(section.id);
+            itemsById.delete(section.id);
+            const entry = {
+                sectionId: section.id,
+                section: section.name,
+                capacity: section.capacity,
+                available: item ? (item.available ?? item.capacity ?? null) : null,
+                total: item ? (item.total ?? item.capacity ?? null) : null,
+                status: item ? (item.status || 'available') : null,
+                issues: []
+            };
+
+            if (!item) {
+                entry.issues.push('no-inventory');
+            } else if (section.capacity > 0) {
+                if (entry.available !== null && entry.available > section.capacity) {
+                    entry.issues.push('over-capacity');
+                }
+                if (entry.total !== null && entry.total !== section.capacity) {
+                    entry.issues.push('total-mismatch');
+                }
+            }
+            return entry;
+        });
+
+        return { ga, unmatchedGA: [...itemsById.values()] };
+    }
+
+    /**
+     * Plain description of a seat, for reports
+     * @param {PIXI.Container} seatContainer
+     * @returns {{ id: string|null, key: string|null, sectionId: string, section: string, row: string, seat: string }}
+     */
+    describeSeat(seatContainer) {
+        const seatData = seatContainer.seatData;
+        return {
+            id: seatData.id ?? null,
+            key: seatContainer.key ?? null,
+            sectionId: seatContainer.sectionId,
+            section: seatContainer.sectionName,
+            row: seatContainer._rowLabel || '',
+            seat: String(seatData.n ?? seatData.number ?? '')
         };
     }
 
+    /**
+     * Apply an incremental inventory update
+     * Only seats whose data actually changes are merged and reported, so
+     * callers can limit visual updates to them.
+     * @param {Object} diff - { seats: [...] } with items in the loadInventory format
+     * @returns {{ changed: Array<{ seatContainer: PIXI.Container, previousStatus: string, status: string }>, unmatched: string[] }}
+     */
+    applyDiff(diff) {
+        const changed = [];
+        const unmatched = [];
+        if (!diff || !Array.isArray(diff.seats)) {
+            return { changed, unmatched };
+        }
+
+        diff.seats.forEach(item => {
+            const seatContainer = this.findSeat(item);
+            if (!seatContainer) {
+                if (item.id || item.key) unmatched.push(item.id || item.key);
+                return;
+            }
+
+            const current = seatContainer.seatData;
+            const isChanged = Object.keys(item).some(field => current[field] !== item[field]);
+            if (!isChanged) return;
+
+            const previousStatus = current.status || 'available';
+            seatContainer.seatData = { ...current, ...item };
+            changed.push({
+                seatContainer,
+                previousStatus,
+                status: seatContainer.seatData.status || 'available'
+            });
+        });
+
+        return { changed, unmatched };
+    }
+
+    /**
+     * Find the seat an inventory item refers to (by id, else by key)
+     * @param {Object} item - Inventory item
+     * @returns {PIXI.Container|undefined}
+     */
+    findSeat(item) {
+        return item.id ? this.seatsById[item.id] : this.seatsByKey[item.key];
+    }
+
     /**
      * Get unmatched inventory keys
      * @returns {string[]}
@@ -143,21 +307,12 @@ export class InventoryManager {
      */
     updateSeatVisuals(seatContainer, createTexture, handleCartChange) {
         const status = seatContainer.seatData.status || 'available';
-        
-        let color = seatContainer.originalColor;
-        let strokeColor = seatContainer.originalStrokeColor;
-        let strokeWidth = seatContainer.originalStrokeWidth;
-        let cursor = 'pointer';
-
-        if (status === 'booked' || status === 'sold') {
-            color = this.config.bookedColor || 0x8B8B8B;
-            cursor = 'not-allowed';
-            strokeWidth = 0;
-        } else if (status === 'reserved') {
-            color = this.config.reservedColor || 0xff6666;
-            cursor = 'not-allowed'; 
-            strokeWidth = 0;
-        }
+        const style = this.statusRegistry.get(status);
+
+        const color = style.color ?? seatContainer.originalColor;
+        const strokeColor = style.strokeColor ?? seatContainer.originalStrokeColor;
+        const strokeWidth = style.strokeWidth ?? seatContainer.originalStrokeWidth;
+        const cursor = style.selectable ? 'pointer' : 'not-allowed';
 
         // Update texture
         if (createTexture) {
@@ -175,17 +330,19 @@ export class InventoryManager {
         }
 
         // Handle Glow
-        const glowGraphics = seatContainer.children.find(c => c instanceof PIXI.Graphics);
+        const glowGraphics = seatContainer.children.find(c => c instanceof PIXI.Graphics && c !== seatContainer.holdRing);
         if (glowGraphics) {
-            glowGraphics.visible = (status === 'available');
+            glowGraphics.visible = style.selectable;
         }
 
+        this.updateStatusIcon(seatContainer, style);
+
         // Update interactivity
         seatContainer.eventMode = 'static';
         seatContainer.cursor = cursor;
 
         // Handle selection if status changed to unavailable
-        if (status !== 'available' && seatContainer.selected) {
+        if (!style.selectable && seatContainer.selected) {
             seatContainer.selected = false;
             
             // Reset visual state
@@ -204,6 +361,44 @@ export class InventoryManager {
         seatContainer.seatColor = color;
     }
 
+    /**
+     * Show, swap or remove the icon of a seat's status
+     * The icon fades out while the seat label shows (see SeatMapRenderer.updateSeatAnimations).
+     * @param {PIXI.Container} seatContainer
+     * @param {Object} style - Resolved status (SeatStatusRegistry.get)
+     */
+    updateStatusIcon(seatContainer, style) {
+        const current = seatContainer.statusIcon;
+        if (current && (current.text !== style.icon || current.style.fill !== style.iconColor)) {
+            current.destroy();
+            seatContainer.statusIcon = null;
+        }
+        if (!style.icon || seatContainer.statusIcon) return;
+
+        const icon = new PIXI.Text({
+            text: style.icon,
+            style: { fontFamily: 'Material Symbols Outlined', fontSize: 14, fontWeight: '300', fill: style.iconColor }
+        });
+        icon.anchor.set(0.5);
+        icon.scale.set(0.7);
+        icon.eventMode = 'none';
+        icon.alpha = seatContainer.text ? 1 - seatContainer.text.alpha : 1;
+        seatContainer.addChild(icon);
+        seatContainer.statusIcon = icon;
+    }
+
+    /**
+     * Statuses the registered seats have
+     * @returns {Set<string>}
+     */
+    getStatuses() {
+        const statuses = new Set();
+        this._seats.forEach(seatContainer => {
+            if (!seatContainer.destroyed) statuses.add(seatContainer.seatData.status || 'available');
+        });
+        return statuses;
+    }
+
     /**
      * Cleanup
      */
@@ -211,5 +406,7 @@ export class InventoryManager {
         this.seatsByKey = {};
         this.seatsById = {};
         this._unmatchedKeys = [];
+        this._keyCollisions.clear();
+        this._seats.clear();
     }
 }
@@ -0,0 +1,202 @@
+/**
+ * Inventory transports - Stream incremental inventory updates into the renderer
+ *
+ * A transport delivers diffs in the loadInventory format:
+ * { seats: [{ id | key, status, price, holdExpiresAt, ... }], ga: [...] }
+ * Only the listed seats (and listed fields) change.
+ *
+ * Every transport implements:
+ * - connect(onMessage): start delivering diffs to onMessage(diff), closing any previous connection
+ * - disconnect(): stop delivering diffs
+ */
+
+export class InventoryTransport {
+    constructor() {
+        this.onMessage = null;
+        this.connected = false;
+    }
+
+    /**
+     * Start delivering diffs
+     * A connection that is still open is closed first.
+     * @param {Function} onMessage - Called with each parsed diff
+     */
+    connect(onMessage) {
+        if (this.connected) {
+            this.disconnect();
+        }
+        this.onMessage = onMessage;
+        this.connected = true;
+    }
+
+    /**
+     * Stop delivering diffs
+     */
+    disconnect() {
+        this.onMessage = null;
+        this.connected = false;
+    }
+
+    /**
+     * Parse and forward a raw message
+     * Invalid messages are logged and dropped.
+     * @param {string|Object} raw - JSON string or diff object
+     */
+    receive(raw) {
+        if (!this.connected || !this.onMessage) return;
+
+        let diff = raw;
+        if (typeof raw === 'string') {
+            try {
+                diff = JSON.parse(raw);
+            } catch (error) {
+                console.warn('Invalid inventory message:', raw);
+                return;
+            }
+        }
+
+        if (!diff || typeof diff !== 'object') {
+            console.warn('Invalid inventory message:', raw);
+            return;
+        }
+        this.onMessage(diff);
+    }
+}
+
+/**
+ * WebSocket transport with automatic reconnect
+ */
+export class WebSocketInventoryTransport extends InventoryTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - WebSocket URL
+     * @param {string|string[]} [options.protocols] - WebSocket sub-protocols
+     * @param {number} [options.reconnectDelay] - Delay before reconnecting in ms (0 = no reconnect, default 2000)
+     */
+    constructor(options = {}) {
+        super();
+        this.url = options.url;
+        this.protocols = options.protocols;
+        this.reconnectDelay = options.reconnectDelay ?? 2000;
+        this.socket = null;
+        this._reconnectTimeout = null;
+    }
+
+    connect(onMessage) {
+        super.connect(onMessage);
+        this.open();
+    }
+
+    open() {
+        // Events of a socket replaced by disconnect() / connect() are ignored
+        const socket = new WebSocket(this.url, this.protocols);
+        this.socket = socket;
+        socket.addEventListener('message', (e) => {
+            if (socket === this.socket) this.receive(e.data);
+        });
+        socket.addEventListener('close', () => {
+            if (socket !== this.socket) return;
+            if (this.connected && this.reconnectDelay > 0) {
+                this._reconnectTimeout = setTimeout(() => this.open(), this.reconnectDelay);
+            }
+        });
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this._reconnectTimeout) {
+            clearTimeout(this._reconnectTimeout);
+            this._reconnectTimeout = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+/**
+ * Server-Sent Events transport (the browser reconnects automatically)
+ */
+export class SSEInventoryTransport extends InventoryTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Event stream URL
+     * @param {string} [options.eventName] - Event type carrying diffs (default 'message')
+     * @param {boolean} [options.withCredentials] - Send cookies cross-origin
+     */
+    constructor(options = {}) {
+        super();
+        this.url = options.url;
+        this.eventName = options.eventName || 'message';
+        this.withCredentials = options.withCredentials || false;
+        this.source = null;
+    }
+
+    connect(onMessage) {
+        super.connect(onMessage);
+        this.source = new EventSource(this.url, { withCredentials: this.withCredentials });
+        this.source.addEventListener(this.eventName, (e) => this.receive(e.data));
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+/**
+ * BroadcastChannel transport (diffs posted by other tabs or workers)
+ */
+export class BroadcastChannelInventoryTransport extends InventoryTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.channel - Channel name
+     */
+    constructor(options = {}) {
+        super();
+        this.channelName = options.channel;
+        this.channel = null;
+    }
+
+    connect(onMessage) {
+        super.connect(onMessage);
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.addEventListener('message', (e) => this.receive(e.data));
+    }
+
+    disconnect() {
+        super.disconnect();
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+/**
+ * In-memory transport for tests and demos
+ * Diffs passed to push() are delivered synchronously while connected.
+ */
+export class MockInventoryTransport extends InventoryTransport {
+    /**
+     * Deliver a diff
+     * @param {string|Object} diff - JSON string or diff object
+     */
+    push(diff) {
+        this.receive(diff);
+    }
+
+    /**
+     * Deliver a status change for one seat
+     * @param {string} id - Seat ID
+     * @param {string} status - New status
+     * @param {Object} [fields] - Extra seat fields (price, holdExpiresAt, ...)
+     */
+    pushSeatStatus(id, status, fields = {}) {
+        this.push({ seats: [{ id, status, ...fields }] });
+    }
+}
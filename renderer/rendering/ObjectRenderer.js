@@ -0,0 +1,100 @@
+/**
+ * ObjectRenderer - Handles non-seat venue objects (stage, exits, amenities, text, arrows)
+ */
+
+import * as PIXI from 'pixi.js';
+
+/**
+ * Drawing defaults per object type (mirrors the editor's OBJECT_TYPES)
+ * Saved maps carry every field; these only fill in hand-written data.
+ */
+export const OBJECT_TYPE_DEFAULTS = {
+    'stage':     { shape: 'rect',   width: 300, height: 80, color: 0x2d2f3a, label: 'STAGE',    fontSize: 20 },
+    'pillar':    { shape: 'circle', width: 30,  height: 30, color: 0x555a66, label: '',         fontSize: 12 },
+    'entrance':  { shape: 'rect',   width: 90,  height: 24, color: 0x3a9cff, label: 'ENTRANCE', fontSize: 11 },
+    'exit':      { shape: 'rect',   width: 60,  height: 24, color: 0x22c55e, label: 'EXIT',     fontSize: 11 },
+    'restroom':  { shape: 'icon',   width: 36,  height: 36, color: 0x6366f1, label: 'WC',       fontSize: 12 },
+    'bar':       { shape: 'icon',   width: 36,  height: 36, color: 0xf59e0b, label: 'BAR',      fontSize: 10 },
+    'food':      { shape: 'icon',   width: 36,  height: 36, color: 0xef4444, label: 'FOOD',     fontSize: 9 },
+    'info':      { shape: 'icon',   width: 36,  height: 36, color: 0x0ea5e9, label: 'i',        fontSize: 16 },
+    'first-aid': { shape: 'icon',   width: 36,  height: 36, color: 0xdc2626, label: '+',        fontSize: 20 },
+    'text':      { shape: 'text',   width: 120, height: 30, color: 0xffffff, label: 'Text',     fontSize: 16 },
+    'arrow':     { shape: 'arrow',  width: 100, height: 20, color: 0xffffff, label: '',         fontSize: 12 }
+};
+
+/**
+ * Create a single venue object, centered on its x/y and rotated around it
+ * @param {Object} objectData - Entry of the SMF "objects" array
+ * @returns {PIXI.Container|null} Null for unknown types
+ */
+export function createVenueObject(objectData) {
+    const defaults = OBJECT_TYPE_DEFAULTS[objectData.type];
+    if (!defaults) return null;
+
+    const w = objectData.width || defaults.width;
+    const h = objectData.height || defaults.height;
+    const color = objectData.color !== undefined ? objectData.color : defaults.color;
+    const label = objectData.label !== undefined ? objectData.label : defaults.label;
+
+    const container = new PIXI.Container();
+    container.x = objectData.x;
+    container.y = objectData.y;
+    container.angle = objectData.rotation || 0;
+    container.objectData = objectData;
+
+    const g = new PIXI.Graphics();
+    if (defaults.shape === 'rect') {
+        g.roundRect(-w / 2, -h / 2, w, h, Math.min(8, h / 4));
+        g.fill({ color });
+    } else if (defaults.shape === 'circle' || defaults.shape === 'icon') {
+        g.ellipse(0, 0, w / 2, h / 2);
+        g.fill({ color });
+    } else if (defaults.shape === 'arrow') {
+        // Points along +x; the rotation aims it
+        const thickness = Math.max(2, h / 4);
+        const headLength = Math.min(h, w / 2);
+        g.rect(-w / 2, -thickness / 2, w - headLength, thickness);
+        g.poly([w / 2 - headLength, -h / 2, w / 2, 0, w / 2 - headLength, h / 2]);
+        g.fill({ color });
+    }
+    container.addChild(g);
+
+    if (label && defaults.shape !== 'circle' && defaults.shape !== 'arrow') {
+        const text = new PIXI.Text({
+            text: label,
+            style: {
+                fontFamily: 'system-ui, sans-serif',
+                fontSize: objectData.fontSize || defaults.fontSize,
+                fontWeight: 'bold',
+                fill: defaults.shape === 'text' ? color : 0xffffff,
+                align: 'center'
+            }
+        });
+        text.anchor.set(0.5);
+        container.addChild(text);
+    }
+
+    return container;
+}
+
+/**
+ * Create the layer of venue objects drawn beneath the sections
+ * The layer is not interactive, so seats and sections above it get every event.
+ * @param {Array} objects - SMF objects array
+ * @returns {PIXI.Container}
+ */
+export function createObjectsLayer(objects = []) {
+    const layer = new PIXI.Container();
+    layer.isObjectsLayer = true;
+    layer.eventMode = 'none';
+
+    objects.forEach(objectData => {
+        const object = createVenueObject(objectData);
+        if (object) {
+            layer.addChild(object);
+        } else {
+            console.warn(`Skipping object "${objectData.id}" of unknown type "${objectData.type}"`);
+        }
+    });
+    return layer;
+}
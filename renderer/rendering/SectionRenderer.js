@@ -3,6 +3,10 @@
  */
 
 import * as PIXI from 'pixi.js';
+import { getSectionShapePoints } from '../core/SmfLayout.js';
+
+// Section geometry is computed without PIXI (shared with the headless toolkit)
+export { getSectionShapePoints, resolveRowDefinitionSeats } from '../core/SmfLayout.js';
 
 /**
  * Render GA (General Admission) content
@@ -131,8 +135,9 @@ export function createSectionBackground(data) {
     }
     
     // Draw Shape (Polygon or Rect)
-    if (data.points && data.points.length > 0) {
-        graphics.poly(data.points);
+    const shapePoints = getSectionShapePoints(data);
+    if (shapePoints) {
+        graphics.poly(shapePoints);
     } else {
         graphics.rect(0, 0, width, height);
     }
@@ -1,5 +1,5 @@
 /**
- * UIManager - Handles UI elements like reset button and zone visibility
+ * UIManager - Handles UI elements like reset button, price legend, level switcher and zone visibility
  */
 
 import * as PIXI from 'pixi.js';
@@ -10,16 +10,21 @@ export class UIManager {
      * @param {PIXI.Application} options.app - PIXI application
      * @param {Object} options.config - UI configuration
      * @param {Function} options.onResetClick - Reset button callback
+     * @param {Function} options.onLevelClick - Level switcher callback, receives the level id
      * @param {boolean} options.showControls - Whether to show UI controls (default: true)
      */
     constructor(options) {
         this.app = options.app;
         this.config = options.config || {};
         this.onResetClick = options.onResetClick;
+        this.onLevelClick = options.onLevelClick;
+        this.formatPrice = options.formatPrice || ((price) => `$${price.toLocaleString()}`);
         this.showControls = options.showControls !== false; // Default to true
         
         this.uiContainer = null;
         this.resetButton = null;
+        this.legend = null;
+        this.levelSwitcher = null;
         this.zoneContainers = [];
     }
 
@@ -65,11 +70,130 @@ export class UIManager {
      * Reposition UI elements based on screen size
      */
     repositionUI() {
+        const padding = this.config.uiPadding || 40;
         if (this.resetButton) {
-            const padding = this.config.uiPadding || 40;
             this.resetButton.x = padding;
             this.resetButton.y = this.app.screen.height - padding;
         }
+        if (this.legend) {
+            this.legend.x = this.app.screen.width - this.legend.width - padding / 2;
+            this.legend.y = padding / 2;
+        }
+        if (this.levelSwitcher) {
+            this.levelSwitcher.x = padding / 2;
+            this.levelSwitcher.y = padding / 2;
+        }
+    }
+
+    /**
+     * Show a legend of seat price categories and seat statuses (top-right corner)
+     * @param {Array<{name: string, price?: number, color: number, icon?: string}>} categories - Empty to hide
+     *   the legend. Rows without a price are statuses; their icon is drawn on the dot.
+     */
+    setLegend(categories) {
+        if (this.legend) {
+            this.legend.destroy({ children: true });
+            this.legend = null;
+        }
+        if (categories.length === 0) return;
+
+        this.legend = new PIXI.Container();
+        const rowHeight = 20;
+        const padding = 10;
+
+        const rows = categories.map((category, index) => {
+            const row = new PIXI.Container();
+            row.y = padding + index * rowHeight;
+
+            const dot = new PIXI.Graphics();
+            dot.circle(padding + 6, rowHeight / 2, 6);
+            dot.fill({ color: category.color });
+            row.addChild(dot);
+
+            if (category.icon) {
+                const icon = new PIXI.Text({
+                    text: category.icon,
+                    style: { fontFamily: 'Material Symbols Outlined', fontSize: 12, fontWeight: '300', fill: 0xffffff }
+                });
+                icon.anchor.set(0.5);
+                icon.x = padding + 6;
+                icon.y = rowHeight / 2;
+                row.addChild(icon);
+            }
+
+            const label = new PIXI.Text({
+                text: category.price === undefined
+                    ? category.name
+                    : `${category.name}  ${this.formatPrice(category.price)}`,
+                style: { fontFamily: 'system-ui, sans-serif', fontSize: 12, fill: 0xffffff }
+            });
+            label.anchor.set(0, 0.5);
+            label.x = padding + 18;
+            label.y = rowHeight / 2;
+            row.addChild(label);
+            return row;
+        });
+
+        const width = Math.max(...rows.map(row => row.width)) + padding * 2;
+        const bg = new PIXI.Graphics();
+        bg.roundRect(0, 0, width, categories.length * rowHeight + padding * 2, 8);
+        bg.fill({ color: 0x333333, alpha: 0.8 });
+        this.legend.addChild(bg, ...rows);
+
+        this.uiContainer.addChild(this.legend);
+        this.repositionUI();
+    }
+
+    /**
+     * Show a level switcher (top-left corner), one button per level
+     * @param {Array<{id: string, name: string}>} levels - Fewer than two hides the switcher
+     * @param {string|null} activeId - Level shown on the map
+     */
+    setLevels(levels, activeId) {
+        if (this.levelSwitcher) {
+            this.levelSwitcher.destroy({ children: true });
+            this.levelSwitcher = null;
+        }
+        if (levels.length < 2) return;
+
+        this.levelSwitcher = new PIXI.Container();
+        const buttonHeight = 28;
+        const gap = 6;
+
+        levels.forEach((level, index) => {
+            const isActive = level.id === activeId;
+            const button = new PIXI.Container();
+            button.y = index * (buttonHeight + gap);
+
+            const label = new PIXI.Text({
+                text: level.name,
+                style: {
+                    fontFamily: 'system-ui, sans-serif',
+                    fontSize: 12,
+                    fontWeight: isActive ? 'bold' : 'normal',
+                    fill: 0xffffff
+                }
+            });
+            label.anchor.set(0, 0.5);
+            label.x = 12;
+            label.y = buttonHeight / 2;
+
+            const bg = new PIXI.Graphics();
+            bg.roundRect(0, 0, label.width + 24, buttonHeight, buttonHeight / 2);
+            bg.fill({ color: isActive ? 0x3a9cff : 0x333333, alpha: 0.8 });
+            button.addChild(bg, label);
+
+            button.eventMode = 'static';
+            button.cursor = 'pointer';
+            button.on('pointertap', (e) => {
+                e.stopPropagation();
+                if (this.onLevelClick) this.onLevelClick(level.id);
+            });
+            this.levelSwitcher.addChild(button);
+        });
+
+        this.uiContainer.addChild(this.levelSwitcher);
+        this.repositionUI();
     }
 
     /**
@@ -155,6 +279,8 @@ export class UIManager {
             this.uiContainer = null;
         }
         this.resetButton = null;
+        this.legend = null;
+        this.levelSwitcher = null;
         this.zoneContainers = [];
         this.app = null;
     }
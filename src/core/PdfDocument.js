@@ -0,0 +1,337 @@
+// ============================================
+// PDF DOCUMENT - Minimal in-browser PDF writer
+// ============================================
+
+// Bezier handle length for a quarter circle
+const KAPPA = 0.5523;
+
+let measureContext = null;
+
+// Average Helvetica character width in ems, for measuring without a DOM (headless toolkit)
+const AVERAGE_CHAR_WIDTH = 0.56;
+const AVERAGE_BOLD_CHAR_WIDTH = 0.61;
+
+/**
+ * Measure a line of text in the fonts used by the exporter (Helvetica / Arial)
+ * Outside the browser the width is estimated from the character count.
+ * @param {string} text
+ * @param {number} size - Font size in page units
+ * @param {boolean} bold
+ * @returns {number} Width in page units
+ */
+export function measureText(text, size, bold = false) {
+  if (typeof document === 'undefined') {
+    return String(text).length * size * (bold ? AVERAGE_BOLD_CHAR_WIDTH : AVERAGE_CHAR_WIDTH);
+  }
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  measureContext.font = `${bold ? 'bold ' : ''}100px Helvetica, Arial, sans-serif`;
+  return measureContext.measureText(String(text)).width * size / 100;
+}
+
+/**
+ * A PDF 1.4 document made of vector pages.
+ * Text uses the standard Helvetica fonts (WinAnsi encoding, nothing embedded);
+ * images are embedded as JPEG. Content streams are deflated when the browser
+ * has CompressionStream.
+ */
+export class PdfDocument {
+  /**
+   * @param {Object} [info] - { title }
+   */
+  constructor(info = {}) {
+    this.info = info;
+    this.pages = [];
+    this.images = new Map();      // Prepared image -> { name, jpeg, pixelWidth, pixelHeight }
+    this.opacities = new Map();   // "fill/stroke" -> ExtGState name
+  }
+
+  /**
+   * Add a page
+   * @param {number} width - Page width in points
+   * @param {number} height - Page height in points
+   * @returns {PdfPage}
+   */
+  addPage(width, height) {
+    const page = new PdfPage(this, width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Get the XObject name of an image, registering it on first use
+   * @param {Object} image - Prepared image ({ jpeg, pixelWidth, pixelHeight })
+   * @returns {string|null} Null for images without JPEG data
+   */
+  imageName(image) {
+    if (!image.jpeg) return null;
+    if (!this.images.has(image)) {
+      this.images.set(image, { ...image, name: `Im${this.images.size}` });
+    }
+    return this.images.get(image).name;
+  }
+
+  /**
+   * Get the graphics state name for a fill / stroke opacity pair
+   * @returns {string}
+   */
+  opacityState(fillOpacity = 1, strokeOpacity = 1) {
+    const key = `${fmt(fillOpacity)}/${fmt(strokeOpacity)}`;
+    if (!this.opacities.has(key)) {
+      this.opacities.set(key, `GS${this.opacities.size}`);
+    }
+    return this.opacities.get(key);
+  }
+
+  /**
+   * Write the document
+   * @returns {Promise<Blob>} application/pdf
+   */
+  async toBlob() {
+    const chunks = [];
+    const offsets = [];
+    let offset = 0;
+    const encoder = new TextEncoder();
+
+    const write = (data) => {
+      const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+      chunks.push(bytes);
+      offset += bytes.length;
+    };
+    const writeObject = (id, body, stream = null) => {
+      offsets[id] = offset;
+      write(`${id} 0 obj\n`);
+      if (stream) {
+        write(`${body.slice(0, -2)} /Length ${stream.length} >>\nstream\n`);
+        write(stream);
+        write('\nendstream');
+      } else {
+        write(body);
+      }
+      write('\nendobj\n');
+    };
+
+    // Object numbers: 1 catalog, 2 page tree, 3 info, 4-5 fonts, 6 resources,
+    // then images, then a page and a content stream per page
+    const images = [...this.images.values()];
+    const firstImageId = 7;
+    const firstPageId = firstImageId + images.length;
+    const pageIds = this.pages.map((_, i) => firstPageId + i * 2);
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    writeObject(3, `<< /Title ${pdfString(this.info.title || '')} /Producer (Venue Map JS) >>`);
+    writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    writeObject(5, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const xObjects = images.map((image, i) => `/${image.name} ${firstImageId + i} 0 R`).join(' ');
+    const states = [...this.opacities.entries()].map(([key, name]) => {
+      const [fill, stroke] = key.split('/');
+      return `/${name} << /ca ${fill} /CA ${stroke} >>`;
+    }).join(' ');
+    writeObject(6, `<< /Font << /F1 4 0 R /F2 5 0 R >> /XObject << ${xObjects} >> /ExtGState << ${states} >> >>`);
+
+    images.forEach((image, i) => {
+      writeObject(
+        firstImageId + i,
+        `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+        '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode >>',
+        image.jpeg
+      );
+    });
+
+    for (let i = 0; i < this.pages.length; i++) {
+      const page = this.pages[i];
+      const pageId = pageIds[i];
+      writeObject(
+        pageId,
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(page.width)} ${fmt(page.height)}] ` +
+        `/Resources 6 0 R /Contents ${pageId + 1} 0 R >>`
+      );
+
+      let content = encoder.encode(page.ops.join('\n'));
+      let filter = '';
+      if (typeof CompressionStream !== 'undefined') {
+        content = await deflate(content);
+        filter = ' /Filter /FlateDecode';
+      }
+      writeObject(pageId + 1, `<<${filter} >>`, content);
+    }
+
+    const size = firstPageId + this.pages.length * 2;
+    const xrefOffset = offset;
+    write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+    for (let id = 1; id < size; id++) {
+      write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+}
+
+/**
+ * One page of a PdfDocument, with the same drawing API as SvgCanvas.
+ * Coordinates are points from the top-left corner, y pointing down.
+ */
+class PdfPage {
+  constructor(doc, width, height) {
+    this.doc = doc;
+    this.width = width;
+    this.height = height;
+    // Flip the y axis so callers draw from the top-left like SVG
+    this.ops = [`1 0 0 -1 0 ${fmt(height)} cm`];
+  }
+
+  /**
+   * Draw a polygon or polyline
+   * @param {number[]} points - Flat [x, y, ...] array
+   * @param {Object} style - { fill, fillOpacity, stroke, strokeWidth, strokeOpacity, closed }
+   */
+  path(points, style = {}) {
+    if (points.length < 4) return;
+    const ops = [`${fmt(points[0])} ${fmt(points[1])} m`];
+    for (let i = 2; i < points.length; i += 2) {
+      ops.push(`${fmt(points[i])} ${fmt(points[i + 1])} l`);
+    }
+    if (style.closed !== false) ops.push('h');
+    this.paintPath(ops.join(' '), style);
+  }
+
+  /**
+   * Draw a circle
+   */
+  circle(x, y, r, style = {}) {
+    const k = r * KAPPA;
+    const ops = [
+      `${fmt(x + r)} ${fmt(y)} m`,
+      `${fmt(x + r)} ${fmt(y + k)} ${fmt(x + k)} ${fmt(y + r)} ${fmt(x)} ${fmt(y + r)} c`,
+      `${fmt(x - k)} ${fmt(y + r)} ${fmt(x - r)} ${fmt(y + k)} ${fmt(x - r)} ${fmt(y)} c`,
+      `${fmt(x - r)} ${fmt(y - k)} ${fmt(x - k)} ${fmt(y - r)} ${fmt(x)} ${fmt(y - r)} c`,
+      `${fmt(x + k)} ${fmt(y - r)} ${fmt(x + r)} ${fmt(y - k)} ${fmt(x + r)} ${fmt(y)} c`,
+      'h'
+    ];
+    this.paintPath(ops.join(' '), style);
+  }
+
+  /**
+   * Draw a single line of text, vertically centered on y
+   * @param {Object} style - { size, color, bold, anchor: 'start'|'middle'|'end', rotation (degrees), opacity }
+   */
+  text(x, y, text, style = {}) {
+    const size = style.size || 12;
+    const angle = (style.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // Move the origin along the text direction for the anchor and down to the baseline
+    const width = measureText(text, size, style.bold);
+    const dx = style.anchor === 'middle' ? -width / 2 : style.anchor === 'end' ? -width : 0;
+    const dy = size * 0.35;
+    const originX = x + dx * cos - dy * sin;
+    const originY = y + dx * sin + dy * cos;
+
+    const ops = ['q'];
+    if (style.opacity !== undefined && style.opacity < 1) {
+      ops.push(`/${this.doc.opacityState(style.opacity, style.opacity)} gs`);
+    }
+    ops.push(
+      `${rgb(style.color || 0)} rg`,
+      'BT',
+      `/${style.bold ? 'F2' : 'F1'} ${fmt(size)} Tf`,
+      // The page is y-flipped, so the text matrix flips glyphs back upright
+      `${fmt(cos)} ${fmt(sin)} ${fmt(sin)} ${fmt(-cos)} ${fmt(originX)} ${fmt(originY)} Tm`,
+      `${pdfString(text)} Tj`,
+      'ET',
+      'Q'
+    );
+    this.ops.push(ops.join(' '));
+  }
+
+  /**
+   * Draw an image (skipped when it couldn't be converted to JPEG)
+   * @param {Object} image - Prepared image ({ jpeg, pixelWidth, pixelHeight })
+   */
+  image(image, x, y, width, height, opacity = 1) {
+    const name = this.doc.imageName(image);
+    if (!name) return;
+    const ops = ['q'];
+    if (opacity < 1) {
+      ops.push(`/${this.doc.opacityState(opacity, opacity)} gs`);
+    }
+    ops.push(`${fmt(width)} 0 0 ${fmt(-height)} ${fmt(x)} ${fmt(y + height)} cm`, `/${name} Do`, 'Q');
+    this.ops.push(ops.join(' '));
+  }
+
+  /**
+   * Clip everything drawn until unclip() to a rectangle
+   */
+  clip(x, y, width, height) {
+    this.ops.push(`q ${fmt(x)} ${fmt(y)} ${fmt(width)} ${fmt(height)} re W n`);
+  }
+
+  unclip() {
+    this.ops.push('Q');
+  }
+
+  /**
+   * Fill and/or stroke a traced path
+   */
+  paintPath(path, style) {
+    const hasFill = style.fill !== undefined && style.fill !== null;
+    const hasStroke = style.stroke !== undefined && style.stroke !== null;
+    if (!hasFill && !hasStroke) return;
+
+    const fillOpacity = hasFill && style.fillOpacity !== undefined ? style.fillOpacity : 1;
+    const strokeOpacity = hasStroke && style.strokeOpacity !== undefined ? style.strokeOpacity : 1;
+
+    const ops = ['q'];
+    if (fillOpacity < 1 || strokeOpacity < 1) {
+      ops.push(`/${this.doc.opacityState(fillOpacity, strokeOpacity)} gs`);
+    }
+    if (hasFill) ops.push(`${rgb(style.fill)} rg`);
+    if (hasStroke) ops.push(`${rgb(style.stroke)} RG`, `${fmt(style.strokeWidth || 1)} w`, '1 j');
+    ops.push(path, hasFill && hasStroke ? 'B' : hasFill ? 'f' : 'S', 'Q');
+    this.ops.push(ops.join(' '));
+  }
+}
+
+function fmt(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function rgb(color) {
+  return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff]
+    .map(channel => fmt(channel / 255))
+    .join(' ');
+}
+
+/**
+ * Encode a literal string for the WinAnsi Helvetica fonts
+ * Characters outside Latin-1 are replaced with "?".
+ */
+function pdfString(text) {
+  let out = '(';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      out += `\\${char}`;
+    } else if (code >= 32 && code < 127) {
+      out += char;
+    } else if (code >= 160 && code <= 255) {
+      out += `\\${code.toString(8)}`;
+    } else {
+      out += '?';
+    }
+  }
+  return `${out})`;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -72,6 +72,64 @@ export class Section extends PIXI.Graphics {
         throw new Error('Points array must contain even number of values (x, y pairs)');
       }
     }
+
+    if (config.outline !== undefined && config.outline !== null) {
+      if (!Array.isArray(config.outline) || config.outline.length < 6 || config.outline.length % 2 !== 0) {
+        throw new Error('Outline must be an array of at least 3 (x, y) pairs');
+      }
+    }
+
+    if (config.rowDefinitions !== undefined && config.rowDefinitions !== null) {
+      this.validateRowDefinitions(config.rowDefinitions);
+    }
+
+    if (config.arc !== undefined && config.arc !== null) {
+      this.validateArc(config.arc);
+    }
+  }
+
+  /**
+   * Validate per-row layout definitions
+   * @param {Array<{seats: number, offset: number, spacing: number}>} definitions
+   * @throws {Error} If any row definition is invalid
+   */
+  validateRowDefinitions(definitions) {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error('Row definitions must be a non-empty array');
+    }
+    definitions.forEach((row, index) => {
+      if (!Number.isInteger(row.seats) || row.seats < 1) {
+        throw new Error(`Row ${index + 1}: seat count must be a positive integer`);
+      }
+      if (typeof row.offset !== 'number' || !isFinite(row.offset)) {
+        throw new Error(`Row ${index + 1}: offset must be a number`);
+      }
+      if (typeof row.spacing !== 'number' || !isFinite(row.spacing) || row.spacing <= 0) {
+        throw new Error(`Row ${index + 1}: spacing must be a positive number`);
+      }
+    });
+  }
+
+  /**
+   * Validate arc (stadium) geometry
+   * @param {{innerRadius: number, rowDepth: number, rows: number, angleSpan: number, seatSpacing: number}} arc
+   * @throws {Error} If the arc geometry is invalid
+   */
+  validateArc(arc) {
+    if (!arc || typeof arc !== 'object') {
+      throw new Error('Arc must be an object');
+    }
+    ['innerRadius', 'rowDepth', 'seatSpacing'].forEach(field => {
+      if (typeof arc[field] !== 'number' || !isFinite(arc[field]) || arc[field] <= 0) {
+        throw new Error(`Arc ${field} must be a positive number`);
+      }
+    });
+    if (!Number.isInteger(arc.rows) || arc.rows < 1) {
+      throw new Error('Arc rows must be a positive integer');
+    }
+    if (typeof arc.angleSpan !== 'number' || !(arc.angleSpan > 0 && arc.angleSpan <= 360)) {
+      throw new Error('Arc angle span must be between 0 and 360 degrees');
+    }
   }
 
   /**
@@ -83,6 +141,8 @@ export class Section extends PIXI.Graphics {
     this._uniqueId = config.uniqueId || Utils.generateShortId();
     this._isGeneralAdmission = config.isGeneralAdmission || false;
     this._isZone = config.isZone || false;
+    this._groupId = config.groupId || null; // SMF group (layer) id, null when ungrouped
+    this._levelId = config.levelId || null; // SMF level (floor) id, null on single-level maps
     
     // Visual properties
     this._sectionColor = config.sectionColor || COLORS.SECTION_STROKE;
@@ -133,13 +193,24 @@ export class Section extends PIXI.Graphics {
     this._stretchV = config.stretchV || 0;
     this._curve = config.curve || 0;
     
+    // Polygon outline for shaped seat sections, in seat space [x, y, x, y...]
+    // (same coordinates as seat.relativeX/Y, so it follows the layout shift)
+    this._outline = config.outline || null;
+    
+    // Per-row layout [{ seats, offset, spacing }], null for a uniform grid
+    this._rowDefinitions = config.rowDefinitions || null;
+    
+    // Arc geometry { innerRadius, rowDepth, rows, angleSpan, seatSpacing }, null unless radial
+    this._arc = config.arc || null;
+    
     // Collections
     this._seats = [];
     this._rowLabels = [];
     
     // Row label configuration
-    this._rowLabelType = config.rowLabelType || 'none'; // 'none', 'numbers', 'letters'
+    this._rowLabelType = config.rowLabelType || 'none'; // 'none', 'numbers', 'letters', 'custom'
     this._rowLabelStart = config.rowLabelStart || 1;
+    this._rowLabelNames = config.rowLabelNames || null; // 'custom' labels by row index
     this._rowLabelReversed = config.rowLabelReversed || false;
     this._showLeftLabels = config.showLeftLabels || false;
     this._showRightLabels = config.showRightLabels || false;
@@ -196,11 +267,7 @@ export class Section extends PIXI.Graphics {
       return;
     }
 
-    if (this._points && this._points.length > 0) {
-      this.poly(this._points);
-    } else {
-      this.rect(0, 0, this._contentWidth, this._contentHeight);
-    }
+    this.traceShape();
     
     // Apply fill only if visible
     if (this._fillVisible) {
@@ -217,7 +284,7 @@ export class Section extends PIXI.Graphics {
       });
     }
     
-    this.hitArea = new PIXI.Rectangle(0, 0, this._contentWidth, this._contentHeight);
+    this.hitArea = this.createHitArea();
     
     // Create GA label if needed
     if (this._isGeneralAdmission && !this._isZone) {
@@ -227,6 +294,48 @@ export class Section extends PIXI.Graphics {
     }
   }
 
+  /**
+   * Get the section outline in local (graphics) coordinates
+   * @returns {number[]|null} Flat [x, y, ...] array, or null for rectangular sections
+   */
+  getShapePoints() {
+    if (this._points && this._points.length > 0) {
+      return this._points;
+    }
+    if (this._outline) {
+      const shiftX = this.layoutShiftX || 0;
+      const shiftY = this.layoutShiftY || 0;
+      return this._outline.map((value, i) => value + (i % 2 === 0 ? shiftX : shiftY));
+    }
+    return null;
+  }
+
+  /**
+   * Trace the section shape (polygon or rectangle) onto a graphics object
+   * Caller applies fill/stroke.
+   * @param {PIXI.Graphics} graphics - Target graphics (defaults to the section itself)
+   */
+  traceShape(graphics = this) {
+    const points = this.getShapePoints();
+    if (points) {
+      graphics.poly(points);
+    } else {
+      graphics.rect(0, 0, this._contentWidth, this._contentHeight);
+    }
+  }
+
+  /**
+   * Create a hit area matching the section shape
+   * Zones keep their bounding box so they stay easy to grab.
+   * @returns {PIXI.Polygon|PIXI.Rectangle}
+   */
+  createHitArea() {
+    if (this._outline) {
+      return new PIXI.Polygon(this.getShapePoints());
+    }
+    return new PIXI.Rectangle(0, 0, this._contentWidth, this._contentHeight);
+  }
+
   /**
    * Create glow effect behind the section
    */
@@ -242,11 +351,7 @@ export class Section extends PIXI.Graphics {
     const glow = new PIXI.Graphics();
     
     // Draw shape matching the section
-    if (this._points && this._points.length > 0) {
-      glow.poly(this._points);
-    } else {
-      glow.rect(0, 0, this._contentWidth, this._contentHeight);
-    }
+    this.traceShape(glow);
 
     // Apply stroke for glow
     glow.stroke({ 
@@ -351,6 +456,28 @@ export class Section extends PIXI.Graphics {
     this._uniqueId = value;
   }
 
+  get groupId() {
+    return this._groupId;
+  }
+
+  set groupId(value) {
+    if (value !== null && (typeof value !== 'string' || value === '')) {
+      throw new Error('Group ID must be a non-empty string or null');
+    }
+    this._groupId = value;
+  }
+
+  get levelId() {
+    return this._levelId;
+  }
+
+  set levelId(value) {
+    if (value !== null && (typeof value !== 'string' || value === '')) {
+      throw new Error('Level ID must be a non-empty string or null');
+    }
+    this._levelId = value;
+  }
+
   set sectionId(value) {
     if (typeof value !== 'string' || value.trim() === '') {
       throw new Error('Section ID must be a non-empty string');
@@ -639,7 +766,7 @@ export class Section extends PIXI.Graphics {
   }
 
   set rowLabelType(value) {
-    const validTypes = ['none', 'numbers', 'letters'];
+    const validTypes = ['none', 'numbers', 'letters', 'custom'];
     if (!validTypes.includes(value)) {
       throw new Error(`Row label type must be one of: ${validTypes.join(', ')}`);
     }
@@ -657,6 +784,17 @@ export class Section extends PIXI.Graphics {
     this._rowLabelStart = value;
   }
 
+  get rowLabelNames() {
+    return this._rowLabelNames;
+  }
+
+  set rowLabelNames(value) {
+    if (value !== null && !Array.isArray(value)) {
+      throw new Error('Row label names must be an array or null');
+    }
+    this._rowLabelNames = value;
+  }
+
   get rowLabelReversed() {
     return this._rowLabelReversed;
   }
@@ -746,6 +884,40 @@ export class Section extends PIXI.Graphics {
     this._rowAlignment = value;
   }
 
+  get outline() {
+    return this._outline;
+  }
+
+  set outline(value) {
+    if (value !== null && (!Array.isArray(value) || value.length < 6 || value.length % 2 !== 0)) {
+      throw new Error('Outline must be an array of at least 3 (x, y) pairs');
+    }
+    this._outline = value;
+    this.redrawGraphics();
+  }
+
+  get rowDefinitions() {
+    return this._rowDefinitions;
+  }
+
+  set rowDefinitions(value) {
+    if (value !== null) {
+      this.validateRowDefinitions(value);
+    }
+    this._rowDefinitions = value;
+  }
+
+  get arc() {
+    return this._arc;
+  }
+
+  set arc(value) {
+    if (value !== null) {
+      this.validateArc(value);
+    }
+    this._arc = value;
+  }
+
   // ============================================
   // UTILITY METHODS
   // ============================================
@@ -998,6 +1170,8 @@ export class Section extends PIXI.Graphics {
     const base = {
       id: this._uniqueId, // Use unique ID
       name: this._sectionId, // Store name separately
+      groupId: this._groupId,
+      levelId: this._levelId,
       type: this._isGeneralAdmission ? 'ga' : 'regular',
       x: this.x - this._contentWidth / 2, // Convert back from pivot
       y: this.y - this._contentHeight / 2,
@@ -1021,6 +1195,7 @@ export class Section extends PIXI.Graphics {
       rowLabels: {
         type: this._rowLabelType,
         start: this._rowLabelStart,
+        ...(this._rowLabelType === 'custom' ? { names: this._rowLabelNames || [] } : {}),
         reversed: this._rowLabelReversed,
         showLeft: this._showLeftLabels,
         showRight: this._showRightLabels,
@@ -1052,6 +1227,16 @@ export class Section extends PIXI.Graphics {
         capacity: this._gaCapacity
       };
       base.seats = [];
+    } else {
+      if (this._outline) {
+        base.outline = this._outline;
+      }
+      if (this._rowDefinitions) {
+        base.rowDefinitions = this._rowDefinitions;
+      }
+      if (this._arc) {
+        base.arc = this._arc;
+      }
     }
 
     return base;
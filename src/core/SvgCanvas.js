@@ -0,0 +1,153 @@
+// ============================================
+// SVG CANVAS - Vector drawing target for SVG export
+// ============================================
+
+/**
+ * Builds a standalone SVG document from drawing calls.
+ * Shares its drawing API with PdfPage so the exporter lays out a page once
+ * for both formats. Coordinates are page units with y pointing down.
+ */
+export class SvgCanvas {
+  /**
+   * @param {number} width - Page width in px
+   * @param {number} height - Page height in px
+   * @param {number|null} background - Page color (hex number), null for transparent
+   */
+  constructor(width, height, background = null) {
+    this.width = width;
+    this.height = height;
+    this.background = background;
+    this.parts = [];
+    this.clipCount = 0;
+  }
+
+  /**
+   * Draw a polygon or polyline
+   * @param {number[]} points - Flat [x, y, ...] array
+   * @param {Object} style - { fill, fillOpacity, stroke, strokeWidth, strokeOpacity, closed }
+   */
+  path(points, style = {}) {
+    if (points.length < 4) return;
+    const tag = style.closed === false ? 'polyline' : 'polygon';
+    const coords = [];
+    for (let i = 0; i < points.length; i += 2) {
+      coords.push(`${num(points[i])},${num(points[i + 1])}`);
+    }
+    this.parts.push(`<${tag} points="${coords.join(' ')}"${paint(style)}/>`);
+  }
+
+  /**
+   * Draw a circle
+   * @param {number} x
+   * @param {number} y
+   * @param {number} r
+   * @param {Object} style - Same as path()
+   */
+  circle(x, y, r, style = {}) {
+    this.parts.push(`<circle cx="${num(x)}" cy="${num(y)}" r="${num(r)}"${paint(style)}/>`);
+  }
+
+  /**
+   * Draw a single line of text, vertically centered on y
+   * @param {number} x
+   * @param {number} y
+   * @param {string} text
+   * @param {Object} style - { size, color, bold, anchor: 'start'|'middle'|'end', rotation (degrees), opacity }
+   */
+  text(x, y, text, style = {}) {
+    const attrs = [
+      `x="${num(x)}"`,
+      `y="${num(y)}"`,
+      'dy="0.35em"',
+      `font-family="Helvetica, Arial, sans-serif"`,
+      `font-size="${num(style.size || 12)}"`,
+      `fill="${hex(style.color || 0)}"`
+    ];
+    if (style.bold) attrs.push('font-weight="bold"');
+    if (style.anchor && style.anchor !== 'start') attrs.push(`text-anchor="${style.anchor}"`);
+    if (style.rotation) attrs.push(`transform="rotate(${num(style.rotation)} ${num(x)} ${num(y)})"`);
+    if (style.opacity !== undefined && style.opacity < 1) attrs.push(`opacity="${num(style.opacity)}"`);
+    this.parts.push(`<text ${attrs.join(' ')}>${escapeXml(text)}</text>`);
+  }
+
+  /**
+   * Draw an image
+   * @param {Object} image - Prepared image ({ href })
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @param {number} opacity
+   */
+  image(image, x, y, width, height, opacity = 1) {
+    const alpha = opacity < 1 ? ` opacity="${num(opacity)}"` : '';
+    this.parts.push(
+      `<image href="${escapeXml(image.href)}" x="${num(x)}" y="${num(y)}" ` +
+      `width="${num(width)}" height="${num(height)}" preserveAspectRatio="none"${alpha}/>`
+    );
+  }
+
+  /**
+   * Clip everything drawn until unclip() to a rectangle
+   */
+  clip(x, y, width, height) {
+    const id = `clip${this.clipCount++}`;
+    this.parts.push(
+      `<clipPath id="${id}"><rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"/></clipPath>`,
+      `<g clip-path="url(#${id})">`
+    );
+  }
+
+  unclip() {
+    this.parts.push('</g>');
+  }
+
+  /**
+   * Serialize the document
+   * @param {string} [title] - Document title
+   * @returns {string} SVG markup
+   */
+  toString(title = '') {
+    const w = num(this.width);
+    const h = num(this.height);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+      title ? `<title>${escapeXml(title)}</title>` : '',
+      this.background !== null ? `<rect width="100%" height="100%" fill="${hex(this.background)}"/>` : '',
+      ...this.parts,
+      '</svg>',
+      ''
+    ].filter(Boolean).join('\n');
+  }
+}
+
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function hex(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function paint(style) {
+  let attrs = ` fill="${style.fill !== undefined && style.fill !== null ? hex(style.fill) : 'none'}"`;
+  if (style.fill !== undefined && style.fill !== null && style.fillOpacity !== undefined && style.fillOpacity < 1) {
+    attrs += ` fill-opacity="${num(style.fillOpacity)}"`;
+  }
+  if (style.stroke !== undefined && style.stroke !== null) {
+    attrs += ` stroke="${hex(style.stroke)}" stroke-width="${num(style.strokeWidth || 1)}"`;
+    if (style.strokeOpacity !== undefined && style.strokeOpacity < 1) {
+      attrs += ` stroke-opacity="${num(style.strokeOpacity)}"`;
+    }
+  }
+  return attrs;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,258 @@
+// ============================================
+// VENUE OBJECT CLASS - Non-seat map objects
+// ============================================
+
+import { OBJECT_TYPES, VISUAL_CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+/**
+ * A stage, pillar, entrance, amenity icon, free text or arrow.
+ * Positioned by its center (x, y) and rotated around it; width and height
+ * are the unrotated box. Saved in the SMF "objects" array.
+ */
+export class VenueObject extends PIXI.Container {
+  constructor(config) {
+    super();
+
+    this.validateConfig(config);
+    this.initializeProperties(config);
+    this.draw();
+  }
+
+  /**
+   * Validate configuration before creating the object
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig(config) {
+    if (!config) {
+      throw new Error('Object config is required');
+    }
+
+    if (!OBJECT_TYPES[config.type]) {
+      throw new Error(`Unknown object type: ${config.type}`);
+    }
+
+    ['x', 'y'].forEach(field => {
+      if (typeof config[field] !== 'number' || !isFinite(config[field])) {
+        throw new Error(`Invalid object ${field} position`);
+      }
+    });
+
+    ['width', 'height'].forEach(field => {
+      if (config[field] !== undefined && (typeof config[field] !== 'number' || !(config[field] > 0))) {
+        throw new Error(`Invalid object ${field}: must be positive number`);
+      }
+    });
+  }
+
+  /**
+   * Initialize properties with the type's defaults
+   */
+  initializeProperties(config) {
+    const defaults = OBJECT_TYPES[config.type];
+
+    this._objectId = config.id || Utils.generateShortId();
+    this._type = config.type;
+    this._width = config.width || defaults.width;
+    this._height = config.height || defaults.height;
+    this._color = config.color !== undefined ? config.color : defaults.color;
+    this._label = config.label !== undefined ? config.label : defaults.label;
+    this._fontSize = config.fontSize || defaults.fontSize;
+    this._rotationDegrees = config.rotation || 0;
+    this._levelId = config.levelId || null;
+
+    this.x = config.x;
+    this.y = config.y;
+    this.angle = this._rotationDegrees;
+
+    this.graphics = new PIXI.Graphics();
+    this.labelText = new PIXI.Text({
+      text: '',
+      style: {
+        fontFamily: VISUAL_CONFIG.GA_LABEL.FONT_FAMILY,
+        fontWeight: 'bold',
+        align: 'center'
+      }
+    });
+    this.labelText.anchor.set(0.5);
+    this.addChild(this.graphics, this.labelText);
+
+    this.eventMode = 'static';
+    this.cursor = 'pointer';
+  }
+
+  /**
+   * Redraw the shape and label for the current properties
+   */
+  draw() {
+    const shape = OBJECT_TYPES[this._type].shape;
+    const w = this._width;
+    const h = this._height;
+    const g = this.graphics;
+
+    g.clear();
+    if (shape === 'rect') {
+      g.roundRect(-w / 2, -h / 2, w, h, Math.min(8, h / 4));
+      g.fill({ color: this._color });
+    } else if (shape === 'circle' || shape === 'icon') {
+      g.ellipse(0, 0, w / 2, h / 2);
+      g.fill({ color: this._color });
+    } else if (shape === 'arrow') {
+      // Points along +x; rotate the object to aim it
+      const thickness = Math.max(2, h / 4);
+      const headLength = Math.min(h, w / 2);
+      g.rect(-w / 2, -thickness / 2, w - headLength, thickness);
+      g.poly([w / 2 - headLength, -h / 2, w / 2, 0, w / 2 - headLength, h / 2]);
+      g.fill({ color: this._color });
+    }
+
+    this.labelText.visible = shape !== 'circle' && shape !== 'arrow';
+    this.labelText.text = this._label;
+    this.labelText.style.fontSize = this._fontSize;
+    this.labelText.style.fill = shape === 'text' ? this._color : 0xffffff;
+
+    this.hitArea = new PIXI.Rectangle(-w / 2, -h / 2, w, h);
+    if (this.selectionBorder) {
+      this.drawSelectionBorder();
+    }
+  }
+
+  /**
+   * Draw the selection outline (created on first selection)
+   */
+  drawSelectionBorder() {
+    if (!this.selectionBorder) {
+      this.selectionBorder = new PIXI.Graphics();
+      this.addChild(this.selectionBorder);
+    }
+    const offset = VISUAL_CONFIG.SELECTION.BORDER_OFFSET;
+    this.selectionBorder.clear();
+    this.selectionBorder.rect(-this._width / 2 - offset, -this._height / 2 - offset,
+      this._width + offset * 2, this._height + offset * 2);
+    this.selectionBorder.stroke({ width: 2, color: VISUAL_CONFIG.SELECTION.COLOR });
+  }
+
+  // ============================================
+  // GETTERS AND SETTERS WITH VALIDATION
+  // ============================================
+
+  get objectId() {
+    return this._objectId;
+  }
+
+  set objectId(value) {
+    this._objectId = value;
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  get levelId() {
+    return this._levelId;
+  }
+
+  set levelId(value) {
+    this._levelId = value || null;
+  }
+
+  get objectWidth() {
+    return this._width;
+  }
+
+  set objectWidth(value) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error('Object width must be a positive number');
+    }
+    this._width = value;
+    this.draw();
+  }
+
+  get objectHeight() {
+    return this._height;
+  }
+
+  set objectHeight(value) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error('Object height must be a positive number');
+    }
+    this._height = value;
+    this.draw();
+  }
+
+  get color() {
+    return this._color;
+  }
+
+  set color(value) {
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error('Object color must be a valid hex color number');
+    }
+    this._color = value;
+    this.draw();
+  }
+
+  get label() {
+    return this._label;
+  }
+
+  set label(value) {
+    this._label = String(value);
+    this.draw();
+  }
+
+  get fontSize() {
+    return this._fontSize;
+  }
+
+  set fontSize(value) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error('Font size must be a positive number');
+    }
+    this._fontSize = value;
+    this.draw();
+  }
+
+  get rotationDegrees() {
+    return this._rotationDegrees;
+  }
+
+  set rotationDegrees(value) {
+    this._rotationDegrees = ((value % 360) + 360) % 360;
+    this.angle = this._rotationDegrees;
+  }
+
+  /**
+   * Resize the box around its center
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error('Object size must be positive');
+    }
+    this._width = width;
+    this._height = height;
+    this.draw();
+  }
+
+  /**
+   * Serialize for the SMF "objects" array
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      id: this._objectId,
+      type: this._type,
+      x: this.x,
+      y: this.y,
+      width: this._width,
+      height: this._height,
+      rotation: this._rotationDegrees,
+      color: this._color,
+      label: this._label,
+      fontSize: this._fontSize,
+      levelId: this._levelId
+    };
+  }
+}
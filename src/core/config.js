@@ -2,12 +2,19 @@
 // CONFIGURATION & CONSTANTS
 // ============================================
 
+import { SEAT_SPACING, SECTION_MARGIN } from '../../renderer/core/SmfLayout.js';
+
 export const CONFIG = {
-  SEAT_SIZE: 24,        // Spacing between seats
-  SECTION_MARGIN: 20,   // Margin around section edges
+  SEAT_SIZE: SEAT_SPACING,        // Spacing between seats (shared with the renderer's layout)
+  SECTION_MARGIN: SECTION_MARGIN, // Margin around section edges (shared with the renderer's layout)
   GRID_SIZE: 50,        // Grid cell size
   GRID_COUNT: 80,       // Grid cells in each direction
-  MIN_SECTION_SIZE: 50  // Minimum section size in pixels
+  MIN_SECTION_SIZE: 50, // Minimum section size in pixels
+  POLYGON_CLOSE_DISTANCE: 10, // Screen pixels from the first vertex that close a polygon
+  ARC_ROWS: 8,          // Rows in a new arc section
+  ARC_ROW_DEPTH: 30,    // Radial distance between arc rows
+  ARC_ANGLE_SPAN: 60,   // Angular span of a new arc section (degrees)
+  HISTORY_LIMIT: 100    // Maximum undo steps kept in memory
 };
 
 export const VISUAL_CONFIG = {
@@ -40,6 +47,16 @@ export const VISUAL_CONFIG = {
     STROKE_ALPHA: 0.8,
     FILL_ALPHA: 0.15
   },
+  DIFF: {                 // Comparison overlay (DiffManager)
+    STROKE_WIDTH: 2,
+    SEAT_RING_RADIUS: 13, // Drawn around the seat (seats are 10 px)
+    ADDED: 0x22c55e,      // Green
+    REMOVED: 0xef4444,    // Red, at the seat's old position
+    MOVED: 0xf59e0b,      // Amber, with a line from the old position
+    RELABELLED: 0x06b6d4, // Cyan
+    REPRICED: 0xa855f7,   // Purple
+    CHANGED: 0xffffff     // Sections with other changes, accessible flag
+  },
   UI: {
     TOOLBAR_HEIGHT: 56,
     ZOOM_PADDING: 50,
@@ -67,8 +84,41 @@ export const COLORS = {
   SEAT_SELECTION_RECT_FILL: 0x00ff00,
   SEAT_SELECTION_RECT_STROKE: 0x00ff00,
   SPECIAL_NEEDS: 0x2563eb,
+  PRICE_CATEGORIES: [0xf59e0b, 0xa855f7, 0x10b981, 0xef4444, 0x06b6d4, 0xec4899], // Cycled for new price categories
   HANDLE_FILL: 0x4ade80,
   HANDLE_STROKE: 0xffffff,
   DEFAULT_FILL_COLOR: "#4a5568",
   DEFAULT_BORDER_COLOR: "#3b82f6"
 };
+
+// Non-seat venue objects (SMF "objects" array): default size, color, label and font size per type
+// shape: 'rect' (label inside a box), 'circle', 'icon' (label inside a circle), 'text', 'arrow'
+export const OBJECT_TYPES = {
+  'stage':     { name: 'Stage',     shape: 'rect',   width: 300, height: 80, color: 0x2d2f3a, label: 'STAGE',    fontSize: 20 },
+  'pillar':    { name: 'Pillar',    shape: 'circle', width: 30,  height: 30, color: 0x555a66, label: '',         fontSize: 12 },
+  'entrance':  { name: 'Entrance',  shape: 'rect',   width: 90,  height: 24, color: 0x3a9cff, label: 'ENTRANCE', fontSize: 11 },
+  'exit':      { name: 'Exit',      shape: 'rect',   width: 60,  height: 24, color: 0x22c55e, label: 'EXIT',     fontSize: 11 },
+  'restroom':  { name: 'Restroom',  shape: 'icon',   width: 36,  height: 36, color: 0x6366f1, label: 'WC',       fontSize: 12 },
+  'bar':       { name: 'Bar',       shape: 'icon',   width: 36,  height: 36, color: 0xf59e0b, label: 'BAR',      fontSize: 10 },
+  'food':      { name: 'Food',      shape: 'icon',   width: 36,  height: 36, color: 0xef4444, label: 'FOOD',     fontSize: 9 },
+  'info':      { name: 'Info',      shape: 'icon',   width: 36,  height: 36, color: 0x0ea5e9, label: 'i',        fontSize: 16 },
+  'first-aid': { name: 'First Aid', shape: 'icon',   width: 36,  height: 36, color: 0xdc2626, label: '+',        fontSize: 20 },
+  'text':      { name: 'Text',      shape: 'text',   width: 120, height: 30, color: 0xffffff, label: 'Text',     fontSize: 16 },
+  'arrow':     { name: 'Arrow',     shape: 'arrow',  width: 100, height: 20, color: 0xffffff, label: '',         fontSize: 12 }
+};
+
+// Vector export (SVG / PDF print)
+export const EXPORT_CONFIG = {
+  PIXELS_PER_METER: 50,   // Map units per meter for the scale bar (seats sit about half a meter apart)
+  MAP_PADDING: 20,        // Space kept around the map content, in map units
+  SVG_MARGIN: 24,         // SVG page margin in px
+  PDF_MARGIN: 36,         // PDF page margin in points (0.5 in)
+  PAGE_SIZES: {           // Portrait page sizes in points
+    a4: [595.28, 841.89],
+    a3: [841.89, 1190.55],
+    letter: [612, 792],
+    tabloid: [792, 1224]
+  },
+  PAPER: 0xffffff,        // Page color of the light theme
+  INK: 0x1f2430           // Title block, legend and scale bar color on light pages
+};
@@ -0,0 +1,453 @@
+// ============================================
+// CSV MANIFEST - Seat manifests from spreadsheets
+// Parses venue seat manifests (CSV/TSV) into SMF section data
+// ============================================
+
+import { CONFIG, COLORS } from './config.js';
+import { getRowLabelText } from '../../renderer/core/SmfLayout.js';
+
+export const CsvManifest = {
+  /**
+   * Manifest columns, in dialog order. `aliases` are matched against
+   * normalized headers (lowercase, letters and digits only) for auto-mapping.
+   */
+  FIELDS: [
+    { key: 'section', label: 'Section', required: true, aliases: ['section', 'sectionname', 'sectionid', 'block', 'area', 'zone'] },
+    { key: 'row', label: 'Row', required: true, aliases: ['row', 'rowname', 'rowlabel', 'rownumber', 'line'] },
+    { key: 'seat', label: 'Seat', required: true, aliases: ['seat', 'seatnumber', 'seatno', 'seatlabel', 'number', 'no'] },
+    { key: 'x', label: 'X', aliases: ['x', 'posx', 'xpos', 'xcoord', 'left'] },
+    { key: 'y', label: 'Y', aliases: ['y', 'posy', 'ypos', 'ycoord', 'top'] },
+    { key: 'category', label: 'Category', aliases: ['category', 'pricecategory', 'pricelevel', 'pricezone', 'tier', 'class'] },
+    { key: 'accessible', label: 'Accessible', aliases: ['accessible', 'accessibility', 'wheelchair', 'ada', 'specialneeds'] },
+    { key: 'id', label: 'Seat ID', aliases: ['id', 'seatid', 'uid', 'ticketid'] }
+  ],
+
+  // Values of the accessible column that mark a seat as accessible
+  TRUE_VALUES: ['1', 'true', 'yes', 'y', 'x', 'accessible', 'wheelchair', 'ada'],
+
+  // Space between auto-laid sections
+  SECTION_GAP: CONFIG.SEAT_SIZE * 2,
+
+  /**
+   * Parse CSV text into records
+   * Handles quoted fields (with "" escapes and line breaks), CRLF line endings,
+   * a UTF-8 BOM, and comma, semicolon or tab delimiters (detected from the header).
+   * @param {string} text - File contents
+   * @returns {Object} { headers: string[], records: Array<{ line: number, values: string[] }> }
+   * @throws {Error} When the file has no rows or a quoted field is never closed
+   */
+  parse(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+        row = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+    }
+
+    const records = rows
+      .map(record => ({ line: record.line, values: record.values.map(value => value.trim()) }))
+      .filter(record => record.values.some(value => value !== ''));
+    if (records.length === 0) {
+      throw new Error('The file has no rows');
+    }
+
+    const [header, ...data] = records;
+    return { headers: header.values, records: data };
+  },
+
+  /**
+   * Write records as CSV (comma separated, CRLF line endings)
+   * Fields containing the delimiter, quotes or line breaks are quoted.
+   * @param {string[]} columns - Header row; also the property read from each record
+   * @param {Object[]} records - Records to write
+   * @returns {string} CSV text
+   */
+  stringify(columns, records) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+      .map(values => values.map(escape).join(','))
+      .join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Pick the delimiter that occurs most often in the first line (outside quotes)
+   * @param {string} text - File contents
+   * @returns {string} ',', ';' or '\t'
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({
+      delimiter,
+      count: firstLine.split(delimiter).length - 1
+    }));
+    return counts.reduce((best, current) => current.count > best.count ? current : best).delimiter;
+  },
+
+  /**
+   * Guess which column holds each field from the header names
+   * @param {string[]} headers - Header row
+   * @returns {Object} Field key -> column index (-1 when not found)
+   */
+  detectMapping(headers) {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const used = new Set();
+    const mapping = {};
+
+    this.FIELDS.forEach(field => {
+      const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+      mapping[field.key] = index;
+      if (index !== -1) used.add(index);
+    });
+    return mapping;
+  },
+
+  /**
+   * Build SMF section data from manifest records
+   * Sections whose seats all have coordinates keep them (scaled to editor pixels);
+   * sections without any coordinates are laid out as centered rows, side by side
+   * to the right of `origin`. Sections with only some coordinates keep the seats
+   * that have them and report the rest.
+   * @param {Array<{ line: number, values: string[] }>} records - Parsed records
+   * @param {Object} mapping - Field key -> column index (-1 for unmapped)
+   * @param {Object} options - { scale: editor px per manifest unit, origin: { x, y } for auto layout }
+   * @returns {Object} { sections: Object[] (SMF section data), report }
+   */
+  buildSections(records, mapping, options = {}) {
+    const scale = options.scale > 0 ? options.scale : 1;
+    const origin = options.origin || { x: 0, y: 0 };
+    const report = { rows: records.length, seats: 0, sections: 0, duplicates: [], unplaced: [] };
+    const value = (record, key) => mapping[key] >= 0 ? (record.values[mapping[key]] || '').trim() : '';
+
+    ['section', 'row', 'seat'].forEach(key => {
+      if (!(mapping[key] >= 0)) {
+        throw new Error(`Choose the ${key} column`);
+      }
+    });
+
+    // Group seats by section, then row, in file order
+    const sectionMap = new Map();
+    const seen = new Map();
+    const seenIds = new Map();
+    records.forEach(record => {
+      const sectionName = value(record, 'section');
+      const rowName = value(record, 'row');
+      const seatName = value(record, 'seat');
+      const missing = [['section', sectionName], ['row', rowName], ['seat', seatName]]
+        .filter(([, text]) => text === '')
+        .map(([key]) => key);
+      if (missing.length > 0) {
+        report.unplaced.push({ line: record.line, reason: `Missing ${missing.join(', ')}` });
+        return;
+      }
+
+      const key = `${sectionName}|${rowName}|${seatName}`;
+      if (seen.has(key)) {
+        report.duplicates.push({
+          line: record.line,
+          reason: `${sectionName} row ${rowName} seat ${seatName} already on line ${seen.get(key)}`
+        });
+        return;
+      }
+      const id = value(record, 'id');
+      if (id && seenIds.has(id)) {
+        report.duplicates.push({ line: record.line, reason: `Seat ID ${id} already on line ${seenIds.get(id)}` });
+        return;
+      }
+
+      const x = this.parseNumber(value(record, 'x'));
+      const y = this.parseNumber(value(record, 'y'));
+      if (Number.isNaN(x) || Number.isNaN(y)) {
+        report.unplaced.push({ line: record.line, reason: 'Coordinates are not numbers' });
+        return;
+      }
+      if ((x === null) !== (y === null)) {
+        report.unplaced.push({ line: record.line, reason: `Missing ${x === null ? 'x' : 'y'} coordinate` });
+        return;
+      }
+
+      seen.set(key, record.line);
+      if (id) seenIds.set(id, record.line);
+
+      if (!sectionMap.has(sectionName)) sectionMap.set(sectionName, new Map());
+      const rowMap = sectionMap.get(sectionName);
+      if (!rowMap.has(rowName)) rowMap.set(rowName, []);
+      rowMap.get(rowName).push({
+        line: record.line,
+        name: seatName,
+        id,
+        x: x === null ? null : x * scale,
+        y: y === null ? null : y * scale,
+        category: value(record, 'category'),
+        accessible: this.TRUE_VALUES.includes(value(record, 'accessible').toLowerCase())
+      });
+    });
+
+    // Category colors are shared by name across all imported sections
+    const categoryColors = new Map();
+    const colorOf = name => {
+      const key = name.toLowerCase();
+      if (!categoryColors.has(key)) {
+        const palette = COLORS.PRICE_CATEGORIES;
+        categoryColors.set(key, palette[categoryColors.size % palette.length]);
+      }
+      return categoryColors.get(key);
+    };
+
+    const positioned = [];
+    const autoLaid = [];
+    sectionMap.forEach((rowMap, name) => {
+      const seats = [...rowMap.values()].flat();
+      const located = seats.filter(seat => seat.x !== null);
+
+      if (located.length > 0) {
+        seats.filter(seat => seat.x === null).forEach(seat => {
+          report.unplaced.push({ line: seat.line, reason: `No coordinates (other seats in ${name} have them)` });
+        });
+        const rows = [...rowMap.entries()]
+          .map(([rowName, rowSeats]) => [rowName, rowSeats.filter(seat => seat.x !== null)])
+          .filter(([, rowSeats]) => rowSeats.length > 0);
+        positioned.push(this.buildPositionedSection(name, rows, colorOf));
+      } else {
+        autoLaid.push(this.buildAutoSection(name, [...rowMap.entries()], colorOf));
+      }
+    });
+
+    // Auto-laid sections go in a line right of everything else
+    let cursorX = origin.x;
+    let top = origin.y;
+    if (positioned.length > 0) {
+      cursorX = Math.max(cursorX, ...positioned.map(section => section.x + section.base.baseWidth + this.SECTION_GAP));
+      top = Math.min(...positioned.map(section => section.y));
+    }
+    autoLaid.forEach(section => {
+      section.x = cursorX;
+      section.y = top;
+      cursorX += section.base.baseWidth + this.SECTION_GAP;
+    });
+
+    const sections = [...positioned, ...autoLaid];
+    report.sections = sections.length;
+    report.seats = sections.reduce((sum, section) => sum + section.seats.length, 0);
+    return { sections, report };
+  },
+
+  /**
+   * Section data for seats with manifest coordinates
+   * Rows are ordered top to bottom by their average y, seats left to right.
+   * @param {string} name - Section name
+   * @param {Array} rows - [rowName, seats[]] pairs
+   * @param {Function} colorOf - Category name -> color
+   * @returns {Object} SMF section data
+   */
+  buildPositionedSection(name, rows, colorOf) {
+    const margin = CONFIG.SECTION_MARGIN;
+    const average = seats => seats.reduce((sum, seat) => sum + seat.y, 0) / seats.length;
+    const ordered = rows
+      .map(([rowName, seats]) => [rowName, [...seats].sort((a, b) => a.x - b.x)])
+      .sort((a, b) => average(a[1]) - average(b[1]));
+
+    const all = ordered.flatMap(([, seats]) => seats);
+    const minX = Math.min(...all.map(seat => seat.x));
+    const minY = Math.min(...all.map(seat => seat.y));
+    const width = Math.max(...all.map(seat => seat.x)) - minX + margin * 2;
+    const height = Math.max(...all.map(seat => seat.y)) - minY + margin * 2;
+
+    return this.buildSectionData(name, ordered, {
+      x: minX - margin,
+      y: minY - margin,
+      width,
+      height,
+      position: seat => ({ x: seat.x - minX + margin, y: seat.y - minY + margin })
+    }, colorOf);
+  },
+
+  /**
+   * Section data for seats without coordinates
+   * Rows keep their file order; seats are sorted by number and rows are centered.
+   * @param {string} name - Section name
+   * @param {Array} rows - [rowName, seats[]] pairs
+   * @param {Function} colorOf - Category name -> color
+   * @returns {Object} SMF section data (positioned at 0, 0)
+   */
+  buildAutoSection(name, rows, colorOf) {
+    const margin = CONFIG.SECTION_MARGIN;
+    const spacing = CONFIG.SEAT_SIZE;
+    const ordered = rows.map(([rowName, seats]) => [
+      rowName,
+      [...seats].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    ]);
+    const columns = Math.max(...ordered.map(([, seats]) => seats.length));
+
+    const slots = new Map();
+    ordered.forEach(([, seats], r) => {
+      const offset = (columns - seats.length) / 2 * spacing;
+      seats.forEach((seat, c) => {
+        slots.set(seat, { x: margin + offset + c * spacing, y: margin + r * spacing });
+      });
+    });
+
+    return this.buildSectionData(name, ordered, {
+      x: 0,
+      y: 0,
+      width: (columns - 1) * spacing + margin * 2,
+      height: (ordered.length - 1) * spacing + margin * 2,
+      position: seat => slots.get(seat)
+    }, colorOf);
+  },
+
+  /**
+   * Assemble SMF section data from ordered rows
+   * @param {string} name - Section name
+   * @param {Array} rows - Ordered [rowName, seats[]] pairs (seats ordered left to right)
+   * @param {Object} layout - { x, y, width, height, position(seat) -> { x, y } in section space }
+   * @param {Function} colorOf - Category name -> color
+   * @returns {Object} SMF section data
+   */
+  buildSectionData(name, rows, layout, colorOf) {
+    const rowNames = rows.map(([rowName]) => rowName);
+    // Names no label sequence reproduces (skipped letters, "Row 1"...) are kept as custom labels
+    const detected = this.detectRowLabels(rowNames);
+    const rowLabels = detected.type === 'none' ? { type: 'custom', start: 1, names: rowNames } : detected;
+
+    const categories = [];
+    const categoryIds = new Map();
+    const categoryId = categoryName => {
+      const key = categoryName.toLowerCase();
+      if (!categoryIds.has(key)) {
+        const id = `cat${categories.length + 1}`;
+        categoryIds.set(key, id);
+        categories.push({ id, name: categoryName, price: 0, color: colorOf(categoryName) });
+      }
+      return categoryIds.get(key);
+    };
+
+    const seats = [];
+    rows.forEach(([, rowSeats], r) => {
+      rowSeats.forEach((seat, c) => {
+        const { x, y } = layout.position(seat);
+        const seatData = {
+          r,
+          c,
+          n: seat.name,
+          x,
+          y,
+          bx: x,
+          by: y
+        };
+        // Numbers other than the default 1, 2, 3... (e.g. "01", "101") survive renumbering
+        if (seat.name !== String(c + 1)) seatData.mn = true;
+        if (seat.id) seatData.id = seat.id;
+        if (seat.accessible) seatData.sn = true;
+        if (seat.category) seatData.pc = categoryId(seat.category);
+        seats.push(seatData);
+      });
+    });
+
+    return {
+      name,
+      x: layout.x,
+      y: layout.y,
+      base: {
+        baseWidth: layout.width,
+        baseHeight: layout.height,
+        rows: rows.length,
+        columns: Math.max(...rows.map(([, rowSeats]) => rowSeats.length))
+      },
+      rowLabels: {
+        ...rowLabels,
+        showLeft: true,
+        showRight: false,
+        hidden: false,
+        spacing: 20
+      },
+      seatNumbering: { start: 1, reversed: false },
+      transform: { rotation: 0, curve: 0, stretchH: 0, stretchV: 0 },
+      pricing: {
+        basePrice: 0,
+        serviceFee: 0,
+        serviceFeeEnabled: false,
+        serviceFeeType: 'fixed',
+        ...(categories.length > 0 ? { categories } : {})
+      },
+      seats
+    };
+  },
+
+  /**
+   * Find the row label sequence (numbers or letters) that reproduces the row names
+   * Names must match the renderer's labels exactly (case included), as they
+   * become the row part of the seats' inventory keys.
+   * @param {string[]} rowNames - Row names in layout order
+   * @returns {Object} { type: 'numbers'|'letters'|'none', start }
+   */
+  detectRowLabels(rowNames) {
+    const first = rowNames[0];
+    const candidates = [];
+    if (/^\d+$/.test(first)) {
+      candidates.push({ type: 'numbers', start: parseInt(first, 10) });
+    }
+    if (/^[A-Z]$/.test(first[0])) {
+      candidates.push({ type: 'letters', start: first[0] });
+    }
+
+    const match = candidates.find(({ type, start }) =>
+      rowNames.every((rowName, i) => getRowLabelText(i, type, start) === rowName)
+    );
+    return match || { type: 'none', start: 1 };
+  },
+
+  /**
+   * Parse a coordinate
+   * @param {string} text - Cell text
+   * @returns {number|null} The number, null when empty, NaN when invalid
+   */
+  parseNumber(text) {
+    if (text === '') return null;
+    const number = Number(text.replace(',', '.'));
+    return Number.isFinite(number) ? number : NaN;
+  }
+};
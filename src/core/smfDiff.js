@@ -0,0 +1,377 @@
+// ============================================
+// SMF DIFF - Compare and merge versions of a map
+// ============================================
+
+import { getSectionSeats } from '../../renderer/core/SmfLayout.js';
+
+// World coordinates are rounded to 1/100 map unit, like seat manifests;
+// seats closer than that to their old position haven't moved
+const COORDINATE_PRECISION = 100;
+
+// Top-level file fields that change on every save
+const VOLATILE_FIELDS = ['created', 'modified', 'canvas'];
+
+/** Section pricing fields compared one by one (categories are compared by ID) */
+const PRICING_FIELDS = ['basePrice', 'serviceFee', 'serviceFeeEnabled', 'serviceFeeType'];
+
+export const SmfDiff = {
+  /**
+   * Compare two versions of a map
+   * Sections, objects and price categories are matched by `id`; seats by `id`
+   * (row and column within the section when a seat has none). Both files
+   * must be SMF 2.1 (migrate older files first).
+   *
+   * Seat changes:
+   * - moved: position within its section changed, or the seat moved to another section
+   *   (moving a whole section is a section change, not a seat move)
+   * - relabelled: row label or seat number changed
+   * - repriced: price category changed (section price changes are listed in `pricing`)
+   * - accessible: accessible flag changed
+   *
+   * @param {Object} before - SMF data
+   * @param {Object} after - SMF data
+   * @returns {Object} { identical, capacity, summary, fields, sections, seats, pricing, objects } -
+   *   `fields` lists other top-level fields that differ (venue, levels, groups...)
+   */
+  diff(before, after) {
+    const fields = changedFields(before, after, ['sections', 'objects', ...VOLATILE_FIELDS]);
+    const sections = diffById(before.sections || [], after.sections || [], sectionKey,
+      (a, b) => changedFields(a, b, ['seats']));
+    const describe = section => ({ id: section.id || null, name: section.name, levelId: section.levelId ?? null });
+
+    const seats = diffById(listSeats(before), listSeats(after), seat => seat.matchKey, compareSeats);
+    const seatChanges = kind => seats.changed.filter(change => change.changes.includes(kind)).length;
+
+    const pricing = [];
+    sections.matched.forEach(([a, b]) => pricing.push(...diffPricing(a, b)));
+
+    const objects = diffById(before.objects || [], after.objects || [], object => object.id, changedFields);
+
+    const capacity = { before: getCapacity(before), after: getCapacity(after) };
+    const summary = {
+      sectionsAdded: sections.added.length,
+      sectionsRemoved: sections.removed.length,
+      sectionsChanged: sections.changed.length,
+      seatsAdded: seats.added.length,
+      seatsRemoved: seats.removed.length,
+      seatsMoved: seatChanges('moved'),
+      seatsRelabelled: seatChanges('relabelled'),
+      seatsRepriced: seatChanges('repriced'),
+      seatsChanged: seats.changed.length,
+      pricingChanges: pricing.length,
+      objectsChanged: objects.added.length + objects.removed.length + objects.changed.length
+    };
+
+    return {
+      identical: fields.length === 0 && Object.values(summary).every(count => count === 0),
+      capacity,
+      summary,
+      fields,
+      sections: {
+        added: sections.added.map(describe),
+        removed: sections.removed.map(describe),
+        changed: sections.changed.map(({ after: section, changes }) => ({ ...describe(section), fields: changes }))
+      },
+      seats: {
+        added: seats.added.map(publicSeat),
+        removed: seats.removed.map(publicSeat),
+        changed: seats.changed.map(({ before: seat, after: next, changes }) => ({
+          id: next.id,
+          key: next.key,
+          changes,
+          before: publicSeat(seat),
+          after: publicSeat(next)
+        }))
+      },
+      pricing,
+      objects: {
+        added: objects.added.map(object => object.id),
+        removed: objects.removed.map(object => object.id),
+        changed: objects.changed.map(({ after: object, changes }) => ({ id: object.id, fields: changes }))
+      }
+    };
+  },
+
+  /**
+   * Three-way merge: apply the changes both sides made to a common base
+   * Lists of records with IDs (sections, seats, objects, levels, groups, price
+   * categories) are merged item by item and records field by field, so two
+   * designers can edit different sections, or different seats of one section.
+   * A field both sides changed differently is a conflict; the merged file keeps
+   * `prefer`'s value there. `venue.capacity` is recounted and `modified` set to now.
+   * @param {Object} base - SMF data both versions started from
+   * @param {Object} ours - SMF data
+   * @param {Object} theirs - SMF data
+   * @param {Object} [options] - { prefer: 'ours' | 'theirs' } (default 'ours')
+   * @returns {Object} { data, conflicts: [{ path, base, ours, theirs }], clean: boolean }
+   */
+  merge(base, ours, theirs, { prefer = 'ours' } = {}) {
+    const conflicts = [];
+    const data = mergeValue(base, ours, theirs, '', conflicts, prefer);
+
+    data.modified = new Date().toISOString();
+    if (data.venue && typeof data.venue === 'object') {
+      data.venue.capacity = getCapacity(data);
+    }
+    return { data, conflicts, clean: conflicts.length === 0 };
+  },
+
+  /**
+   * One line per change, for reports ('+' added, '-' removed, '~' changed)
+   * @param {Object} diff - From diff()
+   * @returns {string[]}
+   */
+  formatChanges(diff) {
+    const { sections, seats, pricing, objects, capacity } = diff;
+    const price = value => (isRecord(value) ? `${value.name} (${value.price})` : value ?? '(none)');
+    const lines = [];
+
+    if (capacity.before !== capacity.after) {
+      lines.push(`~ capacity: ${capacity.before} → ${capacity.after}`);
+    }
+    diff.fields.forEach(field => lines.push(`~ ${field}`));
+    sections.added.forEach(section => lines.push(`+ section ${section.name}`));
+    sections.removed.forEach(section => lines.push(`- section ${section.name}`));
+    sections.changed.forEach(section => lines.push(`~ section ${section.name}: ${section.fields.join(', ')}`));
+    seats.added.forEach(seat => lines.push(`+ seat ${seat.key}`));
+    seats.removed.forEach(seat => lines.push(`- seat ${seat.key}`));
+    seats.changed.forEach(seat => {
+      const label = seat.before.key === seat.after.key ? seat.after.key : `${seat.before.key} → ${seat.after.key}`;
+      lines.push(`~ seat ${label}: ${seat.changes.join(', ')}`);
+    });
+    pricing.forEach(change => {
+      lines.push(`~ price ${change.section} ${change.field}: ${price(change.before)} → ${price(change.after)}`);
+    });
+    objects.added.forEach(id => lines.push(`+ object ${id}`));
+    objects.removed.forEach(id => lines.push(`- object ${id}`));
+    objects.changed.forEach(object => lines.push(`~ object ${object.id}: ${object.fields.join(', ')}`));
+    return lines;
+  },
+
+  /**
+   * Whether a diff entry (section or seat) is on a level
+   * Maps without levels have every item on `null`; items on unknown levels count as the first level.
+   * @param {Object} data - SMF data the entry comes from
+   * @param {Object} entry - Section or seat entry with `levelId`
+   * @param {string|null} levelId
+   * @returns {boolean}
+   */
+  isOnLevel(data, entry, levelId) {
+    const levels = data.levels || [];
+    if (levels.length === 0) return levelId === null;
+    const resolved = levels.some(level => level.id === entry.levelId) ? entry.levelId : levels[0].id;
+    return resolved === levelId;
+  }
+};
+
+// ============================================
+// DIFF HELPERS
+// ============================================
+
+function sectionKey(section) {
+  return section.id || section.name;
+}
+
+/**
+ * Seat entries of every seat section, with the fields the diff compares
+ */
+function listSeats(data) {
+  const seats = [];
+  (data.sections || []).forEach(section => {
+    getSectionSeats(section).forEach(({ seat, row, number, key, local, x, y }) => {
+      const category = section.pricing?.categories?.find(c => c.id === seat.pc) || null;
+      seats.push({
+        matchKey: seat.id || `${sectionKey(section)}:${seat.r}:${seat.c}`,
+        id: seat.id || null,
+        sectionId: sectionKey(section),
+        section: section.name,
+        levelId: section.levelId ?? null,
+        key,
+        row,
+        seat: number,
+        category: category?.name || '',
+        categoryId: seat.pc || null,
+        accessible: !!seat.sn,
+        local,
+        x: round(x),
+        y: round(y)
+      });
+    });
+  });
+  return seats;
+}
+
+function round(value) {
+  return Math.round(value * COORDINATE_PRECISION) / COORDINATE_PRECISION;
+}
+
+function publicSeat({ matchKey, local, ...seat }) {
+  return seat;
+}
+
+function compareSeats(a, b) {
+  const changes = [];
+  const distance = Math.hypot(a.local.x - b.local.x, a.local.y - b.local.y);
+  if (a.sectionId !== b.sectionId || distance > 1 / COORDINATE_PRECISION) changes.push('moved');
+  if (a.row !== b.row || a.seat !== b.seat) changes.push('relabelled');
+  if (a.categoryId !== b.categoryId) changes.push('repriced');
+  if (a.accessible !== b.accessible) changes.push('accessible');
+  return changes;
+}
+
+function diffPricing(a, b) {
+  const changes = [];
+  const entry = (field, before, after) => ({ sectionId: sectionKey(b), section: b.name, field, before, after });
+  const pa = a.pricing || {};
+  const pb = b.pricing || {};
+
+  PRICING_FIELDS.forEach(field => {
+    if (!equal(pa[field], pb[field])) changes.push(entry(field, pa[field] ?? null, pb[field] ?? null));
+  });
+
+  const categories = diffById(pa.categories || [], pb.categories || [], category => category.id, changedFields);
+  categories.added.forEach(category => changes.push(entry('category', null, category)));
+  categories.removed.forEach(category => changes.push(entry('category', category, null)));
+  categories.changed.forEach(({ before, after }) => changes.push(entry('category', before, after)));
+  return changes;
+}
+
+/**
+ * Seats plus GA capacity, like FileManager.calculateTotalCapacity()
+ */
+function getCapacity(data) {
+  return (data.sections || []).reduce((total, section) => {
+    if (section.type === 'ga') return total + (section.ga?.capacity || 0);
+    return total + getSectionSeats(section).length;
+  }, 0);
+}
+
+/**
+ * Match two lists by key
+ * @returns {Object} { added, removed, changed: [{ before, after, changes }], matched: [[before, after]] }
+ */
+function diffById(before, after, keyOf, compare) {
+  const previous = new Map(before.map(item => [keyOf(item), item]));
+  const current = new Map(after.map(item => [keyOf(item), item]));
+  const changed = [];
+  const matched = [];
+
+  current.forEach((item, key) => {
+    if (!previous.has(key)) return;
+    matched.push([previous.get(key), item]);
+    const changes = compare(previous.get(key), item);
+    if (changes.length > 0) {
+      changed.push({ before: previous.get(key), after: item, changes });
+    }
+  });
+
+  return {
+    added: after.filter(item => !previous.has(keyOf(item))),
+    removed: before.filter(item => !current.has(keyOf(item))),
+    changed,
+    matched
+  };
+}
+
+/**
+ * Top-level fields whose values differ
+ */
+function changedFields(a, b, ignore = []) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].filter(field => !ignore.includes(field) && !equal(a[field], b[field]));
+}
+
+// ============================================
+// MERGE HELPERS
+// ============================================
+
+function mergeValue(base, ours, theirs, path, conflicts, prefer) {
+  if (equal(ours, theirs)) return clone(ours);
+  if (equal(base, ours)) return clone(theirs);
+  if (equal(base, theirs)) return clone(ours);
+
+  if (isRecord(base) && isRecord(ours) && isRecord(theirs)) {
+    return mergeRecord(base, ours, theirs, path, conflicts, prefer);
+  }
+  if ([base, ours, theirs].every(Array.isArray) && isKeyedList(base, ours, theirs)) {
+    return mergeList(base, ours, theirs, path, conflicts, prefer);
+  }
+
+  conflicts.push({ path: path || '(file)', base: base ?? null, ours: ours ?? null, theirs: theirs ?? null });
+  return clone(prefer === 'theirs' ? theirs : ours);
+}
+
+function mergeRecord(base, ours, theirs, path, conflicts, prefer) {
+  const result = {};
+  const fields = new Set([...Object.keys(ours), ...Object.keys(theirs), ...Object.keys(base)]);
+  fields.forEach(field => {
+    if (path === '' && VOLATILE_FIELDS.includes(field)) {
+      if (field in ours) result[field] = clone(ours[field]);
+      return;
+    }
+    const value = mergeValue(base[field], ours[field], theirs[field], joinPath(path, field), conflicts, prefer);
+    if (value !== undefined) result[field] = value;
+  });
+  return result;
+}
+
+/**
+ * Merge lists of records by key; ours' order first, then theirs' new items
+ */
+function mergeList(base, ours, theirs, path, conflicts, prefer) {
+  const baseItems = new Map(base.map(item => [itemKey(item), item]));
+  const theirItems = new Map(theirs.map(item => [itemKey(item), item]));
+  const ourKeys = new Set(ours.map(itemKey));
+  const result = [];
+
+  const add = (key, ourItem, theirItem) => {
+    const merged = mergeValue(baseItems.get(key), ourItem, theirItem, `${path}[${key}]`, conflicts, prefer);
+    if (merged !== undefined) result.push(merged);
+  };
+  ours.forEach(item => add(itemKey(item), item, theirItems.get(itemKey(item))));
+  theirs.forEach(item => {
+    if (!ourKeys.has(itemKey(item))) add(itemKey(item), undefined, item);
+  });
+  return result;
+}
+
+/**
+ * Lists whose items all have a unique ID (or, for seats, a row and column)
+ */
+function isKeyedList(...lists) {
+  return lists.every(list => {
+    const keys = list.map(item => (isRecord(item) ? itemKey(item) : undefined));
+    return keys.every(key => key !== undefined) && new Set(keys).size === keys.length;
+  });
+}
+
+function itemKey(item) {
+  if (item.id !== undefined && item.id !== null) return String(item.id);
+  if (item.r !== undefined && item.c !== undefined) return `${item.r}:${item.c}`;
+  return undefined;
+}
+
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
+
+// ============================================
+// VALUES
+// ============================================
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function equal(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  return keysA.length === keysB.length && keysA.every(key => equal(a[key], b[key]));
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
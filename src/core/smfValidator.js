@@ -3,37 +3,69 @@
 // Validates venue map files against the SMF schema
 // ============================================
 
+import { OBJECT_TYPES } from './config.js';
+import { validateSMF } from '../../renderer/core/SmfSchema.js';
+import { isInventoryKeyScheme } from '../../renderer/core/SmfLayout.js';
+
 export const SMFValidator = {
   /**
    * Validate an SMF file and return validation results
-   * @param {Object} data - The parsed JSON data to validate
+   * Structure and field types are checked against the SMF JSON Schema
+   * (renderer/core/SmfSchema.js); the checks here cover what a schema can't
+   * express: unique IDs, references between sections, groups and levels,
+   * and unusual values (warnings).
+   * @param {Object} data - The parsed JSON data to validate (SMF 2.1; upgrade older files with migrateSMF first)
+   * @param {Object} [options]
+   * @param {boolean} [options.strict=false] - Reject fields the schema doesn't list
    * @returns {Object} - { valid: boolean, errors: string[], warnings: string[] }
    */
-  validate(data) {
-    const errors = [];
+  validate(data, { strict = false } = {}) {
+    const errors = [...validateSMF(data, { strict }).errors];
     const warnings = [];
 
+    if (!isObject(data)) {
+      return { valid: false, errors, warnings };
+    }
+
     // Root level validation
     this.validateRoot(data, errors, warnings);
 
     // Venue validation
-    if (data.venue) {
+    if (isObject(data.venue)) {
       this.validateVenue(data.venue, errors, warnings);
     }
 
     // Canvas validation
-    if (data.canvas) {
+    if (isObject(data.canvas)) {
       this.validateCanvas(data.canvas, errors, warnings);
     }
 
     // Underlay validation
-    if (data.underlay) {
+    if (isObject(data.underlay)) {
       this.validateUnderlay(data.underlay, errors, warnings);
     }
 
+    // Levels validation
+    const levelIds = Array.isArray(data.levels)
+      ? this.validateLevels(data.levels, errors, warnings)
+      : new Set();
+    if (levelIds.size > 0 && data.underlay) {
+      warnings.push('Field "underlay" is ignored on maps with levels (each level has its own underlay)');
+    }
+
+    // Groups validation
+    const groupIds = Array.isArray(data.groups)
+      ? this.validateGroups(data.groups, errors, warnings)
+      : new Set();
+
     // Sections validation
-    if (data.sections) {
-      this.validateSections(data.sections, errors, warnings);
+    if (Array.isArray(data.sections)) {
+      this.validateSections(data.sections, errors, warnings, groupIds, levelIds);
+    }
+
+    // Venue objects validation
+    if (Array.isArray(data.objects)) {
+      this.validateObjects(data.objects, errors, warnings, levelIds);
     }
 
     return {
@@ -47,29 +79,6 @@ export const SMFValidator = {
    * Validate root level fields
    */
   validateRoot(data, errors, warnings) {
-    // Required fields
-    if (!data.format) {
-      errors.push('Missing required field: format');
-    } else if (data.format !== 'SMF') {
-      errors.push(`Invalid format: expected "SMF", got "${data.format}"`);
-    }
-
-    if (!data.version) {
-      errors.push('Missing required field: version');
-    } else if (!this.isValidVersion(data.version)) {
-      warnings.push(`Unrecognized version: ${data.version}. Expected format: x.y.z`);
-    }
-
-    if (!data.venue) {
-      errors.push('Missing required field: venue');
-    }
-
-    if (!data.sections) {
-      errors.push('Missing required field: sections');
-    } else if (!Array.isArray(data.sections)) {
-      errors.push('Field "sections" must be an array');
-    }
-
     // Optional but recommended
     if (!data.created) {
       warnings.push('Missing recommended field: created (ISO 8601 timestamp)');
@@ -84,62 +93,43 @@ export const SMFValidator = {
    * Validate venue object
    */
   validateVenue(venue, errors, warnings) {
-    if (typeof venue !== 'object' || venue === null) {
-      errors.push('Field "venue" must be an object');
-      return;
-    }
-
     if (!venue.name) {
       warnings.push('Missing venue.name');
-    } else if (typeof venue.name !== 'string') {
-      errors.push('Field "venue.name" must be a string');
+    } else if (venue.name === 'Venue name') {
+      warnings.push('venue.name is still the placeholder "Venue name"');
+    }
+
+    if (typeof venue.timezone === 'string' && !this.isValidTimeZone(venue.timezone)) {
+      warnings.push(`Unknown venue.timezone: "${venue.timezone}". Expected an IANA time zone such as "America/Mexico_City"`);
     }
 
-    if (venue.capacity !== undefined && typeof venue.capacity !== 'number') {
-      errors.push('Field "venue.capacity" must be a number');
+    if (venue.inventoryKey !== undefined && !isInventoryKeyScheme(venue.inventoryKey)) {
+      warnings.push(`Unknown venue.inventoryKey: "${venue.inventoryKey}". Expected "label", "id" or a template such as "{sectionId};;{row};;{seat}"`);
     }
 
     // Validate location if present
-    if (venue.location) {
+    if (isObject(venue.location)) {
       this.validateLocation(venue.location, errors, warnings);
     }
+
+    if (isObject(venue.metadata)) {
+      for (const [key, value] of Object.entries(venue.metadata)) {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          warnings.push(`venue.metadata.${key} should be a string, number or boolean`);
+        }
+      }
+    }
   },
 
   /**
    * Validate location object
    */
   validateLocation(location, errors, warnings) {
-    if (typeof location !== 'object' || location === null) {
-      errors.push('Field "venue.location" must be an object');
-      return;
-    }
-
-    const stringFields = ['address', 'city', 'state', 'country'];
-    for (const field of stringFields) {
-      if (location[field] !== null && location[field] !== undefined && typeof location[field] !== 'string') {
-        errors.push(`Field "venue.location.${field}" must be a string or null`);
-      }
-    }
-
-    // Validate coordinates if present
-    if (location.coordinates) {
-      if (typeof location.coordinates !== 'object' || location.coordinates === null) {
-        errors.push('Field "venue.location.coordinates" must be an object');
-      } else {
-        if (location.coordinates.lat !== null && location.coordinates.lat !== undefined) {
-          if (typeof location.coordinates.lat !== 'number') {
-            errors.push('Field "venue.location.coordinates.lat" must be a number or null');
-          } else if (location.coordinates.lat < -90 || location.coordinates.lat > 90) {
-            errors.push('Field "venue.location.coordinates.lat" must be between -90 and 90');
-          }
-        }
-        if (location.coordinates.lng !== null && location.coordinates.lng !== undefined) {
-          if (typeof location.coordinates.lng !== 'number') {
-            errors.push('Field "venue.location.coordinates.lng" must be a number or null');
-          } else if (location.coordinates.lng < -180 || location.coordinates.lng > 180) {
-            errors.push('Field "venue.location.coordinates.lng" must be between -180 and 180');
-          }
-        }
+    if (isObject(location.coordinates)) {
+      const hasLat = typeof location.coordinates.lat === 'number';
+      const hasLng = typeof location.coordinates.lng === 'number';
+      if (hasLat !== hasLng) {
+        warnings.push('venue.location.coordinates should set both lat and lng');
       }
     }
   },
@@ -148,100 +138,145 @@ export const SMFValidator = {
    * Validate canvas object
    */
   validateCanvas(canvas, errors, warnings) {
-    if (typeof canvas !== 'object' || canvas === null) {
-      errors.push('Field "canvas" must be an object');
-      return;
+    if (typeof canvas.zoom === 'number' && (canvas.zoom <= 0 || canvas.zoom > 10)) {
+      warnings.push('Field "canvas.zoom" has unusual value (expected 0 < zoom <= 10)');
     }
+  },
 
-    const numericFields = ['width', 'height', 'zoom', 'panX', 'panY'];
-    for (const field of numericFields) {
-      if (canvas[field] !== undefined && typeof canvas[field] !== 'number') {
-        errors.push(`Field "canvas.${field}" must be a number`);
-      }
+  /**
+   * Validate underlay object
+   * @param {string} [path] - Field path used in messages (levels have their own underlay)
+   */
+  validateUnderlay(underlay, errors, warnings, path = 'underlay') {
+    // Must have either dataUrl or sourceUrl
+    if (!underlay.dataUrl && !underlay.sourceUrl) {
+      warnings.push(`Field "${path}" has neither dataUrl nor sourceUrl - image may not load`);
     }
 
-    if (canvas.zoom !== undefined && (canvas.zoom <= 0 || canvas.zoom > 10)) {
-      warnings.push('Field "canvas.zoom" has unusual value (expected 0 < zoom <= 10)');
+    if (typeof underlay.scale === 'number' && (underlay.scale < 0.1 || underlay.scale > 5)) {
+      warnings.push(`Field "${path}.scale" has unusual value (expected 0.1 to 5.0)`);
     }
+  },
 
-    if (canvas.width !== undefined && canvas.width <= 0) {
-      errors.push('Field "canvas.width" must be positive');
-    }
+  /**
+   * Validate venue levels (floors)
+   * @returns {Set<string>} Valid level ids
+   */
+  validateLevels(levels, errors, warnings) {
+    const levelIds = new Set();
+
+    levels.forEach((level, index) => {
+      const prefix = `levels[${index}]`;
+      if (!isObject(level)) return;
+
+      if (typeof level.id === 'string' && level.id !== '') {
+        if (levelIds.has(level.id)) {
+          errors.push(`${prefix}: Duplicate level ID "${level.id}"`);
+        } else {
+          levelIds.add(level.id);
+        }
+      }
 
-    if (canvas.height !== undefined && canvas.height <= 0) {
-      errors.push('Field "canvas.height" must be positive');
-    }
+      if (typeof level.name !== 'string' || level.name.trim() === '') {
+        warnings.push(`${prefix}: Missing "name" field`);
+      }
+
+      if (isObject(level.underlay)) {
+        this.validateUnderlay(level.underlay, errors, warnings, `${prefix}.underlay`);
+      }
+    });
+    return levelIds;
   },
 
   /**
-   * Validate underlay object
+   * Check a section or object levelId against the declared levels
+   * (unknown levels load on the first level)
    */
-  validateUnderlay(underlay, errors, warnings) {
-    if (typeof underlay !== 'object' || underlay === null) {
-      errors.push('Field "underlay" must be an object or null');
+  validateLevelRef(item, prefix, errors, warnings, levelIds) {
+    if (item.levelId === undefined || item.levelId === null) {
+      if (levelIds.size > 0) {
+        warnings.push(`${prefix}: Missing "levelId", it will be placed on the first level`);
+      }
       return;
     }
 
-    // Must have either dataUrl or sourceUrl
-    if (!underlay.dataUrl && !underlay.sourceUrl) {
-      warnings.push('Underlay has neither dataUrl nor sourceUrl - image may not load');
-    }
-
-    if (underlay.dataUrl && typeof underlay.dataUrl !== 'string') {
-      errors.push('Field "underlay.dataUrl" must be a string');
+    if (typeof item.levelId === 'string' && !levelIds.has(item.levelId) && levelIds.size > 0) {
+      warnings.push(`${prefix}: Unknown levelId "${item.levelId}", it will be placed on the first level`);
     }
+  },
 
-    if (underlay.sourceUrl && typeof underlay.sourceUrl !== 'string') {
-      errors.push('Field "underlay.sourceUrl" must be a string');
-    }
+  /**
+   * Validate section groups
+   * @returns {Set<string>} Valid group ids
+   */
+  validateGroups(groups, errors, warnings) {
+    const groupIds = new Set();
+
+    groups.forEach((group, index) => {
+      const prefix = `groups[${index}]`;
+      if (!isObject(group)) return;
+
+      if (typeof group.id === 'string' && group.id !== '') {
+        if (groupIds.has(group.id)) {
+          errors.push(`${prefix}: Duplicate group ID "${group.id}"`);
+        } else {
+          groupIds.add(group.id);
+        }
+      }
 
-    // Validate numeric fields
-    const numericFields = ['x', 'y', 'scale', 'opacity'];
-    for (const field of numericFields) {
-      if (underlay[field] !== undefined && typeof underlay[field] !== 'number') {
-        errors.push(`Field "underlay.${field}" must be a number`);
+      if (typeof group.name !== 'string' || group.name.trim() === '') {
+        warnings.push(`${prefix}: Missing "name" field`);
       }
-    }
+    });
+    return groupIds;
+  },
 
-    if (underlay.scale !== undefined && (underlay.scale < 0.1 || underlay.scale > 5)) {
-      warnings.push('Field "underlay.scale" has unusual value (expected 0.1 to 5.0)');
-    }
+  /**
+   * Validate venue objects (stages, amenities, text, arrows)
+   * Unknown types are only warned about: the editor skips them on load.
+   * @param {Set<string>} levelIds - Ids declared in "levels"
+   */
+  validateObjects(objects, errors, warnings, levelIds = new Set()) {
+    const objectIds = new Set();
+    objects.forEach((object, index) => {
+      const prefix = `objects[${index}]`;
+      if (!isObject(object)) return;
+
+      if (typeof object.id === 'string' && object.id !== '') {
+        if (objectIds.has(object.id)) {
+          errors.push(`${prefix}: Duplicate object ID "${object.id}"`);
+        } else {
+          objectIds.add(object.id);
+        }
+      }
 
-    if (underlay.opacity !== undefined && (underlay.opacity < 0 || underlay.opacity > 1)) {
-      errors.push('Field "underlay.opacity" must be between 0 and 1');
-    }
+      if (!OBJECT_TYPES[object.type]) {
+        warnings.push(`${prefix}: Unknown object type "${object.type}" (it will be skipped)`);
+      }
 
-    if (underlay.visible !== undefined && typeof underlay.visible !== 'boolean') {
-      errors.push('Field "underlay.visible" must be a boolean');
-    }
+      this.validateLevelRef(object, prefix, errors, warnings, levelIds);
+    });
   },
 
   /**
    * Validate sections array
+   * @param {Set<string>} groupIds - Ids declared in "groups"
+   * @param {Set<string>} levelIds - Ids declared in "levels"
    */
-  validateSections(sections, errors, warnings) {
-    if (!Array.isArray(sections)) {
-      errors.push('Field "sections" must be an array');
-      return;
-    }
-
+  validateSections(sections, errors, warnings, groupIds = new Set(), levelIds = new Set()) {
     const sectionIds = new Set();
 
     sections.forEach((section, index) => {
-      this.validateSection(section, index, errors, warnings, sectionIds);
+      this.validateSection(section, index, errors, warnings, sectionIds, groupIds, levelIds);
     });
   },
 
   /**
    * Validate a single section
    */
-  validateSection(section, index, errors, warnings, sectionIds) {
+  validateSection(section, index, errors, warnings, sectionIds, groupIds = new Set(), levelIds = new Set()) {
     const prefix = `sections[${index}]`;
-
-    if (typeof section !== 'object' || section === null) {
-      errors.push(`${prefix} must be an object`);
-      return;
-    }
+    if (!isObject(section)) return;
 
     // Check for unique ID
     if (!section.id) {
@@ -253,80 +288,104 @@ export const SMFValidator = {
       sectionIds.add(section.id);
     }
 
-    // Validate type
-    const validTypes = ['regular', 'ga'];
-    if (section.type && !validTypes.includes(section.type)) {
-      errors.push(`${prefix}: Invalid type "${section.type}". Expected: ${validTypes.join(', ')}`);
+    // Group reference (unknown groups load as ungrouped)
+    if (typeof section.groupId === 'string' && !groupIds.has(section.groupId)) {
+      warnings.push(`${prefix}: Unknown groupId "${section.groupId}", section will be ungrouped`);
     }
 
-    // Required position/dimension fields
-    const positionFields = ['x', 'y', 'width', 'height'];
-    for (const field of positionFields) {
-      if (section[field] === undefined) {
-        errors.push(`${prefix}: Missing required field "${field}"`);
-      } else if (typeof section[field] !== 'number') {
-        errors.push(`${prefix}: Field "${field}" must be a number`);
-      }
-    }
+    // Level reference
+    this.validateLevelRef(section, prefix, errors, warnings, levelIds);
 
     // Validate base object
-    if (section.base) {
+    if (isObject(section.base)) {
       this.validateSectionBase(section.base, prefix, errors, warnings);
     }
 
     // Validate transform object
-    if (section.transform) {
+    if (isObject(section.transform)) {
       this.validateSectionTransform(section.transform, prefix, errors, warnings);
     }
 
     // Validate rowLabels object
-    if (section.rowLabels) {
+    if (isObject(section.rowLabels)) {
       this.validateRowLabels(section.rowLabels, prefix, errors, warnings);
     }
 
-    // Validate seatNumbering object
-    if (section.seatNumbering) {
-      this.validateSeatNumbering(section.seatNumbering, prefix, errors, warnings);
+    // Validate pricing object (price categories)
+    if (isObject(section.pricing)) {
+      this.validateSectionPricing(section.pricing, prefix, errors, warnings);
     }
 
     // Validate seats array
-    if (section.seats) {
+    if (Array.isArray(section.seats)) {
       this.validateSeats(section.seats, prefix, section.type, errors, warnings);
+      this.validateSeatCategories(section.seats, section.pricing, prefix, warnings);
     }
 
-    // Validate style object
-    if (section.style) {
-      this.validateSectionStyle(section.style, prefix, errors, warnings);
+    // GA-specific validation
+    if (section.type === 'ga' && !section.ga) {
+      warnings.push(`${prefix}: GA section missing "ga" object with capacity`);
     }
 
-    // GA-specific validation
-    if (section.type === 'ga') {
-      if (!section.ga) {
-        warnings.push(`${prefix}: GA section missing "ga" object with capacity`);
-      } else if (typeof section.ga.capacity !== 'number') {
-        errors.push(`${prefix}: GA section "ga.capacity" must be a number`);
+    // Shaped seat section validation
+    if (Array.isArray(section.outline)) {
+      if (section.outline.length % 2 !== 0) {
+        errors.push(`${prefix}: "outline" must have an even number of values`);
+      } else if (section.type === 'ga') {
+        warnings.push(`${prefix}: "outline" is ignored on GA sections`);
       }
     }
 
-    // Zone-specific validation
-    if (section.isZone) {
-      if (section.points && !Array.isArray(section.points)) {
-        errors.push(`${prefix}: Zone "points" must be an array`);
-      } else if (section.points && section.points.length < 6) {
-        errors.push(`${prefix}: Zone "points" must have at least 6 values (3 vertices)`);
-      }
+    // Arc (stadium) section validation
+    if (section.arc !== undefined && section.type === 'ga') {
+      warnings.push(`${prefix}: "arc" is ignored on GA sections`);
     }
   },
 
+  /**
+   * Validate section pricing object
+   */
+  validateSectionPricing(pricing, prefix, errors, warnings) {
+    if (!Array.isArray(pricing.categories)) return;
+
+    const categoryIds = new Set();
+    pricing.categories.forEach((category, index) => {
+      const categoryPrefix = `${prefix}.pricing.categories[${index}]`;
+      if (!isObject(category)) return;
+
+      if (typeof category.id === 'string' && category.id !== '') {
+        if (categoryIds.has(category.id)) {
+          errors.push(`${categoryPrefix}: Duplicate category ID "${category.id}"`);
+        } else {
+          categoryIds.add(category.id);
+        }
+      }
+      if (typeof category.name !== 'string' || category.name.trim() === '') {
+        warnings.push(`${categoryPrefix}.name should be a non-empty string`);
+      }
+    });
+  },
+
+  /**
+   * Check that seat price categories reference categories of their section
+   */
+  validateSeatCategories(seats, pricing, prefix, warnings) {
+    const categoryIds = new Set(
+      Array.isArray(pricing?.categories) ? pricing.categories.map(category => category?.id) : []
+    );
+    seats.forEach((seat, seatIndex) => {
+      if (seat?.pc !== undefined && !categoryIds.has(seat.pc)) {
+        warnings.push(`${prefix}.seats[${seatIndex}]: Unknown price category "${seat.pc}"`);
+      }
+    });
+  },
+
   /**
    * Validate section base object
    */
   validateSectionBase(base, prefix, errors, warnings) {
-    const fields = ['rows', 'columns', 'baseWidth', 'baseHeight'];
-    for (const field of fields) {
-      if (base[field] !== undefined && typeof base[field] !== 'number') {
-        errors.push(`${prefix}.base.${field} must be a number`);
-      }
+    if (Array.isArray(base.rowDefinitions) && base.rows !== undefined && base.rows !== base.rowDefinitions.length) {
+      warnings.push(`${prefix}.base.rows (${base.rows}) does not match rowDefinitions length (${base.rowDefinitions.length})`);
     }
   },
 
@@ -334,18 +393,11 @@ export const SMFValidator = {
    * Validate section transform object
    */
   validateSectionTransform(transform, prefix, errors, warnings) {
-    const fields = ['rotation', 'curve', 'stretchH', 'stretchV'];
-    for (const field of fields) {
-      if (transform[field] !== undefined && typeof transform[field] !== 'number') {
-        errors.push(`${prefix}.transform.${field} must be a number`);
-      }
-    }
-
-    if (transform.rotation !== undefined && (transform.rotation < -180 || transform.rotation > 180)) {
+    if (typeof transform.rotation === 'number' && (transform.rotation < -180 || transform.rotation > 180)) {
       warnings.push(`${prefix}.transform.rotation should be between -180 and 180`);
     }
 
-    if (transform.curve !== undefined && (transform.curve < 0 || transform.curve > 100)) {
+    if (typeof transform.curve === 'number' && (transform.curve < 0 || transform.curve > 100)) {
       warnings.push(`${prefix}.transform.curve should be between 0 and 100`);
     }
   },
@@ -354,42 +406,11 @@ export const SMFValidator = {
    * Validate row labels object
    */
   validateRowLabels(rowLabels, prefix, errors, warnings) {
-    const validTypes = ['none', 'numbers', 'letters'];
-    if (rowLabels.type && !validTypes.includes(rowLabels.type)) {
-      errors.push(`${prefix}.rowLabels.type must be one of: ${validTypes.join(', ')}`);
-    }
-
-    if (rowLabels.reversed !== undefined && typeof rowLabels.reversed !== 'boolean') {
-      errors.push(`${prefix}.rowLabels.reversed must be a boolean`);
-    }
-
-    if (rowLabels.showLeft !== undefined && typeof rowLabels.showLeft !== 'boolean') {
-      errors.push(`${prefix}.rowLabels.showLeft must be a boolean`);
+    if (rowLabels.type === 'custom' && !Array.isArray(rowLabels.names)) {
+      warnings.push(`${prefix}.rowLabels: custom labels need a names array`);
     }
-
-    if (rowLabels.showRight !== undefined && typeof rowLabels.showRight !== 'boolean') {
-      errors.push(`${prefix}.rowLabels.showRight must be a boolean`);
-    }
-
-    if (rowLabels.spacing !== undefined) {
-      if (typeof rowLabels.spacing !== 'number') {
-        errors.push(`${prefix}.rowLabels.spacing must be a number`);
-      } else if (rowLabels.spacing < 5 || rowLabels.spacing > 50) {
-        warnings.push(`${prefix}.rowLabels.spacing should be between 5 and 50`);
-      }
-    }
-  },
-
-  /**
-   * Validate seat numbering object
-   */
-  validateSeatNumbering(seatNumbering, prefix, errors, warnings) {
-    if (seatNumbering.start !== undefined && typeof seatNumbering.start !== 'number') {
-      errors.push(`${prefix}.seatNumbering.start must be a number`);
-    }
-
-    if (seatNumbering.reversed !== undefined && typeof seatNumbering.reversed !== 'boolean') {
-      errors.push(`${prefix}.seatNumbering.reversed must be a boolean`);
+    if (typeof rowLabels.spacing === 'number' && (rowLabels.spacing < 5 || rowLabels.spacing > 50)) {
+      warnings.push(`${prefix}.rowLabels.spacing should be between 5 and 50`);
     }
   },
 
@@ -397,11 +418,6 @@ export const SMFValidator = {
    * Validate seats array
    */
   validateSeats(seats, prefix, sectionType, errors, warnings) {
-    if (!Array.isArray(seats)) {
-      errors.push(`${prefix}.seats must be an array`);
-      return;
-    }
-
     // GA sections should have empty seats array
     if (sectionType === 'ga' && seats.length > 0) {
       warnings.push(`${prefix}: GA section should have empty seats array`);
@@ -418,111 +434,42 @@ export const SMFValidator = {
    * Validate a single seat
    */
   validateSeat(seat, prefix, errors, warnings, seatIds) {
-    if (typeof seat !== 'object' || seat === null) {
-      errors.push(`${prefix} must be an object`);
-      return;
-    }
-
     // Check for unique seat ID
-    if (seat.id) {
+    if (isObject(seat) && seat.id) {
       if (seatIds.has(seat.id)) {
         errors.push(`${prefix}: Duplicate seat ID "${seat.id}"`);
       }
       seatIds.add(seat.id);
     }
-
-    // Support both sparse format (r, c, x, y, n) and legacy format (rowIndex, colIndex, etc.)
-    const hasSparseFormat = seat.r !== undefined || seat.c !== undefined;
-    const hasLegacyFormat = seat.rowIndex !== undefined || seat.colIndex !== undefined;
-
-    if (hasSparseFormat) {
-      // Sparse format validation
-      if (seat.r !== undefined && typeof seat.r !== 'number') {
-        errors.push(`${prefix}.r must be a number`);
-      }
-      if (seat.c !== undefined && typeof seat.c !== 'number') {
-        errors.push(`${prefix}.c must be a number`);
-      }
-      if (seat.x !== undefined && typeof seat.x !== 'number') {
-        errors.push(`${prefix}.x must be a number`);
-      }
-      if (seat.y !== undefined && typeof seat.y !== 'number') {
-        errors.push(`${prefix}.y must be a number`);
-      }
-    } else if (hasLegacyFormat) {
-      // Legacy format validation
-      if (seat.rowIndex !== undefined && typeof seat.rowIndex !== 'number') {
-        errors.push(`${prefix}.rowIndex must be a number`);
-      }
-      if (seat.colIndex !== undefined && typeof seat.colIndex !== 'number') {
-        errors.push(`${prefix}.colIndex must be a number`);
-      }
-      if (seat.baseX !== undefined && typeof seat.baseX !== 'number') {
-        errors.push(`${prefix}.baseX must be a number`);
-      }
-      if (seat.baseY !== undefined && typeof seat.baseY !== 'number') {
-        errors.push(`${prefix}.baseY must be a number`);
-      }
-    }
   },
 
   /**
-   * Validate section style object
+   * Check if version string is valid semver format
    */
-  validateSectionStyle(style, prefix, errors, warnings) {
-    if (typeof style !== 'object' || style === null) {
-      errors.push(`${prefix}.style must be an object`);
-      return;
-    }
-
-    // Numeric color fields
-    const numericColorFields = ['seatColor', 'seatTextColor', 'sectionColor'];
-    for (const field of numericColorFields) {
-      if (style[field] !== undefined && typeof style[field] !== 'number') {
-        errors.push(`${prefix}.style.${field} must be a number`);
-      }
-    }
-
-    // String color fields (legacy)
-    const stringColorFields = ['fillColor', 'borderColor'];
-    for (const field of stringColorFields) {
-      if (style[field] !== undefined && typeof style[field] !== 'string') {
-        errors.push(`${prefix}.style.${field} must be a string`);
-      }
-    }
-
-    // Boolean fields
-    const booleanFields = ['fillVisible', 'strokeVisible'];
-    for (const field of booleanFields) {
-      if (style[field] !== undefined && typeof style[field] !== 'boolean') {
-        errors.push(`${prefix}.style.${field} must be a boolean`);
-      }
-    }
-
-    // Opacity
-    if (style.opacity !== undefined) {
-      if (typeof style.opacity !== 'number') {
-        errors.push(`${prefix}.style.opacity must be a number`);
-      } else if (style.opacity < 0 || style.opacity > 1) {
-        errors.push(`${prefix}.style.opacity must be between 0 and 1`);
-      }
-    }
+  isValidVersion(version) {
+    return /^\d+\.\d+\.\d+$/.test(version);
   },
 
   /**
-   * Check if version string is valid semver format
+   * Check whether a string is an IANA time zone known to this environment
    */
-  isValidVersion(version) {
-    return /^\d+\.\d+\.\d+$/.test(version);
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (e) {
+      return false;
+    }
   },
 
   /**
    * Quick validation - just check if file can be loaded
    * @param {Object} data - The parsed JSON data
+   * @param {Object} [options] - Same as validate()
    * @returns {boolean}
    */
-  isValid(data) {
-    return this.validate(data).valid;
+  isValid(data, options) {
+    return this.validate(data, options).valid;
   },
 
   /**
@@ -552,3 +499,7 @@ export const SMFValidator = {
     return lines.join('\n');
   }
 };
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -7,9 +7,11 @@ export const State = {
   world: null,
   gridLayer: null,
   underlayLayer: null,  // Layer for background images
+  objectLayer: null,    // Layer for stages, amenities, text and arrows (below zones)
   zoneLayer: null,      // Layer for zones (below sections)
   sectionLayer: null,
   seatLayer: null,
+  diffLayer: null,      // Comparison overlay (above seats, see DiffManager)
   sections: [],
   selectedSections: [],
   sectionCounter: 1,
@@ -18,6 +20,10 @@ export const State = {
   isCreateMode: false,
   isCreateGAMode: false,
   isCreateZoneMode: false,
+  isCreatePolygonMode: false,
+  isCreateArcMode: false,
+  isCreateObjectMode: false,
+  createObjectType: null,   // OBJECT_TYPES key placed by the next click
   isDeleteMode: false,
   isCreating: false,
   isPanning: false,
@@ -26,7 +32,33 @@ export const State = {
   wasSpacePressed: false,
   
   // App modes
-  currentMode: 'schema',  // 'schema' | 'seats' | 'underlay' | 'venue-shape' | 'pricing' | 'zones'
+  currentMode: 'schema',  // 'schema' | 'seats' | 'underlay' | 'venue-shape' | 'pricing' | 'zones' | 'venue' | 'layers'
+  
+  // Venue metadata (saved as the SMF "venue" object)
+  venue: {
+    name: '',
+    timezone: '',           // IANA time zone, e.g. "America/Mexico_City"
+    inventoryKey: 'label',  // Inventory key scheme: 'label', 'id' or a template (see buildInventoryKey)
+    location: {
+      address: '',
+      city: '',
+      state: '',
+      country: '',
+      coordinates: { lat: null, lng: null }
+    },
+    metadata: {}            // Custom key/value pairs
+  },
+  
+  // Section groups (saved as the SMF "groups" array, in layer panel order)
+  groups: [],               // [{ id, name, visible, locked }]
+  
+  // Floors / levels (saved as the SMF "levels" array); empty for single-level maps
+  levels: [],               // [{ id, name, underlay }] - underlay only kept for levels not shown
+  currentLevelId: null,     // Level being edited, null when the map has no levels
+  
+  // Non-seat venue objects (saved as the SMF "objects" array)
+  objects: [],              // VenueObject instances, in drawing order
+  selectedObject: null,
   
   // Seat editing
   isEditSeatsMode: false,
@@ -44,6 +76,8 @@ export const State = {
   createStart: null,
   previewRect: null,
   pendingSection: null,
+  polygonPoints: [],        // World-space vertices of the polygon being drawn [x, y, ...]
+  lastPolygonClickTime: 0,  // For double-click detection while drawing polygons
   
   // Panning state
   lastPanPosition: { x: 0, y: 0 },
@@ -58,6 +92,7 @@ export const State = {
   dragStartPos: null,
   dragOriginalPositions: null,
   potentialDragStart: null,  // Stores initial click position before drag threshold is reached
+  dragHistoryEntry: null,    // Pending undo entry for the current drag
 
   // Underlay state
   underlaySprite: null,
@@ -97,5 +97,110 @@ export const Utils = {
   hexToNumber(hex) {
     if (hex.startsWith('#')) hex = hex.substring(1);
     return parseInt(hex, 16);
+  },
+
+  /**
+   * Test whether a point lies inside a polygon (even-odd rule)
+   * @param {number} x - Point x
+   * @param {number} y - Point y
+   * @param {number[]} points - Flat polygon array [x, y, x, y...]
+   * @returns {boolean}
+   */
+  pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+      const xi = points[i], yi = points[i + 1];
+      const xj = points[j], yj = points[j + 1];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  /**
+   * Shortest distance from a point to a polygon's edges
+   * @param {number} x - Point x
+   * @param {number} y - Point y
+   * @param {number[]} points - Flat polygon array [x, y, x, y...]
+   * @returns {number}
+   */
+  distanceToPolygonEdge(x, y, points) {
+    let min = Infinity;
+    for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+      const ax = points[j], ay = points[j + 1];
+      const dx = points[i] - ax, dy = points[i + 1] - ay;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+      min = Math.min(min, Math.hypot(x - (ax + t * dx), y - (ay + t * dy)));
+    }
+    return min;
+  },
+
+  /**
+   * Lay out an arc (stadium) section
+   * Rows are concentric arcs around a common center, opening downwards
+   * (centered on 90° in screen space). Row r sits at innerRadius + r * rowDepth
+   * and its seats are seatSpacing apart measured along the arc.
+   * Coordinates are shifted so the outline's top-left corner is (0, 0).
+   * @param {Object} arc - { innerRadius, rowDepth, rows, angleSpan (degrees), seatSpacing }
+   * @returns {Object} { seats: [{row, col, x, y}], rowCounts, outline, width, height, centerX, centerY }
+   */
+  calculateArcLayout(arc) {
+    const margin = CONFIG.SECTION_MARGIN;
+    const spanRad = arc.angleSpan * Math.PI / 180;
+    const mid = Math.PI / 2;
+
+    const seats = [];
+    const rowCounts = [];
+    for (let row = 0; row < arc.rows; row++) {
+      const radius = arc.innerRadius + row * arc.rowDepth;
+      // A full circle has no end seat - the last seat would sit on the first
+      const count = Math.floor(radius * spanRad / arc.seatSpacing) + (arc.angleSpan < 360 ? 1 : 0);
+      const step = arc.seatSpacing / radius;
+      rowCounts.push(count);
+
+      // Column 0 is on the left (largest angle when opening downwards)
+      for (let col = 0; col < count; col++) {
+        const angle = mid + ((count - 1) / 2 - col) * step;
+        seats.push({ row, col, x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+      }
+    }
+
+    // Annular sector with a margin around the seats
+    const outerRadius = arc.innerRadius + (arc.rows - 1) * arc.rowDepth + margin;
+    const innerRadius = Math.max(0, arc.innerRadius - margin);
+    const pad = margin / Math.max(arc.innerRadius, margin);
+    const halfSpan = Math.min(Math.PI, spanRad / 2 + pad);
+    const segments = Math.max(2, Math.ceil((halfSpan * 2) / (5 * Math.PI / 180)));
+
+    const outline = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = mid - halfSpan + (i / segments) * halfSpan * 2;
+      outline.push(outerRadius * Math.cos(angle), outerRadius * Math.sin(angle));
+    }
+    if (innerRadius > 0) {
+      for (let i = segments; i >= 0; i--) {
+        const angle = mid - halfSpan + (i / segments) * halfSpan * 2;
+        outline.push(innerRadius * Math.cos(angle), innerRadius * Math.sin(angle));
+      }
+    } else {
+      outline.push(0, 0);
+    }
+
+    const xs = outline.filter((_, i) => i % 2 === 0);
+    const ys = outline.filter((_, i) => i % 2 === 1);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+
+    return {
+      seats: seats.map(seat => ({ ...seat, x: seat.x - minX, y: seat.y - minY })),
+      rowCounts,
+      outline: outline.map((value, i) => value - (i % 2 === 0 ? minX : minY)),
+      width: Math.max(...xs) - minX,
+      height: Math.max(...ys) - minY,
+      centerX: -minX,
+      centerY: -minY
+    };
   }
 };
@@ -0,0 +1,481 @@
+// ============================================
+// SMF TOOLKIT - Process map files without a browser
+// ============================================
+
+import { COLORS, VISUAL_CONFIG, OBJECT_TYPES } from '../core/config.js';
+import { SMFValidator } from '../core/smfValidator.js';
+import { SmfDiff } from '../core/smfDiff.js';
+import { ExportManager } from '../managers/ExportManager.js';
+import { ManifestManager } from '../managers/ManifestManager.js';
+import { migrateSMF } from '../../renderer/core/SmfMigrations.js';
+import {
+  getRowLabelPositions,
+  getSectionShapePoints,
+  getSectionSeats,
+  findKeyCollisions,
+  isInventoryKeyScheme,
+  resolveRowDefinitionSeats,
+  getSectionFrame,
+  getSeatPoint,
+  toWorldPoint
+} from '../../renderer/core/SmfLayout.js';
+
+// World coordinates are rounded to 1/100 map unit, like seat manifests
+const COORDINATE_PRECISION = 100;
+
+/**
+ * Headless SMF toolkit
+ * Responsible for: Validating, listing, comparing and drawing SMF files in Node.js
+ *
+ * Works on plain SMF data, never on PIXI objects. Row labels, seat positions and
+ * inventory keys come from renderer/core/SmfLayout.js, so the seats listed here
+ * are the seats the renderer registers, keys included. Methods that list keys take
+ * a `keyScheme` option, the renderer's inventoryKey option (the map's
+ * venue.inventoryKey, else 'label', by default).
+ */
+export const SmfToolkit = {
+  /**
+   * Parse an SMF file and upgrade it to the current format version
+   * @param {string|Object} input - File contents or already parsed data
+   * @returns {Object} { data, migration: { fromVersion, toVersion, changes } }
+   * @throws {Error} If the text isn't JSON or the version can't be read
+   */
+  parse(input) {
+    let parsed = input;
+    if (typeof input === 'string') {
+      try {
+        parsed = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+    }
+    const { data, ...migration } = migrateSMF(parsed);
+    return { data, migration };
+  },
+
+  /**
+   * Validate parsed SMF data (schema and cross-reference checks of SMFValidator)
+   * @param {Object} data - SMF data, as returned by parse()
+   * @param {Object} [options] - { strict: boolean }
+   * @returns {Object} { valid, errors, warnings }
+   */
+  validate(data, options = {}) {
+    return SMFValidator.validate(data, options);
+  },
+
+  /**
+   * List the sellable seats of a map (all levels), in section, row and seat order
+   * Records have the shape of ManifestManager.collect() seats; x and y are world coordinates.
+   * @param {Object} data - SMF data
+   * @param {Object} [options] - { keyScheme: 'label' | 'id' | template | function (see buildInventoryKey);
+   *   defaults to the map's venue.inventoryKey, else 'label' }
+   * @returns {Object[]} { section, levelId, level, id, key, row, seat, accessible, category, price, x, y }
+   */
+  getSeats(data, { keyScheme = getMapKeyScheme(data) } = {}) {
+    const seats = [];
+
+    sellableSections(data).forEach(section => {
+      const common = levelFields(data, section);
+      getSectionSeats(section, keyScheme).forEach(({ seat, row, number, key, x, y }) => {
+        const category = getPriceCategory(section, seat.pc);
+        seats.push({
+          section: section.name,
+          ...common,
+          id: seat.id || null,
+          key,
+          row: row || seat.m?.row || '',
+          seat: number,
+          accessible: !!seat.sn,
+          category: category?.name || '',
+          price: category ? category.price : (section.pricing?.basePrice || 0),
+          x: round(x),
+          y: round(y)
+        });
+      });
+    });
+
+    return seats;
+  },
+
+  /**
+   * Inventory keys used by more than one seat (the renderer reports them as 'inventory-key-collision')
+   * @param {Object[]} seats - Seat records, as returned by getSeats()
+   * @returns {Array<{ key: string, seats: Object[] }>}
+   */
+  findKeyCollisions(seats) {
+    return findKeyCollisions(seats);
+  },
+
+  /**
+   * List the general admission sections of a map (zones are not sellable)
+   * Records have the shape of ManifestManager.collect() GA entries.
+   * @param {Object} data - SMF data
+   * @returns {Object[]} { section, levelId, level, sectionId, capacity, price, x, y }
+   */
+  getGASections(data) {
+    return sellableSections(data)
+      .filter(section => section.type === 'ga')
+      .map(section => {
+        const frame = getSectionFrame(section);
+        return {
+          section: section.name,
+          ...levelFields(data, section),
+          sectionId: section.id || section.name,
+          capacity: section.ga?.capacity || 0,
+          price: section.pricing?.basePrice || 0,
+          x: round(frame.centerX),
+          y: round(frame.centerY)
+        };
+      });
+  },
+
+  /**
+   * Seat manifest of a map, in ManifestManager's CSV or JSON format
+   * @param {Object} data - SMF data
+   * @param {string} [format='json'] - 'json' or 'csv'
+   * @param {Object} [options] - { keyScheme } (see getSeats)
+   * @returns {Object|string}
+   */
+  getManifest(data, format = 'json', options = {}) {
+    const manifest = { seats: this.getSeats(data, options), ga: this.getGASections(data) };
+    return format === 'csv'
+      ? ManifestManager.toCSV(manifest)
+      : ManifestManager.toJSON(manifest, data.venue?.name || null);
+  },
+
+  /**
+   * Capacity statistics
+   * `capacity` is counted like FileManager.calculateTotalCapacity(): seats plus GA capacity.
+   * @param {Object} data - SMF data
+   * @param {Object} [options] - { keyScheme } (see getSeats)
+   * @returns {Object} { venue, declaredCapacity, totals, levels, sections, categories, sharedKeys }
+   */
+  getStats(data, options = {}) {
+    const seats = this.getSeats(data, options);
+    const sections = data.sections || [];
+    const seatsBySection = groupBy(seats, seat => seat.section);
+
+    const sectionStats = sections.map(section => {
+      const type = section.isZone ? 'zone' : section.type === 'ga' ? 'ga' : 'seats';
+      const sectionSeats = type === 'seats' ? seatsBySection.get(section.name) || [] : [];
+      const gaCapacity = section.type === 'ga' ? section.ga?.capacity || 0 : 0;
+      return {
+        id: section.id || null,
+        name: section.name,
+        type,
+        ...levelFields(data, section),
+        seats: sectionSeats.length,
+        accessible: sectionSeats.filter(seat => seat.accessible).length,
+        gaCapacity,
+        capacity: sectionSeats.length + gaCapacity
+      };
+    });
+
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+    const totals = {
+      sections: sectionStats.filter(section => section.type !== 'zone').length,
+      seatSections: sectionStats.filter(section => section.type === 'seats').length,
+      gaSections: sectionStats.filter(section => section.type === 'ga').length,
+      zones: sectionStats.filter(section => section.type === 'zone').length,
+      seats: sum(sectionStats, 'seats'),
+      accessible: sum(sectionStats, 'accessible'),
+      gaCapacity: sum(sectionStats, 'gaCapacity'),
+      capacity: sum(sectionStats, 'capacity')
+    };
+
+    const levels = (data.levels || []).map(level => {
+      const onLevel = sectionStats.filter(section => section.levelId === level.id);
+      return {
+        id: level.id,
+        name: level.name || '',
+        seats: sum(onLevel, 'seats'),
+        gaCapacity: sum(onLevel, 'gaCapacity'),
+        capacity: sum(onLevel, 'capacity')
+      };
+    });
+
+    const categories = [];
+    groupBy(seats, seat => seat.category).forEach((categorySeats, name) => {
+      categories.push({ name, seats: categorySeats.length });
+    });
+
+    // The renderer keeps one seat per key; the others can only be sold by ID
+    const sharedKeys = this.findKeyCollisions(seats).map(collision => collision.key);
+
+    return {
+      venue: data.venue?.name || null,
+      declaredCapacity: data.venue?.capacity ?? null,
+      totals,
+      levels,
+      sections: sectionStats,
+      categories,
+      sharedKeys
+    };
+  },
+
+  /**
+   * Compare two versions of a map (see SmfDiff.diff)
+   * @param {Object} before - SMF data
+   * @param {Object} after - SMF data
+   * @returns {Object} { identical, capacity, summary, fields, sections, seats, pricing, objects }
+   */
+  diff(before, after) {
+    return SmfDiff.diff(before, after);
+  },
+
+  /**
+   * One line per change of a diff, as the CLI prints them (see SmfDiff.formatChanges)
+   * @param {Object} diff - From diff()
+   * @returns {string[]}
+   */
+  formatChanges(diff) {
+    return SmfDiff.formatChanges(diff);
+  },
+
+  /**
+   * Three-way merge of two versions of a map with their common base (see SmfDiff.merge)
+   * @param {Object} base - SMF data
+   * @param {Object} ours - SMF data
+   * @param {Object} theirs - SMF data
+   * @param {Object} [options] - { prefer: 'ours' | 'theirs' }
+   * @returns {Object} { data, conflicts, clean }
+   */
+  merge(base, ours, theirs, options = {}) {
+    return SmfDiff.merge(base, ours, theirs, options);
+  },
+
+  /**
+   * Draw one level of a map as SVG (same page layout as the editor's SVG export)
+   * Underlay images are left out: decoding them needs a browser.
+   * @param {Object} data - SMF data
+   * @param {Object} [options] - ExportManager.defaults, plus levelId (first level by default)
+   * @returns {string} SVG markup
+   * @throws {Error} If the level doesn't exist or has nothing to draw
+   */
+  renderSVG(data, options = {}) {
+    options = { ...ExportManager.defaults, ...options };
+    const levels = data.levels || [];
+    const levelId = options.levelId ?? levels[0]?.id ?? null;
+    const level = levels.find(l => l.id === levelId);
+    if (levelId !== null && !level) {
+      throw new Error(`Unknown level: ${levelId}`);
+    }
+
+    // Like the renderer, items on unknown levels are shown on the first level
+    const levelOf = item => (levels.length === 0 ? null
+      : levels.some(l => l.id === item.levelId) ? item.levelId : levels[0].id);
+    const onLevel = item => levelOf(item) === levelId;
+    const sections = (data.sections || []).filter(onLevel).map(resolveRowDefinitionSeats);
+    const shapes = [];
+
+    (data.objects || []).filter(onLevel).forEach(object => {
+      const defaults = OBJECT_TYPES[object.type];
+      if (!defaults) return;
+      shapes.push(...ExportManager.objectShapes({ ...defaults, rotation: 0, ...object }, options.theme));
+    });
+
+    // Zones sit below sections, seats and row labels above both
+    sections.filter(section => section.isZone).forEach(section => {
+      shapes.push(...sectionShapes(section, options.theme));
+    });
+    sections.filter(section => !section.isZone).forEach(section => {
+      shapes.push(...sectionShapes(section, options.theme));
+    });
+    sections.filter(section => section.type !== 'ga').forEach(section => {
+      shapes.push(...seatShapes(section, options.theme));
+    });
+
+    if (shapes.length === 0) {
+      throw new Error('Nothing to render on this level');
+    }
+
+    // Legend entries are built from editor-shaped seats
+    const legend = ExportManager.getLegendItems(sections.map(section => ({
+      pricing: section.pricing,
+      seats: (section.seats || []).map(seat => ({ specialNeeds: !!seat.sn, priceCategory: seat.pc }))
+    })));
+
+    return ExportManager.sceneToSVG({
+      shapes,
+      bounds: ExportManager.getBounds(shapes),
+      legend,
+      info: getTitleInfo(data, level, sections)
+    }, options);
+  }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+function sellableSections(data) {
+  return (data.sections || []).filter(section => !section.isZone);
+}
+
+function levelFields(data, section) {
+  const level = (data.levels || []).find(l => l.id === section.levelId);
+  return { levelId: level?.id || null, level: level?.name || '' };
+}
+
+function getMapKeyScheme(data) {
+  const scheme = data.venue?.inventoryKey;
+  return isInventoryKeyScheme(scheme) ? scheme : 'label';
+}
+
+function getPriceCategory(section, categoryId) {
+  if (!categoryId || !section.pricing?.categories) return null;
+  return section.pricing.categories.find(category => category.id === categoryId) || null;
+}
+
+function round(value) {
+  return Math.round(value * COORDINATE_PRECISION) / COORDINATE_PRECISION;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+/**
+ * Map container points (flat array) of a section to world space
+ */
+function sectionToWorld(frame, points) {
+  const result = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const point = toWorldPoint(frame, points[i], points[i + 1]);
+    result.push(point.x, point.y);
+  }
+  return result;
+}
+
+/**
+ * Shapes for a section or zone outline and its GA / zone label (ExportManager.sectionShapes for SMF data)
+ */
+function sectionShapes(section, theme) {
+  // Hidden zones draw nothing in the editor either
+  if (section.isZone && section.showZone === false) return [];
+
+  const frame = getSectionFrame(section);
+  const { width: w, height: h } = frame;
+  const local = getSectionShapePoints(section) || [0, 0, w, 0, w, h, 0, h];
+  const style = section.style || {};
+  const color = style.sectionColor ?? COLORS.DEFAULT_SECTION;
+  const shapes = [];
+
+  const pathStyle = {};
+  if (style.fillVisible !== false) {
+    pathStyle.fill = color;
+    pathStyle.fillOpacity = section.isZone ? section.fillOpacity ?? 0.5 : VISUAL_CONFIG.SECTION.FILL_ALPHA;
+  }
+  if (style.strokeVisible !== false) {
+    pathStyle.stroke = color;
+    pathStyle.strokeWidth = VISUAL_CONFIG.SECTION.STROKE_WIDTH;
+    pathStyle.strokeOpacity = VISUAL_CONFIG.SECTION.STROKE_ALPHA;
+  }
+  shapes.push({ type: 'path', points: sectionToWorld(frame, local), style: pathStyle });
+
+  let label = null;
+  if (section.type === 'ga' && !section.isZone) {
+    label = {
+      text: section.name,
+      size: section.gaLabelFontSize || VISUAL_CONFIG.GA_LABEL.FONT_SIZE,
+      color: section.gaLabelColor ?? VISUAL_CONFIG.GA_LABEL.COLOR,
+      offsetX: section.gaLabelOffsetX || 0,
+      offsetY: section.gaLabelOffsetY || 0
+    };
+  } else if (section.isZone && section.showZoneLabel !== false) {
+    label = {
+      text: section.zoneLabel || section.name,
+      size: section.labelFontSize || 14,
+      color: section.labelColor ?? 0xffffff,
+      offsetX: section.labelOffsetX || 0,
+      offsetY: section.labelOffsetY || 0
+    };
+  }
+
+  if (label && label.text) {
+    const { x, y } = toWorldPoint(frame, w / 2 + label.offsetX, h / 2 + label.offsetY);
+    shapes.push({
+      type: 'text',
+      x,
+      y,
+      text: label.text,
+      style: {
+        size: label.size,
+        bold: true,
+        color: ExportManager.readableColor(label.color, theme),
+        anchor: 'middle',
+        rotation: frame.rotation
+      }
+    });
+  }
+  return shapes;
+}
+
+/**
+ * Shapes for a section's seats and visible row labels (ExportManager.seatShapes for SMF data)
+ */
+function seatShapes(section, theme) {
+  const frame = getSectionFrame(section);
+  const style = section.style || {};
+  const shapes = [];
+
+  (section.seats || []).forEach(seat => {
+    const local = getSeatPoint(section, seat);
+    const category = getPriceCategory(section, seat.pc);
+    shapes.push(...ExportManager.seatMarkerShapes({
+      ...toWorldPoint(frame, local.x, local.y),
+      fill: category ? category.color : style.seatColor ?? COLORS.DEFAULT_SEAT,
+      accessible: !!seat.sn,
+      number: seat.n ?? '',
+      textColor: style.seatTextColor ?? COLORS.DEFAULT_TEXT,
+      rotation: frame.rotation
+    }, theme));
+  });
+
+  // Labels hidden in the editor are only previews, not part of the map
+  if (!section.rowLabels?.hidden) {
+    getRowLabelPositions(section).forEach(label => {
+      shapes.push({
+        type: 'text',
+        ...toWorldPoint(frame, label.x, label.y),
+        text: label.text,
+        style: {
+          size: 14,
+          bold: true,
+          color: ExportManager.readableColor(section.rowLabels.color ?? COLORS.DEFAULT_SEAT, theme),
+          anchor: 'middle',
+          rotation: frame.rotation
+        }
+      });
+    });
+  }
+  return shapes;
+}
+
+/**
+ * Title block text: venue name, then level, address, capacity and date (ExportManager.getTitleInfo for SMF data)
+ */
+function getTitleInfo(data, level, sections) {
+  const venue = data.venue || {};
+  const location = venue.location || {};
+  const seats = sections.reduce((sum, section) =>
+    sum + (section.type === 'ga' ? 0 : (section.seats || []).length), 0);
+  const standing = sections.reduce((sum, section) =>
+    sum + (section.type === 'ga' && !section.isZone ? section.ga?.capacity || 0 : 0), 0);
+
+  const subtitle = [
+    level?.name,
+    [location.address, location.city, location.state, location.country].filter(Boolean).join(', '),
+    `${seats} seats`,
+    standing > 0 ? `${standing} general admission` : '',
+    new Date().toLocaleDateString()
+  ].filter(Boolean).join('  ·  ');
+
+  return { title: venue.name || 'Venue Map', subtitle };
+}
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+// ============================================
+// SMF CLI - Validate, inspect, compare and render map files
+// ============================================
+//
+// Usage: node src/headless/cli.js <command> <file> [options]
+// Exit codes: 0 success, 1 invalid file, maps differ or merge conflicts, 2 usage or read error
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { SmfToolkit } from './SmfToolkit.js';
+import { KEY_PLACEHOLDERS, isInventoryKeyScheme } from '../../renderer/core/SmfLayout.js';
+
+const USAGE = `Usage: node src/headless/cli.js <command> [options]
+
+Commands:
+  validate <file> [--strict] [--json]        Check a map against the SMF schema
+  stats <file> [--json] [--key scheme]       Capacity by section, level and price category
+  seats <file> [--format csv|json] [--out f] [--key scheme]
+                                             Seat manifest with inventory keys
+  diff <before> <after> [--json]             Sections, seats, prices and objects that changed
+  merge <base> <ours> <theirs> [--out f] [--prefer ours|theirs]
+                                             Three-way merge of two edits of a map
+  render <file> [--out f] [--level id] [--theme light|dark]
+                                             Draw a level as SVG
+
+Key schemes: label (section;;row;;seat), id, or a template such as
+"{sectionId}-{row}-{seat}" (placeholders {section}, {sectionId}, {level}, {row}, {seat}, {id}).
+Without --key, the map's venue.inventoryKey is used (label if it has none).`;
+
+/** Options that take a value; every other --option is a flag */
+const VALUE_OPTIONS = ['format', 'out', 'level', 'theme', 'prefer', 'key'];
+
+class UsageError extends Error {}
+
+const Commands = {
+  async validate([file], options) {
+    const { data, migration } = await load(file, { validate: false });
+    const result = SmfToolkit.validate(data, { strict: !!options.strict });
+
+    if (options.json) {
+      print(JSON.stringify({ ...result, migration }, null, 2));
+    } else {
+      migration.changes.forEach(change => console.error(`Migrated ${change}`));
+      result.errors.forEach(error => print(`✗ ${error}`));
+      result.warnings.forEach(warning => print(`⚠ ${warning}`));
+      print(result.valid
+        ? `✓ ${file} is a valid SMF ${migration.toVersion} file`
+        : `✗ ${file}: ${result.errors.length} error(s)`);
+    }
+    return result.valid ? 0 : 1;
+  },
+
+  async stats([file], options) {
+    const { data } = await load(file);
+    const stats = SmfToolkit.getStats(data, { keyScheme: getKeyScheme(options) });
+
+    if (options.json) {
+      print(JSON.stringify(stats, null, 2));
+      return 0;
+    }
+
+    const { totals } = stats;
+    print(stats.venue || file);
+    print(`  Capacity: ${totals.capacity} (${totals.seats} seats, ${totals.gaCapacity} general admission)`);
+    print(`  Accessible seats: ${totals.accessible}`);
+    print(`  Sections: ${totals.seatSections} seated, ${totals.gaSections} GA, ${totals.zones} zones`);
+    if (stats.declaredCapacity !== null && stats.declaredCapacity !== totals.capacity) {
+      print(`  ⚠ venue.capacity says ${stats.declaredCapacity}`);
+    }
+
+    if (stats.levels.length > 0) {
+      print('\nLevels');
+      stats.levels.forEach(level => print(`  ${level.name || level.id}: ${level.capacity}`));
+    }
+    print('\nSections');
+    stats.sections.filter(section => section.type !== 'zone').forEach(section => {
+      print(`  ${section.name}: ${section.capacity}${section.type === 'ga' ? ' (GA)' : ''}`);
+    });
+    if (stats.categories.length > 0) {
+      print('\nPrice categories');
+      stats.categories.forEach(category => print(`  ${category.name || 'No category'}: ${category.seats}`));
+    }
+    if (stats.sharedKeys.length > 0) {
+      print(`\n⚠ ${stats.sharedKeys.length} inventory key(s) used by more than one seat (e.g. ${stats.sharedKeys[0]})`);
+    }
+    return 0;
+  },
+
+  async seats([file], options) {
+    const format = options.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      throw new UsageError(`Unknown format: ${format}`);
+    }
+    const keyScheme = getKeyScheme(options);
+    const { data } = await load(file);
+    const collisions = SmfToolkit.findKeyCollisions(SmfToolkit.getSeats(data, { keyScheme }));
+    collisions.forEach(({ key, seats }) => console.error(`⚠ ${seats.length} seats share the key ${key}`));
+
+    const manifest = SmfToolkit.getManifest(data, format, { keyScheme });
+    await output(format === 'csv' ? manifest : JSON.stringify(manifest, null, 2), options.out);
+    return 0;
+  },
+
+  async diff([beforeFile, afterFile], options) {
+    if (!afterFile) throw new UsageError('diff needs two files');
+    const { data: before } = await load(beforeFile);
+    const { data: after } = await load(afterFile);
+    const diff = SmfToolkit.diff(before, after);
+
+    if (options.json) {
+      print(JSON.stringify(diff, null, 2));
+      return diff.identical ? 0 : 1;
+    }
+    if (diff.identical) {
+      print('No differences');
+      return 0;
+    }
+
+    SmfToolkit.formatChanges(diff).forEach(line => print(line));
+    return 1;
+  },
+
+  async merge([baseFile, oursFile, theirsFile], options) {
+    if (!theirsFile) throw new UsageError('merge needs three files: base, ours and theirs');
+    const prefer = options.prefer || 'ours';
+    if (!['ours', 'theirs'].includes(prefer)) {
+      throw new UsageError(`Unknown --prefer value: ${prefer}`);
+    }
+    const { data: base } = await load(baseFile);
+    const { data: ours } = await load(oursFile);
+    const { data: theirs } = await load(theirsFile);
+    const { data, conflicts } = SmfToolkit.merge(base, ours, theirs, { prefer });
+
+    conflicts.forEach(conflict => {
+      console.error(`! conflict at ${conflict.path}: ours ${JSON.stringify(conflict.ours)}, theirs ${JSON.stringify(conflict.theirs)}`);
+    });
+    // Conflicts are only resolved when a side was chosen explicitly
+    if (conflicts.length > 0 && !options.prefer) {
+      console.error(`${conflicts.length} conflict(s); nothing written. Use --prefer ours|theirs to resolve them.`);
+      return 1;
+    }
+
+    const result = SmfToolkit.validate(data);
+    if (!result.valid) {
+      result.errors.forEach(error => console.error(`✗ ${error}`));
+      console.error('The merged map is not valid; nothing written.');
+      return 1;
+    }
+    await output(JSON.stringify(data, null, 2), options.out);
+    return 0;
+  },
+
+  async render([file], options) {
+    const { data } = await load(file);
+    const svg = SmfToolkit.renderSVG(data, {
+      ...(options.level !== undefined ? { levelId: options.level } : {}),
+      ...(options.theme ? { theme: options.theme } : {})
+    });
+    await output(svg, options.out);
+    return 0;
+  }
+};
+
+/**
+ * Read, migrate and (by default) validate a map file
+ * Invalid files stop the command with exit code 1.
+ */
+async function load(file, { validate = true } = {}) {
+  if (!file) throw new UsageError('Missing file');
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = SmfToolkit.parse(text);
+  } catch (error) {
+    error.message = `${file}: ${error.message}`;
+    error.exitCode = 1;
+    throw error;
+  }
+  if (validate) {
+    const result = SmfToolkit.validate(parsed.data);
+    if (!result.valid) {
+      result.errors.forEach(error => console.error(`✗ ${error}`));
+      const error = new Error(`${file} is not a valid SMF file`);
+      error.exitCode = 1;
+      throw error;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Inventory key scheme of --key: 'label', 'id' or a template with {placeholders}
+ * Templates may only use the placeholders of KEY_PLACEHOLDERS.
+ * Without --key the toolkit uses the map's venue.inventoryKey.
+ */
+function getKeyScheme(options) {
+  const scheme = options.key;
+  if (scheme === undefined) return undefined;
+  if (!isInventoryKeyScheme(scheme)) {
+    throw new UsageError(`Unknown key scheme: ${scheme}`);
+  }
+  const unknown = (scheme.match(/\{[^}]*\}/g) || []).filter(placeholder => !KEY_PLACEHOLDERS.includes(placeholder.slice(1, -1)));
+  if (unknown.length > 0) {
+    const supported = KEY_PLACEHOLDERS.map(name => `{${name}}`).join(', ');
+    throw new UsageError(`Unknown key placeholder ${unknown.join(', ')} (supported: ${supported})`);
+  }
+  return scheme;
+}
+
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (VALUE_OPTIONS.includes(match[1])) {
+      const value = match[2] ?? args[++i];
+      if (value === undefined) throw new UsageError(`--${match[1]} needs a value`);
+      options[match[1]] = value;
+    } else {
+      options[match[1]] = true;
+    }
+  }
+  return { positional, options };
+}
+
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+async function output(text, file) {
+  if (file) {
+    await writeFile(file, text);
+  } else {
+    print(text);
+  }
+}
+
+async function main(argv) {
+  try {
+    const [command, ...rest] = argv;
+    if (!command || command === '--help' || command === 'help') {
+      print(USAGE);
+      return command ? 0 : 2;
+    }
+    if (!Object.hasOwn(Commands, command)) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+    const { positional, options } = parseArgs(rest);
+    return await Commands[command](positional, options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+      return 2;
+    }
+    return error.exitCode ?? 2;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,8 @@
+// ============================================
+// HEADLESS - SMF tools for Node.js (no PIXI, no DOM)
+// ============================================
+
+export { SmfToolkit } from './SmfToolkit.js';
+export { SMFValidator } from '../core/smfValidator.js';
+export { SMF_VERSION, migrateSMF } from '../../renderer/core/SmfMigrations.js';
+export { SMF_SCHEMA, validateSMF } from '../../renderer/core/SmfSchema.js';
@@ -0,0 +1,139 @@
+// ============================================
+// CLIPBOARD MANAGER - Copy/paste sections between maps
+// ============================================
+
+import { State } from '../core/state.js';
+import { FileManager } from './fileManager.js';
+import { SectionFactory } from './SectionFactory.js';
+import { HistoryManager } from './HistoryManager.js';
+
+/**
+ * Copies selected sections to the system clipboard as SMF section data,
+ * so they can be pasted into any open editor instance (other maps, other tabs).
+ * Uses the native copy/paste events, which carry clipboard data without
+ * requiring the async Clipboard API permission prompt.
+ */
+export const ClipboardManager = {
+  // Marker identifying our payload among arbitrary clipboard text
+  CLIPBOARD_FORMAT: 'SMF-sections',
+  PASTE_OFFSET: 50,
+
+  lastPayload: null,  // Last copied/pasted payload text, for cascading offsets
+  pasteCount: 0,
+
+  init() {
+    document.addEventListener('copy', (e) => this.handleCopy(e));
+    document.addEventListener('paste', (e) => this.handlePaste(e));
+  },
+
+  /**
+   * Whether clipboard events should be left to the browser
+   */
+  isTypingInField() {
+    const activeElement = document.activeElement;
+    return activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA');
+  },
+
+  handleCopy(e) {
+    if (this.isTypingInField() || State.isEditSeatsMode) return;
+
+    const payload = this.serializeSelection();
+    if (!payload) return;
+
+    e.clipboardData.setData('text/plain', payload);
+    e.preventDefault();
+
+    this.lastPayload = payload;
+    this.pasteCount = 0;
+    console.log(`✓ Copied ${State.selectedSections.length} section(s) to clipboard`);
+  },
+
+  handlePaste(e) {
+    if (this.isTypingInField() || State.isEditSeatsMode || State.isCreating || State.pendingSection) return;
+
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    const payload = this.parsePayload(text);
+    if (!payload) return;
+
+    e.preventDefault();
+    this.pasteSections(payload.sections, text);
+  },
+
+  /**
+   * Serialize selected sections into a clipboard payload
+   * @returns {string|null} JSON payload, or null when nothing is copyable
+   */
+  serializeSelection() {
+    const sections = State.selectedSections
+      .map(section => FileManager.serializeSection(section))
+      .filter(Boolean);
+
+    if (sections.length === 0) return null;
+
+    return JSON.stringify({
+      format: this.CLIPBOARD_FORMAT,
+      version: '2.1.0',
+      sections
+    });
+  },
+
+  /**
+   * Parse clipboard text, ignoring anything that isn't our payload
+   * @param {string} text - Clipboard text
+   * @returns {Object|null} Parsed payload
+   */
+  parsePayload(text) {
+    if (!text) return null;
+    try {
+      const payload = JSON.parse(text);
+      if (payload?.format !== this.CLIPBOARD_FORMAT || !Array.isArray(payload.sections)) {
+        return null;
+      }
+      return payload;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Create new sections from clipboard data
+   * Each paste of the same payload cascades further so copies don't stack.
+   * @param {Object[]} sectionsData - Serialized sections
+   * @param {string} payloadText - Raw payload (to detect repeated pastes)
+   * @returns {Promise<Section[]>} The pasted sections
+   */
+  async pasteSections(sectionsData, payloadText) {
+    if (payloadText !== this.lastPayload) {
+      // Copied in another tab/map: first paste keeps the original coordinates
+      this.lastPayload = payloadText;
+      this.pasteCount = -1;
+    }
+    this.pasteCount++;
+    const offset = this.PASTE_OFFSET * this.pasteCount;
+
+    const { SectionManager } = await import('./sectionManager.js');
+    const { AlignmentManager } = await import('./alignmentManager.js');
+
+    const pasted = await HistoryManager.record('Paste sections', [], async () => {
+      const created = [];
+      for (const sectionData of sectionsData) {
+        const data = SectionFactory.cloneSectionData(sectionData, offset, { keepName: true });
+        data.levelId = State.currentLevelId;
+        const section = await FileManager.deserializeSection(data, SectionManager);
+        if (section) created.push(section);
+      }
+
+      AlignmentManager.resolveCollisions(created.filter(s => !s.isZone));
+      return created;
+    });
+
+    SectionManager.deselectAll();
+    pasted.forEach(section => SectionManager.selectSection(section));
+    document.dispatchEvent(new CustomEvent('selectionchanged', {
+      detail: { selectedSections: pasted }
+    }));
+
+    console.log(`✓ Pasted ${pasted.length} section(s)`);
+    return pasted;
+  }
+};
@@ -0,0 +1,165 @@
+// ============================================
+// DIFF MANAGER - Compare the open map with another version
+// ============================================
+
+import { State } from '../core/state.js';
+import { VISUAL_CONFIG } from '../core/config.js';
+import { SmfDiff } from '../core/smfDiff.js';
+import { migrateSMF } from '../../renderer/core/SmfMigrations.js';
+import { getSectionFrame, getSectionShapePoints, toWorldPoint } from '../../renderer/core/SmfLayout.js';
+import { FileManager } from './fileManager.js';
+
+/**
+ * Manager for the comparison overlay
+ * Responsible for: Diffing the open map against another SMF file and drawing the differences over the map
+ *
+ * The other file is the earlier version: what only it has is drawn as removed,
+ * at its old position. The overlay shows the current level and doesn't follow
+ * edits; refresh() compares again.
+ */
+export const DiffManager = {
+  /** { name, before, after, diff } of the comparison shown, null without one */
+  comparison: null,
+
+  /**
+   * Compare the open map with a saved SMF file
+   * @param {File} file - The other version
+   * @returns {Promise<Object>} Diff (see SmfDiff.diff)
+   * @throws {Error} If the file isn't a valid SMF file
+   */
+  async compareWithFile(file) {
+    const before = await this.readMap(file);
+    this.comparison = { name: file.name, before };
+    return this.refresh();
+  },
+
+  /**
+   * Compare the open map with the same file again, after edits
+   * @returns {Object|null} Diff, null without a comparison
+   */
+  refresh() {
+    if (!this.comparison) return null;
+    const after = FileManager.exportToJSON();
+    this.comparison.after = after;
+    this.comparison.diff = SmfDiff.diff(this.comparison.before, after);
+    this.render();
+    return this.comparison.diff;
+  },
+
+  /**
+   * Read, upgrade and validate an SMF file
+   * @param {File} file
+   * @returns {Promise<Object>} SMF data
+   */
+  async readMap(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`Not a JSON file: ${error.message}`);
+    }
+    data = migrateSMF(data).data;
+
+    const { SMFValidator } = await import('../core/smfValidator.js');
+    const validation = SMFValidator.validate(data);
+    if (!validation.valid) {
+      throw new Error(`Invalid SMF file: ${validation.errors[0]}`);
+    }
+    return data;
+  },
+
+  /**
+   * Remove the overlay
+   */
+  clear() {
+    this.comparison = null;
+    this.render();
+  },
+
+  /**
+   * Draw the differences on the current level
+   */
+  render() {
+    State.diffLayer.removeChildren().forEach(child => child.destroy());
+    if (!this.comparison?.diff) return;
+
+    const { before, after, diff } = this.comparison;
+    const colors = VISUAL_CONFIG.DIFF;
+    const onLevel = (data, entry) => SmfDiff.isOnLevel(data, entry, State.currentLevelId);
+    const graphics = new PIXI.Graphics();
+
+    // Sections first, so seat rings stay on top
+    diff.sections.removed.filter(entry => onLevel(before, entry)).forEach(entry => {
+      this.drawOutline(graphics, findSection(before, entry), colors.REMOVED);
+    });
+    diff.sections.added.filter(entry => onLevel(after, entry)).forEach(entry => {
+      this.drawOutline(graphics, findSection(after, entry), colors.ADDED);
+    });
+    diff.sections.changed.filter(entry => onLevel(after, entry)).forEach(entry => {
+      this.drawOutline(graphics, findSection(after, entry), colors.CHANGED);
+    });
+
+    diff.seats.removed.filter(seat => onLevel(before, seat)).forEach(seat => {
+      this.drawRing(graphics, seat, colors.REMOVED);
+    });
+    diff.seats.added.filter(seat => onLevel(after, seat)).forEach(seat => {
+      this.drawRing(graphics, seat, colors.ADDED);
+    });
+    diff.seats.changed.filter(change => onLevel(after, change.after)).forEach(change => {
+      if (change.changes.includes('moved') && onLevel(before, change.before)) {
+        graphics.moveTo(change.before.x, change.before.y)
+          .lineTo(change.after.x, change.after.y)
+          .stroke({ width: 1, color: colors.MOVED, alpha: 0.8 });
+      }
+      this.drawRing(graphics, change.after, getChangeColor(change.changes));
+    });
+
+    State.diffLayer.addChild(graphics);
+  },
+
+  /**
+   * Stroke a section's outline in world space
+   * @param {PIXI.Graphics} graphics
+   * @param {Object|undefined} section - SMF section data
+   * @param {number} color
+   */
+  drawOutline(graphics, section, color) {
+    if (!section) return;
+    const frame = getSectionFrame(section);
+    const { width: w, height: h } = frame;
+    const local = getSectionShapePoints(section) || [0, 0, w, 0, w, h, 0, h];
+    const points = [];
+    for (let i = 0; i < local.length; i += 2) {
+      const { x, y } = toWorldPoint(frame, local[i], local[i + 1]);
+      points.push(x, y);
+    }
+    graphics.poly(points).stroke({ width: VISUAL_CONFIG.DIFF.STROKE_WIDTH, color });
+  },
+
+  /**
+   * Ring around a seat position
+   * @param {PIXI.Graphics} graphics
+   * @param {Object} seat - Diff seat entry (world x / y)
+   * @param {number} color
+   */
+  drawRing(graphics, seat, color) {
+    graphics.circle(seat.x, seat.y, VISUAL_CONFIG.DIFF.SEAT_RING_RADIUS)
+      .stroke({ width: VISUAL_CONFIG.DIFF.STROKE_WIDTH, color });
+  }
+};
+
+function findSection(data, entry) {
+  const key = entry.id || entry.name;
+  return (data.sections || []).find(section => (section.id || section.name) === key);
+}
+
+/**
+ * Moves win over relabels, relabels over price changes
+ */
+function getChangeColor(changes) {
+  const colors = VISUAL_CONFIG.DIFF;
+  if (changes.includes('moved')) return colors.MOVED;
+  if (changes.includes('relabelled')) return colors.RELABELLED;
+  if (changes.includes('repriced')) return colors.REPRICED;
+  return colors.CHANGED;
+}
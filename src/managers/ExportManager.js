@@ -0,0 +1,877 @@
+// ============================================
+// EXPORT MANAGER - SVG and PDF export for print and signage
+// ============================================
+
+import { State } from '../core/state.js';
+import { COLORS, VISUAL_CONFIG, OBJECT_TYPES, EXPORT_CONFIG } from '../core/config.js';
+import { SvgCanvas } from '../core/SvgCanvas.js';
+import { PdfDocument, measureText } from '../core/PdfDocument.js';
+import { SeatManager } from './SeatManager.js';
+import { ManifestManager } from './ManifestManager.js';
+
+// Page layout, in page units (SVG px / PDF points)
+const TITLE_HEIGHT = 52;
+const LEGEND_ROW_HEIGHT = 16;
+const SCALE_BAR_WIDTH = 160;
+const MIN_SVG_WIDTH = 480;
+const SEAT_RADIUS = 10;
+
+/**
+ * Manager for vector exports of the venue map
+ * Responsible for: Flattening the scene into print shapes, page layout, SVG/PDF download
+ *
+ * Shapes are read from the same objects the editor draws (section outlines,
+ * seat and row label positions, venue objects, underlay) and kept in world
+ * coordinates. Pages draw them onto an SvgCanvas or a PdfPage, which share a
+ * drawing API. Glow, selection and other editing aids are left out; hidden
+ * groups are still exported.
+ */
+export const ExportManager = {
+  /** Default export options */
+  defaults: {
+    theme: 'light',          // 'light' (white paper) | 'dark' (editor background)
+    underlay: true,
+    titleBlock: true,
+    legend: true,
+    scaleBar: true,
+    pageSize: 'a4',          // PDF: key of EXPORT_CONFIG.PAGE_SIZES
+    orientation: 'auto',     // PDF: 'auto' | 'portrait' | 'landscape'
+    pagesAcross: 1,          // PDF: tile the map over several sheets
+    pagesDown: 1,
+    allLevels: false         // PDF: a page (or set of sheets) per level
+  },
+
+  // ============================================
+  // SCENE
+  // ============================================
+
+  /**
+   * Collect the shapes of one level in drawing order
+   * @param {string|null} levelId - Level to export, null on single-level maps
+   * @param {Object} options - Export options
+   * @returns {Promise<Object|null>} { shapes, bounds, legend, info }, null when the level is empty
+   */
+  async collectScene(levelId, options) {
+    const onLevel = item => (item.levelId || null) === levelId;
+    const sections = State.sections.filter(onLevel);
+    const shapes = [];
+
+    if (options.underlay) {
+      const underlay = await this.getUnderlay(levelId);
+      if (underlay && underlay.visible !== false) {
+        shapes.push(...await this.underlayShapes(underlay, options.theme));
+      }
+    }
+
+    State.objects.filter(onLevel).forEach(object => {
+      shapes.push(...this.objectShapes(object.toJSON(), options.theme));
+    });
+
+    // Zones sit below sections, seats and row labels above both
+    sections.filter(section => section.isZone).forEach(section => {
+      shapes.push(...this.sectionShapes(section, options.theme));
+    });
+    sections.filter(section => !section.isZone).forEach(section => {
+      shapes.push(...this.sectionShapes(section, options.theme));
+    });
+    sections.filter(section => !section.isGeneralAdmission).forEach(section => {
+      shapes.push(...this.seatShapes(section, options.theme));
+    });
+
+    if (shapes.length === 0) return null;
+
+    return {
+      shapes,
+      bounds: this.getBounds(shapes),
+      legend: this.getLegendItems(sections),
+      info: this.getTitleInfo(levelId, sections)
+    };
+  },
+
+  /**
+   * Get the SMF underlay object shown for a level
+   * @param {string|null} levelId
+   * @returns {Promise<Object|null>}
+   */
+  async getUnderlay(levelId) {
+    if (levelId === State.currentLevelId) {
+      const { FileManager } = await import('./fileManager.js');
+      return FileManager.serializeUnderlay();
+    }
+    return State.levels.find(level => level.id === levelId)?.underlay || null;
+  },
+
+  /**
+   * Shapes for the underlay image
+   * @param {Object} underlay - SMF underlay object
+   * @param {string} theme
+   * @returns {Promise<Array>}
+   */
+  async underlayShapes(underlay, theme) {
+    const image = await this.prepareImage(underlay.dataUrl || underlay.sourceUrl, theme);
+    if (!image) return [];
+
+    const scale = underlay.scale || 1;
+    const width = (underlay.width || image.pixelWidth) * scale;
+    const height = (underlay.height || image.pixelHeight) * scale;
+    if (!(width > 0) || !(height > 0)) return [];
+
+    return [{
+      type: 'image',
+      image,
+      x: underlay.x || 0,
+      y: underlay.y || 0,
+      width,
+      height,
+      opacity: underlay.opacity !== undefined ? underlay.opacity : 1
+    }];
+  },
+
+  /**
+   * Shapes for a stage, amenity, text or arrow
+   * @param {Object} data - SMF object (VenueObject.toJSON()) of a known type
+   * @param {string} theme
+   * @returns {Array}
+   */
+  objectShapes(data, theme) {
+    const shape = OBJECT_TYPES[data.type].shape;
+    const w = data.width;
+    const h = data.height;
+    const angle = (data.rotation || 0) * Math.PI / 180;
+    const toWorld = points => rotatePoints(points, angle, data.x, data.y);
+    const shapes = [];
+
+    let outlines = [];
+    if (shape === 'rect') {
+      outlines = [roundedRectPoints(-w / 2, -h / 2, w, h, Math.min(8, h / 4))];
+    } else if (shape === 'circle' || shape === 'icon') {
+      outlines = [ellipsePoints(w / 2, h / 2)];
+    } else if (shape === 'arrow') {
+      // Points along +x, same proportions as VenueObject.draw()
+      const thickness = Math.max(2, h / 4);
+      const headLength = Math.min(h, w / 2);
+      outlines = [
+        [-w / 2, -thickness / 2, w / 2 - headLength, -thickness / 2,
+          w / 2 - headLength, thickness / 2, -w / 2, thickness / 2],
+        [w / 2 - headLength, -h / 2, w / 2, 0, w / 2 - headLength, h / 2]
+      ];
+    }
+
+    const fill = shape === 'arrow' ? this.readableColor(data.color, theme) : data.color;
+    outlines.forEach(points => {
+      shapes.push({ type: 'path', points: toWorld(points), style: { fill } });
+    });
+
+    if (data.label && shape !== 'circle' && shape !== 'arrow') {
+      shapes.push({
+        type: 'text',
+        x: data.x,
+        y: data.y,
+        text: data.label,
+        style: {
+          size: data.fontSize,
+          bold: true,
+          color: shape === 'text' ? this.readableColor(data.color, theme) : 0xffffff,
+          anchor: 'middle',
+          rotation: data.rotation || 0
+        }
+      });
+    }
+    return shapes;
+  },
+
+  /**
+   * Shapes for a section or zone outline and its GA / zone label
+   * @param {Section} section
+   * @param {string} theme
+   * @returns {Array}
+   */
+  sectionShapes(section, theme) {
+    // Hidden zones draw nothing in the editor either
+    if (section.isZone && !section.showZone) return [];
+
+    const w = section.contentWidth;
+    const h = section.contentHeight;
+    const local = section.getShapePoints() || [0, 0, w, 0, w, h, 0, h];
+    const shapes = [];
+
+    const style = {};
+    if (section.fillVisible) {
+      style.fill = section.sectionColor;
+      style.fillOpacity = section.isZone ? section.fillOpacity : VISUAL_CONFIG.SECTION.FILL_ALPHA;
+    }
+    if (section.strokeVisible) {
+      style.stroke = section.sectionColor;
+      style.strokeWidth = VISUAL_CONFIG.SECTION.STROKE_WIDTH;
+      style.strokeOpacity = VISUAL_CONFIG.SECTION.STROKE_ALPHA;
+    }
+    shapes.push({ type: 'path', points: sectionToWorld(section, local), style });
+
+    let label = null;
+    if (section.isGeneralAdmission && !section.isZone) {
+      label = {
+        text: section.sectionId,
+        size: section.gaLabelFontSize || VISUAL_CONFIG.GA_LABEL.FONT_SIZE,
+        color: section.gaLabelColor !== undefined ? section.gaLabelColor : VISUAL_CONFIG.GA_LABEL.COLOR,
+        offsetX: section.gaLabelOffsetX || 0,
+        offsetY: section.gaLabelOffsetY || 0
+      };
+    } else if (section.isZone && section.showZoneLabel) {
+      label = {
+        text: section.zoneLabel,
+        size: section.labelFontSize,
+        color: section.labelColor,
+        offsetX: section.labelOffsetX || 0,
+        offsetY: section.labelOffsetY || 0
+      };
+    }
+
+    if (label && label.text) {
+      const [x, y] = sectionToWorld(section, [w / 2 + label.offsetX, h / 2 + label.offsetY]);
+      shapes.push({
+        type: 'text',
+        x,
+        y,
+        text: label.text,
+        style: {
+          size: label.size,
+          bold: true,
+          color: this.readableColor(label.color, theme),
+          anchor: 'middle',
+          rotation: section.angle || 0
+        }
+      });
+    }
+    return shapes;
+  },
+
+  /**
+   * Shapes for a section's seats and visible row labels
+   * @param {Section} section
+   * @param {string} theme
+   * @returns {Array}
+   */
+  seatShapes(section, theme) {
+    const shapes = [];
+
+    section.seats.forEach(seat => {
+      const category = seat.specialNeeds ? null : SeatManager.getPriceCategory(section, seat.priceCategory);
+      shapes.push(...this.seatMarkerShapes({
+        x: seat.x,
+        y: seat.y,
+        fill: category ? category.color : section.seatColor,
+        accessible: seat.specialNeeds,
+        number: seat.seatNumber,
+        textColor: section.seatTextColor,
+        rotation: seat.angle || 0
+      }, theme));
+    });
+
+    // Labels hidden in the editor are only previews, not part of the map
+    if (!section.labelsHidden) {
+      section.rowLabels.forEach(label => {
+        shapes.push({
+          type: 'text',
+          x: label.x,
+          y: label.y,
+          text: label.text,
+          style: {
+            size: 14,
+            bold: true,
+            color: this.readableColor(section.rowLabelColor, theme),
+            anchor: 'middle',
+            rotation: label.angle || 0
+          }
+        });
+      });
+    }
+    return shapes;
+  },
+
+  /**
+   * Shapes for one seat: a filled circle with its number, or the accessible marker
+   * @param {Object} seat - { x, y, fill, accessible, number, textColor, rotation } in world space
+   * @param {string} theme
+   * @returns {Array}
+   */
+  seatMarkerShapes(seat, theme) {
+    const fill = seat.accessible ? COLORS.SPECIAL_NEEDS : seat.fill;
+
+    // Light seats get an outline so they stay visible on paper
+    const style = { fill };
+    if (this.readableColor(fill, theme) !== fill) {
+      style.stroke = EXPORT_CONFIG.INK;
+      style.strokeWidth = 1;
+      style.strokeOpacity = 0.5;
+    }
+    const shapes = [{ type: 'circle', x: seat.x, y: seat.y, r: SEAT_RADIUS, style }];
+
+    if (seat.accessible) {
+      // The editor's icon font isn't available in print; mark with a ring instead
+      shapes.push({ type: 'circle', x: seat.x, y: seat.y, r: 4.5, style: { stroke: 0xffffff, strokeWidth: 1.5 } });
+    } else {
+      shapes.push({
+        type: 'text',
+        x: seat.x,
+        y: seat.y,
+        text: String(seat.number),
+        style: { size: 10, bold: true, color: seat.textColor, anchor: 'middle', rotation: seat.rotation }
+      });
+    }
+    return shapes;
+  },
+
+  /**
+   * World bounds of a shape list, padded by EXPORT_CONFIG.MAP_PADDING
+   * @param {Array} shapes
+   * @returns {{x, y, width, height}}
+   */
+  getBounds(shapes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x, y, rx = 0, ry = rx) => {
+      minX = Math.min(minX, x - rx);
+      maxX = Math.max(maxX, x + rx);
+      minY = Math.min(minY, y - ry);
+      maxY = Math.max(maxY, y + ry);
+    };
+
+    shapes.forEach(shape => {
+      if (shape.type === 'path') {
+        for (let i = 0; i < shape.points.length; i += 2) {
+          include(shape.points[i], shape.points[i + 1], (shape.style.strokeWidth || 0) / 2);
+        }
+      } else if (shape.type === 'circle') {
+        include(shape.x, shape.y, shape.r);
+      } else if (shape.type === 'text') {
+        // Rotated labels: use the half width both ways
+        const halfWidth = measureText(shape.text, shape.style.size, shape.style.bold) / 2;
+        include(shape.x, shape.y, halfWidth, shape.style.rotation ? halfWidth : shape.style.size / 2);
+      } else if (shape.type === 'image') {
+        include(shape.x, shape.y);
+        include(shape.x + shape.width, shape.y + shape.height);
+      }
+    });
+
+    const padding = EXPORT_CONFIG.MAP_PADDING;
+    return {
+      x: minX - padding,
+      y: minY - padding,
+      width: maxX - minX + padding * 2,
+      height: maxY - minY + padding * 2
+    };
+  },
+
+  /**
+   * Legend entries: price categories in use and accessible seats
+   * @param {Section[]} sections
+   * @returns {Array<{color, label}>}
+   */
+  getLegendItems(sections) {
+    const items = new Map();
+    let hasAccessible = false;
+
+    sections.forEach(section => {
+      section.seats?.forEach(seat => {
+        if (seat.specialNeeds) {
+          hasAccessible = true;
+          return;
+        }
+        const category = SeatManager.getPriceCategory(section, seat.priceCategory);
+        if (category) {
+          items.set(`${category.name}|${category.color}`, {
+            color: category.color,
+            label: `${category.name} · ${Number(category.price || 0).toFixed(2)}`
+          });
+        }
+      });
+    });
+
+    if (hasAccessible) {
+      items.set('accessible', { color: COLORS.SPECIAL_NEEDS, label: 'Accessible' });
+    }
+    return [...items.values()];
+  },
+
+  /**
+   * Title block text: venue name, then level, address, capacity and date
+   * @param {string|null} levelId
+   * @param {Section[]} sections
+   * @returns {{title: string, subtitle: string}}
+   */
+  getTitleInfo(levelId, sections) {
+    const venue = State.venue;
+    const location = venue.location || {};
+    const level = State.levels.find(l => l.id === levelId);
+    const seats = sections.reduce((sum, section) =>
+      sum + (section.isGeneralAdmission ? 0 : section.seats.length), 0);
+    const standing = sections.reduce((sum, section) =>
+      sum + (section.isGeneralAdmission && !section.isZone ? section.gaCapacity || 0 : 0), 0);
+
+    const subtitle = [
+      level?.name,
+      [location.address, location.city, location.state, location.country].filter(Boolean).join(', '),
+      `${seats} seats`,
+      standing > 0 ? `${standing} general admission` : '',
+      new Date().toLocaleDateString()
+    ].filter(Boolean).join('  ·  ');
+
+    return { title: venue.name || 'Venue Map', subtitle };
+  },
+
+  // ============================================
+  // PAGE LAYOUT
+  // ============================================
+
+  /**
+   * Draw world shapes onto a canvas
+   * @param {SvgCanvas|PdfPage} canvas
+   * @param {Array} shapes
+   * @param {number} scale - Page units per world unit
+   * @param {number} offsetX - Page position of world x = 0
+   * @param {number} offsetY - Page position of world y = 0
+   */
+  drawShapes(canvas, shapes, scale, offsetX, offsetY) {
+    const scaleStyle = style => (style.strokeWidth ? { ...style, strokeWidth: style.strokeWidth * scale } : style);
+
+    shapes.forEach(shape => {
+      const x = shape.x * scale + offsetX;
+      const y = shape.y * scale + offsetY;
+      if (shape.type === 'path') {
+        const points = shape.points.map((value, i) => value * scale + (i % 2 === 0 ? offsetX : offsetY));
+        canvas.path(points, scaleStyle(shape.style));
+      } else if (shape.type === 'circle') {
+        canvas.circle(x, y, shape.r * scale, scaleStyle(shape.style));
+      } else if (shape.type === 'text') {
+        canvas.text(x, y, shape.text, { ...shape.style, size: shape.style.size * scale });
+      } else if (shape.type === 'image') {
+        canvas.image(shape.image, x, y, shape.width * scale, shape.height * scale, shape.opacity);
+      }
+    });
+  },
+
+  /**
+   * Draw the title block across the top of the page
+   */
+  drawTitleBlock(canvas, x, y, width, info, ink, pageLabel = '') {
+    canvas.text(x, y + 10, info.title, { size: 16, bold: true, color: ink });
+    canvas.text(x, y + 30, info.subtitle, { size: 9, color: ink, opacity: 0.75 });
+    if (pageLabel) {
+      canvas.text(x + width, y + 10, pageLabel, { size: 9, color: ink, anchor: 'end' });
+    }
+    canvas.path([x, y + 42, x + width, y + 42], { stroke: ink, strokeWidth: 0.75, strokeOpacity: 0.4, closed: false });
+  },
+
+  /**
+   * Wrap legend entries into rows
+   * @param {Array<{color, label}>} items
+   * @param {number} width - Available width
+   * @returns {Array<Array<{color, label, x}>>}
+   */
+  layoutLegend(items, width) {
+    const rows = [];
+    let row = [];
+    let x = 0;
+    items.forEach(item => {
+      const itemWidth = 13 + measureText(item.label, 9) + 14;
+      if (row.length > 0 && x + itemWidth > width) {
+        rows.push(row);
+        row = [];
+        x = 0;
+      }
+      row.push({ ...item, x });
+      x += itemWidth;
+    });
+    if (row.length > 0) rows.push(row);
+    return rows;
+  },
+
+  /**
+   * Height of the legend / scale bar footer
+   */
+  getFooterHeight(legendRows, options) {
+    if (legendRows.length === 0 && !options.scaleBar) return 0;
+    return 8 + Math.max(legendRows.length, 1) * LEGEND_ROW_HEIGHT;
+  },
+
+  /**
+   * Draw the legend and scale bar below the map
+   * @param {number|null} scale - Page units per world unit, null without a scale bar
+   */
+  drawFooter(canvas, x, y, width, legendRows, scale, ink) {
+    legendRows.forEach((row, i) => {
+      const rowY = y + 8 + LEGEND_ROW_HEIGHT * (i + 0.5);
+      row.forEach(item => {
+        canvas.circle(x + item.x + 4.5, rowY, 4.5, { fill: item.color });
+        canvas.text(x + item.x + 13, rowY, item.label, { size: 9, color: ink });
+      });
+    });
+
+    if (scale) {
+      this.drawScaleBar(canvas, x + width, y + 8 + LEGEND_ROW_HEIGHT / 2, scale, ink);
+    }
+  },
+
+  /**
+   * Draw a scale bar ending at the right edge, in meters (EXPORT_CONFIG.PIXELS_PER_METER)
+   */
+  drawScaleBar(canvas, right, y, scale, ink) {
+    const perMeter = EXPORT_CONFIG.PIXELS_PER_METER * scale;
+    const meters = niceLength((SCALE_BAR_WIDTH - 50) / perMeter);
+    const left = right - meters * perMeter;
+    const style = { stroke: ink, strokeWidth: 1, closed: false };
+
+    canvas.path([left, y, right, y], style);
+    canvas.path([left, y - 4, left, y + 4], style);
+    canvas.path([right, y - 4, right, y + 4], style);
+    canvas.text(left - 6, y, `${meters} m`, { size: 9, color: ink, anchor: 'end' });
+  },
+
+  /**
+   * Page color for a theme
+   */
+  getPaperColor(theme) {
+    return theme === 'dark' ? parseInt(COLORS.BACKGROUND.slice(1), 16) : EXPORT_CONFIG.PAPER;
+  },
+
+  /**
+   * Title, legend and scale bar color for a theme
+   */
+  getInkColor(theme) {
+    return theme === 'dark' ? 0xffffff : EXPORT_CONFIG.INK;
+  },
+
+  /**
+   * Swap near-white colors (labels meant for the dark canvas) for ink on light pages
+   * @param {number} color
+   * @param {string} theme
+   * @returns {number}
+   */
+  readableColor(color, theme) {
+    if (theme === 'dark') return color;
+    const luminance = (0.299 * ((color >> 16) & 0xff) + 0.587 * ((color >> 8) & 0xff) + 0.114 * (color & 0xff)) / 255;
+    return luminance > 0.85 ? EXPORT_CONFIG.INK : color;
+  },
+
+  // ============================================
+  // SVG / PDF
+  // ============================================
+
+  /**
+   * Export the current level as a standalone SVG document
+   * The map is drawn at 1 px per map unit.
+   * @param {Object} [options] - See defaults
+   * @returns {Promise<string>} SVG markup
+   */
+  async exportSVG(options = {}) {
+    options = { ...this.defaults, ...options };
+    const scene = await this.collectScene(State.currentLevelId, options);
+    if (!scene) throw new Error('Nothing to export on this level');
+    return this.sceneToSVG(scene, options);
+  },
+
+  /**
+   * Lay out a scene on an SVG page (title block, map at 1 px per map unit, legend and scale bar)
+   * Also used by the headless toolkit, which builds scenes from SMF data.
+   * @param {Object} scene - { shapes, bounds, legend, info }, see collectScene()
+   * @param {Object} options - Export options (defaults applied)
+   * @returns {string} SVG markup
+   */
+  sceneToSVG(scene, options) {
+    const margin = EXPORT_CONFIG.SVG_MARGIN;
+    const { bounds } = scene;
+    const contentWidth = Math.max(bounds.width, MIN_SVG_WIDTH);
+    const legendRows = options.legend
+      ? this.layoutLegend(scene.legend, contentWidth - (options.scaleBar ? SCALE_BAR_WIDTH : 0))
+      : [];
+    const header = options.titleBlock ? TITLE_HEIGHT : 0;
+    const footer = this.getFooterHeight(legendRows, options);
+    const ink = this.getInkColor(options.theme);
+
+    const canvas = new SvgCanvas(
+      contentWidth + margin * 2,
+      header + bounds.height + footer + margin * 2,
+      this.getPaperColor(options.theme)
+    );
+
+    if (header) {
+      this.drawTitleBlock(canvas, margin, margin, contentWidth, scene.info, ink);
+    }
+    this.drawShapes(canvas, scene.shapes, 1,
+      margin + (contentWidth - bounds.width) / 2 - bounds.x,
+      margin + header - bounds.y);
+    if (footer) {
+      this.drawFooter(canvas, margin, margin + header + bounds.height, contentWidth,
+        legendRows, options.scaleBar ? 1 : null, ink);
+    }
+
+    return canvas.toString(scene.info.title);
+  },
+
+  /**
+   * Export a print-ready PDF
+   * Each level is fitted to the page, or tiled over pagesAcross x pagesDown sheets
+   * with the title block, legend and scale bar repeated on every sheet.
+   * @param {Object} [options] - See defaults
+   * @returns {Promise<Blob>}
+   */
+  async exportPDF(options = {}) {
+    options = { ...this.defaults, ...options };
+    const levelIds = options.allLevels && State.levels.length > 0
+      ? State.levels.map(level => level.id)
+      : [State.currentLevelId];
+    const across = clampSheets(options.pagesAcross);
+    const down = clampSheets(options.pagesDown);
+    const margin = EXPORT_CONFIG.PDF_MARGIN;
+    const ink = this.getInkColor(options.theme);
+    const paper = this.getPaperColor(options.theme);
+    const doc = new PdfDocument({ title: State.venue.name || 'Venue Map' });
+
+    for (const levelId of levelIds) {
+      const scene = await this.collectScene(levelId, options);
+      if (!scene) continue;
+
+      const { bounds } = scene;
+      const [pageWidth, pageHeight] = this.getPageSize(options, bounds, across, down);
+      const contentWidth = pageWidth - margin * 2;
+      const legendRows = options.legend
+        ? this.layoutLegend(scene.legend, contentWidth - (options.scaleBar ? SCALE_BAR_WIDTH : 0))
+        : [];
+      const header = options.titleBlock ? TITLE_HEIGHT : 0;
+      const footer = this.getFooterHeight(legendRows, options);
+      const area = {
+        x: margin,
+        y: margin + header,
+        width: contentWidth,
+        height: pageHeight - margin * 2 - header - footer
+      };
+
+      // Fit the map to all sheets together and center it on them
+      const scale = Math.min(area.width * across / bounds.width, area.height * down / bounds.height);
+      const originX = (area.width * across - bounds.width * scale) / 2 - bounds.x * scale;
+      const originY = (area.height * down - bounds.height * scale) / 2 - bounds.y * scale;
+
+      for (let row = 0; row < down; row++) {
+        for (let col = 0; col < across; col++) {
+          const page = doc.addPage(pageWidth, pageHeight);
+          if (paper !== EXPORT_CONFIG.PAPER) {
+            page.path([0, 0, pageWidth, 0, pageWidth, pageHeight, 0, pageHeight], { fill: paper });
+          }
+
+          const sheetLabel = across * down > 1
+            ? `Sheet ${row * across + col + 1} of ${across * down} (row ${row + 1}, column ${col + 1})`
+            : '';
+          if (header) {
+            this.drawTitleBlock(page, margin, margin, contentWidth, scene.info, ink, sheetLabel);
+          }
+
+          page.clip(area.x, area.y, area.width, area.height);
+          this.drawShapes(page, scene.shapes, scale,
+            area.x + originX - col * area.width,
+            area.y + originY - row * area.height);
+          page.unclip();
+
+          if (footer) {
+            this.drawFooter(page, margin, area.y + area.height, contentWidth,
+              legendRows, options.scaleBar ? scale : null, ink);
+          }
+        }
+      }
+    }
+
+    if (doc.pages.length === 0) throw new Error('Nothing to export');
+    return doc.toBlob();
+  },
+
+  /**
+   * Page size in points for the chosen size and orientation
+   * 'auto' turns the page to match the map (per sheet when tiled).
+   * @returns {[number, number]} [width, height]
+   */
+  getPageSize(options, bounds, across = 1, down = 1) {
+    const [width, height] = EXPORT_CONFIG.PAGE_SIZES[options.pageSize] || EXPORT_CONFIG.PAGE_SIZES.a4;
+    const landscape = options.orientation === 'landscape' ||
+      (options.orientation === 'auto' && bounds.width / across > bounds.height / down);
+    return landscape ? [height, width] : [width, height];
+  },
+
+  /**
+   * Load an image for export
+   * Keeps the source for SVG (embedded as a data URL when possible) and a JPEG
+   * copy flattened on the page color for PDF.
+   * @param {string} src - Data URL or image URL
+   * @param {string} theme
+   * @returns {Promise<Object|null>} { href, jpeg, pixelWidth, pixelHeight }
+   */
+  async prepareImage(src, theme) {
+    if (!src) return null;
+    const isDataUrl = src.startsWith('data:');
+
+    const img = new Image();
+    if (!isDataUrl) img.crossOrigin = 'anonymous';
+    try {
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error(`Could not load ${isDataUrl ? 'underlay image' : src}`));
+        img.src = src;
+      });
+    } catch (error) {
+      // Servers without CORS headers: SVG can still link the image, PDF can't embed it
+      console.warn(`Underlay not embedded in export: ${error.message}`);
+      return isDataUrl ? null : { href: src, jpeg: null, pixelWidth: 0, pixelHeight: 0 };
+    }
+
+    const image = { href: src, jpeg: null, pixelWidth: img.naturalWidth, pixelHeight: img.naturalHeight };
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    if (!isDataUrl) {
+      image.href = canvas.toDataURL('image/png');
+    }
+
+    // JPEG has no transparency: flatten onto the page color
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = `#${this.getPaperColor(theme).toString(16).padStart(6, '0')}`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const base64 = canvas.toDataURL('image/jpeg', 0.9).split(',')[1];
+    image.jpeg = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+    return image;
+  },
+
+  // ============================================
+  // DOWNLOAD
+  // ============================================
+
+  /**
+   * Export and download the map, or its seat manifest ('csv' / 'json', see ManifestManager)
+   * Manifests are only exported once shared inventory keys are confirmed (ManifestManager.confirmKeys).
+   * @param {'svg'|'pdf'|'csv'|'json'} format
+   * @param {Object} [options] - See defaults (not used by manifests)
+   * @returns {Promise<boolean>} Success
+   */
+  async download(format, options = {}) {
+    try {
+      const venueName = slugify(State.venue.name) || 'venue-map';
+      if ((format === 'csv' || format === 'json') && !ManifestManager.confirmKeys()) {
+        return false;
+      }
+
+      if (format === 'pdf') {
+        const blob = await this.exportPDF(options);
+        this.downloadBlob(blob, `${venueName}.pdf`);
+      } else if (format === 'csv') {
+        const csv = ManifestManager.toCSV();
+        this.downloadBlob(new Blob([csv], { type: 'text/csv' }), `${venueName}-manifest.csv`);
+      } else if (format === 'json') {
+        const json = JSON.stringify(ManifestManager.toJSON(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), `${venueName}-manifest.json`);
+      } else {
+        const svg = await this.exportSVG(options);
+        const level = State.levels.find(l => l.id === State.currentLevelId);
+        const suffix = level ? `-${slugify(level.name)}` : '';
+        this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${venueName}${suffix}.svg`);
+      }
+
+      console.log(`✓ Venue map exported as ${format.toUpperCase()}`);
+      return true;
+    } catch (error) {
+      console.error(`✗ Failed to export ${format.toUpperCase()}:`, error);
+      alert(`Failed to export: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Download a blob as a file
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Map local section points (flat array) to world space
+ * Same transform PIXI applies: pivot, rotation, then position.
+ */
+function sectionToWorld(section, points) {
+  const angle = section.rotation;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const result = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const x = points[i] - section.pivot.x;
+    const y = points[i + 1] - section.pivot.y;
+    result.push(section.x + x * cos - y * sin, section.y + x * sin + y * cos);
+  }
+  return result;
+}
+
+/**
+ * Rotate points around the origin and move them to (x, y)
+ */
+function rotatePoints(points, angle, x, y) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const result = [];
+  for (let i = 0; i < points.length; i += 2) {
+    result.push(x + points[i] * cos - points[i + 1] * sin, y + points[i] * sin + points[i + 1] * cos);
+  }
+  return result;
+}
+
+function ellipsePoints(rx, ry, steps = 48) {
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const a = (i / steps) * Math.PI * 2;
+    points.push(Math.cos(a) * rx, Math.sin(a) * ry);
+  }
+  return points;
+}
+
+function roundedRectPoints(x, y, w, h, r, steps = 4) {
+  const corners = [
+    [x + w - r, y + r, -Math.PI / 2],
+    [x + w - r, y + h - r, 0],
+    [x + r, y + h - r, Math.PI / 2],
+    [x + r, y + r, Math.PI]
+  ];
+  const points = [];
+  corners.forEach(([cx, cy, start]) => {
+    for (let i = 0; i <= steps; i++) {
+      const a = start + (i / steps) * Math.PI / 2;
+      points.push(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+    }
+  });
+  return points;
+}
+
+/**
+ * Largest 1 / 2 / 5 x 10^n not above the target
+ */
+function niceLength(target) {
+  const power = Math.pow(10, Math.floor(Math.log10(target)));
+  const factor = [5, 2, 1].find(f => f * power <= target) || 1;
+  return Number((factor * power).toPrecision(1));
+}
+
+function clampSheets(value) {
+  return Math.min(10, Math.max(1, Math.round(Number(value) || 1)));
+}
+
+function slugify(text) {
+  return (text || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
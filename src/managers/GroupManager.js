@@ -0,0 +1,361 @@
+// ============================================
+// GROUP MANAGER - Section groups / levels
+// ============================================
+
+import { State } from '../core/state.js';
+import { Utils } from '../core/utils.js';
+import { LevelManager } from './LevelManager.js';
+
+/**
+ * Manager for section groups ("Lower Bowl", "Mezzanine", "Suites"...)
+ * Responsible for: Group CRUD, section assignment, group visibility/lock, Layers panel
+ *
+ * Sections reference their group through section.groupId. Hidden groups hide
+ * their sections with seats and row labels; hidden or locked sections cannot
+ * be selected, dragged or deleted on the canvas.
+ */
+export const GroupManager = {
+  init() {
+    // Keep the tree's section list and selection highlight current
+    document.addEventListener('selectionchanged', () => this.renderLayersPanel());
+  },
+
+  // ============================================
+  // GROUPS
+  // ============================================
+
+  /**
+   * Get a group by id
+   * @param {string|null} groupId
+   * @returns {Object|null} { id, name, visible, locked }
+   */
+  getGroup(groupId) {
+    if (!groupId) return null;
+    return State.groups.find(group => group.id === groupId) || null;
+  },
+
+  /**
+   * Get the group a section belongs to
+   * @param {Section} section
+   * @returns {Object|null} Null for ungrouped sections (or unknown group ids)
+   */
+  getGroupOf(section) {
+    return this.getGroup(section.groupId);
+  },
+
+  /**
+   * Get the sections of a group
+   * @param {string|null} groupId - Null for ungrouped sections
+   * @returns {Section[]}
+   */
+  getSectionsInGroup(groupId) {
+    const group = this.getGroup(groupId);
+    return State.sections.filter(section => this.getGroupOf(section) === group);
+  },
+
+  /**
+   * Create a group at the end of the layer list
+   * @param {string} [name] - Defaults to "Group N"
+   * @returns {Object} The new group
+   */
+  createGroup(name) {
+    let n = State.groups.length + 1;
+    while (State.groups.some(group => group.name === `Group ${n}`)) n++;
+
+    const group = {
+      id: Utils.generateShortId(),
+      name: (name || '').trim() || `Group ${n}`,
+      visible: true,
+      locked: false
+    };
+    State.groups.push(group);
+    this.renderLayersPanel();
+    return group;
+  },
+
+  /**
+   * Rename a group (empty names are ignored)
+   * @param {string} groupId
+   * @param {string} name
+   */
+  renameGroup(groupId, name) {
+    const group = this.getGroup(groupId);
+    if (!group || !name.trim()) return;
+    group.name = name.trim();
+    this.refreshGroupSelect();
+  },
+
+  /**
+   * Delete a group; its sections become ungrouped, visible and unlocked
+   * @param {string} groupId
+   */
+  deleteGroup(groupId) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+
+    const sections = this.getSectionsInGroup(groupId);
+    State.groups = State.groups.filter(g => g !== group);
+    sections.forEach(section => {
+      section.groupId = null;
+      this.applyGroupState(section);
+    });
+    this.renderLayersPanel();
+  },
+
+  /**
+   * Show or hide every section of a group
+   * @param {string} groupId
+   * @param {boolean} visible
+   */
+  async setGroupVisible(groupId, visible) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+    group.visible = visible;
+    await this.applyToGroup(groupId);
+  },
+
+  /**
+   * Lock or unlock every section of a group
+   * @param {string} groupId
+   * @param {boolean} locked
+   */
+  async setGroupLocked(groupId, locked) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+    group.locked = locked;
+    await this.applyToGroup(groupId);
+  },
+
+  /**
+   * Re-apply a group's state to its sections and drop them from the selection
+   * when they can no longer be edited
+   * @param {string} groupId
+   */
+  async applyToGroup(groupId) {
+    const sections = this.getSectionsInGroup(groupId);
+    sections.forEach(section => this.applyGroupState(section));
+    await this.deselectLocked(sections);
+    this.renderLayersPanel();
+  },
+
+  /**
+   * Move sections into a group
+   * Wrap in HistoryManager.record() when not called from a tracked panel.
+   * @param {Section[]} sections
+   * @param {string|null} groupId - Null to ungroup
+   * @returns {Promise} Resolves once hidden/locked sections are deselected
+   */
+  assignSections(sections, groupId) {
+    const group = this.getGroup(groupId);
+    sections.forEach(section => {
+      section.groupId = group ? group.id : null;
+      this.applyGroupState(section);
+    });
+    this.renderLayersPanel();
+    return this.deselectLocked(sections);
+  },
+
+  // ============================================
+  // SECTION STATE
+  // ============================================
+
+  /**
+   * Check whether a section can be selected and edited on the canvas
+   * @param {Section} section
+   * @returns {boolean}
+   */
+  isSectionEditable(section) {
+    if (!LevelManager.isOnCurrentLevel(section)) return false;
+    const group = this.getGroupOf(section);
+    return !group || (group.visible && !group.locked);
+  },
+
+  /**
+   * Apply the visibility of a section's group and level to the section, its seats and row labels
+   * (seats and labels live in the seat layer, not inside the section)
+   * @param {Section} section
+   */
+  applyGroupState(section) {
+    const visible = (this.getGroupOf(section)?.visible ?? true) && LevelManager.isOnCurrentLevel(section);
+    section.visible = visible;
+    section.seats.forEach(seat => { seat.visible = visible; });
+    section.rowLabels.forEach(label => { label.visible = visible; });
+  },
+
+  /**
+   * Apply group state to every section (after loading a file)
+   */
+  applyAll() {
+    State.sections.forEach(section => this.applyGroupState(section));
+  },
+
+  /**
+   * Deselect the given sections that are hidden or locked
+   * @param {Section[]} sections
+   */
+  async deselectLocked(sections) {
+    const locked = sections.filter(section =>
+      State.selectedSections.includes(section) && !this.isSectionEditable(section));
+    if (locked.length === 0) return;
+
+    const { SectionManager } = await import('./sectionManager.js');
+    for (const section of locked) {
+      await SectionManager.deselectSection(section);
+    }
+    document.dispatchEvent(new CustomEvent('selectionchanged', {
+      detail: { selectedSections: State.selectedSections }
+    }));
+  },
+
+  /**
+   * Select every section of a group (dragging any of them then moves the whole group)
+   * @param {string|null} groupId
+   */
+  async selectGroup(groupId) {
+    const sections = this.getSectionsInGroup(groupId)
+      .filter(section => !section.isZone && this.isSectionEditable(section));
+    await this.selectSections(sections);
+  },
+
+  /**
+   * Replace the selection
+   * @param {Section[]} sections
+   */
+  async selectSections(sections) {
+    const { SectionManager } = await import('./sectionManager.js');
+    SectionManager.deselectAll();
+    sections.forEach(section => SectionManager.selectSection(section));
+    document.dispatchEvent(new CustomEvent('selectionchanged', {
+      detail: { selectedSections: State.selectedSections }
+    }));
+  },
+
+  // ============================================
+  // FILE FORMAT
+  // ============================================
+
+  /**
+   * Serialize groups for the SMF "groups" array
+   * @returns {Array<{id, name, visible, locked}>}
+   */
+  serialize() {
+    return State.groups.map(group => ({ ...group }));
+  },
+
+  /**
+   * Restore groups from a loaded file
+   * @param {Array} groups - SMF groups array
+   */
+  restore(groups = []) {
+    State.groups = groups.map(group => ({
+      id: group.id,
+      name: group.name || group.id,
+      visible: group.visible !== false,
+      locked: group.locked === true
+    }));
+    this.renderLayersPanel();
+  },
+
+  // ============================================
+  // LAYERS PANEL
+  // ============================================
+
+  /**
+   * Rebuild the Layers panel tree and the section sidebar group select
+   */
+  renderLayersPanel() {
+    this.refreshGroupSelect();
+
+    const tree = document.getElementById('layersTree');
+    if (!tree || State.currentMode !== 'layers') return;
+
+    const buckets = [...State.groups, null];
+    tree.innerHTML = buckets.map(group => group ? `
+      <div class="layers-group">
+        <div class="layers-group-header">
+          <input type="text" class="sidebar-input layers-group-name" data-group-id="${group.id}" />
+          <button class="sidebar-increment-btn" data-action="visible" data-group-id="${group.id}" title="${group.visible ? 'Hide' : 'Show'} Group">
+            <span class="material-symbols">${group.visible ? 'visibility' : 'visibility_off'}</span>
+          </button>
+          <button class="sidebar-increment-btn" data-action="lock" data-group-id="${group.id}" title="${group.locked ? 'Unlock' : 'Lock'} Group">
+            <span class="material-symbols">${group.locked ? 'lock' : 'lock_open'}</span>
+          </button>
+        </div>
+        <div class="layers-group-actions">
+          <button class="sidebar-increment-btn" data-action="select" data-group-id="${group.id}" title="Select Group (drag to move it)">
+            <span class="material-symbols">select_all</span>
+          </button>
+          <button class="sidebar-increment-btn" data-action="assign" data-group-id="${group.id}" title="Move Selection Here">
+            <span class="material-symbols">move_group</span>
+          </button>
+          <button class="sidebar-increment-btn" data-action="zoom" data-group-id="${group.id}" title="Zoom to Group">
+            <span class="material-symbols">zoom_out_map</span>
+          </button>
+          <button class="sidebar-increment-btn" data-action="delete" data-group-id="${group.id}" title="Delete Group">
+            <span class="material-symbols">delete</span>
+          </button>
+        </div>
+        <div class="layers-section-list"></div>
+      </div>
+    ` : `
+      <div class="layers-group">
+        <div class="layers-group-header">
+          <span class="layers-group-title">Ungrouped</span>
+          <button class="sidebar-increment-btn" data-action="assign" data-group-id="" title="Ungroup Selection">
+            <span class="material-symbols">move_group</span>
+          </button>
+        </div>
+        <div class="layers-section-list"></div>
+      </div>
+    `).join('');
+
+    const groupEls = tree.querySelectorAll('.layers-group');
+    buckets.forEach((group, index) => {
+      const groupEl = groupEls[index];
+      if (group) {
+        groupEl.querySelector('.layers-group-name').value = group.name;
+        groupEl.classList.toggle('hidden-group', !group.visible);
+        groupEl.classList.toggle('locked-group', group.locked);
+      }
+
+      const list = groupEl.querySelector('.layers-section-list');
+      const sections = this.getSectionsInGroup(group ? group.id : null)
+        .filter(section => LevelManager.isOnCurrentLevel(section));
+      list.replaceChildren(...sections.map(section => {
+        const row = document.createElement('div');
+        row.className = 'layers-section-row';
+        row.dataset.sectionId = section.uniqueId;
+        row.classList.toggle('selected', State.selectedSections.includes(section));
+        row.textContent = section.sectionId;
+
+        const meta = document.createElement('span');
+        meta.className = 'layers-section-meta';
+        meta.textContent = section.isZone ? 'Zone'
+          : section.isGeneralAdmission ? `GA · ${section.gaCapacity}`
+          : `${section.seats.length} seats`;
+        row.appendChild(meta);
+        return row;
+      }));
+
+      if (sections.length === 0) {
+        list.innerHTML = '<div class="layers-empty">No sections</div>';
+      }
+    });
+  },
+
+  /**
+   * Fill the section sidebar group select
+   */
+  refreshGroupSelect() {
+    const select = document.getElementById('sectionGroupSelect');
+    if (!select) return;
+
+    const options = [new Option('No group', '')];
+    State.groups.forEach(group => options.push(new Option(group.name, group.id)));
+    select.replaceChildren(...options);
+
+    const selected = State.selectedSections;
+    const groupIds = new Set(selected.map(section => this.getGroupOf(section)?.id || ''));
+    select.value = groupIds.size === 1 ? [...groupIds][0] : '';
+  }
+};
@@ -0,0 +1,365 @@
+// ============================================
+// HISTORY MANAGER - Undo/Redo for editor operations
+// ============================================
+
+import { State } from '../core/state.js';
+import { CONFIG, VISUAL_CONFIG } from '../core/config.js';
+import { FileManager } from './fileManager.js';
+import { GroupManager } from './GroupManager.js';
+import { LevelManager } from './LevelManager.js';
+import { VenueObject } from '../core/VenueObject.js';
+
+/**
+ * Command-based undo/redo history
+ *
+ * Every command stores a before/after snapshot of the sections (and venue
+ * objects) it touched, using the same SMF serialization as save/load. Undo and
+ * redo rebuild the affected items from those snapshots, so any operation that
+ * survives a save/load round trip is undoable without per-operation inverse logic.
+ *
+ * Usage:
+ *   const entry = HistoryManager.begin('Delete sections', sections);
+ *   ...mutate...
+ *   HistoryManager.commit(entry, createdSections);
+ */
+export const HistoryManager = {
+  undoStack: [],
+  redoStack: [],
+  isRestoring: false,
+
+  init() {
+    this.trackPanel(document.getElementById('sectionSidebar'), 'Edit section');
+    this.trackPanel(document.getElementById('alignBar'), 'Align sections');
+    this.trackPanel(document.getElementById('pricingSidebar'), 'Edit pricing');
+    this.trackPanel(document.getElementById('seatSidebar'), 'Edit seats');
+    this.trackPanel(document.getElementById('objectSidebar'), 'Edit object',
+      () => State.selectedObject ? [State.selectedObject] : []);
+    this.setupResizeTracking();
+    this.setupObjectTracking();
+  },
+
+  // ============================================
+  // RECORDING
+  // ============================================
+
+  /**
+   * Start a command by snapshotting the sections it is about to change
+   * @param {string} label - Human readable command name
+   * @param {Array<Section|VenueObject>} sections - Sections/objects that will be modified or deleted
+   * @returns {Object|null} Pending entry to pass to commit(), null while restoring
+   */
+  begin(label, sections = []) {
+    if (this.isRestoring) return null;
+    return { label, before: this.snapshot(sections) };
+  },
+
+  /**
+   * Finish a command by snapshotting the resulting state
+   * Sections from begin() that no longer exist are recorded as deleted.
+   * @param {Object|null} entry - Entry returned by begin()
+   * @param {Array<Section|VenueObject>} createdSections - Sections/objects added by the command
+   */
+  commit(entry, createdSections = []) {
+    if (!entry || this.isRestoring) return;
+
+    const touched = [...State.sections, ...State.objects].filter(item => entry.before.has(this.keyOf(item)));
+    const after = this.snapshot([...touched, ...createdSections.filter(Boolean)]);
+
+    const changes = [];
+    new Set([...entry.before.keys(), ...after.keys()]).forEach(id => {
+      const before = entry.before.get(id) || null;
+      const next = after.get(id) || null;
+      if (before?.json === next?.json) return;
+      changes.push({ id, before, after: next });
+    });
+
+    if (changes.length === 0) return;
+
+    this.undoStack.push({ label: entry.label, changes });
+    if (this.undoStack.length > CONFIG.HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  },
+
+  /**
+   * Run an action as a single command
+   * Returned sections (or a promise of them) are recorded as created.
+   * @param {string} label - Human readable command name
+   * @param {Section[]} sections - Sections the action will modify or delete
+   * @param {Function} action - The operation to perform
+   * @returns {*} Whatever the action returns
+   */
+  record(label, sections, action) {
+    const entry = this.begin(label, sections);
+    const result = action();
+    const finish = (value) => {
+      this.commit(entry, [].concat(value || []));
+      return value;
+    };
+    return result instanceof Promise ? result.then(finish) : finish(result);
+  },
+
+  /**
+   * Serialize sections and objects into immutable snapshots keyed by keyOf()
+   * @param {Array<Section|VenueObject>} items
+   * @returns {Map<string, Object>}
+   */
+  snapshot(items) {
+    const snapshots = new Map();
+    items.forEach(item => {
+      if (!item || item.destroyed) return;
+      const isObject = item instanceof VenueObject;
+      const data = isObject ? item.toJSON() : FileManager.serializeSection(item);
+      if (!data) return;
+      snapshots.set(this.keyOf(item), {
+        kind: isObject ? 'object' : 'section',
+        json: JSON.stringify(data),
+        index: (isObject ? State.objects : State.sections).indexOf(item),
+        layerIndex: item.parent ? item.parent.getChildIndex(item) : -1
+      });
+    });
+    return snapshots;
+  },
+
+  /**
+   * History key of a section (uniqueId) or venue object (prefixed objectId)
+   * @param {Section|VenueObject} item
+   * @returns {string}
+   */
+  keyOf(item) {
+    return item instanceof VenueObject ? `object:${item.objectId}` : item.uniqueId;
+  },
+
+  /**
+   * Record edits made through a sidebar/toolbar panel
+   * A command opens on the first pointer/keyboard/input interaction and
+   * closes on change/click/blur, so a slider drag or color pick is one step.
+   * @param {HTMLElement} panel - Container of the controls
+   * @param {string} label - Command name
+   * @param {Function} [getTargets] - Returns the edited items (defaults to getEditTargets)
+   */
+  trackPanel(panel, label, getTargets = () => this.getEditTargets()) {
+    if (!panel) return;
+
+    let entry = null;
+    const open = () => {
+      if (!entry) entry = this.begin(label, getTargets());
+    };
+    const close = () => {
+      if (!entry) return;
+      const pending = entry;
+      entry = null;
+      // Defer so async transforms (curve/stretch) finish before the snapshot
+      setTimeout(() => this.commit(pending), 0);
+    };
+
+    panel.addEventListener('pointerdown', open, true);
+    panel.addEventListener('keydown', open, true);
+    panel.addEventListener('input', open, true);
+    panel.addEventListener('change', close);
+    panel.addEventListener('click', close);
+    panel.addEventListener('focusout', close);
+  },
+
+  setupResizeTracking() {
+    let entry = null;
+
+    document.addEventListener('gaResizeStart', (e) => {
+      entry = this.begin('Resize section', [e.detail.section]);
+    });
+
+    document.addEventListener('gaResizeEnd', () => {
+      const pending = entry;
+      entry = null;
+      setTimeout(() => this.commit(pending), 0);
+    });
+  },
+
+  setupObjectTracking() {
+    let entry = null;
+
+    document.addEventListener('objectTransformStart', (e) => {
+      entry = this.begin('Transform object', [e.detail.object]);
+    });
+
+    document.addEventListener('objectTransformEnd', () => {
+      const pending = entry;
+      entry = null;
+      this.commit(pending);
+    });
+  },
+
+  /**
+   * Sections targeted by sidebar edits in the current mode
+   */
+  getEditTargets() {
+    if (State.isEditSeatsMode && State.activeSectionForSeats) {
+      return [State.activeSectionForSeats];
+    }
+    return [...State.selectedSections];
+  },
+
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+
+  canUndo() {
+    return this.undoStack.length > 0 && !this.isRestoring;
+  },
+
+  canRedo() {
+    return this.redoStack.length > 0 && !this.isRestoring;
+  },
+
+  async undo() {
+    if (!this.canUndo()) return false;
+    const command = this.undoStack.pop();
+    await this.apply(command, 'before');
+    this.redoStack.push(command);
+    console.log(`✓ Undo: ${command.label}`);
+    return true;
+  },
+
+  async redo() {
+    if (!this.canRedo()) return false;
+    const command = this.redoStack.pop();
+    await this.apply(command, 'after');
+    this.undoStack.push(command);
+    console.log(`✓ Redo: ${command.label}`);
+    return true;
+  },
+
+  /**
+   * Drop all history (e.g. after loading a different file)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  },
+
+  /**
+   * Rebuild every section and object in a command from one side of its snapshots
+   * @param {Object} command - History entry
+   * @param {'before'|'after'} side - Which snapshot to restore
+   */
+  async apply(command, side) {
+    this.isRestoring = true;
+    try {
+      const { SectionManager } = await import('./sectionManager.js');
+      const { ObjectManager } = await import('./ObjectManager.js');
+
+      // Show the level the command was made on
+      const levelId = command.changes
+        .map(change => change[side] && JSON.parse(change[side].json).levelId)
+        .find(id => LevelManager.getLevel(id));
+      if (levelId) {
+        await LevelManager.switchLevel(levelId);
+      }
+
+      const activeId = State.isEditSeatsMode ? State.activeSectionForSeats?.uniqueId : null;
+      State.selectedSeats = [];
+      SectionManager.deselectAll();
+      ObjectManager.deselectObject();
+
+      const restored = [];
+      const restoredObjects = [];
+      for (const change of command.changes) {
+        const isObject = (change.before || change.after).kind === 'object';
+
+        if (isObject) {
+          const live = State.objects.find(o => this.keyOf(o) === change.id);
+          if (live) {
+            ObjectManager.deleteObject(live);
+          }
+        } else {
+          const live = State.sections.find(s => s.uniqueId === change.id);
+          if (live) {
+            SectionManager.deleteSection(live);
+          }
+        }
+
+        const target = change[side];
+        if (!target) continue;
+
+        if (isObject) {
+          const object = ObjectManager.createFromData(JSON.parse(target.json));
+          this.restoreOrder(object, target, State.objects);
+          restoredObjects.push(object);
+          continue;
+        }
+
+        const section = await FileManager.deserializeSection(JSON.parse(target.json), SectionManager);
+        this.restoreOrder(section, target);
+        restored.push(section);
+      }
+
+      await this.restoreModeState(activeId, restored);
+
+      // Keep a lone edited object selected so its handles stay on screen
+      if (!activeId && restored.length === 0 && restoredObjects.length === 1) {
+        await ObjectManager.selectObject(restoredObjects[0]);
+      }
+    } catch (error) {
+      console.error('✗ Failed to restore history state:', error);
+    } finally {
+      this.isRestoring = false;
+    }
+  },
+
+  /**
+   * Put a rebuilt section (or object) back at its previous z-order
+   * @param {Section|VenueObject} section
+   * @param {Object} snapshot
+   * @param {Array} [list] - State array holding the item
+   */
+  restoreOrder(section, snapshot, list = State.sections) {
+    const current = list.indexOf(section);
+    if (current > -1 && snapshot.index > -1) {
+      list.splice(current, 1);
+      list.splice(Math.min(snapshot.index, list.length), 0, section);
+    }
+
+    const layer = section.parent;
+    if (layer && snapshot.layerIndex > -1) {
+      layer.setChildIndex(section, Math.min(snapshot.layerIndex, layer.children.length - 1));
+    }
+  },
+
+  /**
+   * Re-select restored sections and keep Edit Seats mode consistent
+   * @param {string|null} activeId - uniqueId of the section being seat-edited
+   * @param {Section[]} restored - Sections rebuilt by the command
+   */
+  async restoreModeState(activeId, restored) {
+    const { SectionManager } = await import('./sectionManager.js');
+
+    if (activeId) {
+      const active = State.sections.find(s => s.uniqueId === activeId);
+      if (!active) {
+        const { ModeManager } = await import('./modeManager.js');
+        ModeManager.switchMode('schema');
+      } else {
+        State.activeSectionForSeats = active;
+        restored.forEach(section => {
+          const isActive = section === active;
+          section.alpha = isActive ? 1.0 : VISUAL_CONFIG.SECTION.DIMMED_ALPHA;
+          section.eventMode = 'none';
+          section.seats.forEach(seat => {
+            seat.eventMode = isActive ? 'static' : 'none';
+            seat.cursor = isActive ? 'pointer' : 'default';
+          });
+        });
+        SectionManager.selectSection(active);
+      }
+    } else {
+      restored
+        .filter(section => GroupManager.isSectionEditable(section))
+        .forEach(section => SectionManager.selectSection(section));
+    }
+
+    document.dispatchEvent(new CustomEvent('selectionchanged', {
+      detail: { selectedSections: State.selectedSections }
+    }));
+  }
+};
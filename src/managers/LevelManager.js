@@ -0,0 +1,283 @@
+// ============================================
+// LEVEL MANAGER - Floors / levels of a venue
+// ============================================
+
+import { State } from '../core/state.js';
+import { Utils } from '../core/utils.js';
+
+/**
+ * Manager for venue levels ("Floor", "Balcony"...)
+ * Responsible for: Level CRUD, switching the level being edited, level switcher UI
+ *
+ * Sections and venue objects reference their level through levelId. Only the
+ * current level is shown and editable, so balconies drawn over the floor plan
+ * don't get in the way. Each level has its own underlay: the current level's
+ * lives in the underlay layer, the others are kept as SMF underlay objects on
+ * their level record until switched to.
+ *
+ * Maps without levels (State.levels empty) behave as before: every levelId is null.
+ */
+export const LevelManager = {
+  // ============================================
+  // LEVELS
+  // ============================================
+
+  /**
+   * Get a level by id
+   * @param {string|null} levelId
+   * @returns {Object|null} { id, name, underlay }
+   */
+  getLevel(levelId) {
+    if (!levelId) return null;
+    return State.levels.find(level => level.id === levelId) || null;
+  },
+
+  /**
+   * Get the level a section or object is on
+   * @param {Section|VenueObject} item
+   * @returns {Object|null} Null on single-level maps
+   */
+  getLevelOf(item) {
+    return this.getLevel(item.levelId);
+  },
+
+  /**
+   * Resolve a loaded levelId; unknown ids fall back to the current level
+   * @param {string|null|undefined} levelId
+   * @returns {string|null}
+   */
+  resolveLevelId(levelId) {
+    return this.getLevel(levelId)?.id || State.currentLevelId;
+  },
+
+  /**
+   * Check whether a section or object is on the level being edited
+   * @param {Section|VenueObject} item
+   * @returns {boolean}
+   */
+  isOnCurrentLevel(item) {
+    return (item.levelId || null) === State.currentLevelId;
+  },
+
+  /**
+   * Create a level and switch to it
+   * The first level added to a single-level map also creates "Level 1"
+   * holding everything drawn so far.
+   * @param {string} [name] - Defaults to "Level N"
+   * @returns {Promise<Object>} The new level
+   */
+  async createLevel(name) {
+    if (State.levels.length === 0) {
+      const first = { id: Utils.generateShortId(), name: 'Level 1', underlay: null };
+      State.levels.push(first);
+      State.currentLevelId = first.id;
+      State.sections.forEach(section => { section.levelId = first.id; });
+      State.objects.forEach(object => { object.levelId = first.id; });
+    }
+
+    let n = State.levels.length + 1;
+    while (State.levels.some(level => level.name === `Level ${n}`)) n++;
+
+    const level = {
+      id: Utils.generateShortId(),
+      name: (name || '').trim() || `Level ${n}`,
+      underlay: null
+    };
+    State.levels.push(level);
+    await this.switchLevel(level.id);
+    return level;
+  },
+
+  /**
+   * Rename a level (empty names are ignored)
+   * @param {string} levelId
+   * @param {string} name
+   */
+  renameLevel(levelId, name) {
+    const level = this.getLevel(levelId);
+    if (!level || !name.trim()) return;
+    level.name = name.trim();
+    this.renderLevels();
+  },
+
+  /**
+   * Delete a level with its sections, objects and underlay
+   * Deleting the only level keeps its content and makes the map single-level again.
+   * Clears the undo history, which can't bring a level back.
+   * @param {string} levelId
+   */
+  async deleteLevel(levelId) {
+    const level = this.getLevel(levelId);
+    if (!level) return;
+
+    if (State.levels.length === 1) {
+      State.levels = [];
+      State.currentLevelId = null;
+      State.sections.forEach(section => { section.levelId = null; });
+      State.objects.forEach(object => { object.levelId = null; });
+    } else {
+      if (State.currentLevelId === levelId) {
+        const index = State.levels.indexOf(level);
+        await this.switchLevel(State.levels[index === 0 ? 1 : index - 1].id);
+      }
+
+      const { SectionManager } = await import('./sectionManager.js');
+      const { ObjectManager } = await import('./ObjectManager.js');
+      State.sections.filter(section => section.levelId === levelId)
+        .forEach(section => SectionManager.deleteSection(section));
+      State.objects.filter(object => object.levelId === levelId)
+        .forEach(object => ObjectManager.deleteObject(object));
+      State.levels = State.levels.filter(l => l !== level);
+    }
+
+    const { HistoryManager } = await import('./HistoryManager.js');
+    HistoryManager.clear();
+    await this.applyLevelState();
+  },
+
+  /**
+   * Switch the level being edited
+   * Leaves Edit Seats and Pricing modes, clears the selection and swaps the underlay.
+   * @param {string} levelId
+   */
+  async switchLevel(levelId) {
+    const level = this.getLevel(levelId);
+    if (!level || levelId === State.currentLevelId) return;
+
+    const { ModeManager } = await import('./modeManager.js');
+    if (State.currentMode === 'seats' || State.currentMode === 'pricing') {
+      ModeManager.switchMode('schema');
+    }
+
+    const { FileManager } = await import('./fileManager.js');
+    const { UnderlayManager } = await import('./UnderlayManager.js');
+    const current = this.getLevel(State.currentLevelId);
+    if (current) {
+      current.underlay = FileManager.serializeUnderlay();
+    }
+    UnderlayManager.clear();
+
+    const previousLevelId = State.currentLevelId;
+    State.currentLevelId = level.id;
+
+    await this.applyLevelState();
+
+    const underlay = this.takeUnderlay(level.id);
+    if (underlay) {
+      await UnderlayManager.restore(underlay);
+    }
+
+    document.dispatchEvent(new CustomEvent('levelchanged', {
+      detail: { levelId: level.id, previousLevelId }
+    }));
+    console.log(`Switched to level: ${level.name}`);
+  },
+
+  /**
+   * Take a stored level underlay out of its record (it moves into the underlay layer)
+   * @param {string} levelId
+   * @returns {Object|null} SMF underlay object
+   */
+  takeUnderlay(levelId) {
+    const level = this.getLevel(levelId);
+    if (!level) return null;
+    const underlay = level.underlay;
+    level.underlay = null;
+    return underlay;
+  },
+
+  /**
+   * Show the current level's sections and objects, hide the rest and drop
+   * anything no longer editable from the selection
+   */
+  async applyLevelState() {
+    const { GroupManager } = await import('./GroupManager.js');
+    const { ObjectManager } = await import('./ObjectManager.js');
+
+    GroupManager.applyAll();
+    State.objects.forEach(object => { object.visible = this.isOnCurrentLevel(object); });
+
+    if (State.selectedObject && !State.selectedObject.visible) {
+      ObjectManager.deselectObject();
+    }
+    await GroupManager.deselectLocked(State.sections);
+    GroupManager.renderLayersPanel();
+    this.renderLevels();
+  },
+
+  // ============================================
+  // FILE FORMAT
+  // ============================================
+
+  /**
+   * Serialize levels for the SMF "levels" array
+   * @param {Object|null} currentUnderlay - Underlay shown for the current level
+   *   (FileManager.serializeUnderlay())
+   * @returns {Array<{id, name, underlay}>}
+   */
+  serialize(currentUnderlay = null) {
+    return State.levels.map(level => ({
+      id: level.id,
+      name: level.name,
+      underlay: level.id === State.currentLevelId ? currentUnderlay : level.underlay || null
+    }));
+  },
+
+  /**
+   * Restore levels from a loaded file; the first level becomes current
+   * @param {Array} levels - SMF levels array
+   */
+  restore(levels = []) {
+    State.levels = levels.map(level => ({
+      id: level.id,
+      name: level.name || level.id,
+      underlay: level.underlay || null
+    }));
+    State.currentLevelId = State.levels[0]?.id || null;
+    this.renderLevels();
+  },
+
+  // ============================================
+  // LEVEL SWITCHER
+  // ============================================
+
+  /**
+   * Rebuild the floating level switcher and the Layers panel level list
+   */
+  renderLevels() {
+    const switcher = document.getElementById('levelSwitcher');
+    const select = document.getElementById('levelSelect');
+    if (switcher && select) {
+      switcher.classList.toggle('show', State.levels.length > 0);
+      select.replaceChildren(...State.levels.map(level => new Option(level.name, level.id)));
+      select.value = State.currentLevelId || '';
+    }
+
+    const list = document.getElementById('levelsList');
+    if (!list) return;
+
+    if (State.levels.length === 0) {
+      list.innerHTML = '<div class="layers-empty">Single level</div>';
+      return;
+    }
+
+    list.innerHTML = State.levels.map(level => {
+      const isCurrent = level.id === State.currentLevelId;
+      return `
+        <div class="layers-group-header levels-row${isCurrent ? ' current-level' : ''}">
+          <button class="sidebar-increment-btn" data-action="switch" data-level-id="${level.id}" title="Edit Level">
+            <span class="material-symbols">${isCurrent ? 'radio_button_checked' : 'radio_button_unchecked'}</span>
+          </button>
+          <input type="text" class="sidebar-input layers-group-name levels-name" data-level-id="${level.id}" />
+          <button class="sidebar-increment-btn" data-action="delete" data-level-id="${level.id}" title="Delete Level">
+            <span class="material-symbols">delete</span>
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.levels-name').forEach(input => {
+      input.value = this.getLevel(input.dataset.levelId).name;
+    });
+  }
+};
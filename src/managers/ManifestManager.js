@@ -0,0 +1,202 @@
+// ============================================
+// MANIFEST MANAGER - Seat manifests for ticketing systems
+// ============================================
+
+import { State } from '../core/state.js';
+import { Utils } from '../core/utils.js';
+import { CsvManifest } from '../core/csvManifest.js';
+import { SeatManager } from './SeatManager.js';
+import { LevelManager } from './LevelManager.js';
+import { buildInventoryKey, findKeyCollisions, getRowLabel } from '../../renderer/core/SmfLayout.js';
+
+// World coordinates are rounded to 1/100 map unit
+const COORDINATE_PRECISION = 100;
+
+/**
+ * Manager for flat seat manifests
+ * Responsible for: Listing every sellable seat and GA section with the keys the renderer uses
+ *
+ * Seat keys are built exactly like the renderer's inventory keys (with the
+ * map's `venue.inventoryKey` scheme, `section;;row;;seat` by default), with row
+ * labels numbered over the rows that still have seats, so a backend can seed
+ * inventory before the map goes on sale. Zones are not sellable and are left out.
+ */
+export const ManifestManager = {
+  /** CSV columns, in order. The first eight match the CSV importer's header names. */
+  COLUMNS: ['section', 'row', 'seat', 'x', 'y', 'category', 'accessible', 'id', 'key', 'type', 'price', 'capacity', 'level'],
+
+  /**
+   * Collect the manifest of the whole map (all levels)
+   * Seats without an ID get one, as on save; save the map afterwards so the file keeps them.
+   * @returns {Object} { seats: Object[], ga: Object[] }
+   */
+  collect() {
+    const seats = [];
+    const ga = [];
+
+    State.sections.forEach(section => {
+      if (section.isZone) return;
+      const level = LevelManager.getLevelOf(section);
+      const common = {
+        section: section.sectionId,
+        levelId: level?.id || null,
+        level: level?.name || ''
+      };
+
+      if (section.isGeneralAdmission) {
+        ga.push({
+          ...common,
+          sectionId: section.uniqueId,
+          capacity: section.gaCapacity || 0,
+          price: section.pricing?.basePrice || 0,
+          x: round(section.x),
+          y: round(section.y)
+        });
+        return;
+      }
+
+      const rowLabels = this.getRowLabels(section);
+      [...section.seats]
+        .sort((a, b) => a.rowIndex - b.rowIndex || a.colIndex - b.colIndex)
+        .forEach(seat => {
+          if (!seat.id) {
+            seat.id = Utils.generateShortId();
+          }
+          const row = rowLabels.get(seat.rowIndex);
+          const number = this.getSeatNumber(seat);
+          const category = SeatManager.getPriceCategory(section, seat.priceCategory);
+          const fields = { section: section.sectionId, sectionId: section.uniqueId, level: common.levelId, row, seat: number, id: seat.id };
+          seats.push({
+            ...common,
+            id: seat.id,
+            key: buildInventoryKey(this.getKeyScheme(), fields),
+            row: row || seat.metadata?.row || '',
+            seat: number,
+            accessible: !!seat.specialNeeds,
+            category: category?.name || '',
+            price: category ? category.price : (section.pricing?.basePrice || 0),
+            x: round(seat.x),
+            y: round(seat.y)
+          });
+        });
+    });
+
+    return { seats, ga };
+  },
+
+  /**
+   * Inventory keys that more than one seat of the map would get
+   * The renderer keeps one seat per key; the others can't be sold by key.
+   * @param {Object} [manifest] - { seats, ga } as returned by collect(); the open map's by default
+   * @returns {Array<{ key: string, seats: Object[] }>} Shared keys with their manifest seats
+   */
+  findKeyCollisions(manifest = this.collect()) {
+    return findKeyCollisions(manifest.seats);
+  },
+
+  /**
+   * Inventory key scheme of the map (Venue sidebar), as the renderer reads it from the file
+   * @returns {string} 'label', 'id' or a template
+   */
+  getKeyScheme() {
+    return State.venue.inventoryKey || 'label';
+  },
+
+  /**
+   * Pre-flight check before a save or manifest export
+   * Lists the shared keys and asks whether to go on.
+   * @returns {boolean} True when there are no shared keys or the user chose to continue
+   */
+  confirmKeys() {
+    const collisions = this.findKeyCollisions();
+    if (collisions.length === 0) return true;
+
+    console.warn(`⚠ ${collisions.length} inventory key(s) used by more than one seat:`);
+    collisions.forEach(({ key, seats }) => console.warn(`  ${key}: ${seats.length} seats`));
+
+    const examples = collisions.slice(0, 5).map(({ key, seats }) => `  ${key} (${seats.length} seats)`);
+    const more = collisions.length > 5 ? `\n  …and ${collisions.length - 5} more` : '';
+    return confirm(
+      `${collisions.length} inventory key(s) are used by more than one seat:\n${examples.join('\n')}${more}\n\n` +
+      'Only one seat per key can be sold by key; the others need their IDs. ' +
+      'Rename the sections or renumber the seats to fix this.\n\nContinue anyway?'
+    );
+  },
+
+  /**
+   * Row label of each row of a section, as the renderer builds it
+   * Labels count the rows that have seats (in row order), so deleted rows
+   * don't leave gaps; 'none' sections get empty labels and 'custom' ones their
+   * stored names. Uses the renderer's letter sequence (AA, AB... after Z), not
+   * the editor's (AA, BB...).
+   * @param {Section} section - Seat section
+   * @returns {Map<number, string>} rowIndex -> label
+   */
+  getRowLabels(section) {
+    const rowIndices = [...new Set(section.seats.map(seat => seat.rowIndex))].sort((a, b) => a - b);
+    const config = { type: section.rowLabelType, start: section.rowLabelStart, names: section.rowLabelNames };
+    const labels = new Map();
+    rowIndices.forEach((rowIndex, i) => {
+      const labelIndex = section.rowLabelReversed ? rowIndices.length - 1 - i : i;
+      labels.set(rowIndex, getRowLabel(config, rowIndex, labelIndex));
+    });
+    return labels;
+  },
+
+  /**
+   * Seat number as saved in the file (the seat's label text)
+   * @param {PIXI.Container} seat
+   * @returns {string}
+   */
+  getSeatNumber(seat) {
+    return String(seat.seatLabel ? seat.seatLabel.text : seat.seatNumber);
+  },
+
+  /**
+   * Manifest as CSV: one line per seat, then one capacity line per GA section
+   * @param {Object} [manifest] - { seats, ga } as returned by collect(); the open map's by default
+   * @returns {string}
+   */
+  toCSV(manifest = this.collect()) {
+    const { seats, ga } = manifest;
+    const rows = [
+      ...seats.map(seat => ({ ...seat, type: 'seat', accessible: seat.accessible ? 'yes' : 'no' })),
+      ...ga.map(section => ({
+        ...section,
+        type: 'ga',
+        id: section.sectionId,
+        key: section.sectionId,
+        row: '',
+        seat: '',
+        category: '',
+        accessible: ''
+      }))
+    ];
+    return CsvManifest.stringify(this.COLUMNS, rows);
+  },
+
+  /**
+   * Manifest as JSON, shaped like the renderer's loadInventory() input
+   * (`seats[].key` / `seats[].id`, `ga[].sectionId`)
+   * @param {Object} [manifest] - { seats, ga } as returned by collect(); the open map's by default
+   * @param {string|null} [venueName] - Venue name written in the manifest
+   * @returns {Object}
+   */
+  toJSON(manifest = this.collect(), venueName = State.venue.name || null) {
+    const { seats, ga } = manifest;
+    return {
+      format: 'SMF-manifest',
+      version: '1.0.0',
+      created: new Date().toISOString(),
+      venue: venueName,
+      seatCount: seats.length,
+      gaCapacity: ga.reduce((sum, section) => sum + section.capacity, 0),
+      seats,
+      ga
+    };
+  }
+};
+
+function round(value) {
+  return Math.round(value * COORDINATE_PRECISION) / COORDINATE_PRECISION;
+}
@@ -0,0 +1,383 @@
+// ============================================
+// OBJECT MANAGER - Non-seat venue objects
+// ============================================
+
+import { State } from '../core/state.js';
+import { OBJECT_TYPES, VISUAL_CONFIG } from '../core/config.js';
+import { Utils } from '../core/utils.js';
+import { VenueObject } from '../core/VenueObject.js';
+import { LevelManager } from './LevelManager.js';
+
+const MIN_OBJECT_SIZE = 10;
+const ROTATE_HANDLE_DISTANCE = 24;
+const ROTATE_SNAP_DEGREES = 15;
+
+/**
+ * Manager for stages, pillars, entrances, amenities, text and arrows
+ * Responsible for: Object CRUD, selection, move/resize/rotate handles, object sidebar
+ *
+ * Objects live in State.objectLayer (below zones and sections) and are saved in
+ * the SMF "objects" array. Move, resize and rotate gestures dispatch
+ * objectTransformStart / objectTransformEnd so HistoryManager can record them.
+ */
+export const ObjectManager = {
+  handles: null,
+
+  init() {
+    // Selecting sections drops the object selection
+    document.addEventListener('selectionchanged', () => {
+      if (State.selectedSections.length > 0 && State.selectedObject) {
+        this.deselectObject();
+      }
+    });
+  },
+
+  // ============================================
+  // OBJECTS
+  // ============================================
+
+  /**
+   * Create an object centered on a point
+   * Wrap in HistoryManager.record() to make it undoable.
+   * @param {string} type - Key of OBJECT_TYPES
+   * @param {number} x - Center x in world coordinates
+   * @param {number} y - Center y in world coordinates
+   * @returns {VenueObject}
+   */
+  createObject(type, x, y) {
+    return this.createFromData({ type, x, y, levelId: State.currentLevelId });
+  },
+
+  /**
+   * Create an object from its SMF data
+   * @param {Object} data - Entry of the SMF "objects" array
+   * @returns {VenueObject}
+   */
+  createFromData(data) {
+    const object = new VenueObject(data);
+    object.levelId = LevelManager.resolveLevelId(data.levelId);
+    object.visible = LevelManager.isOnCurrentLevel(object);
+    this.setupInteractions(object);
+    State.objectLayer.addChild(object);
+    State.objects.push(object);
+    return object;
+  },
+
+  /**
+   * Remove an object from the map
+   * @param {VenueObject} object
+   */
+  deleteObject(object) {
+    if (State.selectedObject === object) {
+      this.deselectObject();
+    }
+    State.objects = State.objects.filter(o => o !== object);
+    if (object.parent) {
+      object.parent.removeChild(object);
+    }
+    object.destroy({ children: true });
+  },
+
+  /**
+   * Remove every object (before loading a file)
+   */
+  clearAll() {
+    [...State.objects].forEach(object => this.deleteObject(object));
+    State.objects = [];
+  },
+
+  /**
+   * Restore objects from a loaded file
+   * Objects of unknown types are skipped (the validator warns about them).
+   * @param {Array} objects - SMF objects array
+   */
+  restore(objects = []) {
+    objects.forEach(data => {
+      if (!OBJECT_TYPES[data.type]) {
+        console.warn(`Skipping object "${data.id}" of unknown type "${data.type}"`);
+        return;
+      }
+      this.createFromData(data);
+    });
+  },
+
+  // ============================================
+  // SELECTION
+  // ============================================
+
+  /**
+   * Select an object (replaces any section selection)
+   * @param {VenueObject} object
+   */
+  async selectObject(object) {
+    if (State.selectedObject === object) return;
+    this.deselectObject();
+
+    if (State.selectedSections.length > 0) {
+      const { SectionManager } = await import('./sectionManager.js');
+      SectionManager.deselectAll();
+      document.dispatchEvent(new CustomEvent('selectionchanged', {
+        detail: { selectedSections: State.selectedSections }
+      }));
+    }
+
+    State.selectedObject = object;
+    object.drawSelectionBorder();
+    this.addHandles(object);
+    this.updateObjectSidebar();
+  },
+
+  /**
+   * Clear the object selection
+   */
+  deselectObject() {
+    const object = State.selectedObject;
+    if (!object) return;
+
+    State.selectedObject = null;
+    if (object.selectionBorder) {
+      object.selectionBorder.destroy();
+      object.selectionBorder = null;
+    }
+    this.removeHandles();
+    this.updateObjectSidebar();
+  },
+
+  // ============================================
+  // INTERACTIONS
+  // ============================================
+
+  /**
+   * Setup select and drag for an object
+   * @param {VenueObject} object
+   */
+  setupInteractions(object) {
+    object.on('pointerdown', (e) => {
+      // Middle button pans, and tool modes handle the press on the canvas
+      if (e.button !== 0 || !this.canInteract()) return;
+      e.stopPropagation();
+
+      this.selectObject(object);
+
+      const start = Utils.screenToWorld(e.global.x, e.global.y);
+      const offset = { x: start.x - object.x, y: start.y - object.y };
+      this.startGesture(object, (worldPos) => {
+        object.x = worldPos.x - offset.x;
+        object.y = worldPos.y - offset.y;
+      });
+    });
+  },
+
+  /**
+   * Check whether objects can be selected in the current tool/mode
+   * @returns {boolean}
+   */
+  canInteract() {
+    return State.currentMode !== 'underlay' && !State.isPanningMode && !State.isDeleteMode
+      && !State.isEditSeatsMode && !State.isEditZonesMode
+      && !State.isCreateMode && !State.isCreateGAMode && !State.isCreateZoneMode
+      && !State.isCreatePolygonMode && !State.isCreateArcMode && !State.isCreateObjectMode;
+  },
+
+  /**
+   * Track a move/resize/rotate drag until the pointer is released
+   * @param {VenueObject} object
+   * @param {Function} onMove - Called with the world position and pointer event
+   */
+  startGesture(object, onMove) {
+    const stage = State.app.stage;
+    document.dispatchEvent(new CustomEvent('objectTransformStart', { detail: { object } }));
+
+    const move = (event) => {
+      onMove(Utils.screenToWorld(event.global.x, event.global.y), event);
+      this.updateHandlePositions(object);
+    };
+    const end = () => {
+      stage.off('pointermove', move);
+      stage.off('pointerup', end);
+      stage.off('pointerupoutside', end);
+      document.dispatchEvent(new CustomEvent('objectTransformEnd', { detail: { object } }));
+      this.updateObjectSidebar();
+    };
+
+    stage.on('pointermove', move);
+    stage.on('pointerup', end);
+    stage.on('pointerupoutside', end);
+  },
+
+  /**
+   * Add corner resize handles and a rotation handle to the selected object
+   * Handles live in a container that follows the object, so they stay
+   * clickable outside the object's hit area.
+   * @param {VenueObject} object
+   */
+  addHandles(object) {
+    this.removeHandles();
+
+    const handleSize = VISUAL_CONFIG.HANDLE.SIZE;
+    const hitAreaSize = VISUAL_CONFIG.HANDLE.HIT_AREA_SIZE;
+    this.handles = new PIXI.Container();
+
+    const makeHandle = (cursor, circle) => {
+      const handle = new PIXI.Graphics();
+      if (circle) {
+        handle.circle(0, 0, handleSize / 2 + 1);
+      } else {
+        handle.rect(-handleSize / 2, -handleSize / 2, handleSize, handleSize);
+      }
+      handle.fill({ color: VISUAL_CONFIG.HANDLE.COLOR });
+      handle.stroke({ width: VISUAL_CONFIG.HANDLE.STROKE_WIDTH, color: VISUAL_CONFIG.HANDLE.STROKE_COLOR });
+      handle.eventMode = 'static';
+      handle.cursor = cursor;
+      handle.hitArea = new PIXI.Rectangle(-hitAreaSize / 2, -hitAreaSize / 2, hitAreaSize, hitAreaSize);
+      this.handles.addChild(handle);
+      return handle;
+    };
+
+    // Resize symmetrically around the center, so the position is unchanged
+    ['nw', 'ne', 'se', 'sw'].forEach(corner => {
+      const handle = makeHandle(corner === 'nw' || corner === 'se' ? 'nwse-resize' : 'nesw-resize');
+      handle.corner = corner;
+      handle.on('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        this.startGesture(object, (worldPos) => {
+          const local = this.toObjectSpace(object, worldPos);
+          object.resize(
+            Math.max(MIN_OBJECT_SIZE, Math.abs(local.x) * 2),
+            Math.max(MIN_OBJECT_SIZE, Math.abs(local.y) * 2)
+          );
+        });
+      });
+    });
+
+    // Rotate around the center; Shift snaps to 15° steps
+    const rotateHandle = makeHandle('grab', true);
+    rotateHandle.corner = 'rotate';
+    rotateHandle.on('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.stopPropagation();
+      this.startGesture(object, (worldPos, event) => {
+        let degrees = Math.atan2(worldPos.y - object.y, worldPos.x - object.x) * 180 / Math.PI + 90;
+        if (event.shiftKey) {
+          degrees = Math.round(degrees / ROTATE_SNAP_DEGREES) * ROTATE_SNAP_DEGREES;
+        }
+        object.rotationDegrees = Math.round(degrees);
+      });
+    });
+
+    State.objectLayer.addChild(this.handles);
+    this.updateHandlePositions(object);
+  },
+
+  /**
+   * Keep the handles on the object's corners after it moves, resizes or rotates
+   * @param {VenueObject} object
+   */
+  updateHandlePositions(object) {
+    if (!this.handles) return;
+
+    const offset = VISUAL_CONFIG.SELECTION.BORDER_OFFSET;
+    const halfW = object.objectWidth / 2 + offset;
+    const halfH = object.objectHeight / 2 + offset;
+    const positions = {
+      nw: { x: -halfW, y: -halfH },
+      ne: { x: halfW, y: -halfH },
+      se: { x: halfW, y: halfH },
+      sw: { x: -halfW, y: halfH },
+      rotate: { x: 0, y: -halfH - ROTATE_HANDLE_DISTANCE }
+    };
+
+    this.handles.position.set(object.x, object.y);
+    this.handles.angle = object.rotationDegrees;
+    this.handles.children.forEach(handle => {
+      handle.position.set(positions[handle.corner].x, positions[handle.corner].y);
+    });
+  },
+
+  removeHandles() {
+    if (!this.handles) return;
+    this.handles.destroy({ children: true });
+    this.handles = null;
+  },
+
+  /**
+   * Convert a world position into the object's unrotated frame (origin at its center)
+   * @param {VenueObject} object
+   * @param {{x: number, y: number}} worldPos
+   * @returns {{x: number, y: number}}
+   */
+  toObjectSpace(object, worldPos) {
+    const angleRad = -object.rotationDegrees * Math.PI / 180;
+    const dx = worldPos.x - object.x;
+    const dy = worldPos.y - object.y;
+    return {
+      x: dx * Math.cos(angleRad) - dy * Math.sin(angleRad),
+      y: dx * Math.sin(angleRad) + dy * Math.cos(angleRad)
+    };
+  },
+
+  // ============================================
+  // OBJECT SIDEBAR
+  // ============================================
+
+  /**
+   * Show the object sidebar with the selected object's properties
+   */
+  updateObjectSidebar() {
+    const sidebar = document.getElementById('objectSidebar');
+    if (!sidebar) return;
+
+    const object = State.selectedObject;
+    sidebar.classList.toggle('show', !!object);
+    if (!object) return;
+
+    const defaults = OBJECT_TYPES[object.type];
+    document.getElementById('objectTypeChip').textContent = defaults.name;
+    document.getElementById('objectLabelInput').value = object.label;
+    document.getElementById('objectColorPicker').value = Utils.numberToHex(object.color);
+    document.getElementById('objectWidthInput').value = Math.round(object.objectWidth);
+    document.getElementById('objectHeightInput').value = Math.round(object.objectHeight);
+    document.getElementById('objectRotationInput').value = Math.round(object.rotationDegrees);
+    document.getElementById('objectFontSizeInput').value = object.fontSize;
+
+    // Pillars and arrows have no label
+    const hasLabel = defaults.shape !== 'circle' && defaults.shape !== 'arrow';
+    document.getElementById('objectLabelGroup').style.display = hasLabel ? '' : 'none';
+    document.getElementById('objectFontSizeGroup').style.display = hasLabel ? '' : 'none';
+  },
+
+  /**
+   * Apply a sidebar field to the selected object
+   * @param {string} field - 'label' | 'color' | 'width' | 'height' | 'rotation' | 'fontSize'
+   * @param {string} value - Raw input value
+   */
+  setObjectProperty(field, value) {
+    const object = State.selectedObject;
+    if (!object) return;
+
+    if (field === 'label') {
+      object.label = value;
+      return;
+    }
+    if (field === 'color') {
+      if (/^#[0-9A-Fa-f]{6}$/.test(value)) {
+        object.color = Utils.hexToNumber(value);
+      }
+      return;
+    }
+
+    const number = parseFloat(value);
+    if (!isFinite(number)) return;
+
+    if (field === 'rotation') {
+      object.rotationDegrees = number;
+    } else if (field === 'width' || field === 'height') {
+      const size = Math.max(MIN_OBJECT_SIZE, number);
+      object.resize(field === 'width' ? size : object.objectWidth, field === 'height' ? size : object.objectHeight);
+    } else if (field === 'fontSize' && number > 0) {
+      object.fontSize = number;
+    }
+    this.updateHandlePositions(object);
+  }
+};
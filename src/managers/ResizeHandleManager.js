@@ -283,6 +283,8 @@ export const ResizeHandleManager = {
       startSectionX = section.x;
       startSectionY = section.y;
       
+      document.dispatchEvent(new CustomEvent('gaResizeStart', { detail: { section } }));
+      
       // Add event listeners
       State.app.stage.on('pointermove', onPointerMove);
       State.app.stage.on('pointerup', onPointerUp);
@@ -30,71 +30,252 @@ export const SeatManager = {
 
     for (let row = 0; row < rows; row++) {
       for (let col = 0; col < seatsPerRow; col++) {
-        const seatNumber = col + 1;
-        
-        // Create seat container
-        const seatContainer = new PIXI.Container();
-        
-        // Create glow graphics (initially hidden)
-        const glowGraphics = new PIXI.Graphics();
-        glowGraphics.visible = false;
-        seatContainer.glowGraphics = glowGraphics;
-
-        // Create circle (use section's seat color)
-        const seat = new PIXI.Graphics();
-        seat.circle(0, 0, 10);
-        seat.fill({ color: section.seatColor, alpha: 1 });
-        seatContainer.seatGraphics = seat;
-        
-        // Create number label (use section's seat text color)
-        const seatLabel = new PIXI.Text({
-          text: seatNumber.toString(),
-          style: {
-            fontFamily: 'system-ui, sans-serif',
-            fontSize: 10,
-            fontWeight: 'bold',
-            fill: section.seatTextColor,
-            align: 'center'
-          }
-        });
-        seatLabel.anchor.set(0.5, 0.5);
-        seatLabel.x = 0;
-        seatLabel.y = 0;
-        seatContainer.seatLabel = seatLabel;
-        
-        seatContainer.addChild(glowGraphics);
-        seatContainer.addChild(seat);
-        seatContainer.addChild(seatLabel);
-        
-        // Store relative position to section
-        seatContainer.relativeX = CONFIG.SECTION_MARGIN + col * seatSpacingX;
-        seatContainer.relativeY = CONFIG.SECTION_MARGIN + row * seatSpacingY;
-        
-        // Store base relative positions
-        seatContainer.baseRelativeX = seatContainer.relativeX;
-        seatContainer.baseRelativeY = seatContainer.relativeY;
-        
-        // Store row and column indices
-        seatContainer.rowIndex = row;
-        seatContainer.colIndex = col;
-        
-        // Initial position accounting for pivot
-        seatContainer.x = section.x + seatContainer.relativeX - section.pivot.x;
-        seatContainer.y = section.y + seatContainer.relativeY - section.pivot.y;
-        
-        seatContainer.eventMode = 'static';
-        seatContainer.cursor = 'pointer';
-        seatContainer.seatId = `${section.sectionId}-R${row + 1}S${col + 1}`;
-        seatContainer.seatNumber = seatNumber;
-        seatContainer.specialNeeds = false; // Track special needs status
-        
-        this.setupSeatInteractions(seatContainer);
-        State.seatLayer.addChild(seatContainer);
-        section.seats.push(seatContainer);
+        this.createSeat(
+          section,
+          row,
+          col,
+          CONFIG.SECTION_MARGIN + col * seatSpacingX,
+          CONFIG.SECTION_MARGIN + row * seatSpacingY
+        );
+      }
+    }
+  },
+
+  /**
+   * Create a single seat and add it to the section
+   * @param {Section} section - The section
+   * @param {number} row - Row index
+   * @param {number} col - Column index within the row
+   * @param {number} relativeX - X position relative to the section
+   * @param {number} relativeY - Y position relative to the section
+   * @returns {PIXI.Container} The seat container
+   */
+  createSeat(section, row, col, relativeX, relativeY) {
+    const seatNumber = col + 1;
+    
+    // Create seat container
+    const seatContainer = new PIXI.Container();
+    
+    // Create glow graphics (initially hidden)
+    const glowGraphics = new PIXI.Graphics();
+    glowGraphics.visible = false;
+    seatContainer.glowGraphics = glowGraphics;
+
+    // Create circle (use section's seat color)
+    const seat = new PIXI.Graphics();
+    seat.circle(0, 0, 10);
+    seat.fill({ color: section.seatColor, alpha: 1 });
+    seatContainer.seatGraphics = seat;
+    
+    // Create number label (use section's seat text color)
+    const seatLabel = new PIXI.Text({
+      text: seatNumber.toString(),
+      style: {
+        fontFamily: 'system-ui, sans-serif',
+        fontSize: 10,
+        fontWeight: 'bold',
+        fill: section.seatTextColor,
+        align: 'center'
       }
+    });
+    seatLabel.anchor.set(0.5, 0.5);
+    seatLabel.x = 0;
+    seatLabel.y = 0;
+    seatContainer.seatLabel = seatLabel;
+    
+    seatContainer.addChild(glowGraphics);
+    seatContainer.addChild(seat);
+    seatContainer.addChild(seatLabel);
+    
+    // Store relative position to section
+    seatContainer.relativeX = relativeX;
+    seatContainer.relativeY = relativeY;
+    
+    // Store base relative positions
+    seatContainer.baseRelativeX = seatContainer.relativeX;
+    seatContainer.baseRelativeY = seatContainer.relativeY;
+    
+    // Store row and column indices
+    seatContainer.rowIndex = row;
+    seatContainer.colIndex = col;
+    
+    // Initial position accounting for pivot
+    seatContainer.x = section.x + seatContainer.relativeX - section.pivot.x;
+    seatContainer.y = section.y + seatContainer.relativeY - section.pivot.y;
+    
+    seatContainer.eventMode = 'static';
+    seatContainer.cursor = 'pointer';
+    seatContainer.seatId = `${section.sectionId}-R${row + 1}S${col + 1}`;
+    seatContainer.seatNumber = seatNumber;
+    seatContainer.specialNeeds = false; // Track special needs status
+    seatContainer.priceCategory = null; // Price category id (section pricing when null)
+    
+    this.setupSeatInteractions(seatContainer);
+    seatContainer.visible = section.visible; // Seats of hidden groups stay hidden
+    State.seatLayer.addChild(seatContainer);
+    section.seats.push(seatContainer);
+    return seatContainer;
+  },
+
+  /**
+   * Get the per-row layout of a section
+   * Sections without explicit row definitions report their current rows
+   * (seat count per row, grid spacing, no offset).
+   * @param {Section} section - The section
+   * @returns {Array<{seats: number, offset: number, spacing: number}>}
+   */
+  getRowDefinitions(section) {
+    if (section.rowDefinitions) {
+      return section.rowDefinitions.map(row => ({ ...row }));
+    }
+    
+    const { spacingX } = SectionTransformations.calculateGridSpacing(section);
+    const rows = this._groupSeatsByRow(section.seats);
+    return Object.keys(rows)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(rowIndex => ({ seats: rows[rowIndex].length, offset: 0, spacing: Math.round(spacingX) }));
+  },
+
+  /**
+   * Lay out a section's seats from per-row definitions
+   * Seats are matched by (row, column) so IDs, numbers and special needs
+   * survive; seats past a row's count are removed and missing ones created.
+   * Converting a uniform grid first closes the gaps left by deleted seats.
+   * @param {Section} section - The section
+   * @param {Array<{seats: number, offset: number, spacing: number}>} definitions - One entry per row
+   * @throws {Error} If the definitions are invalid
+   */
+  applyRowDefinitions(section, definitions) {
+    if (section.isGeneralAdmission) return;
+    
+    const isConversion = !section.rowDefinitions;
+    section.rowDefinitions = definitions.map(row => ({ ...row }));
+    
+    if (isConversion) {
+      this._compactSeatIndices(section);
+    }
+    
+    this._syncSeatSlots(section, definitions.map(row => row.seats));
+    
+    SectionTransformations.layoutRowDefinitions(section);
+    this.updateSeatNumbers(section);
+    this.updateAllSeats(section);
+    SectionTransformations.refreshLayout(section);
+  },
+
+  /**
+   * Lay out a section as concentric arc rows
+   * The arc's center point stays where it is in the world, so changing the
+   * radius or depth grows the section away from (or towards) the stage.
+   * Seats are matched by (row, column) like applyRowDefinitions().
+   * @param {Section} section - The section
+   * @param {{innerRadius: number, rowDepth: number, rows: number, angleSpan: number, seatSpacing: number}} arc - Arc geometry
+   * @throws {Error} If the arc geometry is invalid
+   */
+  applyArc(section, arc) {
+    if (section.isGeneralAdmission) return;
+    
+    const anchor = section.arc ? SectionTransformations.getArcCenter(section) : null;
+    section.arc = { ...arc };
+    
+    // Rows are already curved - a grid curve or stretch would distort them
+    section.curve = 0;
+    section.stretchH = 0;
+    section.stretchV = 0;
+    section.rowDefinitions = null;
+    
+    const { rowCounts } = Utils.calculateArcLayout(section.arc);
+    this._syncSeatSlots(section, rowCounts);
+    
+    SectionTransformations.layoutArc(section);
+    this.updateSeatNumbers(section);
+    this.updateAllSeats(section);
+    this.updateRowLabels(section);
+    
+    if (anchor) {
+      const center = SectionTransformations.getArcCenter(section);
+      section.x += anchor.x - center.x;
+      section.y += anchor.y - center.y;
+      SectionTransformations.positionSeatsAndLabels(section);
     }
   },
 
+  /**
+   * Make a section's seats match per-row seat counts
+   * Seats past a row's count are removed and missing ones created at (0, 0);
+   * callers position them afterwards.
+   * @param {Section} section - The section
+   * @param {number[]} rowCounts - Seats in each row
+   * @private
+   */
+  _syncSeatSlots(section, rowCounts) {
+    // Drop seats that no longer have a slot
+    const existing = new Set();
+    section.seats = section.seats.filter(seat => {
+      if (seat.colIndex < (rowCounts[seat.rowIndex] || 0)) {
+        existing.add(`${seat.rowIndex},${seat.colIndex}`);
+        return true;
+      }
+      State.seatLayer.removeChild(seat);
+      seat.destroy({ children: true });
+      return false;
+    });
+    
+    // Fill empty slots
+    rowCounts.forEach((count, rowIndex) => {
+      for (let col = 0; col < count; col++) {
+        if (!existing.has(`${rowIndex},${col}`)) {
+          this.createSeat(section, rowIndex, col, 0, 0);
+        }
+      }
+    });
+    section.seats.sort((a, b) => a.rowIndex - b.rowIndex || a.colIndex - b.colIndex);
+  },
+
+  /**
+   * Renumber row/column indices so rows and columns are contiguous
+   * @param {Section} section - The section
+   * @private
+   */
+  _compactSeatIndices(section) {
+    const rows = this._groupSeatsByRow(section.seats);
+    Object.keys(rows)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .forEach((rowIndex, newRowIndex) => {
+        rows[rowIndex].forEach((seat, col) => {
+          seat.rowIndex = newRowIndex;
+          seat.colIndex = col;
+        });
+      });
+  },
+
+  /**
+   * Remove seats that don't fit inside the section's polygon outline
+   * A seat is kept only if its whole circle lies inside the outline.
+   * Grid row/column indices are preserved so the section serializes as a sparse grid.
+   * @param {Section} section - The section (must have an outline)
+   */
+  clipSeatsToOutline(section) {
+    const outline = section.outline;
+    if (!outline) return;
+    
+    const seatRadius = 10;
+    section.seats = section.seats.filter(seat => {
+      const fits = Utils.pointInPolygon(seat.relativeX, seat.relativeY, outline) &&
+        Utils.distanceToPolygonEdge(seat.relativeX, seat.relativeY, outline) >= seatRadius;
+      
+      if (!fits) {
+        State.seatLayer.removeChild(seat);
+        seat.destroy({ children: true });
+      }
+      return fits;
+    });
+    
+    this.updateSeatNumbers(section);
+  },
+
   /**
    * Update the number of a specific seat
    * @param {PIXI.Container} seat - The seat container
@@ -148,7 +329,7 @@ export const SeatManager = {
           if (visualRowIndex !== -1) {
             const totalRows = uniqueRows.length;
             const labelIndex = section.rowLabelReversed ? (totalRows - 1 - visualRowIndex) : visualRowIndex;
-            const labelText = this.getRowLabelText(labelIndex, section.rowLabelType, section.rowLabelStart);
+            const labelText = this.getRowLabel(section, seat.rowIndex, labelIndex);
             
             Utils.showTooltip(`${section.sectionId} - Row ${labelText} Seat ${seat.seatNumber}`);
             return;
@@ -237,10 +418,11 @@ export const SeatManager = {
       seatLabel.style.fontSize = 14;
       seatLabel.style.fontWeight = 'normal';
     } else {
-      // Regular seat: use section's seat colors
+      // Regular seat: use its price category color, else the section's seat color
+      const category = this.getPriceCategory(section, seat.priceCategory);
       seatGraphics.clear();
       seatGraphics.circle(0, 0, 10);
-      seatGraphics.fill({ color: section.seatColor, alpha: 1 });
+      seatGraphics.fill({ color: category ? category.color : section.seatColor, alpha: 1 });
       
       // Show seat number with section's text color
       seatLabel.text = seat.seatNumber.toString();
@@ -264,6 +446,30 @@ export const SeatManager = {
     document.dispatchEvent(new CustomEvent('seatPropertiesChanged'));
   },
 
+  /**
+   * Assign a price category to a seat
+   * @param {PIXI.Container} seat - The seat container
+   * @param {string|null} categoryId - Category id from section.pricing.categories, null for section pricing
+   */
+  setPriceCategory(seat, categoryId) {
+    seat.priceCategory = categoryId || null;
+    this.updateSeatVisual(seat);
+    
+    // Dispatch event to update UI
+    document.dispatchEvent(new CustomEvent('seatPropertiesChanged'));
+  },
+
+  /**
+   * Look up a price category of a section
+   * @param {Section} section - The section
+   * @param {string|null} categoryId - Category id
+   * @returns {Object|null} { id, name, price, color } or null
+   */
+  getPriceCategory(section, categoryId) {
+    if (!categoryId || !section.pricing?.categories) return null;
+    return section.pricing.categories.find(category => category.id === categoryId) || null;
+  },
+
   /**
    * Update all seats in a section to reflect current seat colors
    * @param {Section} section - The section
@@ -342,6 +548,21 @@ export const SeatManager = {
     return rows;
   },
 
+  /**
+   * Get the label of one row of a section
+   * 'custom' labels are stored by row index; other types are generated from the label position.
+   * @param {Section} section - The section
+   * @param {number} rowIndex - Row index of the seats
+   * @param {number} labelIndex - Position among the rows with seats (reversal applied)
+   * @returns {string} Label text
+   */
+  getRowLabel(section, rowIndex, labelIndex) {
+    if (section.rowLabelType === 'custom') {
+      return section.rowLabelNames?.[rowIndex] ?? '';
+    }
+    return this.getRowLabelText(labelIndex, section.rowLabelType, section.rowLabelStart);
+  },
+
   /**
    * Get row label text based on type and index
    * @param {number} index - Row index
@@ -351,7 +572,7 @@ export const SeatManager = {
    */
   getRowLabelText(index, type, startValue) {
     if (type === 'numbers') {
-      const start = startValue || 1;
+      const start = parseInt(startValue) || 1;
       return (index + start).toString();
     } else if (type === 'letters') {
       const start = startValue || 'A';
@@ -481,7 +702,7 @@ export const SeatManager = {
     rows.forEach(([rowIndex, seatsInRow], arrayIndex) => {
       const totalRows = rows.length;
       const labelIndex = section.rowLabelReversed ? (totalRows - 1 - arrayIndex) : arrayIndex;
-      const labelText = this.getRowLabelText(labelIndex, section.rowLabelType, section.rowLabelStart);
+      const labelText = this.getRowLabel(section, rowIndex, labelIndex);
       
       const sortedSeats = seatsInRow.sort((a, b) => a.relativeX - b.relativeX);
       const leftmostSeat = sortedSeats[0];
@@ -493,6 +714,7 @@ export const SeatManager = {
         leftLabel.relativeY = leftmostSeat.relativeY;
         leftLabel.x = section.x + leftLabel.relativeX;
         leftLabel.y = section.y + leftLabel.relativeY;
+        leftLabel.visible = section.visible;
         section.rowLabels.push(leftLabel);
         State.seatLayer.addChild(leftLabel);
       }
@@ -503,6 +725,7 @@ export const SeatManager = {
         rightLabel.relativeY = rightmostSeat.relativeY;
         rightLabel.x = section.x + rightLabel.relativeX;
         rightLabel.y = section.y + rightLabel.relativeY;
+        rightLabel.visible = section.visible;
         section.rowLabels.push(rightLabel);
         State.seatLayer.addChild(rightLabel);
       }
@@ -519,6 +742,16 @@ export const SeatManager = {
       maxY = Math.max(maxY, seat.relativeY + 10);
     });
 
+    // Polygon sections: keep the whole outline inside the bounds
+    if (section.outline) {
+      for (let i = 0; i < section.outline.length; i += 2) {
+        minX = Math.min(minX, section.outline[i]);
+        maxX = Math.max(maxX, section.outline[i]);
+        minY = Math.min(minY, section.outline[i + 1]);
+        maxY = Math.max(maxY, section.outline[i + 1]);
+      }
+    }
+
     if (!section.labelsHidden) {
       section.rowLabels.forEach(label => {
         const labelHalfWidth = label.width / 2;
@@ -570,7 +803,7 @@ export const SeatManager = {
   updateSectionGraphics(section) {
     const sectionColor = section.sectionColor || COLORS.SECTION_STROKE;
     section.clear();
-    section.rect(0, 0, section.contentWidth, section.contentHeight);
+    section.traceShape();
     
     // Apply fill only if visible
     if (section.fillVisible) {
@@ -582,6 +815,6 @@ export const SeatManager = {
       section.stroke({ width: VISUAL_CONFIG.SECTION.STROKE_WIDTH, color: sectionColor, alpha: VISUAL_CONFIG.SECTION.STROKE_ALPHA });
     }
     
-    section.hitArea = new PIXI.Rectangle(0, 0, section.contentWidth, section.contentHeight);
+    section.hitArea = section.createHitArea();
   }
 };
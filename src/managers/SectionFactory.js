@@ -6,6 +6,7 @@ import { State } from '../core/state.js';
 import { Section } from '../core/Section.js';
 import { SectionInteractionHandler } from './SectionInteractionHandler.js';
 import { Utils } from '../core/utils.js';
+import { CONFIG } from '../core/config.js';
 
 /**
  * Factory for creating sections
@@ -40,6 +41,81 @@ export const SectionFactory = {
     }
   },
 
+  /**
+   * Create a seat section shaped by a polygon outline
+   * The section spans the seat grid covering the outline's bounding box;
+   * seats are clipped to the outline afterwards (SeatManager.clipSeatsToOutline).
+   * @param {number[]} points - World-space polygon [x, y, x, y...]
+   * @returns {Section} The created section
+   */
+  createPolygonSection(points) {
+    try {
+      const xs = points.filter((_, i) => i % 2 === 0);
+      const ys = points.filter((_, i) => i % 2 === 1);
+      const minX = Math.min(...xs);
+      const minY = Math.min(...ys);
+      const rawWidth = Math.max(...xs) - minX;
+      const rawHeight = Math.max(...ys) - minY;
+      
+      // Round the grid up (not down) so it covers the whole outline
+      const { snappedWidth, snappedHeight } = Utils.calculateSeatDimensions(
+        rawWidth + CONFIG.SEAT_SIZE - 1,
+        rawHeight + CONFIG.SEAT_SIZE - 1
+      );
+      
+      // Center the outline in the grid, keeping it where it was drawn
+      const offsetX = (snappedWidth - rawWidth) / 2;
+      const offsetY = (snappedHeight - rawHeight) / 2;
+      const outline = points.map((value, i) => i % 2 === 0 ? value - minX + offsetX : value - minY + offsetY);
+      
+      const section = new Section({
+        x: minX - offsetX,
+        y: minY - offsetY,
+        width: snappedWidth,
+        height: snappedHeight,
+        sectionId: `Section ${State.sectionCounter++}`,
+        isGeneralAdmission: false,
+        outline
+      });
+      
+      return section;
+    } catch (error) {
+      console.error('Failed to create polygon section:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an arc (stadium) seat section
+   * The section is sized to the arc's outline; seats are added by
+   * SeatManager.applyArc() and the caller moves it onto the arc center.
+   * @param {Object} arc - { innerRadius, rowDepth, rows, angleSpan, seatSpacing }
+   * @param {number} rotation - Rotation in degrees (0 opens the arc downwards)
+   * @returns {Section} The created section
+   */
+  createArcSection(arc, rotation = 0) {
+    try {
+      const layout = Utils.calculateArcLayout(arc);
+      
+      const section = new Section({
+        x: 0,
+        y: 0,
+        width: layout.width,
+        height: layout.height,
+        sectionId: `Section ${State.sectionCounter++}`,
+        isGeneralAdmission: false,
+        outline: layout.outline
+      });
+      section.rotationDegrees = rotation;
+      section.angle = section.rotationDegrees;
+      
+      return section;
+    } catch (error) {
+      console.error('Failed to create arc section:', error.message);
+      throw error;
+    }
+  },
+
   /**
    * Create a General Admission section
    * @param {number} x - X position
@@ -102,6 +178,10 @@ export const SectionFactory = {
    * @param {Section} section - The section to register
    */
   registerSection(section) {
+    // New sections are drawn on the level being edited
+    if (!section.levelId) {
+      section.levelId = State.currentLevelId;
+    }
     if (section.isZone) {
       State.zoneLayer.addChild(section);
     } else {
@@ -126,45 +206,10 @@ export const SectionFactory = {
       const sectionData = FileManager.serializeSection(originalSection);
       console.log('Serialized data:', sectionData);
       
-      // Modify data for the new section
-      // Offset position slightly so it's visible
-      const OFFSET = 50;
-      sectionData.x += OFFSET;
-      sectionData.y += OFFSET;
-      if (sectionData.centerX !== undefined) sectionData.centerX += OFFSET;
-      if (sectionData.centerY !== undefined) sectionData.centerY += OFFSET;
+      // Offset position slightly so it's visible, with fresh name and IDs
+      const clonedSectionData = this.cloneSectionData(sectionData, 50);
       
-      // Generate new unique name
-      let baseName = originalSection.sectionId;
-      // Remove existing " Copy X" suffix if present
-      baseName = baseName.replace(/ Copy( \d+)?$/, '');
-      
-      let newName = `${baseName} Copy`;
-      let counter = 1;
-      
-      // Check for name collisions
-      while (State.sections.some(s => s.sectionId === newName)) {
-        counter++;
-        newName = `${baseName} Copy ${counter}`;
-      }
-      
-      sectionData.name = newName;
-      // Generate new unique ID for the duplicate
-      sectionData.id = Utils.generateShortId();
-
-      // Regenerate seat IDs to ensure uniqueness
-      if (sectionData.seats) {
-        sectionData.seats.forEach(seat => {
-          // Remove ID so it gets regenerated or generate a new one
-          seat.id = Utils.generateShortId();
-        });
-      }
-      
-      console.log('Deserializing new section with name:', newName);
-      
-      // CRITICAL FIX: Deep clone the section data to prevent reference sharing
-      // This ensures the duplicated section has completely independent seat objects
-      const clonedSectionData = JSON.parse(JSON.stringify(sectionData));
+      console.log('Deserializing new section with name:', clonedSectionData.name);
       
       // Deserialize to create the new section
       const newSection = await FileManager.deserializeSection(clonedSectionData, SectionManager);
@@ -196,6 +241,58 @@ export const SectionFactory = {
     }
   },
 
+  /**
+   * Prepare serialized section data for instantiation as a new, independent section
+   * Offsets the position, picks a non-colliding name and assigns fresh section/seat IDs
+   * @param {Object} sectionData - Serialized section (SMF)
+   * @param {number} offset - Distance to shift on both axes
+   * @param {Object} options
+   * @param {boolean} options.keepName - Keep the original name when it's not taken
+   * @returns {Object} Deep-cloned section data
+   */
+  cloneSectionData(sectionData, offset = 0, { keepName = false } = {}) {
+    // CRITICAL FIX: Deep clone the section data to prevent reference sharing
+    // This ensures the new section has completely independent seat objects
+    const data = JSON.parse(JSON.stringify(sectionData));
+    
+    data.x += offset;
+    data.y += offset;
+    if (data.centerX !== undefined) data.centerX += offset;
+    if (data.centerY !== undefined) data.centerY += offset;
+    if (data.arc && data.arc.centerX !== undefined) {
+      data.arc.centerX += offset;
+      data.arc.centerY += offset;
+    }
+    
+    const nameTaken = State.sections.some(s => s.sectionId === data.name);
+    if (!keepName || nameTaken) {
+      // Remove existing " Copy X" suffix if present
+      const baseName = (data.name || '').replace(/ Copy( \d+)?$/, '');
+      
+      let newName = `${baseName} Copy`;
+      let counter = 1;
+      
+      // Check for name collisions
+      while (State.sections.some(s => s.sectionId === newName)) {
+        counter++;
+        newName = `${baseName} Copy ${counter}`;
+      }
+      data.name = newName;
+    }
+    
+    // Generate new unique ID for the copy
+    data.id = Utils.generateShortId();
+    
+    // Regenerate seat IDs to ensure uniqueness
+    if (data.seats) {
+      data.seats.forEach(seat => {
+        seat.id = Utils.generateShortId();
+      });
+    }
+    
+    return data;
+  },
+
   /**
    * Delete a section
    * @param {Section} section - The section to delete
@@ -6,6 +6,7 @@ import { State } from '../core/state.js';
 import { VISUAL_CONFIG } from '../core/config.js';
 import { Utils } from '../core/utils.js';
 import { COLORS } from '../core/config.js';
+import { GroupManager } from './GroupManager.js';
 
 /**
  * Handler for section interactions
@@ -18,10 +19,15 @@ export const SectionInteractionHandler = {
    */
   setupSectionInteractions(section) {
     section.on('pointerdown', async (e) => {
+      // Sections of locked groups can't be selected, dragged or deleted:
+      // let the press through to the canvas so it starts a marquee instead
+      if (!GroupManager.isSectionEditable(section)) return;
+      // The object tool places objects on top of sections too
+      if (State.isCreateObjectMode) return;
       e.stopPropagation();
       
       // Only prepare for drag, don't start it immediately
-      if (!State.isDeleteMode && !State.isEditSeatsMode && !State.isCreateMode && !State.isCreateGAMode) {
+      if (!State.isDeleteMode && !State.isEditSeatsMode && !State.isCreateMode && !State.isCreateGAMode && !State.isCreatePolygonMode && !State.isCreateArcMode) {
         
         // Zone Mode Restriction
         if (State.isEditZonesMode) {
@@ -69,6 +75,7 @@ export const SectionInteractionHandler = {
     
     section.on('pointertap', async (e) => {
       e.stopPropagation();
+      if (!GroupManager.isSectionEditable(section)) return;
       
       // Zone Mode Restriction
       if (State.isEditZonesMode) {
@@ -91,6 +98,7 @@ export const SectionInteractionHandler = {
     
     section.on('rightdown', (e) => {
       e.stopPropagation();
+      if (!GroupManager.isSectionEditable(section)) return;
       
       // Zone Mode Restriction
       if (State.isEditZonesMode) {
@@ -2,7 +2,8 @@
 // SECTION TRANSFORMATIONS - Stretch, curve, alignment
 // ============================================
 
-import { COLORS, VISUAL_CONFIG } from '../core/config.js';
+import { CONFIG, COLORS, VISUAL_CONFIG } from '../core/config.js';
+import { Utils } from '../core/utils.js';
 
 /**
  * Manager for section transformations
@@ -391,6 +392,16 @@ export const SectionTransformations = {
     // Store the alignment preference
     section.rowAlignment = alignment;
     
+    // Arc rows are always centered on the arc
+    if (section.arc) return;
+    
+    // Row-defined sections lay out each row explicitly - no gaps to work around
+    if (section.rowDefinitions) {
+      this.layoutRowDefinitions(section);
+      this.refreshLayout(section);
+      return;
+    }
+    
     // Group seats by row
     const rowMap = new Map();
     section.seats.forEach(seat => {
@@ -471,7 +482,14 @@ export const SectionTransformations = {
       });
     });
     
-    // After aligning rows, reapply curve/stretch if they exist
+    this.refreshLayout(section);
+  },
+
+  /**
+   * Reapply curve/stretch and labels after base seat positions changed
+   * @param {Section} section - The section
+   */
+  refreshLayout(section) {
     const curve = section.curve || 0;
     const stretchH = section.stretchH || 0;
     const stretchV = section.stretchV || 0;
@@ -495,6 +513,94 @@ export const SectionTransformations = {
     }
   },
 
+  /**
+   * Position seats from the section's row definitions
+   * Rows are aligned against the widest row (section.rowAlignment), then
+   * shifted by their own offset. Curve/stretch are reapplied on top by
+   * refreshLayout().
+   * @param {Section} section - The section
+   * @param {Object} options - Layout options
+   * @param {boolean} options.baseOnly - If true, keep current (transformed) positions (used when loading files)
+   */
+  layoutRowDefinitions(section, { baseOnly = false } = {}) {
+    const definitions = section.rowDefinitions;
+    if (!definitions) return;
+    
+    const rowWidths = definitions.map(row => (row.seats - 1) * row.spacing);
+    const maxRowWidth = Math.max(...rowWidths);
+    const alignment = section.rowAlignment || 'center';
+    
+    section.seats.forEach(seat => {
+      const row = definitions[seat.rowIndex];
+      if (!row) return;
+      
+      let start = 0; // left
+      if (alignment === 'center') {
+        start = (maxRowWidth - rowWidths[seat.rowIndex]) / 2;
+      } else if (alignment === 'right') {
+        start = maxRowWidth - rowWidths[seat.rowIndex];
+      }
+      
+      seat.baseRelativeX = CONFIG.SECTION_MARGIN + start + row.offset + seat.colIndex * row.spacing;
+      seat.baseRelativeY = CONFIG.SECTION_MARGIN + seat.rowIndex * CONFIG.SEAT_SIZE;
+      if (!baseOnly) {
+        seat.relativeX = seat.baseRelativeX;
+        seat.relativeY = seat.baseRelativeY;
+      }
+    });
+  },
+
+  /**
+   * Position seats and the outline from the section's arc geometry
+   * Seats are matched by (row, column); rows are concentric arcs, so
+   * curve and stretch don't apply.
+   * @param {Section} section - The section
+   * @param {Object} options - Layout options
+   * @param {boolean} options.baseOnly - If true, only rebuild base positions (used when loading files)
+   */
+  layoutArc(section, { baseOnly = false } = {}) {
+    if (!section.arc) return;
+    
+    const layout = Utils.calculateArcLayout(section.arc);
+    const slots = new Map(layout.seats.map(slot => [`${slot.row},${slot.col}`, slot]));
+    
+    section.seats.forEach(seat => {
+      const slot = slots.get(`${seat.rowIndex},${seat.colIndex}`);
+      if (!slot) return;
+      
+      seat.baseRelativeX = slot.x;
+      seat.baseRelativeY = slot.y;
+      if (!baseOnly) {
+        seat.relativeX = slot.x;
+        seat.relativeY = slot.y;
+      }
+    });
+    
+    if (!baseOnly) {
+      section.baseWidth = layout.width;
+      section.baseHeight = layout.height;
+      section.outline = layout.outline;
+    }
+  },
+
+  /**
+   * Get the world position of an arc section's center point
+   * Accounts for the layout shift, pivot and rotation.
+   * @param {Section} section - The section (must have arc geometry)
+   * @returns {{x: number, y: number}}
+   */
+  getArcCenter(section) {
+    const layout = Utils.calculateArcLayout(section.arc);
+    const localX = layout.centerX + (section.layoutShiftX || 0) - section.pivot.x;
+    const localY = layout.centerY + (section.layoutShiftY || 0) - section.pivot.y;
+    const angleRad = (section.rotationDegrees || 0) * Math.PI / 180;
+    
+    return {
+      x: section.x + localX * Math.cos(angleRad) - localY * Math.sin(angleRad),
+      y: section.y + localX * Math.sin(angleRad) + localY * Math.cos(angleRad)
+    };
+  },
+
   /**
    * Recalculate section dimensions based on seat positions
    * @param {Section} section - The section
@@ -516,6 +622,16 @@ export const SectionTransformations = {
       maxY = Math.max(maxY, seat.relativeY + 10);
     });
 
+    // Polygon sections: keep the whole outline inside the bounds
+    if (section.outline) {
+      for (let i = 0; i < section.outline.length; i += 2) {
+        minX = Math.min(minX, section.outline[i]);
+        maxX = Math.max(maxX, section.outline[i]);
+        minY = Math.min(minY, section.outline[i + 1]);
+        maxY = Math.max(maxY, section.outline[i + 1]);
+      }
+    }
+
     // Also include row labels in bounding box calculation
     if (section.rowLabels && section.rowLabels.length > 0) {
       section.rowLabels.forEach(label => {
@@ -551,12 +667,12 @@ export const SectionTransformations = {
     // Update graphics
     const sectionColor = section.sectionColor;
     section.clear();
-    section.rect(0, 0, section.contentWidth, section.contentHeight);
+    section.traceShape();
     section.fill({ color: sectionColor, alpha: VISUAL_CONFIG.SECTION.FILL_ALPHA });
     section.stroke({ width: VISUAL_CONFIG.SECTION.STROKE_WIDTH, color: sectionColor, alpha: VISUAL_CONFIG.SECTION.STROKE_ALPHA });
     
     // Update hit area
-    section.hitArea = new PIXI.Rectangle(0, 0, section.contentWidth, section.contentHeight);
+    section.hitArea = section.createHitArea();
     
     // Update selection border if it exists
     if (section.selectionBorder) {
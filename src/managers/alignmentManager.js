@@ -4,7 +4,7 @@
 
 import { State, Elements } from '../core/state.js';
 import { SectionManager } from './sectionManager.js';
-import { COLORS } from '../core/config.js';
+import { CONFIG, COLORS } from '../core/config.js';
 
 export const AlignmentManager = {
   // Configuration
@@ -112,6 +112,24 @@ export const AlignmentManager = {
       alignRowsButtons[2].addEventListener('click', () => this.alignRowsRight());
     }
 
+    // Row layout editor
+    if (Elements.rowLayoutList) {
+      Elements.rowLayoutList.addEventListener('change', () => this.setRowDefinitions(this.readRowLayout()));
+      Elements.rowLayoutList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-row]');
+        if (!removeBtn) return;
+        const definitions = this.readRowLayout();
+        definitions.splice(parseInt(removeBtn.dataset.removeRow), 1);
+        this.setRowDefinitions(definitions);
+      });
+      Elements.addRowDefinitionBtn.addEventListener('click', () => this.addRowDefinition());
+    }
+
+    // Arc geometry editor
+    if (Elements.arcSection) {
+      Elements.arcSection.addEventListener('change', () => this.setArc(this.readArc()));
+    }
+
     // Section color inputs
     Elements.sectionColorPicker.addEventListener('input', (e) => {
       if (State.selectedSections.length === 1) {
@@ -558,7 +576,8 @@ export const AlignmentManager = {
       }
       
       // If both positions are now off and not hidden, switch back to 'none'
-      if (!section.showLeftLabels && !section.showRightLabels && !section.labelsHidden) {
+      // (custom names are kept: they are the rows' inventory labels)
+      if (!section.showLeftLabels && !section.showRightLabels && !section.labelsHidden && section.rowLabelType !== 'custom') {
         section.rowLabelType = 'none';
       }
       
@@ -609,6 +628,7 @@ export const AlignmentManager = {
   flipRowLabels() {
     if (State.selectedSections.length === 1) {
       const section = State.selectedSections[0];
+      if (section.rowLabelType === 'custom') return; // Names belong to their rows
       section.rowLabelReversed = !section.rowLabelReversed;
       
       // Update button active state
@@ -709,6 +729,136 @@ export const AlignmentManager = {
     }
   },
 
+  /**
+   * Apply per-row seat counts, offsets and spacing to the selected section
+   * @param {Array<{seats: number, offset: number, spacing: number}>} definitions
+   */
+  setRowDefinitions(definitions) {
+    if (State.selectedSections.length === 1) {
+      const section = State.selectedSections[0];
+      if (definitions.length === 0) {
+        this.updateSidebarValues(section);
+        return;
+      }
+      
+      try {
+        SectionManager.applyRowDefinitions(section, definitions);
+      } catch (error) {
+        console.warn('Invalid row layout:', error.message);
+      }
+      
+      this.updateSidebarValues(section);
+    }
+  },
+
+  addRowDefinition() {
+    if (State.selectedSections.length === 1) {
+      const definitions = this.readRowLayout();
+      const last = definitions[definitions.length - 1] || { seats: 10, offset: 0, spacing: CONFIG.SEAT_SIZE };
+      definitions.push({ ...last });
+      this.setRowDefinitions(definitions);
+    }
+  },
+
+  /**
+   * Read the row layout editor inputs
+   * @returns {Array<{seats: number, offset: number, spacing: number}>}
+   */
+  readRowLayout() {
+    return Array.from(Elements.rowLayoutList.querySelectorAll('.row-layout-row')).map(rowEl => ({
+      seats: parseInt(rowEl.querySelector('[data-field="seats"]').value),
+      offset: parseFloat(rowEl.querySelector('[data-field="offset"]').value) || 0,
+      spacing: parseFloat(rowEl.querySelector('[data-field="spacing"]').value)
+    }));
+  },
+
+  /**
+   * Fill the row layout editor for a section
+   * Rows are rebuilt only when the row count changes so focus survives edits.
+   * @param {Section} section - The section
+   */
+  renderRowLayout(section) {
+    if (!Elements.rowLayoutList) return;
+    
+    const definitions = SectionManager.getRowDefinitions(section);
+    const list = Elements.rowLayoutList;
+    
+    if (list.children.length !== definitions.length) {
+      list.innerHTML = definitions.map((_, index) => `
+        <div class="row-layout-grid row-layout-row">
+          <span class="sidebar-info" style="margin: 0;">${index + 1}</span>
+          <input type="number" class="sidebar-input" data-field="seats" min="1" step="1" />
+          <input type="number" class="sidebar-input" data-field="offset" step="1" />
+          <input type="number" class="sidebar-input" data-field="spacing" min="10" step="1" />
+          <button class="sidebar-increment-btn" data-remove-row="${index}" title="Remove Row">
+            <span class="material-symbols">close</span>
+          </button>
+        </div>
+      `).join('');
+    }
+    
+    Array.from(list.children).forEach((rowEl, index) => {
+      ['seats', 'offset', 'spacing'].forEach(field => {
+        const input = rowEl.querySelector(`[data-field="${field}"]`);
+        if (input !== document.activeElement) {
+          input.value = definitions[index][field];
+        }
+      });
+    });
+  },
+
+  /**
+   * Apply arc geometry to the selected arc section
+   * @param {Object} arc - { innerRadius, rowDepth, rows, angleSpan, seatSpacing }
+   */
+  setArc(arc) {
+    if (State.selectedSections.length === 1) {
+      const section = State.selectedSections[0];
+      if (!section.arc) return;
+      
+      try {
+        SectionManager.applyArc(section, arc);
+      } catch (error) {
+        console.warn('Invalid arc:', error.message);
+      }
+      
+      this.updateSidebarValues(section);
+    }
+  },
+
+  /**
+   * Read the arc editor inputs
+   * @returns {Object} { innerRadius, rowDepth, rows, angleSpan, seatSpacing }
+   */
+  readArc() {
+    return {
+      innerRadius: parseFloat(Elements.arcRadiusInput.value),
+      rowDepth: parseFloat(Elements.arcRowDepthInput.value),
+      rows: parseInt(Elements.arcRowsInput.value),
+      angleSpan: parseFloat(Elements.arcSpanInput.value),
+      seatSpacing: parseFloat(Elements.arcSeatSpacingInput.value)
+    };
+  },
+
+  /**
+   * Fill the arc editor for a section, leaving the focused input alone
+   * @param {Section} section - Section with arc geometry
+   */
+  renderArc(section) {
+    const fields = {
+      arcRadiusInput: section.arc.innerRadius,
+      arcRowDepthInput: section.arc.rowDepth,
+      arcRowsInput: section.arc.rows,
+      arcSpanInput: section.arc.angleSpan,
+      arcSeatSpacingInput: section.arc.seatSpacing
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (Elements[key] !== document.activeElement) {
+        Elements[key].value = value;
+      }
+    });
+  },
+
   setCurve(amount) {
     if (State.selectedSections.length === 1) {
       const section = State.selectedSections[0];
@@ -966,6 +1116,9 @@ export const AlignmentManager = {
       Elements.rowLabelsHeader.parentElement.style.display = 'none';
       Elements.seatNumberingSection.style.display = 'none';
       Elements.alignRowsSection.style.display = 'none';
+      if (Elements.rowLayoutSection) Elements.rowLayoutSection.style.display = 'none';
+      if (Elements.arcSection) Elements.arcSection.style.display = 'none';
+      if (Elements.curveSection) Elements.curveSection.style.display = 'block';
       Elements.addRowsSection.style.display = 'none';
       Elements.stretchHSection.style.display = 'none';
       Elements.stretchVSection.style.display = 'none';
@@ -1017,6 +1170,9 @@ export const AlignmentManager = {
       Elements.rowLabelsHeader.parentElement.style.display = 'none';
       Elements.seatNumberingSection.style.display = 'none';
       Elements.alignRowsSection.style.display = 'none';
+      if (Elements.rowLayoutSection) Elements.rowLayoutSection.style.display = 'none';
+      if (Elements.arcSection) Elements.arcSection.style.display = 'none';
+      if (Elements.curveSection) Elements.curveSection.style.display = 'block';
       Elements.addRowsSection.style.display = 'none';
       Elements.stretchHSection.style.display = 'none';
       Elements.stretchVSection.style.display = 'none';
@@ -1037,10 +1193,16 @@ export const AlignmentManager = {
       if (Elements.gaLabelControls) Elements.gaLabelControls.style.display = 'none';
       Elements.rowLabelsHeader.parentElement.style.display = 'block';
       Elements.seatNumberingSection.style.display = 'block';
-      Elements.alignRowsSection.style.display = 'block';
+      // Arc rows are laid out radially - grid alignment, curve and stretch don't apply,
+      // and row definitions would ignore polygon/arc outlines
+      const isArc = !!section.arc;
+      Elements.alignRowsSection.style.display = isArc ? 'none' : 'block';
+      if (Elements.rowLayoutSection) Elements.rowLayoutSection.style.display = section.outline ? 'none' : 'block';
+      if (Elements.arcSection) Elements.arcSection.style.display = isArc ? 'block' : 'none';
+      if (Elements.curveSection) Elements.curveSection.style.display = isArc ? 'none' : 'block';
       Elements.addRowsSection.style.display = 'block';
-      Elements.stretchHSection.style.display = 'block';
-      Elements.stretchVSection.style.display = 'block';
+      Elements.stretchHSection.style.display = isArc ? 'none' : 'block';
+      Elements.stretchVSection.style.display = isArc ? 'none' : 'block';
       if (Elements.paddingSection) Elements.paddingSection.style.display = 'block';
       Elements.styleHeader.parentElement.style.display = 'block';
       // Show all color inputs for regular sections
@@ -1051,6 +1213,12 @@ export const AlignmentManager = {
       const seatCount = section.seats ? section.seats.length : 0;
       const uniqueRows = section.seats ? new Set(section.seats.map(seat => seat.rowIndex).filter(row => row !== undefined)).size : 0;
       Elements.seatsInfo.textContent = `${uniqueRows} rows / ${seatCount} seats`;
+      
+      if (section.arc) {
+        this.renderArc(section);
+      } else if (!section.outline) {
+        this.renderRowLayout(section);
+      }
     }
     
     // Update row label type buttons
@@ -1067,8 +1235,14 @@ export const AlignmentManager = {
     Elements.rowLabelRight.classList.toggle('active', section.showRightLabels);
     Elements.rowLabelHidden.classList.toggle('active', section.labelsHidden || false);
 
-    // Update row label starting point input
-    if (section.rowLabelType === 'numbers') {
+    // Update row label starting point input (custom names have no sequence)
+    const customLabels = section.rowLabelType === 'custom';
+    Elements.rowLabelStartInput.disabled = customLabels;
+    Elements.rowLabelFlipBtn.disabled = customLabels;
+    if (customLabels) {
+      Elements.rowLabelStartInput.value = '';
+      Elements.rowLabelStartInput.placeholder = 'Imported names';
+    } else if (section.rowLabelType === 'numbers') {
       Elements.rowLabelStartInput.value = section.rowLabelStart || 1;
       Elements.rowLabelStartInput.placeholder = '1';
     } else if (section.rowLabelType === 'letters') {
@@ -1375,7 +1549,8 @@ export const AlignmentManager = {
         if (!!section.isZone) continue;
 
         // Check collision with ALL other sections
-        const otherSections = State.sections.filter(s => s !== section && !s.isZone);
+        const otherSections = State.sections.filter(s =>
+          s !== section && !s.isZone && s.levelId === section.levelId);
         
         for (const other of otherSections) {
           const vector = this.getCollisionVector(section, other, this.COLLISION_PADDING);
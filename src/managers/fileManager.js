@@ -5,6 +5,12 @@
 import { State } from '../core/state.js';
 import { COLORS } from '../core/config.js';
 import { Utils } from '../core/utils.js';
+import { SectionTransformations } from './SectionTransformations.js';
+import { GroupManager } from './GroupManager.js';
+import { LevelManager } from './LevelManager.js';
+import { ManifestManager } from './ManifestManager.js';
+import { SMF_VERSION, migrateSMF } from '../../renderer/core/SmfMigrations.js';
+import { isInventoryKeyScheme } from '../../renderer/core/SmfLayout.js';
 
 export const FileManager = {
   /**
@@ -26,26 +32,12 @@ export const FileManager = {
     const mapData = {
       // Format metadata
       format: "SMF",
-      version: "2.1.0",
+      version: SMF_VERSION,
       created: timestamp,
       modified: timestamp,
       
       // Venue information
-      venue: {
-        name: "Venue name",
-        capacity: this.calculateTotalCapacity(),
-        location: {
-          address: "123 Main Street",
-          city: "Austin",
-          state: "TX",
-          country: "USA",
-          coordinates: {
-            lat: 30.2672,
-            lng: -97.7431
-          }
-        },
-        metadata: {}
-      },
+      venue: this.serializeVenue(),
       
       // Canvas/viewport settings
       canvas: {
@@ -56,28 +48,20 @@ export const FileManager = {
         panY: State.world.position.y
       },
       
-      // Underlay image (background)
-      underlay: State.underlayData ? {
-        dataUrl: State.underlaySourceUrl ? null : State.underlayData,
-        fileName: State.underlayFileName,
-        sourceUrl: State.underlaySourceUrl || null,
-        x: State.underlayX,
-        y: State.underlayY,
-        width: State.underlaySprite?.originalWidth || null,
-        height: State.underlaySprite?.originalHeight || null,
-        scale: State.underlayScale,
-        opacity: State.underlayOpacity,
-        visible: State.underlayVisible
-      } : null,
+      // Underlay image (background); multi-level maps keep one per level
+      underlay: State.levels.length > 0 ? null : this.serializeUnderlay(),
       
-      // Section groups (for future use)
-      groups: [],
+      // Floors / levels
+      levels: LevelManager.serialize(this.serializeUnderlay()),
+      
+      // Section groups
+      groups: GroupManager.serialize(),
       
       // Sections array
       sections: State.sections.map(section => this.serializeSection(section)),
       
-      // Future extensibility: other objects
-      objects: [],
+      // Stages, amenities, text and arrows
+      objects: State.objects.map(object => object.toJSON()),
       
       // Global metadata
       metadata: {
@@ -91,6 +75,78 @@ export const FileManager = {
     return mapData;
   },
   
+  /**
+   * Serialize the underlay image currently shown
+   * @returns {Object|null} SMF underlay object, null without an image
+   */
+  serializeUnderlay() {
+    if (!State.underlayData) return null;
+
+    return {
+      dataUrl: State.underlaySourceUrl ? null : State.underlayData,
+      fileName: State.underlayFileName,
+      sourceUrl: State.underlaySourceUrl || null,
+      x: State.underlayX,
+      y: State.underlayY,
+      width: State.underlaySprite?.originalWidth || null,
+      height: State.underlaySprite?.originalHeight || null,
+      scale: State.underlayScale,
+      opacity: State.underlayOpacity,
+      visible: State.underlayVisible
+    };
+  },
+
+  /**
+   * Serialize the venue metadata edited in the Venue sidebar
+   * Empty text fields are written as null.
+   */
+  serializeVenue() {
+    const venue = State.venue;
+    const text = (value) => (value || '').trim() || null;
+
+    return {
+      name: text(venue.name),
+      capacity: this.calculateTotalCapacity(),
+      timezone: text(venue.timezone),
+      inventoryKey: venue.inventoryKey || 'label',
+      location: {
+        address: text(venue.location.address),
+        city: text(venue.location.city),
+        state: text(venue.location.state),
+        country: text(venue.location.country),
+        coordinates: {
+          lat: venue.location.coordinates.lat,
+          lng: venue.location.coordinates.lng
+        }
+      },
+      metadata: { ...venue.metadata }
+    };
+  },
+
+  /**
+   * Restore venue metadata from a loaded file
+   * @param {Object} venue - SMF venue object
+   */
+  restoreVenue(venue = {}) {
+    const location = venue.location || {};
+    const coordinates = location.coordinates || {};
+    const number = (value) => (typeof value === 'number' ? value : null);
+
+    State.venue = {
+      name: venue.name || '',
+      timezone: venue.timezone || '',
+      inventoryKey: isInventoryKeyScheme(venue.inventoryKey) ? venue.inventoryKey : 'label',
+      location: {
+        address: location.address || '',
+        city: location.city || '',
+        state: location.state || '',
+        country: location.country || '',
+        coordinates: { lat: number(coordinates.lat), lng: number(coordinates.lng) }
+      },
+      metadata: { ...venue.metadata }
+    };
+  },
+
   /**
    * Serialize a single section to JSON format
    */
@@ -101,7 +157,8 @@ export const FileManager = {
         // Identity
         id: section.uniqueId,
         name: section.sectionId,
-        groupId: null,
+        groupId: GroupManager.getGroupOf(section)?.id || null,
+        levelId: LevelManager.getLevelOf(section)?.id || null,
         type: 'ga', // Mark as General Admission
         
         // Position and dimensions
@@ -167,7 +224,8 @@ export const FileManager = {
             enabled: section.glowEnabled,
             color: section.glowColor,
             opacity: section.glowOpacity,
-            strength: section.glowStrength
+            strength: section.glowStrength,
+            blur: section.glowBlur
           }
         },
         
@@ -228,8 +286,10 @@ export const FileManager = {
     const maxRowIndex = Math.max(...Array.from(rows));
     const maxColIndex = Math.max(...Array.from(cols));
     
-    const numRows = maxRowIndex + 1;
-    const numCols = maxColIndex + 1;
+    // Row-defined sections keep every defined row, even if all its seats were deleted
+    const rowDefinitions = section.rowDefinitions;
+    const numRows = rowDefinitions ? rowDefinitions.length : maxRowIndex + 1;
+    const numCols = rowDefinitions ? Math.max(...rowDefinitions.map(row => row.seats)) : maxColIndex + 1;
 
     // Calculate spacing to preserve grid layout
     let spacingX = 24; // Default
@@ -300,15 +360,17 @@ export const FileManager = {
     if (countY > 0) spacingY = totalSpacingY / countY;
 
     // Recalculate base dimensions based on the full grid extent
+    // (arc sections are sized by their outline, not a grid)
     const margin = 20; // CONFIG.SECTION_MARGIN
-    const baseWidth = (numCols > 1) ? ((numCols - 1) * spacingX + (margin * 2)) : section.baseWidth;
-    const baseHeight = (numRows > 1) ? ((numRows - 1) * spacingY + (margin * 2)) : section.baseHeight;
+    const baseWidth = (numCols > 1 && !section.arc) ? ((numCols - 1) * spacingX + (margin * 2)) : section.baseWidth;
+    const baseHeight = (numRows > 1 && !section.arc) ? ((numRows - 1) * spacingY + (margin * 2)) : section.baseHeight;
     
     return {
       // Identity
       id: section.uniqueId,
       name: section.sectionId,
-      groupId: null,
+      groupId: GroupManager.getGroupOf(section)?.id || null,
+      levelId: LevelManager.getLevelOf(section)?.id || null,
       
       // Position and dimensions
       x: section.x - section.pivot.x,  // Convert from center to top-left
@@ -324,7 +386,8 @@ export const FileManager = {
         columns: numCols,
         baseWidth: baseWidth,
         baseHeight: baseHeight,
-        padding: section.sectionPadding
+        padding: section.sectionPadding,
+        ...(rowDefinitions ? { rowDefinitions: rowDefinitions.map(row => ({ ...row })) } : {})
       },
       
       // Transformations
@@ -339,6 +402,7 @@ export const FileManager = {
       rowLabels: {
         type: section.rowLabelType || "none",
         start: section.rowLabelStart !== undefined ? section.rowLabelStart : (section.rowLabelType === 'letters' ? 'A' : 1),
+        ...(section.rowLabelType === 'custom' ? { names: [...(section.rowLabelNames || [])] } : {}),
         reversed: section.rowLabelReversed || false,
         showLeft: section.showLeftLabels || false,
         showRight: section.showRightLabels || false,
@@ -361,6 +425,12 @@ export const FileManager = {
       layoutShiftX: section.layoutShiftX || 0,
       layoutShiftY: section.layoutShiftY || 0,
       
+      // Polygon outline in seat space (shaped seat sections only)
+      ...(section.outline ? { outline: section.outline } : {}),
+      
+      // Arc geometry (radial sections only); the world center is informational
+      ...(section.arc ? { arc: this.serializeArc(section) } : {}),
+      
       // Individual seats (for supporting deleted seats and special needs)
       // Save BOTH base and current (transformed) positions
       seats: seats.map(seat => {
@@ -382,6 +452,7 @@ export const FileManager = {
         // Optional fields - only add if true/present
         if (seat.specialNeeds) seatData.sn = true;
         if (seat.isManualNumber) seatData.mn = true;
+        if (seat.priceCategory) seatData.pc = seat.priceCategory;
         
         // Base coordinates - only if different from relative (transformed)
         const baseX = seat.baseRelativeX;
@@ -426,7 +497,10 @@ export const FileManager = {
         basePrice: section.pricing.basePrice || 0,
         serviceFee: section.pricing.serviceFee || 0,
         serviceFeeEnabled: section.pricing.serviceFeeEnabled || false,
-        serviceFeeType: section.pricing.serviceFeeType || 'fixed'
+        serviceFeeType: section.pricing.serviceFeeType || 'fixed',
+        ...(section.pricing.categories?.length ? {
+          categories: section.pricing.categories.map(category => ({ ...category }))
+        } : {})
       } : {
         basePrice: 0,
         serviceFee: 0,
@@ -472,9 +546,12 @@ export const FileManager = {
   
   /**
    * Save current venue map
+   * Seats that would share an inventory key are flagged first (see ManifestManager.confirmKeys).
    */
   save() {
     try {
+      if (!ManifestManager.confirmKeys()) return false;
+
       const mapData = this.exportToJSON();
       
       // Generate filename with timestamp
@@ -496,6 +573,16 @@ export const FileManager = {
    */
   async importFromJSON(jsonData) {
     try {
+      // Upgrade older format versions (refuses versions newer than this editor writes)
+      if (jsonData?.format === 'SMF') {
+        const migration = migrateSMF(jsonData);
+        if (migration.changes.length > 0) {
+          console.log(`Upgraded SMF v${migration.fromVersion} to v${migration.toVersion}:`);
+          migration.changes.forEach(change => console.log(`  ↑ ${change}`));
+        }
+        jsonData = migration.data;
+      }
+      
       // Validate format using SMF Validator
       const { SMFValidator } = await import('../core/smfValidator.js');
       const validation = SMFValidator.validate(jsonData);
@@ -517,16 +604,35 @@ export const FileManager = {
       // Clear existing sections
       await this.clearAllSections();
       
+      // Restore venue metadata
+      this.restoreVenue(jsonData.venue);
+      if (State.currentMode === 'venue') {
+        const { ModeManager } = await import('./modeManager.js');
+        ModeManager.loadVenueData();
+      }
+      
+      // Restore levels and groups before the sections and objects that reference them
+      LevelManager.restore(jsonData.levels);
+      GroupManager.restore(jsonData.groups);
+      
+      // Replace venue objects
+      const { ObjectManager } = await import('./ObjectManager.js');
+      ObjectManager.clearAll();
+      ObjectManager.restore(jsonData.objects);
+      
       // Restore canvas state
       if (jsonData.canvas) {
         State.world.scale.set(jsonData.canvas.zoom);
         State.world.position.set(jsonData.canvas.panX, jsonData.canvas.panY);
       }
       
-      // Restore underlay if present
-      if (jsonData.underlay) {
+      // Restore underlay if present (the first level's on multi-level maps)
+      const underlay = State.currentLevelId
+        ? LevelManager.takeUnderlay(State.currentLevelId)
+        : jsonData.underlay;
+      if (underlay) {
         const { UnderlayManager } = await import('./UnderlayManager.js');
-        await UnderlayManager.restore(jsonData.underlay);
+        await UnderlayManager.restore(underlay);
       }
       
       // Import sections
@@ -536,6 +642,10 @@ export const FileManager = {
         await this.deserializeSection(sectionData, SectionManager);
       }
       
+      // Undo history refers to the previous map's sections
+      const { HistoryManager } = await import('./HistoryManager.js');
+      HistoryManager.clear();
+      
       console.log(`✓ Loaded ${jsonData.sections.length} sections with ${jsonData.venue.capacity} total seats`);
       return true;
     } catch (error) {
@@ -545,6 +655,86 @@ export const FileManager = {
     }
   },
   
+  /**
+   * Read a CSV seat manifest for the column-mapping dialog
+   * @param {File} file - Chosen file
+   * @returns {Promise<Object>} { headers, records, mapping } with the auto-detected mapping
+   */
+  async readCSV(file) {
+    const { CsvManifest } = await import('../core/csvManifest.js');
+    const { headers, records } = CsvManifest.parse(await file.text());
+    return { headers, records, mapping: CsvManifest.detectMapping(headers) };
+  },
+
+  /**
+   * Import sections from a CSV seat manifest into the current map (and level)
+   * Unlike importFromJSON this adds to the map instead of replacing it, as one undo step.
+   * @param {Array<{ line: number, values: string[] }>} records - Records from readCSV()
+   * @param {Object} mapping - Field key -> column index (-1 for unmapped)
+   * @param {Object} options - { scale: editor px per manifest unit }
+   * @returns {Promise<Object|null>} Import report ({ rows, seats, sections, duplicates, unplaced, sharedKeys }), null on failure
+   */
+  async importFromCSV(records, mapping, options = {}) {
+    try {
+      const { CsvManifest } = await import('../core/csvManifest.js');
+      const { SectionManager } = await import('./sectionManager.js');
+      const { HistoryManager } = await import('./HistoryManager.js');
+
+      // Sections without coordinates go right of what's already on this level
+      const existing = State.sections.filter(section => !section.isZone && section.levelId === State.currentLevelId);
+      const origin = existing.length > 0
+        ? {
+            x: Math.max(...existing.map(section => section.x + section.contentWidth / 2)) + CsvManifest.SECTION_GAP,
+            y: Math.min(...existing.map(section => section.y - section.contentHeight / 2))
+          }
+        : { x: 0, y: 0 };
+
+      const { sections, report } = CsvManifest.buildSections(records, mapping, { ...options, origin });
+      if (sections.length === 0) {
+        throw new Error('No seats could be placed');
+      }
+
+      const created = await HistoryManager.record('Import CSV', [], async () => {
+        const added = [];
+        for (const data of sections) {
+          data.levelId = State.currentLevelId;
+          const section = await this.deserializeSection(data, SectionManager);
+
+          // Row labels grow the section box; keep the seats where the manifest put them
+          const seat = section.seats[0];
+          const seatData = data.seats.find(s => s.r === seat.rowIndex && s.c === seat.colIndex);
+          section.x += data.x + seatData.x - seat.x;
+          section.y += data.y + seatData.y - seat.y;
+          SectionManager.positionSeatsAndLabels(section);
+          added.push(section);
+        }
+        return added;
+      });
+
+      SectionManager.deselectAll();
+      created.forEach(section => SectionManager.selectSection(section));
+      document.dispatchEvent(new CustomEvent('selectionchanged', {
+        detail: { selectedSections: created }
+      }));
+
+      // Inventory keys the imported seats share (e.g. with a section of the same name already on the map)
+      const importedNames = new Set(created.map(section => section.sectionId));
+      report.sharedKeys = ManifestManager.findKeyCollisions()
+        .filter(({ seats }) => seats.some(seat => importedNames.has(seat.section)))
+        .map(({ key, seats }) => ({ key, seats: seats.length }));
+
+      console.log(`✓ Imported ${report.seats} seats in ${report.sections} sections from CSV`);
+      if (report.duplicates.length > 0 || report.unplaced.length > 0 || report.sharedKeys.length > 0) {
+        console.warn(`  ⚠ ${report.duplicates.length} duplicate(s), ${report.unplaced.length} row(s) not placed, ${report.sharedKeys.length} shared key(s)`);
+      }
+      return report;
+    } catch (error) {
+      console.error('✗ Failed to import CSV manifest:', error);
+      alert(`Failed to import CSV: ${error.message}`);
+      return null;
+    }
+  },
+
   /**
    * Deserialize a single section from JSON
    */
@@ -553,10 +743,7 @@ export const FileManager = {
     if (data.type === 'ga') {
       let section;
       
-      // Check for isZone flag OR legacy indicators (like zoneLabel or name starting with "Zone")
-      const isZone = data.isZone || (data.zoneLabel !== undefined) || (data.name && data.name.startsWith('Zone'));
-
-      if (isZone) {
+      if (data.isZone) {
         // Create Zone
         section = SectionManager.createZone(
           data.x,
@@ -604,6 +791,8 @@ export const FileManager = {
       
       // Restore section name
       section.sectionId = data.name || data.id; // Fallback to id if name missing
+      section.groupId = GroupManager.getGroup(data.groupId)?.id || null;
+      section.levelId = LevelManager.resolveLevelId(data.levelId);
       
       if (data.id) {
         // Check for duplicates in ALREADY loaded sections
@@ -635,6 +824,19 @@ export const FileManager = {
         };
       }
       
+      // Restore fill, stroke and glow
+      if (data.style) {
+        if (data.style.fillVisible !== undefined) section.fillVisible = data.style.fillVisible;
+        if (data.style.strokeVisible !== undefined) section.strokeVisible = data.style.strokeVisible;
+        if (data.style.glow) {
+          section.glowEnabled = data.style.glow.enabled || false;
+          section.glowColor = data.style.glow.color || COLORS.DEFAULT_GLOW;
+          section.glowOpacity = data.style.glow.opacity !== undefined ? data.style.glow.opacity : 0.5;
+          section.glowStrength = data.style.glow.strength !== undefined ? data.style.glow.strength : 10;
+          section.glowBlur = data.style.glow.blur !== undefined ? data.style.glow.blur : 5;
+        }
+      }
+      
       // Restore rotation
       section.rotationDegrees = data.transform.rotation || 0;
       if (section.rotationDegrees !== 0) {
@@ -647,12 +849,13 @@ export const FileManager = {
         section.y = data.centerY;
       }
       
+      GroupManager.applyGroupState(section);
       return section;
     }
     
     // Regular section with seats
-    // Determine if this is v2.0.0 format with individual seat data
-    const hasIndividualSeats = Array.isArray(data.seats) && data.seats.length > 0 && (data.seats[0].rowIndex !== undefined || data.seats[0].r !== undefined);
+    // Sections with individual seat data (empty seats: a full grid or row definitions)
+    const hasIndividualSeats = Array.isArray(data.seats) && data.seats.length > 0 && data.seats[0].r !== undefined;
     
     // Create section with base dimensions
     const section = SectionManager.createSection(
@@ -666,6 +869,7 @@ export const FileManager = {
     
     // Restore section name
     section.sectionId = data.name || data.id; // Fallback to id if name missing
+    section.groupId = GroupManager.getGroup(data.groupId)?.id || null;
     
     if (data.id) {
       // Check for duplicates in ALREADY loaded sections
@@ -687,6 +891,7 @@ export const FileManager = {
     // Restore row labels (with v2.0.0 additions)
     section.rowLabelType = data.rowLabels.type;
     section.rowLabelStart = data.rowLabels.start !== undefined ? data.rowLabels.start : (data.rowLabels.type === 'letters' ? 'A' : 1);
+    section.rowLabelNames = data.rowLabels.type === 'custom' ? [...(data.rowLabels.names || [])] : null;
     section.rowLabelReversed = data.rowLabels.reversed || false;
     section.showLeftLabels = data.rowLabels.showLeft;
     section.showRightLabels = data.rowLabels.showRight;
@@ -712,13 +917,55 @@ export const FileManager = {
       section.layoutShiftY = data.layoutShiftY;
     }
     
+    // Restore per-row layout
+    if (data.base.rowDefinitions) {
+      section.rowDefinitions = data.base.rowDefinitions.map(row => ({
+        seats: row.seats,
+        offset: row.offset || 0,
+        spacing: row.spacing
+      }));
+      
+      // Files that only describe their rows get their seats from the definitions
+      if (!hasIndividualSeats) {
+        const { SeatManager } = await import('./SeatManager.js');
+        SeatManager.applyRowDefinitions(section, section.rowDefinitions);
+      }
+    }
+    
+    // Restore arc geometry (radial sections)
+    if (data.arc) {
+      const arc = {
+        innerRadius: data.arc.innerRadius,
+        rowDepth: data.arc.rowDepth,
+        rows: data.arc.rows,
+        angleSpan: data.arc.angleSpan,
+        seatSpacing: data.arc.seatSpacing
+      };
+      
+      // Files that only describe the arc get their seats from it
+      if (hasIndividualSeats) {
+        section.arc = arc;
+      } else {
+        const { SeatManager } = await import('./SeatManager.js');
+        SeatManager.applyArc(section, arc);
+      }
+    }
+    
+    // Restore polygon outline (shaped seat sections)
+    if (data.outline) {
+      section.outline = data.outline;
+    }
+    
     // Restore pricing (v2.0.0+)
     if (data.pricing) {
       section.pricing = {
         basePrice: data.pricing.basePrice || 0,
         serviceFee: data.pricing.serviceFee || 0,
         serviceFeeEnabled: data.pricing.serviceFeeEnabled || false,
-        serviceFeeType: data.pricing.serviceFeeType || 'fixed'
+        serviceFeeType: data.pricing.serviceFeeType || 'fixed',
+        ...(Array.isArray(data.pricing.categories) ? {
+          categories: data.pricing.categories.map(category => ({ ...category }))
+        } : {})
       };
     }
     
@@ -730,48 +977,22 @@ export const FileManager = {
       SectionManager.setSectionColor(section, colorHex);
     }
     
-    // Restore seat colors (v2.0.0+)
+    // Restore seat colors (v2.0.0+; string colors are converted by SmfMigrations)
     let needsSeatColorUpdate = false;
     if (data.style) {
-      if (data.style.seatColor !== undefined && data.style.seatColor !== null) {
-        // Handle both number and string formats
-        if (typeof data.style.seatColor === 'string') {
-          const colorValue = parseInt(data.style.seatColor.replace('#', ''), 16);
-          if (!isNaN(colorValue)) {
-            section.seatColor = colorValue;
-            needsSeatColorUpdate = true;
-          }
-        } else if (typeof data.style.seatColor === 'number') {
-          section.seatColor = data.style.seatColor;
-          needsSeatColorUpdate = true;
-        }
+      if (typeof data.style.seatColor === 'number') {
+        section.seatColor = data.style.seatColor;
+        needsSeatColorUpdate = true;
       }
-      if (data.style.seatTextColor !== undefined && data.style.seatTextColor !== null) {
-        // Handle both number and string formats
-        if (typeof data.style.seatTextColor === 'string') {
-          const colorValue = parseInt(data.style.seatTextColor.replace('#', ''), 16);
-          if (!isNaN(colorValue)) {
-            section.seatTextColor = colorValue;
-            needsSeatColorUpdate = true;
-          }
-        } else if (typeof data.style.seatTextColor === 'number') {
-          section.seatTextColor = data.style.seatTextColor;
-          needsSeatColorUpdate = true;
-        }
+      if (typeof data.style.seatTextColor === 'number') {
+        section.seatTextColor = data.style.seatTextColor;
+        needsSeatColorUpdate = true;
       }
     }
 
     // Restore row label color from rowLabels.color field
-    if (data.rowLabels && data.rowLabels.color !== undefined && data.rowLabels.color !== null) {
-      // Handle both number and string formats
-      if (typeof data.rowLabels.color === 'string') {
-        const colorValue = parseInt(data.rowLabels.color.replace('#', ''), 16);
-        if (!isNaN(colorValue)) {
-          section.rowLabelColor = colorValue;
-        }
-      } else if (typeof data.rowLabels.color === 'number') {
-        section.rowLabelColor = data.rowLabels.color;
-      }
+    if (data.rowLabels && typeof data.rowLabels.color === 'number') {
+      section.rowLabelColor = data.rowLabels.color;
     }
     
     // Restore fill and stroke visibility (v2.0.0+)
@@ -801,11 +1022,7 @@ export const FileManager = {
     // Handle deleted seats and restore special needs status (v2.0.0+)
     if (hasIndividualSeats) {
       // Create a map of seat data for fast lookup
-      const seatDataMap = new Map(data.seats.map(s => {
-          const r = s.r !== undefined ? s.r : s.rowIndex;
-          const c = s.c !== undefined ? s.c : s.colIndex;
-          return [`${r},${c}`, s];
-      }));
+      const seatDataMap = new Map(data.seats.map(s => [`${s.r},${s.c}`, s]));
       
       // Import SeatManager once for efficiency
       const { SeatManager } = await import('./SeatManager.js');
@@ -822,13 +1039,11 @@ export const FileManager = {
           seat.destroy();
         } else {
           // Restore seat positions from saved data
-          // Handle both legacy (baseX) and optimized (bx) keys
-          const bx = seatData.bx !== undefined ? seatData.bx : seatData.baseX;
-          const by = seatData.by !== undefined ? seatData.by : seatData.baseY;
-          
-          // Handle both legacy (relativeX) and optimized (x) keys
-          const rx = seatData.x !== undefined ? seatData.x : seatData.relativeX;
-          const ry = seatData.y !== undefined ? seatData.y : seatData.relativeY;
+          // (legacy keys such as baseX/relativeX are converted by SmfMigrations)
+          const bx = seatData.bx;
+          const by = seatData.by;
+          const rx = seatData.x;
+          const ry = seatData.y;
 
           if (bx !== undefined) {
             seat.baseRelativeX = bx;
@@ -841,14 +1056,14 @@ export const FileManager = {
           if (rx !== undefined) {
             seat.relativeX = rx;
           } else if (bx !== undefined) {
-            // Fallback for older files without relativeX/Y
+            // Fallback for seats saved without transformed positions
             seat.relativeX = bx;
           }
           
           if (ry !== undefined) {
             seat.relativeY = ry;
           } else if (by !== undefined) {
-            // Fallback for older files without relativeX/Y
+            // Fallback for seats saved without transformed positions
             seat.relativeY = by;
           }
           
@@ -862,8 +1077,7 @@ export const FileManager = {
           }
           
           // Restore seat number if available
-          // Handle legacy (number) and optimized (n)
-          const number = seatData.n !== undefined ? seatData.n : seatData.number;
+          const number = seatData.n;
           if (number !== undefined) {
             if (seat.seatLabel) {
               seat.seatLabel.text = number;
@@ -874,8 +1088,7 @@ export const FileManager = {
           }
 
           // Restore manual number flag
-          // Handle legacy (isManualNumber) and optimized (mn)
-          if (seatData.mn || seatData.isManualNumber) {
+          if (seatData.mn) {
             seat.isManualNumber = true;
           }
 
@@ -885,16 +1098,18 @@ export const FileManager = {
           }
           
           // Restore special needs status
-          // Handle legacy (specialNeeds) and optimized (sn)
-          if (seatData.sn || seatData.specialNeeds) {
+          if (seatData.sn) {
             SeatManager.setSpecialNeeds(seat, true);
           }
+
+          // Restore price category (optimized key pc)
+          if (seatData.pc) {
+            SeatManager.setPriceCategory(seat, seatData.pc);
+          }
           
           // Restore metadata
           if (seatData.m) {
              seat.metadata = seatData.m;
-          } else if (seatData.metadata) {
-             seat.metadata = seatData.metadata;
           }
 
           keptSeats.push(seat);
@@ -904,8 +1119,14 @@ export const FileManager = {
       
       // IMPORTANT: Rebuild base positions from row/column indices
       // This fixes corrupted base positions that may exist in the file
-      const { SectionTransformations } = await import('./SectionTransformations.js');
-      SectionTransformations.rebuildBasePositions(section);
+      // Row-defined sections rebuild from their row definitions instead of a uniform grid
+      if (section.arc) {
+        SectionTransformations.layoutArc(section, { baseOnly: true });
+      } else if (section.rowDefinitions) {
+        SectionTransformations.layoutRowDefinitions(section, { baseOnly: true });
+      } else {
+        SectionTransformations.rebuildBasePositions(section);
+      }
       
       // VALIDATION: Ensure each seat has independent base position properties
       // This prevents reference sharing bugs between duplicated sections
@@ -981,9 +1202,24 @@ export const FileManager = {
       SeatManager.updateAllSeats(section);
     }
     
+    GroupManager.applyGroupState(section);
     return section;
   },
   
+  /**
+   * Serialize an arc section's geometry with its world-space center point
+   * @param {Section} section - Section with arc geometry
+   * @returns {Object} { centerX, centerY, innerRadius, rowDepth, rows, angleSpan, seatSpacing }
+   */
+  serializeArc(section) {
+    const center = SectionTransformations.getArcCenter(section);
+    return {
+      centerX: center.x,
+      centerY: center.y,
+      ...section.arc
+    };
+  },
+  
   /**
    * Clear all existing sections
    */
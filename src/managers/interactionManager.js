@@ -9,6 +9,10 @@ import { ToolManager } from './toolManager.js';
 import { SectionManager } from './sectionManager.js';
 import { AlignmentManager } from './alignmentManager.js';
 import { ModeManager } from './modeManager.js';
+import { HistoryManager } from './HistoryManager.js';
+import { GroupManager } from './GroupManager.js';
+import { ObjectManager } from './ObjectManager.js';
+import { LevelManager } from './LevelManager.js';
 
 export const InteractionManager = {
   init() {
@@ -51,6 +55,30 @@ export const InteractionManager = {
       ToolManager.handleCreateZoneStart(worldPos);
       return;
     }
+
+    // Create Arc mode - press on the arc center and drag out the radius
+    if (State.isCreateArcMode) {
+      if (e.button !== 0 || State.pendingSection) return;
+      const worldPos = Utils.screenToWorld(e.global.x, e.global.y);
+      ToolManager.handleCreateArcStart(worldPos);
+      return;
+    }
+
+    // Create Polygon mode - each click adds a vertex
+    if (State.isCreatePolygonMode) {
+      if (e.button !== 0 || State.pendingSection) return;
+      const worldPos = Utils.screenToWorld(e.global.x, e.global.y);
+      ToolManager.handlePolygonClick(worldPos);
+      return;
+    }
+
+    // Create Object mode - click places the picked object
+    if (State.isCreateObjectMode) {
+      if (e.button !== 0) return;
+      const worldPos = Utils.screenToWorld(e.global.x, e.global.y);
+      ToolManager.handleCreateObject(worldPos);
+      return;
+    }
     
     // Store shift key state for later use
     State.isShiftPressed = e.shiftKey;
@@ -71,6 +99,11 @@ export const InteractionManager = {
       return;
     }
     
+    // Clicking the background drops the object selection
+    if (State.selectedObject) {
+      ObjectManager.deselectObject();
+    }
+    
     // Clear selection when clicking on background (not holding shift)
     if (!e.shiftKey && State.selectedSections.length > 0) {
       State.selectedSections.forEach(section => {
@@ -106,6 +139,7 @@ export const InteractionManager = {
           x: s.x,
           y: s.y
         }));
+        State.dragHistoryEntry = HistoryManager.begin('Move sections', State.selectedSections);
         State.potentialDragStart = null;
         State.app.stage.cursor = 'grabbing';
       }
@@ -136,7 +170,8 @@ export const InteractionManager = {
       }));
       
       // Get permitted movement with sliding behavior (using CURRENT positions)
-      const otherSections = State.sections.filter(s => !State.selectedSections.includes(s));
+      const otherSections = State.sections.filter(s =>
+        !State.selectedSections.includes(s) && LevelManager.isOnCurrentLevel(s));
       const { dx, dy } = AlignmentManager.getPermittedDrag(
         currentPositions,
         movementFromCurrent.dx,
@@ -170,6 +205,10 @@ export const InteractionManager = {
         ToolManager.handleCreateGAMove(worldPos, e.global.x, e.global.y);
       } else if (State.isCreateZoneMode) {
         ToolManager.handleCreateZoneMove(worldPos, e.global.x, e.global.y);
+      } else if (State.isCreatePolygonMode) {
+        ToolManager.handlePolygonMove(worldPos, e.global.x, e.global.y);
+      } else if (State.isCreateArcMode) {
+        ToolManager.handleCreateArcMove(worldPos, e.global.x, e.global.y);
       }
       return;
     }
@@ -318,8 +357,11 @@ export const InteractionManager = {
         s.alpha = 1;
       });
       
+      HistoryManager.commit(State.dragHistoryEntry);
+      
       State.dragStartPos = null;
       State.dragOriginalPositions = null;
+      State.dragHistoryEntry = null;
       State.app.stage.cursor = 'default';
       return;
     }
@@ -333,6 +375,8 @@ export const InteractionManager = {
         ToolManager.handleCreateGAEnd(worldPos);
       } else if (State.isCreateZoneMode) {
         ToolManager.handleCreateZoneEnd(worldPos);
+      } else if (State.isCreateArcMode) {
+        ToolManager.handleCreateArcEnd(worldPos);
       }
       return;
     }
@@ -419,6 +463,9 @@ export const InteractionManager = {
       );
       
       if (intersects && !State.selectedSections.includes(section)) {
+        // Hidden and locked groups are skipped
+        if (!GroupManager.isSectionEditable(section)) return;
+
         // Zone Mode Restriction
         if (State.isEditZonesMode) {
           if (!section.isZone) return; // Can only select zones in zone mode
@@ -4,6 +4,9 @@
 
 import { State } from '../core/state.js';
 import { COLORS, VISUAL_CONFIG } from '../core/config.js';
+import { HistoryManager } from './HistoryManager.js';
+import { Utils } from '../core/utils.js';
+import { isInventoryKeyScheme } from '../../renderer/core/SmfLayout.js';
 
 export const ModeManager = {
   init() {
@@ -82,6 +85,16 @@ export const ModeManager = {
     });
     document.querySelector(`[data-mode="${mode}"]`)?.classList.add('active');
     
+    if (previousMode === 'venue' && mode !== 'venue') {
+      this.hideVenueSidebar();
+    }
+    if (previousMode === 'layers' && mode !== 'layers') {
+      this.hideLayersSidebar();
+    }
+    if (State.selectedObject) {
+      import('./ObjectManager.js').then(({ ObjectManager }) => ObjectManager.deselectObject());
+    }
+    
     // Handle mode-specific logic
     if (mode === 'seats') {
       this.enterEditSeatsMode();
@@ -122,6 +135,32 @@ export const ModeManager = {
       }
       this.showUnderlaySidebar();
       this.enableUnderlayInteractions();
+    } else if (mode === 'venue') {
+      if (previousMode === 'seats') {
+        this.exitEditSeatsMode();
+      }
+      if (previousMode === 'zones') {
+        this.exitEditZonesMode();
+      }
+      this.hideSeatSidebar();
+      this.hidePricingSidebar();
+      this.hideUnderlaySidebar();
+      this.disableUnderlayInteractions();
+      this.showVenueSidebar();
+      this.updateToolVisibility('schema');
+    } else if (mode === 'layers') {
+      if (previousMode === 'seats') {
+        this.exitEditSeatsMode();
+      }
+      if (previousMode === 'zones') {
+        this.exitEditZonesMode();
+      }
+      this.hideSeatSidebar();
+      this.hidePricingSidebar();
+      this.hideUnderlaySidebar();
+      this.disableUnderlayInteractions();
+      this.showLayersSidebar();
+      this.updateToolVisibility('schema');
     } else {
       if (previousMode === 'seats') {
         this.exitEditSeatsMode();
@@ -156,6 +195,15 @@ export const ModeManager = {
       document.getElementById('createGABtn')?.classList.remove('active');
       State.app.stage.cursor = 'default';
     }
+    if (State.isCreatePolygonMode) {
+      import('./toolManager.js').then(({ ToolManager }) => ToolManager.exitPolygonMode());
+    }
+    if (State.isCreateArcMode) {
+      import('./toolManager.js').then(({ ToolManager }) => ToolManager.exitArcMode());
+    }
+    if (State.isCreateObjectMode) {
+      import('./toolManager.js').then(({ ToolManager }) => ToolManager.exitObjectMode());
+    }
 
     // Deselect any non-zone sections
     const nonZoneSelections = State.selectedSections.filter(s => !s.isZone);
@@ -213,14 +261,20 @@ export const ModeManager = {
     const createSectionBtn = document.getElementById('createSectionBtn');
     const createGABtn = document.getElementById('createGABtn');
     const createZoneBtn = document.getElementById('createZoneBtn');
+    const createPolygonBtn = document.getElementById('createPolygonBtn');
+    const createArcBtn = document.getElementById('createArcBtn');
     
     if (mode === 'zones') {
       if (createSectionBtn) createSectionBtn.style.display = 'none';
+      if (createPolygonBtn) createPolygonBtn.style.display = 'none';
+      if (createArcBtn) createArcBtn.style.display = 'none';
       if (createGABtn) createGABtn.style.display = 'none';
       if (createZoneBtn) createZoneBtn.style.display = 'flex';
     } else {
       // Schema mode (default)
       if (createSectionBtn) createSectionBtn.style.display = 'flex';
+      if (createPolygonBtn) createPolygonBtn.style.display = 'flex';
+      if (createArcBtn) createArcBtn.style.display = 'flex';
       if (createGABtn) createGABtn.style.display = 'flex';
       if (createZoneBtn) createZoneBtn.style.display = 'none';
     }
@@ -350,6 +404,10 @@ export const ModeManager = {
     if (State.selectedSeats.length === 0) return;
     
     const count = State.selectedSeats.length;
+    const affectedSections = State.sections.filter(section =>
+      section.seats.some(seat => State.selectedSeats.includes(seat))
+    );
+    const historyEntry = HistoryManager.begin('Delete seats', affectedSections);
     
     // Remove seats from their sections and from the stage
     State.selectedSeats.forEach(seat => {
@@ -369,6 +427,8 @@ export const ModeManager = {
     // Clear selection
     State.selectedSeats = [];
     
+    HistoryManager.commit(historyEntry);
+    
     console.log(`✓ Deleted ${count} seat(s)`);
   },
 
@@ -432,6 +492,7 @@ export const ModeManager = {
     
     this.updateServiceFeeUnit(feeType);
     this.updateTotalPrice();
+    this.renderPriceCategories(section);
   },
 
   savePricingData() {
@@ -507,6 +568,105 @@ export const ModeManager = {
     this.updateTotalPrice();
   },
 
+  /**
+   * Fill the price category editor for a section
+   * Rows are rebuilt only when the category count changes so focus survives edits.
+   * @param {Section} section - The section
+   */
+  renderPriceCategories(section) {
+    const list = document.getElementById('priceCategoryList');
+    if (!list) return;
+
+    const categories = section.pricing?.categories || [];
+    if (list.children.length !== categories.length) {
+      list.innerHTML = categories.map((_, index) => `
+        <div class="row-layout-grid price-category-grid price-category-row">
+          <input type="color" data-field="color" />
+          <input type="text" class="sidebar-input" data-field="name" placeholder="Name" />
+          <input type="number" class="sidebar-input" data-field="price" min="0" step="0.01" />
+          <button class="sidebar-increment-btn" data-remove-category="${index}" title="Remove Category">
+            <span class="material-symbols">close</span>
+          </button>
+        </div>
+      `).join('');
+    }
+
+    Array.from(list.children).forEach((rowEl, index) => {
+      const category = categories[index];
+      rowEl.dataset.id = category.id;
+      const values = {
+        color: '#' + category.color.toString(16).padStart(6, '0'),
+        name: category.name,
+        price: category.price
+      };
+      Object.entries(values).forEach(([field, value]) => {
+        const input = rowEl.querySelector(`[data-field="${field}"]`);
+        if (input !== document.activeElement) {
+          input.value = value;
+        }
+      });
+    });
+  },
+
+  /**
+   * Read the price category editor inputs
+   * @returns {Array<{id: string, name: string, price: number, color: number}>}
+   */
+  readPriceCategories() {
+    const list = document.getElementById('priceCategoryList');
+    if (!list) return [];
+
+    return Array.from(list.querySelectorAll('.price-category-row')).map(rowEl => ({
+      id: rowEl.dataset.id,
+      name: rowEl.querySelector('[data-field="name"]').value.trim(),
+      price: Math.max(0, parseFloat(rowEl.querySelector('[data-field="price"]').value) || 0),
+      color: parseInt(rowEl.querySelector('[data-field="color"]').value.slice(1), 16)
+    }));
+  },
+
+  /**
+   * Replace the price categories of the selected section
+   * Seats assigned to a removed category fall back to the section price.
+   * @param {Array<Object>} categories - { id, name, price, color }
+   */
+  async setPriceCategories(categories) {
+    if (State.selectedSections.length !== 1) return;
+
+    // Pricing is initialized by loadPricingData when the sidebar opens
+    const section = State.selectedSections[0];
+    section.pricing.categories = categories;
+
+    const { SeatManager } = await import('./SeatManager.js');
+    const ids = new Set(categories.map(category => category.id));
+    section.seats.forEach(seat => {
+      if (seat.priceCategory && !ids.has(seat.priceCategory)) {
+        seat.priceCategory = null;
+      }
+    });
+    SeatManager.updateAllSeats(section);
+
+    this.renderPriceCategories(section);
+    console.log(`✓ Saved ${categories.length} price categories for ${section.sectionId}`);
+  },
+
+  addPriceCategory() {
+    const categories = this.readPriceCategories();
+    const palette = COLORS.PRICE_CATEGORIES;
+    categories.push({
+      id: Utils.generateShortId(6),
+      name: `Category ${categories.length + 1}`,
+      price: parseFloat(document.getElementById('pricingBasePrice')?.value) || 0,
+      color: palette[categories.length % palette.length]
+    });
+    this.setPriceCategories(categories);
+  },
+
+  removePriceCategory(index) {
+    const categories = this.readPriceCategories();
+    categories.splice(index, 1);
+    this.setPriceCategories(categories);
+  },
+
   // ============================================
   // UNDERLAY MODE
   // ============================================
@@ -525,6 +685,165 @@ export const ModeManager = {
     }
   },
 
+  // ============================================
+  // VENUE MODE
+  // ============================================
+
+  showVenueSidebar() {
+    const venueSidebar = document.getElementById('venueSidebar');
+    if (venueSidebar) {
+      venueSidebar.classList.add('show');
+      this.loadVenueData();
+    }
+  },
+
+  hideVenueSidebar() {
+    const venueSidebar = document.getElementById('venueSidebar');
+    if (venueSidebar) {
+      venueSidebar.classList.remove('show');
+    }
+  },
+
+  /**
+   * Fill the Venue sidebar from State.venue
+   */
+  loadVenueData() {
+    const venue = State.venue;
+    const values = {
+      venueNameInput: venue.name,
+      venueTimezoneInput: venue.timezone,
+      venueInventoryKeyInput: venue.inventoryKey === 'label' ? '' : venue.inventoryKey,
+      venueAddressInput: venue.location.address,
+      venueCityInput: venue.location.city,
+      venueStateInput: venue.location.state,
+      venueCountryInput: venue.location.country,
+      venueLatInput: venue.location.coordinates.lat ?? '',
+      venueLngInput: venue.location.coordinates.lng ?? ''
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+
+    this.renderVenueMetadata();
+  },
+
+  /**
+   * Store the Venue sidebar fields in State.venue
+   * Coordinates outside the valid range are cleared; an empty or unknown
+   * inventory key scheme means 'label'.
+   */
+  saveVenueData() {
+    const read = (id) => document.getElementById(id)?.value ?? '';
+    const coordinate = (id, limit) => {
+      const value = parseFloat(read(id));
+      return Number.isFinite(value) && Math.abs(value) <= limit ? value : null;
+    };
+
+    State.venue.name = read('venueNameInput');
+    State.venue.timezone = read('venueTimezoneInput').trim();
+    const inventoryKey = read('venueInventoryKeyInput').trim();
+    State.venue.inventoryKey = isInventoryKeyScheme(inventoryKey) ? inventoryKey : 'label';
+    State.venue.location = {
+      address: read('venueAddressInput'),
+      city: read('venueCityInput'),
+      state: read('venueStateInput'),
+      country: read('venueCountryInput'),
+      coordinates: {
+        lat: coordinate('venueLatInput', 90),
+        lng: coordinate('venueLngInput', 180)
+      }
+    };
+  },
+
+  renderVenueMetadata() {
+    const list = document.getElementById('venueMetadataList');
+    if (!list) return;
+
+    const entries = Object.entries(State.venue.metadata);
+    if (list.children.length !== entries.length) {
+      list.innerHTML = entries.map((_, index) => `
+        <div class="row-layout-grid venue-metadata-grid venue-metadata-row">
+          <input type="text" class="sidebar-input" data-field="key" placeholder="Key" />
+          <input type="text" class="sidebar-input" data-field="value" placeholder="Value" />
+          <button class="sidebar-increment-btn" data-remove-metadata="${index}" title="Remove Field">
+            <span class="material-symbols">close</span>
+          </button>
+        </div>
+      `).join('');
+    }
+
+    Array.from(list.children).forEach((rowEl, index) => {
+      const [key, value] = entries[index];
+      const values = { key, value: String(value) };
+      Object.entries(values).forEach(([field, fieldValue]) => {
+        const input = rowEl.querySelector(`[data-field="${field}"]`);
+        if (input !== document.activeElement) {
+          input.value = fieldValue;
+        }
+      });
+    });
+  },
+
+  /**
+   * Read the custom metadata editor inputs
+   * @returns {Array<[string, string]>} Key/value pairs in display order
+   */
+  readVenueMetadata() {
+    const list = document.getElementById('venueMetadataList');
+    if (!list) return [];
+
+    return Array.from(list.querySelectorAll('.venue-metadata-row')).map(rowEl => [
+      rowEl.querySelector('[data-field="key"]').value.trim(),
+      rowEl.querySelector('[data-field="value"]').value
+    ]);
+  },
+
+  /**
+   * Replace the custom venue metadata
+   * Fields without a key are dropped; for repeated keys the last value wins.
+   * @param {Array<[string, string]>} entries - Key/value pairs
+   */
+  setVenueMetadata(entries) {
+    State.venue.metadata = Object.fromEntries(entries.filter(([key]) => key));
+    this.renderVenueMetadata();
+  },
+
+  addVenueMetadataField() {
+    const entries = this.readVenueMetadata();
+    const keys = new Set(entries.map(([key]) => key));
+    let n = entries.length + 1;
+    while (keys.has(`field${n}`)) n++;
+    entries.push([`field${n}`, '']);
+    this.setVenueMetadata(entries);
+  },
+
+  removeVenueMetadataField(index) {
+    const entries = this.readVenueMetadata();
+    entries.splice(index, 1);
+    this.setVenueMetadata(entries);
+  },
+
+  // ============================================
+  // LAYERS MODE
+  // ============================================
+
+  async showLayersSidebar() {
+    const layersSidebar = document.getElementById('layersSidebar');
+    if (layersSidebar) {
+      layersSidebar.classList.add('show');
+      const { GroupManager } = await import('./GroupManager.js');
+      GroupManager.renderLayersPanel();
+    }
+  },
+
+  hideLayersSidebar() {
+    const layersSidebar = document.getElementById('layersSidebar');
+    if (layersSidebar) {
+      layersSidebar.classList.remove('show');
+    }
+  },
+
   showSeatSidebar() {
     const seatSidebar = document.getElementById('seatSidebar');
     if (seatSidebar) {
@@ -546,6 +865,7 @@ export const ModeManager = {
     const specialNeedsToggle = document.getElementById('specialNeedsToggle');
     const seatNumberEditGroup = document.getElementById('seatNumberEditGroup');
     const singleSeatNumberInput = document.getElementById('singleSeatNumberInput');
+    const priceCategorySelect = document.getElementById('seatPriceCategorySelect');
     
     if (countDisplay) {
       countDisplay.textContent = count === 0 
@@ -563,6 +883,23 @@ export const ModeManager = {
       }
     }
     
+    // Offer the active section's price categories
+    if (priceCategorySelect && count > 0) {
+      const categories = State.activeSectionForSeats?.pricing?.categories || [];
+      const selected = new Set(State.selectedSeats.map(seat => seat.priceCategory || ''));
+
+      priceCategorySelect.replaceChildren(
+        new Option('Section price', ''),
+        ...categories.map(category => new Option(`${category.name} ($${category.price.toFixed(2)})`, category.id))
+      );
+      if (selected.size > 1) {
+        const mixed = new Option('Mixed', 'mixed');
+        mixed.disabled = true;
+        priceCategorySelect.add(mixed);
+      }
+      priceCategorySelect.value = selected.size > 1 ? 'mixed' : [...selected][0];
+    }
+    
     // Check if all selected seats have special needs enabled
     if (specialNeedsToggle && count > 0) {
       const allSpecialNeeds = State.selectedSeats.every(seat => seat.specialNeeds);
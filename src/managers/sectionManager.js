@@ -10,6 +10,7 @@ import { SectionInteractionHandler } from './SectionInteractionHandler.js';
 import { ResizeHandleManager } from './ResizeHandleManager.js';
 import { SectionTransformations } from './SectionTransformations.js';
 import { State } from '../core/state.js';
+import { Utils } from '../core/utils.js';
 
 /**
  * Unified SectionManager that delegates to specialized managers
@@ -28,6 +29,39 @@ export const SectionManager = {
     return section;
   },
 
+  createPolygonSection(points) {
+    const section = SectionFactory.createPolygonSection(points);
+    SectionInteractionHandler.setupSectionInteractions(section);
+    SectionFactory.registerSection(section);
+    
+    const { seats, rows } = Utils.calculateSeatDimensions(section.contentWidth, section.contentHeight);
+    const x = section.x - section.pivot.x;
+    const y = section.y - section.pivot.y;
+    SeatManager.createSeats(section, x, y, section.contentWidth, section.contentHeight, rows, seats);
+    SeatManager.clipSeatsToOutline(section);
+    return section;
+  },
+
+  /**
+   * Create an arc section whose center point lands on a world position
+   * @param {{x: number, y: number}} center - Arc center in world coordinates
+   * @param {Object} arc - { innerRadius, rowDepth, rows, angleSpan, seatSpacing }
+   * @param {number} rotation - Rotation in degrees (0 opens the arc downwards)
+   * @returns {Section} The created section
+   */
+  createArcSection(center, arc, rotation = 0) {
+    const section = SectionFactory.createArcSection(arc, rotation);
+    SectionInteractionHandler.setupSectionInteractions(section);
+    SectionFactory.registerSection(section);
+    SeatManager.applyArc(section, arc);
+    
+    const current = SectionTransformations.getArcCenter(section);
+    section.x += center.x - current.x;
+    section.y += center.y - current.y;
+    SectionTransformations.positionSeatsAndLabels(section);
+    return section;
+  },
+
   createGASection(x, y, width, height) {
     const section = SectionFactory.createGASection(x, y, width, height);
     SectionInteractionHandler.setupSectionInteractions(section);
@@ -94,6 +128,18 @@ export const SectionManager = {
     return SeatManager.updateSeatNumbers(section);
   },
 
+  getRowDefinitions(section) {
+    return SeatManager.getRowDefinitions(section);
+  },
+
+  applyRowDefinitions(section, definitions) {
+    return SeatManager.applyRowDefinitions(section, definitions);
+  },
+
+  applyArc(section, arc) {
+    return SeatManager.applyArc(section, arc);
+  },
+
   getRowLabelText(index, type, startValue) {
     return SeatManager.getRowLabelText(index, type, startValue);
   },
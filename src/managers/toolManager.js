@@ -3,9 +3,11 @@
 // ============================================
 
 import { State, Elements } from '../core/state.js';
-import { CONFIG, COLORS, VISUAL_CONFIG } from '../core/config.js';
+import { CONFIG, COLORS, VISUAL_CONFIG, OBJECT_TYPES } from '../core/config.js';
 import { Utils } from '../core/utils.js';
 import { SectionManager } from './sectionManager.js';
+import { HistoryManager } from './HistoryManager.js';
+import { LevelManager } from './LevelManager.js';
 
 export const ToolManager = {
   init() {
@@ -13,6 +15,9 @@ export const ToolManager = {
     this.setupCreateTool();
     this.setupCreateGATool();
     this.setupCreateZoneTool();
+    this.setupCreatePolygonTool();
+    this.setupCreateArcTool();
+    this.setupCreateObjectTool();
     this.setupDialogHandlers();
     this.handleDeleteConfirmation();
     this.setupZoomToFit();
@@ -36,8 +41,12 @@ export const ToolManager = {
     });
   },
 
-  zoomToFitAll() {
-    if (State.sections.length === 0) return;
+  /**
+   * Zoom and center the view on sections, seats and row labels
+   * @param {Section[]} sections - Sections to fit (default: all on the current level)
+   */
+  zoomToFitAll(sections = State.sections.filter(section => LevelManager.isOnCurrentLevel(section))) {
+    if (sections.length === 0) return;
 
     // Calculate bounding box of all sections and seats
     let minX = Infinity;
@@ -45,7 +54,7 @@ export const ToolManager = {
     let maxX = -Infinity;
     let maxY = -Infinity;
 
-    State.sections.forEach(section => {
+    sections.forEach(section => {
       // Section bounds (accounting for pivot at center)
       const sectionLeft = section.x - section.pivot.x;
       const sectionTop = section.y - section.pivot.y;
@@ -114,6 +123,9 @@ export const ToolManager = {
           Elements.createBtn.classList.remove('active');
           this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
         }
+        if (State.isCreateObjectMode) {
+          this.exitObjectMode();
+        }
         if (State.isDeleteMode) {
           State.isDeleteMode = false;
         }
@@ -146,6 +158,9 @@ export const ToolManager = {
         Elements.createBtn.classList.remove('active');
         this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
       }
+      if (State.isCreateObjectMode) {
+        this.exitObjectMode();
+      }
       if (State.isDeleteMode) {
         State.isDeleteMode = false;
       }
@@ -163,6 +178,15 @@ export const ToolManager = {
           Elements.createGABtn.classList.remove('active');
           this.updateButtonLabel(Elements.createGABtn, 'GA');
         }
+        if (State.isCreatePolygonMode) {
+          this.exitPolygonMode();
+        }
+        if (State.isCreateArcMode) {
+          this.exitArcMode();
+        }
+        if (State.isCreateObjectMode) {
+          this.exitObjectMode();
+        }
         if (State.isPanningMode) {
           State.isPanningMode = false;
           Elements.panToolBtn.classList.remove('active');
@@ -189,6 +213,15 @@ export const ToolManager = {
           Elements.createBtn.classList.remove('active');
           this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
         }
+        if (State.isCreatePolygonMode) {
+          this.exitPolygonMode();
+        }
+        if (State.isCreateArcMode) {
+          this.exitArcMode();
+        }
+        if (State.isCreateObjectMode) {
+          this.exitObjectMode();
+        }
         if (State.isPanningMode) {
           State.isPanningMode = false;
           Elements.panToolBtn.classList.remove('active');
@@ -224,6 +257,15 @@ export const ToolManager = {
           Elements.createGABtn.classList.remove('active');
           this.updateButtonLabel(Elements.createGABtn, 'GA');
         }
+        if (State.isCreatePolygonMode) {
+          this.exitPolygonMode();
+        }
+        if (State.isCreateArcMode) {
+          this.exitArcMode();
+        }
+        if (State.isCreateObjectMode) {
+          this.exitObjectMode();
+        }
         if (State.isPanningMode) {
           State.isPanningMode = false;
           Elements.panToolBtn.classList.remove('active');
@@ -299,7 +341,7 @@ export const ToolManager = {
     
     // Create Zone if large enough
     if (snappedWidth > CONFIG.MIN_SECTION_SIZE && snappedHeight > CONFIG.MIN_SECTION_SIZE) {
-      SectionManager.createZone(x, y, snappedWidth, snappedHeight);
+      HistoryManager.record('Create zone', [], () => SectionManager.createZone(x, y, snappedWidth, snappedHeight));
       
       // Exit Zone creation mode
       State.isCreateZoneMode = false;
@@ -312,6 +354,492 @@ export const ToolManager = {
     }
   },
 
+  setupCreatePolygonTool() {
+    if (!Elements.createPolygonBtn) return;
+
+    Elements.createPolygonBtn.addEventListener('click', () => {
+      if (State.isCreatePolygonMode) {
+        this.exitPolygonMode();
+        return;
+      }
+
+      // Turn off other modes
+      if (State.isCreateMode) {
+        State.isCreateMode = false;
+        Elements.createBtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
+      }
+      if (State.isCreateGAMode) {
+        State.isCreateGAMode = false;
+        Elements.createGABtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createGABtn, 'GA');
+      }
+      if (State.isCreateZoneMode) {
+        State.isCreateZoneMode = false;
+        Elements.createZoneBtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createZoneBtn, 'Zone');
+      }
+      if (State.isCreateArcMode) {
+        this.exitArcMode();
+      }
+      if (State.isCreateObjectMode) {
+        this.exitObjectMode();
+      }
+      if (State.isPanningMode) {
+        State.isPanningMode = false;
+        Elements.panToolBtn.classList.remove('active');
+      }
+      if (State.isDeleteMode) {
+        State.isDeleteMode = false;
+      }
+
+      State.isCreatePolygonMode = true;
+      Elements.createPolygonBtn.classList.add('active');
+      this.updateButtonLabel(Elements.createPolygonBtn, 'Cancel');
+      State.app.stage.cursor = 'crosshair';
+    });
+  },
+
+  /**
+   * Leave polygon mode, discarding any unfinished outline
+   */
+  exitPolygonMode() {
+    this.cancelPolygon();
+    State.isCreatePolygonMode = false;
+    if (Elements.createPolygonBtn) {
+      Elements.createPolygonBtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createPolygonBtn, 'Polygon');
+    }
+    State.app.stage.cursor = 'default';
+  },
+
+  /**
+   * Add a vertex, or close the outline on double-click / click on the first vertex
+   * @param {Object} worldPos - Click position in world coordinates
+   */
+  handlePolygonClick(worldPos) {
+    const points = State.polygonPoints;
+    const now = Date.now();
+    const isDoubleClick = now - State.lastPolygonClickTime < 300;
+    State.lastPolygonClickTime = now;
+
+    if (points.length >= 6) {
+      const closeDistance = CONFIG.POLYGON_CLOSE_DISTANCE / State.world.scale.x;
+      const nearFirst = Math.hypot(worldPos.x - points[0], worldPos.y - points[1]) <= closeDistance;
+      if (nearFirst || isDoubleClick) {
+        this.finishPolygon();
+        return;
+      }
+    }
+
+    if (!State.previewRect) {
+      State.isCreating = true;
+      State.previewRect = new PIXI.Graphics();
+      State.world.addChild(State.previewRect);
+    }
+
+    points.push(worldPos.x, worldPos.y);
+    this.drawPolygonPreview(worldPos);
+  },
+
+  handlePolygonMove(worldPos, screenX, screenY) {
+    this.drawPolygonPreview(worldPos);
+
+    const vertices = State.polygonPoints.length / 2;
+    Elements.dragInfo.innerHTML = `${vertices} point${vertices === 1 ? '' : 's'}<br><strong>${vertices >= 3 ? 'Double-click or Enter to finish' : 'Polygon seats'}</strong>`;
+    Elements.dragInfo.style.left = (screenX + 15) + 'px';
+    Elements.dragInfo.style.top = (screenY + 15) + 'px';
+    Elements.dragInfo.classList.add('show');
+  },
+
+  /**
+   * Draw the outline so far plus a rubber-band edge to the cursor
+   * @param {Object} cursor - Cursor position in world coordinates
+   */
+  drawPolygonPreview(cursor) {
+    const points = State.polygonPoints;
+    const preview = State.previewRect;
+    if (!preview || points.length === 0) return;
+
+    preview.clear();
+    const outline = [...points, cursor.x, cursor.y];
+    if (outline.length >= 6) {
+      preview.poly(outline);
+      preview.fill({ color: COLORS.PREVIEW, alpha: VISUAL_CONFIG.PREVIEW.FILL_ALPHA });
+    }
+
+    preview.moveTo(points[0], points[1]);
+    for (let i = 2; i < outline.length; i += 2) {
+      preview.lineTo(outline[i], outline[i + 1]);
+    }
+    preview.stroke({
+      width: VISUAL_CONFIG.PREVIEW.STROKE_WIDTH,
+      color: COLORS.PREVIEW,
+      alpha: VISUAL_CONFIG.PREVIEW.STROKE_ALPHA
+    });
+
+    // Mark the first vertex as the closing target
+    preview.circle(points[0], points[1], CONFIG.POLYGON_CLOSE_DISTANCE / State.world.scale.x);
+    preview.stroke({ width: 1, color: COLORS.PREVIEW, alpha: VISUAL_CONFIG.PREVIEW.STROKE_ALPHA });
+  },
+
+  /**
+   * Remove the last vertex (Backspace while drawing)
+   */
+  undoPolygonPoint() {
+    State.polygonPoints.splice(-2, 2);
+    if (State.polygonPoints.length === 0) {
+      this.cancelPolygon();
+      return;
+    }
+    const last = State.polygonPoints.length - 2;
+    this.drawPolygonPreview({ x: State.polygonPoints[last], y: State.polygonPoints[last + 1] });
+  },
+
+  cancelPolygon() {
+    Utils.hideDragInfo();
+    if (State.previewRect) {
+      State.world.removeChild(State.previewRect);
+      State.previewRect.destroy();
+      State.previewRect = null;
+    }
+    State.polygonPoints = [];
+    State.isCreating = false;
+  },
+
+  /**
+   * Close the outline and fill it with seats
+   * Shows the same keep/delete confirmation as rectangular seat sections.
+   */
+  finishPolygon() {
+    const points = [...State.polygonPoints];
+    this.cancelPolygon();
+
+    if (points.length < 6) return;
+
+    const xs = points.filter((_, i) => i % 2 === 0);
+    const ys = points.filter((_, i) => i % 2 === 1);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    if (width <= CONFIG.MIN_SECTION_SIZE || height <= CONFIG.MIN_SECTION_SIZE) {
+      console.warn('Polygon is too small for a seat section');
+      return;
+    }
+
+    const section = SectionManager.createPolygonSection(points);
+    if (section.seats.length === 0) {
+      SectionManager.deleteSection(section);
+      console.warn('Polygon is too narrow to fit any seats');
+      return;
+    }
+
+    const rows = new Set(section.seats.map(seat => seat.rowIndex)).size;
+
+    // Show confirm box near the section
+    const sectionScreenPos = section.getGlobalPosition();
+    const rect = State.app.canvas.getBoundingClientRect();
+    Elements.confirmBox.style.left = (rect.left + sectionScreenPos.x - 100) + 'px';
+    Elements.confirmBox.style.top = (rect.top + sectionScreenPos.y - section.contentHeight / 2 - 80) + 'px';
+
+    Elements.confirmInfo.innerHTML = `
+      <strong>${rows}</strong> rows<br>
+      <strong>${section.seats.length}</strong> total seats
+    `;
+    this.setEditRowsVisible(false);
+
+    Elements.confirmBox.classList.add('show');
+
+    State.pendingSection = { section, points };
+  },
+
+  /**
+   * Show the confirm box's "Edit Rows" button only for rectangular sections
+   * (row definitions ignore polygon and arc outlines)
+   * @param {boolean} visible
+   */
+  setEditRowsVisible(visible) {
+    if (Elements.confirmEditRows) {
+      Elements.confirmEditRows.style.display = visible ? '' : 'none';
+    }
+  },
+
+  setupCreateArcTool() {
+    if (!Elements.createArcBtn) return;
+
+    Elements.createArcBtn.addEventListener('click', () => {
+      if (State.isCreateArcMode) {
+        this.exitArcMode();
+        return;
+      }
+
+      // Turn off other modes
+      if (State.isCreateMode) {
+        State.isCreateMode = false;
+        Elements.createBtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
+      }
+      if (State.isCreateGAMode) {
+        State.isCreateGAMode = false;
+        Elements.createGABtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createGABtn, 'GA');
+      }
+      if (State.isCreateZoneMode) {
+        State.isCreateZoneMode = false;
+        Elements.createZoneBtn.classList.remove('active');
+        this.updateButtonLabel(Elements.createZoneBtn, 'Zone');
+      }
+      if (State.isCreatePolygonMode) {
+        this.exitPolygonMode();
+      }
+      if (State.isCreateObjectMode) {
+        this.exitObjectMode();
+      }
+      if (State.isPanningMode) {
+        State.isPanningMode = false;
+        Elements.panToolBtn.classList.remove('active');
+      }
+      if (State.isDeleteMode) {
+        State.isDeleteMode = false;
+      }
+
+      State.isCreateArcMode = true;
+      Elements.createArcBtn.classList.add('active');
+      this.updateButtonLabel(Elements.createArcBtn, 'Cancel');
+      State.app.stage.cursor = 'crosshair';
+    });
+  },
+
+  exitArcMode() {
+    State.isCreateArcMode = false;
+    if (Elements.createArcBtn) {
+      Elements.createArcBtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createArcBtn, 'Arc');
+    }
+    State.app.stage.cursor = 'default';
+  },
+
+  /**
+   * Object tool: the button opens a picker of OBJECT_TYPES, the next
+   * canvas click places the picked object centered on the pointer
+   */
+  setupCreateObjectTool() {
+    if (!Elements.createObjectBtn || !Elements.objectPicker) return;
+
+    Elements.objectPicker.replaceChildren(...Object.entries(OBJECT_TYPES).map(([type, defaults]) => {
+      const button = document.createElement('button');
+      button.className = 'object-picker-item';
+      button.dataset.objectType = type;
+      button.textContent = defaults.name;
+      return button;
+    }));
+
+    Elements.createObjectBtn.addEventListener('click', () => {
+      if (State.isCreateObjectMode) {
+        this.exitObjectMode();
+        return;
+      }
+      Elements.objectPicker.classList.toggle('show');
+    });
+
+    Elements.objectPicker.addEventListener('click', (e) => {
+      const typeBtn = e.target.closest('[data-object-type]');
+      if (typeBtn) {
+        this.enterObjectMode(typeBtn.dataset.objectType);
+      }
+    });
+  },
+
+  /**
+   * Arm the object tool with a type
+   * @param {string} type - Key of OBJECT_TYPES
+   */
+  enterObjectMode(type) {
+    // Turn off other modes
+    if (State.isCreateMode) {
+      State.isCreateMode = false;
+      Elements.createBtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
+    }
+    if (State.isCreateGAMode) {
+      State.isCreateGAMode = false;
+      Elements.createGABtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createGABtn, 'GA');
+    }
+    if (State.isCreateZoneMode) {
+      State.isCreateZoneMode = false;
+      Elements.createZoneBtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createZoneBtn, 'Zone');
+    }
+    if (State.isCreatePolygonMode) {
+      this.exitPolygonMode();
+    }
+    if (State.isCreateArcMode) {
+      this.exitArcMode();
+    }
+    if (State.isPanningMode) {
+      State.isPanningMode = false;
+      Elements.panToolBtn.classList.remove('active');
+    }
+    if (State.isDeleteMode) {
+      State.isDeleteMode = false;
+    }
+
+    State.isCreateObjectMode = true;
+    State.createObjectType = type;
+    Elements.objectPicker.classList.remove('show');
+    Elements.createObjectBtn.classList.add('active');
+    this.updateButtonLabel(Elements.createObjectBtn, 'Cancel');
+    State.app.stage.cursor = 'crosshair';
+  },
+
+  exitObjectMode() {
+    State.isCreateObjectMode = false;
+    State.createObjectType = null;
+    if (Elements.objectPicker) {
+      Elements.objectPicker.classList.remove('show');
+    }
+    if (Elements.createObjectBtn) {
+      Elements.createObjectBtn.classList.remove('active');
+      this.updateButtonLabel(Elements.createObjectBtn, 'Object');
+    }
+    State.app.stage.cursor = 'default';
+  },
+
+  /**
+   * Place the armed object type at a point and select it
+   * @param {Object} worldPos - Click position in world coordinates
+   */
+  async handleCreateObject(worldPos) {
+    const type = State.createObjectType;
+    this.exitObjectMode();
+
+    const { ObjectManager } = await import('./ObjectManager.js');
+    const object = HistoryManager.record('Add object', [],
+      () => ObjectManager.createObject(type, worldPos.x, worldPos.y));
+    await ObjectManager.selectObject(object);
+  },
+
+  /**
+   * Derive arc geometry from a drag that starts at the arc's center
+   * The drag distance is the front row radius; its direction is where the
+   * rows face away from (rotation 0 = dragging straight down).
+   * @param {Object} worldPos - Current pointer position in world coordinates
+   * @returns {{arc: Object, rotation: number, radius: number}}
+   */
+  getArcFromDrag(worldPos) {
+    const dx = worldPos.x - State.createStart.x;
+    const dy = worldPos.y - State.createStart.y;
+    const radius = Math.round(Math.hypot(dx, dy));
+    const rotation = Math.round(Math.atan2(dy, dx) * 180 / Math.PI - 90);
+
+    return {
+      radius,
+      rotation: ((rotation % 360) + 360) % 360,
+      arc: {
+        innerRadius: Math.max(radius, 1),
+        rowDepth: CONFIG.ARC_ROW_DEPTH,
+        rows: CONFIG.ARC_ROWS,
+        angleSpan: CONFIG.ARC_ANGLE_SPAN,
+        seatSpacing: CONFIG.SEAT_SIZE
+      }
+    };
+  },
+
+  handleCreateArcStart(worldPos) {
+    State.isCreating = true;
+    State.createStart = { x: worldPos.x, y: worldPos.y };
+    State.previewRect = new PIXI.Graphics();
+    State.world.addChild(State.previewRect);
+  },
+
+  handleCreateArcMove(worldPos, screenX, screenY) {
+    const { arc, rotation, radius } = this.getArcFromDrag(worldPos);
+    const preview = State.previewRect;
+    preview.clear();
+
+    // Center marker and radius line
+    preview.circle(State.createStart.x, State.createStart.y, 4);
+    preview.moveTo(State.createStart.x, State.createStart.y);
+    preview.lineTo(worldPos.x, worldPos.y);
+    preview.stroke({ width: 1, color: COLORS.PREVIEW, alpha: VISUAL_CONFIG.PREVIEW.STROKE_ALPHA });
+
+    if (radius < CONFIG.MIN_SECTION_SIZE) {
+      Utils.hideDragInfo();
+      return;
+    }
+
+    // Map arc layout coordinates onto the world around the drag start
+    const layout = Utils.calculateArcLayout(arc);
+    const angleRad = rotation * Math.PI / 180;
+    const cos = Math.cos(angleRad);
+    const sin = Math.sin(angleRad);
+    const toWorld = (x, y) => {
+      const localX = x - layout.centerX;
+      const localY = y - layout.centerY;
+      return [
+        State.createStart.x + localX * cos - localY * sin,
+        State.createStart.y + localX * sin + localY * cos
+      ];
+    };
+
+    const outline = [];
+    for (let i = 0; i < layout.outline.length; i += 2) {
+      outline.push(...toWorld(layout.outline[i], layout.outline[i + 1]));
+    }
+    preview.poly(outline);
+    preview.fill({ color: COLORS.PREVIEW, alpha: VISUAL_CONFIG.PREVIEW.FILL_ALPHA });
+    preview.stroke({
+      width: VISUAL_CONFIG.PREVIEW.STROKE_WIDTH,
+      color: COLORS.PREVIEW,
+      alpha: VISUAL_CONFIG.PREVIEW.STROKE_ALPHA
+    });
+
+    layout.seats.forEach(seat => {
+      const [x, y] = toWorld(seat.x, seat.y);
+      preview.circle(x, y, 3);
+    });
+    preview.fill({ color: COLORS.PREVIEW, alpha: VISUAL_CONFIG.PREVIEW.STROKE_ALPHA });
+
+    Elements.dragInfo.innerHTML = `${layout.seats.length} seats × ${arc.rows} rows<br><strong>Radius ${radius}</strong>`;
+    Elements.dragInfo.style.left = (screenX + 15) + 'px';
+    Elements.dragInfo.style.top = (screenY + 15) + 'px';
+    Elements.dragInfo.classList.add('show');
+  },
+
+  handleCreateArcEnd(worldPos) {
+    Utils.hideDragInfo();
+
+    const { arc, rotation, radius } = this.getArcFromDrag(worldPos);
+    const center = { ...State.createStart };
+
+    // Clean up preview
+    State.world.removeChild(State.previewRect);
+    State.previewRect.destroy();
+    State.previewRect = null;
+    State.createStart = null;
+    State.isCreating = false;
+
+    if (radius < CONFIG.MIN_SECTION_SIZE) return;
+
+    const section = SectionManager.createArcSection(center, arc, rotation);
+
+    // Show confirm box near the section
+    const sectionScreenPos = section.getGlobalPosition();
+    const rect = State.app.canvas.getBoundingClientRect();
+    Elements.confirmBox.style.left = (rect.left + sectionScreenPos.x - 100) + 'px';
+    Elements.confirmBox.style.top = (rect.top + sectionScreenPos.y - section.contentHeight / 2 - 80) + 'px';
+
+    Elements.confirmInfo.innerHTML = `
+      <strong>${arc.rows}</strong> rows<br>
+      <strong>${section.seats.length}</strong> total seats
+    `;
+    this.setEditRowsVisible(false);
+
+    Elements.confirmBox.classList.add('show');
+
+    State.pendingSection = { section, center, arc, rotation };
+  },
+
   setupKeyboardShortcuts() {
     window.addEventListener('keydown', (e) => {
       // Spacebar toggles pan mode
@@ -351,13 +879,26 @@ export const ToolManager = {
           return; // Let the input handle backspace normally
         }
 
+        // While drawing a polygon, remove the last vertex
+        if (State.isCreatePolygonMode && State.polygonPoints.length > 0) {
+          e.preventDefault();
+          this.undoPolygonPoint();
+        }
         // In edit seats mode, delete selected seats
-        if (State.isEditSeatsMode && State.selectedSeats.length > 0) {
+        else if (State.isEditSeatsMode && State.selectedSeats.length > 0) {
           e.preventDefault();
           import('./modeManager.js').then(({ ModeManager }) => {
             ModeManager.deleteSelectedSeats();
           });
         }
+        // Delete the selected venue object
+        else if (State.selectedObject) {
+          e.preventDefault();
+          const object = State.selectedObject;
+          import('./ObjectManager.js').then(({ ObjectManager }) => {
+            HistoryManager.record('Delete object', [object], () => ObjectManager.deleteObject(object));
+          });
+        }
         // In schema mode, delete selected sections
         else if (State.selectedSections.length > 0) {
           e.preventDefault();
@@ -365,10 +906,46 @@ export const ToolManager = {
         }
       }
 
+      // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes
+      if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+        // Let input fields keep their native text undo
+        const activeElement = document.activeElement;
+        if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
+          return;
+        }
+        
+        e.preventDefault();
+        // Don't rewrite sections mid-gesture or while a new section awaits confirmation
+        if (State.isDraggingSections || State.isCreating || State.pendingSection) {
+          return;
+        }
+        
+        if (e.code === 'KeyY' || e.shiftKey) {
+          HistoryManager.redo();
+        } else {
+          HistoryManager.undo();
+        }
+      }
+
+      // Enter closes the polygon being drawn
+      if (e.code === 'Enter' && State.isCreatePolygonMode && State.polygonPoints.length > 0) {
+        e.preventDefault();
+        this.finishPolygon();
+      }
+
       // ESC exits edit seats mode or cancels create mode
       if (e.code === 'Escape' && !e.repeat) {
+        // Discard the polygon being drawn, or leave polygon mode
+        if (State.isCreatePolygonMode && !State.pendingSection) {
+          e.preventDefault();
+          if (State.polygonPoints.length > 0) {
+            this.cancelPolygon();
+          } else {
+            this.exitPolygonMode();
+          }
+        }
         // Exit edit seats mode
-        if (State.isEditSeatsMode) {
+        else if (State.isEditSeatsMode) {
           e.preventDefault();
           import('./modeManager.js').then(({ ModeManager }) => {
             ModeManager.switchMode('schema');
@@ -382,6 +959,16 @@ export const ToolManager = {
           this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
           State.app.stage.cursor = 'default';
         }
+        // Cancel object mode (or close the object picker)
+        else if (State.isCreateObjectMode || Elements.objectPicker?.classList.contains('show')) {
+          e.preventDefault();
+          this.exitObjectMode();
+        }
+        // Cancel arc mode (if not currently drawing or confirming)
+        else if (State.isCreateArcMode && !State.isCreating && !State.pendingSection) {
+          e.preventDefault();
+          this.exitArcMode();
+        }
         // Cancel GA mode (if not currently drawing)
         else if (State.isCreateGAMode && !State.isCreating) {
           e.preventDefault();
@@ -446,8 +1033,10 @@ export const ToolManager = {
     Elements.deleteConfirmYes.addEventListener('click', () => {
       // Delete all selected sections (make a copy first since deleteSection modifies the array)
       const sectionsToDelete = [...State.selectedSections];
-      sectionsToDelete.forEach(section => {
-        SectionManager.deleteSection(section);
+      HistoryManager.record('Delete sections', sectionsToDelete, () => {
+        sectionsToDelete.forEach(section => {
+          SectionManager.deleteSection(section);
+        });
       });
       State.selectedSections = [];
       Elements.deleteConfirmBox.classList.remove('show');
@@ -462,10 +1051,21 @@ export const ToolManager = {
     Elements.confirmKeep.addEventListener('click', () => {
       Elements.confirmBox.classList.remove('show');
       
+      // Record the kept section so its creation can be undone
+      if (State.pendingSection && State.pendingSection.section) {
+        HistoryManager.commit(HistoryManager.begin('Create section'), [State.pendingSection.section]);
+      }
+      
       // Exit create mode after keeping section
       State.isCreateMode = false;
       Elements.createBtn.classList.remove('active');
       this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
+      if (State.isCreatePolygonMode) {
+        this.exitPolygonMode();
+      }
+      if (State.isCreateArcMode) {
+        this.exitArcMode();
+      }
       State.app.stage.cursor = 'default';
       
       State.pendingSection = null;
@@ -482,11 +1082,31 @@ export const ToolManager = {
       State.isCreateMode = false;
       Elements.createBtn.classList.remove('active');
       this.updateButtonLabel(Elements.createBtn, 'Seat Rows');
+      if (State.isCreatePolygonMode) {
+        this.exitPolygonMode();
+      }
+      if (State.isCreateArcMode) {
+        this.exitArcMode();
+      }
       State.app.stage.cursor = 'default';
       
       State.pendingSection = null;
     });
 
+    // Keep the new section and open its row layout for per-row seat counts
+    Elements.confirmEditRows?.addEventListener('click', () => {
+      const section = State.pendingSection?.section;
+      Elements.confirmKeep.click();
+      if (!section) return;
+      
+      SectionManager.deselectAll();
+      SectionManager.selectSection(section);
+      document.dispatchEvent(new CustomEvent('selectionchanged', { 
+        detail: { selectedSections: State.selectedSections } 
+      }));
+      Elements.rowLayoutSection?.scrollIntoView({ block: 'nearest' });
+    });
+
     // Keyboard support for create confirmation dialog
     window.addEventListener('keydown', (e) => {
       if (!Elements.confirmBox.classList.contains('show')) return;
@@ -568,6 +1188,7 @@ export const ToolManager = {
         <strong>${rows}</strong> rows<br>
         <strong>${seats * rows}</strong> total seats
       `;
+      this.setEditRowsVisible(true);
       
       Elements.confirmBox.classList.add('show');
       
@@ -632,7 +1253,7 @@ export const ToolManager = {
     
     // Create GA section if large enough
     if (snappedWidth > CONFIG.MIN_SECTION_SIZE && snappedHeight > CONFIG.MIN_SECTION_SIZE) {
-      SectionManager.createGASection(x, y, snappedWidth, snappedHeight);
+      HistoryManager.record('Create GA section', [], () => SectionManager.createGASection(x, y, snappedWidth, snappedHeight));
       
       // Exit GA creation mode
       State.isCreateGAMode = false;